@@ -19,6 +19,10 @@ const files = [
   {
     src: 'constants.js',
     dest: 'constants.md'
+  },
+  {
+    src: 'guards.js',
+    dest: 'guards.md'
   }
 ]
 const pathToDocumentationJs = 'node_modules/documentation/bin/documentation.js'
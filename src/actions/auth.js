@@ -2,7 +2,16 @@ import { omit, isArray, isString, isFunction } from 'lodash'
 import jwtDecode from 'jwt-decode'
 import { actionTypes, defaultJWTProps } from '../constants'
 import { promisesForPopulate } from '../utils/populate'
-import { getLoginMethodAndParams } from '../utils/auth'
+import { wrapInDispatchWithResult } from '../utils/actions'
+import { loadRoles } from '../utils/roles'
+import { broadcastAuthChange, listenForAuthChanges } from '../utils/sync'
+import {
+  createAuthProvider,
+  getLoginMethodAndParams,
+  getProviderId,
+  setPendingUpgrade,
+  takePendingUpgrade
+} from '../utils/auth'
 
 const {
   SET_PROFILE,
@@ -11,7 +20,13 @@ const {
   LOGIN_ERROR,
   UNAUTHORIZED_ERROR,
   AUTHENTICATION_INIT_STARTED,
-  AUTHENTICATION_INIT_FINISHED
+  AUTHENTICATION_INIT_FINISHED,
+  PHONE_CODE_SENT,
+  PHONE_CODE_CONFIRMED,
+  AUTH_ACTION_START,
+  AUTH_ACTION_SUCCESS,
+  AUTH_ACTION_ERROR,
+  AUTH_TOKEN_REFRESHED
 } = actionTypes
 
 /**
@@ -51,6 +66,44 @@ export const dispatchLogin = (dispatch, auth) =>
     authError: null
   })
 
+/**
+ * @description Get ID token of user (`getToken` in versions of Firebase
+ * before 4)
+ * @param {Object} user - Firebase user
+ * @param {Boolean} forceRefresh - Whether or not to refresh token even if it
+ * has not expired
+ * @return {Promise} Resolves with ID token
+ * @private
+ */
+const getIdToken = (user, forceRefresh) =>
+  new Promise(resolve =>
+    resolve(isFunction(user.getIdToken)
+      ? user.getIdToken(forceRefresh)
+      : user.getToken(forceRefresh))
+  )
+
+/**
+ * @description Decode ID token of user and dispatch its claims (other than
+ * standard JWT claims) and expiration time (stored within auth)
+ * @param {Function} dispatch - Action dispatch function
+ * @param {Object} user - Firebase user
+ * @param {Boolean} forceRefresh - Whether or not to refresh token
+ * @return {Promise} Resolves with object containing `claims` and
+ * `expirationTime`
+ * @private
+ */
+export const dispatchTokenRefresh = (dispatch, user, forceRefresh) =>
+  getIdToken(user, forceRefresh)
+    .then((token) => {
+      const decoded = jwtDecode(token)
+      const tokenData = {
+        claims: omit(decoded, defaultJWTProps),
+        expirationTime: decoded.exp * 1000
+      }
+      dispatch({ type: AUTH_TOKEN_REFRESHED, uid: user.uid, ...tokenData })
+      return tokenData
+    })
+
 /**
  * @description Remove listener from user profile
  * @param {Object} firebase - Internal firebase object
@@ -84,24 +137,41 @@ export const watchUserProfile = (dispatch, firebase) => {
       .ref()
       .child(`${userProfile}/${authUid}`)
       .on('value', snap => {
-        const { profileParamsToPopulate } = firebase._.config
-        if (!profileParamsToPopulate || (!isArray(profileParamsToPopulate) && !isString(profileParamsToPopulate))) {
+        const { profileParamsToPopulate, roles } = firebase._.config
+        const shouldPopulate = !!profileParamsToPopulate &&
+          (isArray(profileParamsToPopulate) || isString(profileParamsToPopulate))
+        if ((!shouldPopulate && !roles) || snap.val() === null) {
           dispatch({
             type: SET_PROFILE,
             profile: snap.val()
           })
         } else {
-          // Convert each populate string in array into an array of once query promises
-          promisesForPopulate(firebase, snap.val(), profileParamsToPopulate)
-            .then(data => {
-              // Dispatch action with profile combined with populated parameters
+          Promise.all([
+            // Convert each populate string in array into an array of once query promises
+            shouldPopulate
+              ? promisesForPopulate(firebase, snap.val(), profileParamsToPopulate)
+              : {},
+            // Load definitions of roles within profile (roles and permissions)
+            roles ? loadRoles(firebase, snap.val()) : {}
+          ])
+            .then(([ data, roleData ]) => {
+              // Dispatch action with profile combined with populated parameters and roles
               dispatch({
                 type: SET_PROFILE,
                 profile: Object.assign(
                   snap.val(), // profile
-                  data
+                  data,
+                  roleData
                 )
               })
+            }, (err) => {
+              // Profile is still set (without populated parameters or roles)
+              // so it does not remain loading
+              dispatchUnauthorizedError(dispatch, err)
+              dispatch({
+                type: SET_PROFILE,
+                profile: snap.val()
+              })
             })
         }
       })
@@ -156,64 +226,229 @@ export const createUserProfile = (dispatch, firebase, userData, profile) => {
     })
 }
 
+/**
+ * @description Handle result of a login with redirect (if one occurred).
+ * Nothing is dispatched when no redirect happened since logged out state is
+ * reported by onAuthStateChanged. Profile of an anonymous user upgraded with
+ * redirect (see upgradeAnonymousUser) is migrated.
+ * @param {Function} dispatch - Action dispatch function
+ * @param {Object} firebase - Internal firebase object
+ * @return {Promise} Resolves once redirect result is settled
+ * @private
+ */
+const handleRedirectResult = (dispatch, firebase) =>
+  firebase.auth().getRedirectResult()
+    .then((authData) => {
+      const pendingUpgrade = takePendingUpgrade(firebase)
+      if (!authData || !authData.user) {
+        return
+      }
+      const { user } = authData
+
+      firebase._.authUid = user.uid
+      watchUserProfile(dispatch, firebase)
+
+      if (pendingUpgrade) {
+        return migrateAnonymousProfile(dispatch, firebase, user, pendingUpgrade.profile)
+      }
+
+      dispatchLogin(dispatch, user)
+
+      createUserProfile(
+        dispatch,
+        firebase,
+        user,
+        {
+          email: user.email,
+          displayName: user.providerData[0].displayName || user.email,
+          avatarUrl: user.providerData[0].photoURL,
+          providerData: user.providerData
+        }
+      )
+    })
+    // Errors are dispatched (initialization still finishes)
+    .catch((error) => {
+      dispatchLoginError(dispatch, error)
+    })
+
+/**
+ * @description Warn that a feature is not supported by the version of
+ * Firebase being used (feature is skipped)
+ * @param {String} message - Warning message
+ * @private
+ */
+const warnUnsupported = (message) => {
+  if (isFunction(console.warn)) { // eslint-disable-line no-console
+    console.warn(message) // eslint-disable-line no-console
+  }
+}
+
+/**
+ * @description Set persistence of auth state (`authPersistence` config
+ * option). Errors are dispatched so initialization still finishes.
+ * @param {Function} dispatch - Action dispatch function
+ * @param {Object} firebase - Internal firebase object
+ * @return {Promise} Resolves once persistence is set
+ * @private
+ */
+const setAuthPersistence = (dispatch, firebase) => {
+  const { authPersistence } = firebase._.config
+  if (!authPersistence) {
+    return Promise.resolve()
+  }
+  if (!isFunction(firebase.auth().setPersistence)) {
+    const message = 'authPersistence requires a version of Firebase which supports setPersistence (4.2.0 or later).'
+    warnUnsupported(message)
+    dispatchLoginError(dispatch, new Error(message))
+    return Promise.resolve()
+  }
+  return firebase.auth().setPersistence(authPersistence)
+    .catch((error) => {
+      dispatchLoginError(dispatch, error)
+    })
+}
+
+/**
+ * @description Apply auth change broadcast by another tab. Logout is applied
+ * to every tab. Login is applied once it is available to this tab's Firebase
+ * auth (i.e. `local` persistence) since it is otherwise reported by
+ * onAuthStateChanged.
+ * @param {Function} dispatch - Action dispatch function
+ * @param {Object} firebase - Internal firebase object
+ * @param {Object} change - Auth change
+ * @param {String} change.uid - Uid of logged in user (null after logout)
+ * @private
+ */
+export const syncAuthChange = (dispatch, firebase, { uid }) => {
+  if (!uid) {
+    if (firebase._.authUid) {
+      logout(dispatch, firebase)
+    }
+    return
+  }
+  const { currentUser } = firebase.auth()
+  if (uid !== firebase._.authUid && currentUser && currentUser.uid === uid) {
+    // Profile of previous user is unwatched before uid is changed
+    unWatchUserProfile(firebase)
+    firebase._.authUid = uid
+    watchUserProfile(dispatch, firebase)
+    dispatchLogin(dispatch, currentUser)
+  }
+}
+
 /**
  * @description Initialize authentication state change listener that
- * watches user profile and dispatches login action
+ * watches user profile and dispatches login action. Initialization finishes
+ * (`AUTHENTICATION_INIT_FINISHED`) once the first auth state has been
+ * reported and the redirect result (if enabled) has settled. Changes after
+ * the first auth state are broadcast to other tabs when `enableAuthSync` is
+ * enabled.
  * @param {Function} dispatch - Action dispatch function
+ * @param {Object} firebase - Internal firebase object
+ * @return {Promise} Resolves once initialization is finished (also available
+ * as `firebase._.authIsReady`)
  * @private
  */
 export const init = (dispatch, firebase) => {
   dispatch({ type: AUTHENTICATION_INIT_STARTED })
 
-  firebase.auth().onAuthStateChanged(authData => {
-    if (!authData) {
-      return dispatch({ type: LOGOUT })
-    }
+  const { enableAuthSync } = firebase._.config
+  const persistenceSet = setAuthPersistence(dispatch, firebase)
 
-    firebase._.authUid = authData.uid
-    watchUserProfile(dispatch, firebase)
+  if (enableAuthSync) {
+    firebase._.authSyncUnsubscribe = listenForAuthChanges(firebase, change =>
+      syncAuthChange(dispatch, firebase, change)
+    )
+  }
 
-    dispatchLogin(dispatch, authData)
+  let reported = false
+  const authStateReported = new Promise((resolve) => {
+    firebase.auth().onAuthStateChanged(authData => {
+      // First auth state is restored state (not a change within this tab)
+      if (reported && enableAuthSync) {
+        broadcastAuthChange(firebase, authData)
+      }
+      reported = true
 
-    // Run onAuthStateChanged if it exists in config
-    if (firebase._.config.onAuthStateChanged) {
-      firebase._.config.onAuthStateChanged(authData, firebase)
-    }
-  })
+      if (!authData) {
+        // Loaded data is kept if no user was logged in (i.e. preloaded data)
+        dispatch({ type: LOGOUT, preserveData: !firebase._.authUid })
+        unWatchUserProfile(firebase)
+        firebase._.authUid = null
+        return resolve()
+      }
 
-  if (firebase._.config.enableRedirectHandling) {
-    firebase.auth().getRedirectResult()
-      .then((authData) => {
-        if (!authData || !authData.user) {
-          return dispatch({ type: LOGOUT })
-        }
-        const { user } = authData
+      unWatchUserProfile(firebase)
+      firebase._.authUid = authData.uid
+      watchUserProfile(dispatch, firebase)
 
-        firebase._.authUid = user.uid
-        watchUserProfile(dispatch, firebase)
+      dispatchLogin(dispatch, authData)
+      // Token state is set once auth is within state (claims are set with
+      // next token change if token can not be read)
+      dispatchTokenRefresh(dispatch, authData).catch(() => {})
 
-        dispatchLogin(dispatch, user)
+      // Run onAuthStateChanged if it exists in config
+      if (firebase._.config.onAuthStateChanged) {
+        firebase._.config.onAuthStateChanged(authData, firebase)
+      }
+      resolve()
+    })
+  })
 
-        createUserProfile(
-          dispatch,
-          firebase,
-          user,
-          {
-            email: user.email,
-            displayName: user.providerData[0].displayName || user.email,
-            avatarUrl: user.providerData[0].photoURL,
-            providerData: user.providerData
-          }
-        )
-      }).catch((error) => {
-        dispatchLoginError(dispatch, error)
-        return Promise.reject(error)
-      })
+  // Token changes (i.e. refreshed before expiring) of logged in user
+  if (isFunction(firebase.auth().onIdTokenChanged)) {
+    firebase.auth().onIdTokenChanged((user) => {
+      if (user && user.uid === firebase._.authUid) {
+        dispatchTokenRefresh(dispatch, user).catch(() => {})
+      }
+    })
+  } else {
+    warnUnsupported('Tracking token changes requires a version of Firebase which supports onIdTokenChanged (4.0.0 or later). Claims will only be updated on login and forceTokenRefresh.')
   }
 
-  firebase.auth().currentUser
+  firebase._.authIsReady = Promise.all([
+    persistenceSet,
+    authStateReported,
+    firebase._.config.enableRedirectHandling
+      ? handleRedirectResult(dispatch, firebase)
+      : Promise.resolve()
+  ]).then(() => {
+    dispatch({ type: AUTHENTICATION_INIT_FINISHED })
+  })
+
+  return firebase._.authIsReady
+}
 
-  dispatch({ type: AUTHENTICATION_INIT_FINISHED })
+/**
+ * @description Send verification code to a phone number. Confirmation result
+ * is kept (within `firebase._`) until code is confirmed with confirmPhoneCode.
+ * @param {Function} dispatch - Action dispatch function
+ * @param {Object} firebase - Internal firebase object
+ * @param {Array} params - Phone number and application verifier
+ * @return {Promise} Resolves with confirmation result
+ * @private
+ */
+const sendPhoneCode = (dispatch, firebase, [phoneNumber, applicationVerifier]) => {
+  if (!isFunction(firebase.auth().signInWithPhoneNumber)) {
+    const error = new Error('Phone authentication requires a version of Firebase which supports signInWithPhoneNumber (4.1.0 or later).')
+    dispatchLoginError(dispatch, error)
+    return Promise.reject(error)
+  }
+  return firebase.auth()
+    .signInWithPhoneNumber(phoneNumber, applicationVerifier)
+    .then((confirmationResult) => {
+      firebase._.confirmationResult = confirmationResult
+      dispatch({
+        type: PHONE_CODE_SENT,
+        phoneNumber,
+        verificationId: confirmationResult.verificationId
+      })
+      return confirmationResult
+    })
+    .catch((err) => {
+      dispatchLoginError(dispatch, err)
+      return Promise.reject(err)
+    })
 }
 
 /**
@@ -226,6 +461,12 @@ export const init = (dispatch, firebase) => {
  * @param {Object} credentials.provider - Provider name such as google, twitter (only needed for 3rd party provider login)
  * @param {Object} credentials.type - Popup or redirect (only needed for 3rd party provider login)
  * @param {Object} credentials.token - Custom or provider token
+ * @param {String} credentials.phoneNumber - Phone number to send verification
+ * code to (login is completed with confirmPhoneCode)
+ * @param {Object} credentials.applicationVerifier - Verifier for phone login
+ * (i.e. RecaptchaVerifier)
+ * @param {Boolean} credentials.anonymous - Login anonymously (upgraded to a
+ * permanent account with upgradeAnonymousUser)
  * @return {Promise}
  * @private
  */
@@ -233,6 +474,11 @@ export const login = (dispatch, firebase, credentials) => {
   dispatchLoginError(dispatch, null)
   let { method, params } = getLoginMethodAndParams(firebase, credentials)
 
+  // Phone login is completed once verification code is confirmed
+  if (method === 'signInWithPhoneNumber') {
+    return sendPhoneCode(dispatch, firebase, params)
+  }
+
   return firebase.auth()[method](...params)
     .then((userData) => {
       // Handle null response from getRedirectResult before redirect has happened
@@ -241,6 +487,16 @@ export const login = (dispatch, firebase, credentials) => {
       // For email auth return uid (createUser is used for creating a profile)
       if (userData.email) return userData.uid
 
+      // Anonymous profile is kept when user is upgraded (same uid)
+      if (method === 'signInAnonymously') {
+        return createUserProfile(
+          dispatch,
+          firebase,
+          userData,
+          { isAnonymous: true }
+        )
+      }
+
       // For token auth, the user key doesn't exist. Instead, return the JWT.
       if (method === 'signInWithCustomToken') {
         // Extract the extra data in the JWT token for user object
@@ -276,6 +532,47 @@ export const login = (dispatch, firebase, credentials) => {
     })
 }
 
+/**
+ * @description Confirm verification code sent to phone number (by calling
+ * login with phoneNumber) to complete login. Profile is created for user like
+ * provider logins.
+ * @param {Function} dispatch - Action dispatch function
+ * @param {Object} firebase - Internal firebase object
+ * @param {String} code - Verification code received by SMS
+ * @return {Promise} Resolves with user profile
+ * @private
+ */
+export const confirmPhoneCode = (dispatch, firebase, code) => {
+  dispatchLoginError(dispatch, null)
+  const { confirmationResult } = firebase._
+
+  if (!confirmationResult) {
+    const err = new Error('Verification code must be sent before it can be confirmed')
+    dispatchLoginError(dispatch, err)
+    return Promise.reject(err)
+  }
+
+  return confirmationResult.confirm(code)
+    .then(({ user }) => {
+      firebase._.confirmationResult = null
+      dispatch({ type: PHONE_CODE_CONFIRMED, phoneNumber: user.phoneNumber })
+      return createUserProfile(
+        dispatch,
+        firebase,
+        user,
+        {
+          phoneNumber: user.phoneNumber,
+          displayName: user.displayName || user.phoneNumber,
+          providerData: user.providerData
+        }
+      )
+    })
+    .catch((err) => {
+      dispatchLoginError(dispatch, err)
+      return Promise.reject(err)
+    })
+}
+
 /**
  * @description Logout of firebase and dispatch logout event
  * @param {Function} dispatch - Action dispatch function
@@ -286,6 +583,7 @@ export const logout = (dispatch, firebase) => {
   firebase.auth().signOut()
   dispatch({ type: LOGOUT })
   firebase._.authUid = null
+  firebase._.confirmationResult = null
   unWatchUserProfile(firebase)
   return Promise.resolve(firebase)
 }
@@ -359,16 +657,492 @@ export const resetPassword = (dispatch, firebase, email) => {
     })
 }
 
+/**
+ * @description Dispatch login error for a user who is already logged in (auth
+ * and profile are kept within state)
+ * @param {Function} dispatch - Action dispatch function
+ * @param {Object} authError - Error object
+ * @private
+ */
+const dispatchLinkError = (dispatch, authError) =>
+  dispatch({
+    type: LOGIN_ERROR,
+    authError,
+    preserveAuth: true
+  })
+
+/**
+ * @description Update auth within state and `providerData` within profile
+ * after providers of a user have changed
+ * @param {Function} dispatch - Action dispatch function
+ * @param {Object} firebase - Internal firebase object
+ * @param {Object} user - User with updated providers
+ * @return {Promise} Resolves with user
+ * @private
+ */
+const updateProviderData = (dispatch, firebase, user) => {
+  dispatchLogin(dispatch, user)
+  const { userProfile } = firebase._.config
+  if (!userProfile) {
+    return Promise.resolve(user)
+  }
+  return firebase.database()
+    .ref()
+    .child(`${userProfile}/${user.uid}`)
+    .update({ providerData: user.providerData })
+    .then(() => user)
+}
+
+/**
+ * @description Change providers of current user with errors dispatched
+ * @param {Function} dispatch - Action dispatch function
+ * @param {Object} firebase - Internal firebase object
+ * @param {Function} changeMethod - Function called with current user which
+ * returns a promise that resolves with user (or object containing user)
+ * @return {Promise} Resolves with result of changeMethod
+ * @private
+ */
+const changeProviders = (dispatch, firebase, changeMethod) => {
+  dispatchLinkError(dispatch, null)
+  const user = firebase.auth().currentUser
+
+  if (!user) {
+    const err = new Error('User must be logged in to change auth providers')
+    dispatchLinkError(dispatch, err)
+    return Promise.reject(err)
+  }
+
+  return new Promise(resolve => resolve(changeMethod(user)))
+    .then((result) => {
+      // Redirect linking completes after redirect (handled within init)
+      if (!result) return result
+      return updateProviderData(dispatch, firebase, result.user || result)
+        .then(() => result)
+    })
+    .catch((err) => {
+      dispatchLinkError(dispatch, err)
+      return Promise.reject(err)
+    })
+}
+
+/**
+ * @description Link an auth provider (i.e. google, github) to the current
+ * user through a popup or redirect
+ * @param {Function} dispatch - Action dispatch function
+ * @param {Object} firebase - Internal firebase object
+ * @param {Object} credentials - Provider credentials
+ * @param {String} credentials.provider - Provider name such as google, github
+ * @param {String} credentials.type - Popup or redirect (default: redirect)
+ * @param {Array|String} credentials.scopes - Scopes to add to provider
+ * @param {Object} credentials.customParameters - Custom OAuth parameters
+ * @return {Promise} Resolves with result of linking (containing user and
+ * credential) for popup
+ * @private
+ */
+export const linkWithProvider = (dispatch, firebase, { provider, type, scopes, customParameters }) =>
+  changeProviders(dispatch, firebase, (user) => {
+    const authProvider = createAuthProvider(firebase, provider, scopes, customParameters)
+    return type === 'popup'
+      ? user.linkWithPopup(authProvider)
+      : user.linkWithRedirect(authProvider)
+  })
+
+/**
+ * @description Link a credential (i.e. from `GoogleAuthProvider.credential`)
+ * to the current user
+ * @param {Function} dispatch - Action dispatch function
+ * @param {Object} firebase - Internal firebase object
+ * @param {Object} credential - Auth credential
+ * @return {Promise} Resolves with user
+ * @private
+ */
+export const linkWithCredential = (dispatch, firebase, credential) =>
+  changeProviders(dispatch, firebase, user => user.link(credential))
+
+/**
+ * @description Unlink an auth provider from the current user
+ * @param {Function} dispatch - Action dispatch function
+ * @param {Object} firebase - Internal firebase object
+ * @param {String} provider - Provider name or id (i.e. google or google.com)
+ * @return {Promise} Resolves with user
+ * @private
+ */
+export const unlinkProvider = (dispatch, firebase, provider) =>
+  changeProviders(dispatch, firebase, user => user.unlink(getProviderId(firebase, provider)))
+
+/**
+ * @description Link credentials to an anonymous user (email and password,
+ * provider, or credential)
+ * @param {Object} firebase - Internal firebase object
+ * @param {Object} user - Current (anonymous) user
+ * @param {Object} credentials - Credentials to link
+ * @return {Promise} Resolves with user (or result containing user)
+ * @private
+ */
+const linkAnonymousUser = (firebase, user, { email, password, provider, type, scopes, customParameters, credential }) => {
+  if (email) {
+    return user.link(firebase.auth.EmailAuthProvider.credential(email, password))
+  }
+  if (credential) {
+    return user.link(credential)
+  }
+  const authProvider = createAuthProvider(firebase, provider, scopes, customParameters)
+  return type === 'popup'
+    ? user.linkWithPopup(authProvider)
+    : user.linkWithRedirect(authProvider)
+}
+
+/**
+ * @description Update profile of an upgraded anonymous user with details of
+ * the linked account (and `isAnonymous: false`)
+ * @param {Function} dispatch - Action dispatch function
+ * @param {Object} firebase - Internal firebase object
+ * @param {Object} user - Upgraded user
+ * @param {Object} profile - Extra profile data to write
+ * @return {Promise} Resolves with migrated profile
+ * @private
+ */
+const migrateAnonymousProfile = (dispatch, firebase, user, profile) => {
+  const { userProfile } = firebase._.config
+  const providerInfo = user.providerData[0] || {}
+  const newProfile = Object.assign({
+    email: user.email,
+    displayName: user.displayName || providerInfo.displayName || user.email,
+    avatarUrl: user.photoURL || providerInfo.photoURL || null,
+    providerData: user.providerData,
+    isAnonymous: false
+  }, profile)
+
+  dispatchLogin(dispatch, user)
+
+  if (!userProfile) {
+    return Promise.resolve(newProfile)
+  }
+  return firebase.database()
+    .ref()
+    .child(`${userProfile}/${user.uid}`)
+    .update(newProfile)
+    .then(() => newProfile)
+}
+
+/**
+ * @description Upgrade an anonymous user to a permanent account by linking
+ * email/password or provider credentials. The uid is kept, so the profile
+ * written at `config.userProfile` is migrated by updating it with details of
+ * the linked account (and `isAnonymous: false`). When linking with redirect,
+ * the upgrade is marked as pending and the profile is migrated once the
+ * redirect result is handled (within init).
+ * @param {Function} dispatch - Action dispatch function
+ * @param {Object} firebase - Internal firebase object
+ * @param {Object} credentials - Credentials to link
+ * @param {String} credentials.email - Email (for email upgrade)
+ * @param {String} credentials.password - Password (for email upgrade)
+ * @param {String} credentials.provider - Provider name such as google, github
+ * @param {String} credentials.type - Popup or redirect (default: redirect)
+ * @param {Array|String} credentials.scopes - Scopes to add to provider
+ * @param {Object} credentials.customParameters - Custom OAuth parameters
+ * @param {Object} credentials.credential - Auth credential to link
+ * @param {Object} profile - Extra profile data to write
+ * @return {Promise} Resolves with migrated profile (nothing for redirect)
+ * @private
+ */
+export const upgradeAnonymousUser = (dispatch, firebase, credentials, profile) => {
+  dispatchLinkError(dispatch, null)
+  const user = firebase.auth().currentUser
+
+  if (!user || !user.isAnonymous) {
+    const err = new Error('Only anonymous users can be upgraded')
+    dispatchLinkError(dispatch, err)
+    return Promise.reject(err)
+  }
+
+  const isRedirect = !credentials.email && !credentials.credential && credentials.type !== 'popup'
+  if (isRedirect) {
+    setPendingUpgrade(firebase, profile)
+  }
+
+  return new Promise(resolve => resolve(linkAnonymousUser(firebase, user, credentials)))
+    .then((result) => {
+      // Redirect linking completes after redirect (handled within init)
+      if (!result) return result
+      return migrateAnonymousProfile(dispatch, firebase, result.user || result, profile)
+    })
+    .catch((err) => {
+      if (isRedirect) {
+        takePendingUpgrade(firebase)
+      }
+      dispatchLinkError(dispatch, err)
+      return Promise.reject(err)
+    })
+}
+
+/**
+ * @description Get ids of auth providers linked to accounts with an email
+ * (i.e. to tell a user which provider to login with)
+ * @param {Function} dispatch - Action dispatch function
+ * @param {Object} firebase - Internal firebase object
+ * @param {String} email - Email of account
+ * @return {Promise} Resolves with array of provider ids (i.e. `['google.com']`)
+ * @private
+ */
+export const fetchProvidersForEmail = (dispatch, firebase, email) =>
+  firebase.auth()
+    .fetchProvidersForEmail(email)
+    .catch((err) => {
+      dispatchLinkError(dispatch, err)
+      return Promise.reject(err)
+    })
+
+/**
+ * @description Run account management method with `AUTH_ACTION_START`,
+ * `AUTH_ACTION_SUCCESS`, and `AUTH_ACTION_ERROR` actions dispatched (each
+ * containing `method` so status is stored by method within `authStatus`)
+ * @param {Function} dispatch - Action dispatch function
+ * @param {String} method - Name of method (key within authStatus state)
+ * @param {Function} action - Function which returns a promise
+ * @return {Promise} Resolves with value returned by action
+ * @private
+ */
+const wrapAuthAction = (dispatch, method, action) =>
+  wrapInDispatchWithResult(dispatch, {
+    method: () => new Promise(resolve => resolve(action())),
+    args: [],
+    types: [AUTH_ACTION_START, AUTH_ACTION_SUCCESS, AUTH_ACTION_ERROR],
+    meta: { method }
+  })
+
+/**
+ * @description Get currently logged in user
+ * @param {Object} firebase - Internal firebase object
+ * @return {Promise} Resolves with current user (rejects if not logged in)
+ * @private
+ */
+const getCurrentUser = (firebase) => {
+  const user = firebase.auth().currentUser
+  return user
+    ? Promise.resolve(user)
+    : Promise.reject(new Error('User must be logged in to manage account'))
+}
+
+/**
+ * @description Update auth within state and fields of profile (if
+ * `userProfile` is set) after account of current user has changed
+ * @param {Function} dispatch - Action dispatch function
+ * @param {Object} firebase - Internal firebase object
+ * @param {Object} user - Updated user
+ * @param {Object} changes - Changes to apply to profile
+ * @return {Promise}
+ * @private
+ */
+const updateAccountData = (dispatch, firebase, user, changes) => {
+  dispatchLogin(dispatch, user)
+  const { userProfile } = firebase._.config
+  if (!userProfile) {
+    return Promise.resolve()
+  }
+  return firebase.database()
+    .ref()
+    .child(`${userProfile}/${user.uid}`)
+    .update(changes)
+}
+
+/**
+ * @description Send verification email to current user
+ * @param {Function} dispatch - Action dispatch function
+ * @param {Object} firebase - Internal firebase object
+ * @return {Promise}
+ * @private
+ */
+export const sendEmailVerification = (dispatch, firebase) =>
+  wrapAuthAction(dispatch, 'sendEmailVerification', () =>
+    getCurrentUser(firebase).then(user => user.sendEmailVerification())
+  )
+
+/**
+ * @description Check password reset code (from password reset email)
+ * @param {Function} dispatch - Action dispatch function
+ * @param {Object} firebase - Internal firebase object
+ * @param {String} code - Password reset code
+ * @return {Promise} Resolves with email of account
+ * @private
+ */
+export const verifyPasswordResetCode = (dispatch, firebase, code) =>
+  wrapAuthAction(dispatch, 'verifyPasswordResetCode', () =>
+    firebase.auth().verifyPasswordResetCode(code)
+  )
+
+/**
+ * @description Set new password using password reset code (from password
+ * reset email)
+ * @param {Function} dispatch - Action dispatch function
+ * @param {Object} firebase - Internal firebase object
+ * @param {String} code - Password reset code
+ * @param {String} newPassword - New password
+ * @return {Promise}
+ * @private
+ */
+export const confirmPasswordReset = (dispatch, firebase, code, newPassword) =>
+  wrapAuthAction(dispatch, 'confirmPasswordReset', () =>
+    firebase.auth().confirmPasswordReset(code, newPassword)
+  )
+
+/**
+ * @description Apply action code (i.e. from email verification email).
+ * Auth within state is updated if a user is logged in (i.e. `emailVerified`).
+ * @param {Function} dispatch - Action dispatch function
+ * @param {Object} firebase - Internal firebase object
+ * @param {String} code - Action code
+ * @return {Promise}
+ * @private
+ */
+export const applyActionCode = (dispatch, firebase, code) =>
+  wrapAuthAction(dispatch, 'applyActionCode', () =>
+    firebase.auth()
+      .applyActionCode(code)
+      .then(() => {
+        const user = firebase.auth().currentUser
+        if (!user) return
+        return user.reload()
+          .then(() => dispatchLogin(dispatch, firebase.auth().currentUser))
+      })
+  )
+
+/**
+ * @description Change email of current user (email within profile is also
+ * updated)
+ * @param {Function} dispatch - Action dispatch function
+ * @param {Object} firebase - Internal firebase object
+ * @param {String} newEmail - New email
+ * @return {Promise}
+ * @private
+ */
+export const updateEmail = (dispatch, firebase, newEmail) =>
+  wrapAuthAction(dispatch, 'updateEmail', () =>
+    getCurrentUser(firebase)
+      .then(user =>
+        user.updateEmail(newEmail)
+          .then(() => updateAccountData(dispatch, firebase, user, { email: newEmail }))
+      )
+  )
+
+/**
+ * @description Change password of current user
+ * @param {Function} dispatch - Action dispatch function
+ * @param {Object} firebase - Internal firebase object
+ * @param {String} newPassword - New password
+ * @return {Promise}
+ * @private
+ */
+export const updatePassword = (dispatch, firebase, newPassword) =>
+  wrapAuthAction(dispatch, 'updatePassword', () =>
+    getCurrentUser(firebase).then(user => user.updatePassword(newPassword))
+  )
+
+/**
+ * @description Reauthenticate current user (required before sensitive
+ * changes such as updateEmail, updatePassword, or deleteAccount if user has
+ * not logged in recently)
+ * @param {Function} dispatch - Action dispatch function
+ * @param {Object} firebase - Internal firebase object
+ * @param {Object} credentials - Email and password or credential
+ * @param {String} credentials.email - Email of user
+ * @param {String} credentials.password - Password of user
+ * @param {Object} credentials.credential - Auth credential (i.e. from
+ * `GoogleAuthProvider.credential`)
+ * @return {Promise}
+ * @private
+ */
+export const reauthenticate = (dispatch, firebase, { email, password, credential }) =>
+  wrapAuthAction(dispatch, 'reauthenticate', () =>
+    getCurrentUser(firebase)
+      .then(user =>
+        user.reauthenticate(
+          credential || firebase.auth.EmailAuthProvider.credential(email, password)
+        )
+      )
+  )
+
+/**
+ * @description Delete account of current user along with profile (at
+ * `userProfile/uid`). Profile is removed first (while user can still write
+ * to it) and restored if deleting the account fails.
+ * @param {Function} dispatch - Action dispatch function
+ * @param {Object} firebase - Internal firebase object
+ * @return {Promise}
+ * @private
+ */
+export const deleteAccount = (dispatch, firebase) =>
+  wrapAuthAction(dispatch, 'deleteAccount', () =>
+    getCurrentUser(firebase)
+      .then((user) => {
+        const { userProfile } = firebase._.config
+        if (!userProfile) {
+          return user.delete()
+        }
+        const profileRef = firebase.database().ref().child(`${userProfile}/${user.uid}`)
+        return profileRef.once('value')
+          .then((snap) => {
+            const profile = snap.val()
+            unWatchUserProfile(firebase)
+            return profileRef.remove()
+              .then(() => user.delete())
+              .catch((err) => {
+                watchUserProfile(dispatch, firebase)
+                // Reject with original error even if profile can not be restored
+                return profileRef.set(profile)
+                  .then(() => Promise.reject(err), () => Promise.reject(err))
+              })
+          })
+      })
+      .then(() => {
+        firebase._.authUid = null
+        dispatch({ type: LOGOUT })
+      })
+  )
+
+/**
+ * @description Refresh ID token of current user so changes to claims (i.e.
+ * custom claims set on the server) are applied without logging in again.
+ * Claims and expiration time are updated within auth
+ * (`AUTH_TOKEN_REFRESHED`).
+ * @param {Function} dispatch - Action dispatch function
+ * @param {Object} firebase - Internal firebase object
+ * @return {Promise} Resolves with object containing `claims` and
+ * `expirationTime`
+ * @private
+ */
+export const forceTokenRefresh = (dispatch, firebase) =>
+  wrapAuthAction(dispatch, 'forceTokenRefresh', () =>
+    getCurrentUser(firebase)
+      .then(user => dispatchTokenRefresh(dispatch, user, true))
+  )
+
 export default {
   dispatchLoginError,
   dispatchUnauthorizedError,
   dispatchLogin,
+  dispatchTokenRefresh,
   unWatchUserProfile,
   watchUserProfile,
   init,
   createUserProfile,
   login,
+  confirmPhoneCode,
   logout,
   createUser,
-  resetPassword
+  resetPassword,
+  linkWithProvider,
+  linkWithCredential,
+  unlinkProvider,
+  upgradeAnonymousUser,
+  fetchProvidersForEmail,
+  sendEmailVerification,
+  verifyPasswordResetCode,
+  confirmPasswordReset,
+  applyActionCode,
+  updateEmail,
+  updatePassword,
+  reauthenticate,
+  deleteAccount,
+  forceTokenRefresh
 }
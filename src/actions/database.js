@@ -0,0 +1,297 @@
+import { forEach } from 'lodash'
+import { actionTypes } from '../constants'
+import { wrapInDispatchWithResult } from '../utils/actions'
+import {
+  getWriteChanges,
+  loadWriteQueue,
+  saveWriteQueue
+} from '../utils/offline'
+
+const {
+  OPTIMISTIC_WRITE,
+  OPTIMISTIC_WRITE_COMPLETE,
+  OPTIMISTIC_WRITE_ERROR,
+  SET_START,
+  SET_COMPLETE,
+  SET_ERROR,
+  PUSH_START,
+  PUSH_COMPLETE,
+  PUSH_ERROR,
+  UPDATE_START,
+  UPDATE_COMPLETE,
+  UPDATE_ERROR,
+  REMOVE_START,
+  REMOVE_COMPLETE,
+  REMOVE_ERROR,
+  UNIQUE_SET_START,
+  UNIQUE_SET_COMPLETE,
+  UNIQUE_SET_ERROR
+} = actionTypes
+
+/**
+ * @description Run write against Firebase database
+ * @param {Object} firebase - Internal firebase object
+ * @param {Object} write - Write object (containing method, path, and value)
+ * @param {Function} onComplete - Function run after write is complete
+ * @return {Promise} Resolves when write is applied by server
+ * @private
+ */
+const runWrite = (firebase, { method, path, value, id }, onComplete) => {
+  const ref = firebase.database().ref(path)
+  switch (method) {
+    case 'push':
+      // key is generated before writing so push can be replayed
+      return ref.child(id).set(value, onComplete)
+    case 'update':
+      return ref.update(value, onComplete)
+    case 'remove':
+      return ref.remove(onComplete)
+    default:
+      return ref.set(value, onComplete)
+  }
+}
+
+/**
+ * @description Get current server values for paths changed by a write (used
+ * to roll back data after a write is rejected)
+ * @param {Object} firebase - Internal firebase object
+ * @param {Object} write - Write object
+ * @return {Promise} Resolves with changes (objects containing path and data)
+ * @private
+ */
+const getRollback = (firebase, write) =>
+  Promise.all(
+    getWriteChanges(write).map(({ path }) =>
+      firebase.database().ref(path).once('value')
+        .then(snap => ({ path, data: snap.val() }))
+        // remove data if server value can not be read
+        .catch(() => ({ path, data: null }))
+    )
+  )
+
+const removeFromQueue = (firebase, id) => {
+  delete firebase._.writeQueue[id]
+  saveWriteQueue(firebase)
+}
+
+/**
+ * @description Write to Firebase with data updated in state before the write
+ * is applied by the server. Pending writes are kept within state (under
+ * `pendingWrites`) and persisted so they can be replayed after a reload. If
+ * the write is rejected, data is rolled back to its server value.
+ * @param {Function} dispatch - Action dispatch function
+ * @param {Object} firebase - Internal firebase object
+ * @param {Object} write - Write object
+ * @param {String} write.method - Write method (set, push, update, or remove)
+ * @param {String} write.path - Path to write to
+ * @param {Any} write.value - Value to write
+ * @param {Function} onComplete - Function run after write is complete (with
+ * error as first argument if write fails)
+ * @return {Promise} Resolves when write is applied by server
+ * @private
+ */
+export const optimisticWrite = (dispatch, firebase, write, onComplete) => {
+  const pendingWrite = Object.assign(
+    {
+      id: write.id || firebase.database().ref().push().key,
+      timestamp: Date.now()
+    },
+    write
+  )
+  const { id } = pendingWrite
+
+  firebase._.writeQueue[id] = pendingWrite
+  saveWriteQueue(firebase)
+
+  dispatch({
+    type: OPTIMISTIC_WRITE,
+    write: pendingWrite,
+    changes: getWriteChanges(pendingWrite)
+  })
+
+  return runWrite(firebase, pendingWrite)
+    .then(() => {
+      removeFromQueue(firebase, id)
+      dispatch({ type: OPTIMISTIC_WRITE_COMPLETE, write: pendingWrite })
+      if (onComplete) onComplete(null)
+    }, (err) => {
+      removeFromQueue(firebase, id)
+      return getRollback(firebase, pendingWrite)
+        .then((rollback) => {
+          dispatch({
+            type: OPTIMISTIC_WRITE_ERROR,
+            write: pendingWrite,
+            rollback,
+            payload: err
+          })
+          if (onComplete) onComplete(err)
+          return Promise.reject(err)
+        })
+    })
+}
+
+/**
+ * @description Write to Firebase (optimistically if `enableOptimisticUpdates`
+ * is enabled)
+ * @param {Function} dispatch - Action dispatch function
+ * @param {Object} firebase - Internal firebase object
+ * @param {Object} write - Write object
+ * @param {Function} onComplete - Function run after write is complete
+ * @return {Promise} Resolves when write is applied by server
+ * @private
+ */
+const writeData = (dispatch, firebase, write, onComplete) =>
+  firebase._.config.enableOptimisticUpdates
+    ? optimisticWrite(dispatch, firebase, write, onComplete)
+    : runWrite(firebase, write, onComplete)
+
+/**
+ * @description Set data at path. Dispatches `SET_START`, `SET_COMPLETE`, and
+ * `SET_ERROR` actions (each containing `path` and `value`).
+ * @param {Function} dispatch - Action dispatch function
+ * @param {Object} firebase - Internal firebase object
+ * @param {String} path - Path to set data at
+ * @param {Any} value - Value to set
+ * @param {Function} onComplete - Function run after write is complete
+ * @return {Promise} Resolves when write is applied by server
+ * @private
+ */
+export const set = (dispatch, firebase, path, value, onComplete) =>
+  wrapInDispatchWithResult(dispatch, {
+    method: writeData,
+    args: [dispatch, firebase, { method: 'set', path, value }, onComplete],
+    types: [SET_START, SET_COMPLETE, SET_ERROR],
+    meta: { path, value }
+  })
+
+/**
+ * @description Push data to path. Key is generated before writing so it is
+ * included (as `key`) along with `path` and `value` in `PUSH_START`,
+ * `PUSH_COMPLETE`, and `PUSH_ERROR` actions. Returned reference is also
+ * thenable (matching reference returned by Firebase's push).
+ * @param {Function} dispatch - Action dispatch function
+ * @param {Object} firebase - Internal firebase object
+ * @param {String} path - Path to push to
+ * @param {Any} value - Value to push
+ * @param {Function} onComplete - Function run after write is complete
+ * @return {firebase.database.ThenableReference}
+ * @private
+ */
+export const push = (dispatch, firebase, path, value, onComplete) => {
+  const ref = firebase.database().ref(path).push()
+  const { key } = ref
+  const promise = wrapInDispatchWithResult(dispatch, {
+    method: writeData,
+    args: [dispatch, firebase, { method: 'push', path, value, id: key }, onComplete],
+    types: [PUSH_START, PUSH_COMPLETE, PUSH_ERROR],
+    meta: { path, value, key }
+  }).then(() => firebase.database().ref(path).child(key))
+  return Object.assign(ref, {
+    then: (onResolve, onReject) => promise.then(onResolve, onReject),
+    catch: onReject => promise.catch(onReject)
+  })
+}
+
+/**
+ * @description Update data at path. Dispatches `UPDATE_START`,
+ * `UPDATE_COMPLETE`, and `UPDATE_ERROR` actions (each containing `path` and
+ * `value`).
+ * @param {Function} dispatch - Action dispatch function
+ * @param {Object} firebase - Internal firebase object
+ * @param {String} path - Path to update
+ * @param {Object} value - Children to update
+ * @param {Function} onComplete - Function run after write is complete
+ * @return {Promise} Resolves when write is applied by server
+ * @private
+ */
+export const update = (dispatch, firebase, path, value, onComplete) =>
+  wrapInDispatchWithResult(dispatch, {
+    method: writeData,
+    args: [dispatch, firebase, { method: 'update', path, value }, onComplete],
+    types: [UPDATE_START, UPDATE_COMPLETE, UPDATE_ERROR],
+    meta: { path, value }
+  })
+
+/**
+ * @description Remove data at path. Dispatches `REMOVE_START`,
+ * `REMOVE_COMPLETE`, and `REMOVE_ERROR` actions (each containing `path`).
+ * @param {Function} dispatch - Action dispatch function
+ * @param {Object} firebase - Internal firebase object
+ * @param {String} path - Path to remove
+ * @param {Function} onComplete - Function run after write is complete
+ * @return {Promise} Resolves when write is applied by server
+ * @private
+ */
+export const remove = (dispatch, firebase, path, onComplete) =>
+  wrapInDispatchWithResult(dispatch, {
+    method: writeData,
+    args: [dispatch, firebase, { method: 'remove', path }, onComplete],
+    types: [REMOVE_START, REMOVE_COMPLETE, REMOVE_ERROR],
+    meta: { path }
+  })
+
+/**
+ * @description Set data at path only if nothing exists there yet
+ * @param {Function} dispatch - Action dispatch function
+ * @param {Object} firebase - Internal firebase object
+ * @param {String} path - Path to set data at
+ * @param {Any} value - Value to set
+ * @param {Function} onComplete - Function run after write is complete
+ * @return {Promise} Resolves when write is applied by server
+ * @private
+ */
+const setIfUnique = (dispatch, firebase, path, value, onComplete) =>
+  firebase.database().ref(path)
+    .once('value')
+    .then(snap => {
+      if (snap.val && snap.val() !== null) {
+        const err = new Error('Path already exists.')
+        if (onComplete) onComplete(err)
+        return Promise.reject(err)
+      }
+      return writeData(dispatch, firebase, { method: 'set', path, value }, onComplete)
+    })
+
+/**
+ * @description Set data at path if it does not already exist (rejects with
+ * `Path already exists.` otherwise). Dispatches `UNIQUE_SET_START`,
+ * `UNIQUE_SET_COMPLETE`, and `UNIQUE_SET_ERROR` actions (each containing
+ * `path` and `value`).
+ * @param {Function} dispatch - Action dispatch function
+ * @param {Object} firebase - Internal firebase object
+ * @param {String} path - Path to set data at
+ * @param {Any} value - Value to set
+ * @param {Function} onComplete - Function run after write is complete
+ * @return {Promise} Resolves when write is applied by server
+ * @private
+ */
+export const uniqueSet = (dispatch, firebase, path, value, onComplete) =>
+  wrapInDispatchWithResult(dispatch, {
+    method: setIfUnique,
+    args: [dispatch, firebase, path, value, onComplete],
+    types: [UNIQUE_SET_START, UNIQUE_SET_COMPLETE, UNIQUE_SET_ERROR],
+    meta: { path, value }
+  })
+
+/**
+ * @description Replay writes which were pending when app was last closed
+ * (persisted with `writeQueueStorage`)
+ * @param {Function} dispatch - Action dispatch function
+ * @param {Object} firebase - Internal firebase object
+ * @private
+ */
+export const replayWriteQueue = (dispatch, firebase) =>
+  forEach(loadWriteQueue(firebase), (write) => {
+    // errors are dispatched (nothing is waiting on replayed writes)
+    optimisticWrite(dispatch, firebase, write).catch(() => {})
+  })
+
+export default {
+  set,
+  push,
+  update,
+  remove,
+  uniqueSet,
+  optimisticWrite,
+  replayWriteQueue
+}
@@ -1,6 +1,7 @@
 import * as authActions from './auth'
 import * as queryActions from './query'
 import * as storageActions from './storage'
+import * as databaseActions from './database'
 
-export { authActions, queryActions, storageActions }
-export default { authActions, queryActions, storageActions }
+export { authActions, queryActions, storageActions, databaseActions }
+export default { authActions, queryActions, storageActions, databaseActions }
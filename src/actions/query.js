@@ -1,15 +1,309 @@
 import { actionTypes } from '../constants'
 import { promisesForPopulate } from '../utils/populate'
-import { forEach } from 'lodash'
+import { flatten, forEach, fromPairs, keys, omitBy, size, some, uniq, values } from 'lodash'
+import {
+  getCursor,
+  getPageDefinition,
+  getPageItems
+} from '../utils/pagination'
 import {
   applyParamsToQuery,
+  getQueryDefinition,
   getWatcherCount,
+  getWatcherId,
   setWatcher,
   unsetWatcher,
-  getQueryIdFromPath
+  getQueryIdFromPath,
+  isPathPreloaded,
+  setQueryResults,
+  unsetQueryResults,
+  childActionTypes,
+  applyChildEvent
 } from '../utils/query'
 
-const { START, SET, NO_VALUE, UNAUTHORIZED_ERROR } = actionTypes
+const {
+  START,
+  SET,
+  NO_VALUE,
+  UNAUTHORIZED_ERROR,
+  SET_PAGINATION,
+  CLEAR_PAGINATION,
+  CLEAR_QUERY
+} = actionTypes
+
+/**
+ * @private
+ * @description Get children of a snapshot in the order of its query
+ * @param {firebase.database.DataSnapshot} snapshot - Snapshot of query results
+ * @return {Array} Children (each containing `key` and `value`)
+ */
+const getOrderedChildren = (snapshot) => {
+  const ordered = []
+  snapshot.forEach((child) => {
+    ordered.push({ key: child.key, value: child.val() })
+  })
+  return ordered
+}
+
+/**
+ * @private
+ * @description Attach value listener to a populated child. Listeners are
+ * counted within watchers, so a child populated by multiple queries (or also
+ * watched directly) only has one listener attached.
+ * @param {Object} firebase - Internal firebase object
+ * @param {Function} dispatch - Action dispatch function
+ * @param {String} path - Path of populated child (i.e. `users/uid`)
+ */
+const watchPopulateChild = (firebase, dispatch, path) => {
+  if (setWatcher(firebase, 'value', path) > 1) {
+    return
+  }
+  firebase.database().ref().child(path).on('value', (snapshot) => {
+    dispatch({
+      type: SET,
+      path,
+      data: snapshot.val(),
+      timestamp: Date.now(),
+      requesting: false,
+      requested: true
+    })
+  }, (err) => {
+    dispatch({
+      type: UNAUTHORIZED_ERROR,
+      payload: err
+    })
+  })
+}
+
+/**
+ * @private
+ * @description Get id under which children populated by live populates of a
+ * query are tracked. Child events of a path share the id, so a child populated
+ * by an item from child_added is detached when the item is removed.
+ * @param {String} event - Type of event
+ * @param {String} path - Path of query
+ * @param {String} queryId - Id of query
+ * @return {String} Populate watcher id
+ */
+const getPopulateWatcherId = (event, path, queryId) =>
+  getWatcherId(childActionTypes[event] ? 'child' : event, path, queryId)
+
+/**
+ * @private
+ * @description Update listeners attached to children of live populates for a
+ * query. Populated paths are tracked by the key of the item which populates
+ * them, so listeners are only detached once no item of the query populates
+ * the child (i.e. all items referencing it were removed or changed).
+ * @param {Object} firebase - Internal firebase object
+ * @param {Function} dispatch - Action dispatch function
+ * @param {String} watcherId - Id of query which populates children
+ * @param {Object} livePaths - Paths of populated children
+ * @param {String} itemKey - Key of item populating livePaths (child events).
+ * Paths populated by all items are replaced when not provided (value events).
+ */
+const setPopulateWatchers = (firebase, dispatch, watcherId, livePaths, itemKey) => {
+  const byItem = firebase._.populateWatchers[watcherId] || {}
+  const current = uniq(flatten(values(byItem)))
+  const nextByItem = itemKey === undefined
+    ? { [watcherId]: keys(livePaths) }
+    : Object.assign({}, byItem, { [itemKey]: keys(livePaths) })
+  const next = uniq(flatten(values(nextByItem)))
+  next.filter(path => current.indexOf(path) === -1)
+    .forEach(path => watchPopulateChild(firebase, dispatch, path))
+  current.filter(path => next.indexOf(path) === -1)
+    .forEach(path => unsetWatcher(firebase, dispatch, 'value', path))
+  const populated = omitBy(nextByItem, paths => !paths.length)
+  if (size(populated)) {
+    firebase._.populateWatchers[watcherId] = populated
+  } else {
+    delete firebase._.populateWatchers[watcherId]
+  }
+}
+
+/**
+ * @private
+ * @description Detach listeners attached to children of live populates for
+ * a query
+ * @param {Object} firebase - Internal firebase object
+ * @param {Function} dispatch - Action dispatch function
+ * @param {String} watcherId - Id of query which populates children
+ */
+const unsetPopulateWatchers = (firebase, dispatch, watcherId) => {
+  if (firebase._.populateWatchers && firebase._.populateWatchers[watcherId]) {
+    setPopulateWatchers(firebase, dispatch, watcherId, {})
+  }
+}
+
+/**
+ * @private
+ * @description Load a page of a paginated query. Loaded pages are kept
+ * (within `firebase._.pagination`) so data at path contains all loaded
+ * children in order. Pages of a query are loaded one at a time.
+ * @param {Object} firebase - Internal firebase object
+ * @param {Function} dispatch - Action dispatch function
+ * @param {String} queryId - Id of paginated query
+ * @param {String} direction - Which page to load (`first`, `last`, `next`,
+ * or `previous`)
+ * @return {Promise} Resolves with data of loaded page
+ */
+const loadPage = (firebase, dispatch, queryId, direction) => {
+  const pagination = firebase._.pagination[queryId]
+  if (!pagination) {
+    return Promise.reject(new Error(`Paginated query "${queryId}" is not being watched.`))
+  }
+
+  const runLoad = () => {
+    const { path, definition, pageSize } = pagination
+    const isNext = direction === 'next'
+    const isPrevious = direction === 'previous'
+    if ((isNext && !pagination.hasMore) || (isPrevious && !pagination.hasPrevious)) {
+      return {}
+    }
+    const cursor = isNext
+      ? pagination.endCursor
+      : isPrevious ? pagination.startCursor : undefined
+
+    dispatch({
+      type: START,
+      timestamp: Date.now(),
+      requesting: true,
+      requested: false,
+      path
+    })
+
+    const query = applyParamsToQuery(
+      getPageDefinition(definition, pageSize, direction, cursor),
+      firebase.database().ref().child(path)
+    )
+
+    return query.once('value')
+      .then((snapshot) => {
+        // Query was unwatched while page was loading
+        if (firebase._.pagination[queryId] !== pagination) {
+          return {}
+        }
+        const children = []
+        snapshot.forEach((child) => {
+          children.push({ key: child.key, value: child.val(), cursor: getCursor(definition, child) })
+        })
+        const { items, hasMore } = getPageItems(children, pageSize, direction, cursor)
+
+        pagination.items = isNext
+          ? pagination.items.concat(items)
+          : isPrevious ? items.concat(pagination.items) : items
+        pagination.pageCount = isNext || isPrevious
+          ? pagination.pageCount + (items.length ? 1 : 0)
+          : 1
+        if (!isPrevious) {
+          pagination.hasMore = direction !== 'last' && hasMore
+        }
+        if (!isNext) {
+          pagination.hasPrevious = direction !== 'first' && hasMore
+        }
+        const first = pagination.items[0]
+        const last = pagination.items[pagination.items.length - 1]
+        pagination.startCursor = first ? first.cursor : null
+        pagination.endCursor = last ? last.cursor : null
+
+        const keys = pagination.items.map(({ key }) => key)
+        const queryResults = {
+          queryId,
+          keys,
+          removedKeys: setQueryResults(firebase, queryId, path, keys),
+          ordered: pagination.items.map(({ key, value }) => ({ key, value }))
+        }
+        if (!pagination.items.length) {
+          dispatch(Object.assign({
+            type: NO_VALUE,
+            timestamp: Date.now(),
+            requesting: false,
+            requested: true,
+            path
+          }, queryResults))
+        } else {
+          dispatch(Object.assign({
+            type: SET,
+            path,
+            rootPath: path,
+            data: fromPairs(pagination.items.map(({ key, value }) => [key, value])),
+            timestamp: Date.now(),
+            requesting: false,
+            requested: true
+          }, queryResults))
+        }
+        dispatch({
+          type: SET_PAGINATION,
+          queryId,
+          path,
+          pageSize,
+          pageCount: pagination.pageCount,
+          hasMore: pagination.hasMore,
+          hasPrevious: pagination.hasPrevious,
+          startCursor: pagination.startCursor,
+          endCursor: pagination.endCursor
+        })
+        return fromPairs(items.map(({ key, value }) => [key, value]))
+      }, (err) => {
+        dispatch({
+          type: UNAUTHORIZED_ERROR,
+          payload: err
+        })
+        return Promise.reject(err)
+      })
+  }
+
+  // Wait for page which is loading so cursors are current
+  pagination.loading = pagination.loading.then(runLoad, runLoad)
+  return pagination.loading
+}
+
+/**
+ * @private
+ * @description Start paginated query by loading its first page (or last
+ * page when `fromEnd` is true)
+ * @param {Object} firebase - Internal firebase object
+ * @param {Function} dispatch - Action dispatch function
+ * @param {Object} event - Paginated query event
+ * @return {Promise} Resolves with data of first page
+ */
+const watchPaginatedQuery = (firebase, dispatch, { path, queryId, queryParams, pageSize, fromEnd }) => {
+  firebase._.pagination[queryId] = {
+    path,
+    definition: getQueryDefinition(queryParams || {}),
+    pageSize,
+    items: [],
+    pageCount: 0,
+    hasMore: false,
+    hasPrevious: false,
+    startCursor: null,
+    endCursor: null,
+    loading: Promise.resolve()
+  }
+  return loadPage(firebase, dispatch, queryId, fromEnd ? 'last' : 'first')
+    .catch(() => {}) // error is dispatched
+}
+
+/**
+ * @description Load page after pages of a paginated query which have been
+ * loaded (resolves with empty object when no more children exist)
+ * @param {Object} firebase - Internal firebase object
+ * @param {Function} dispatch - Action dispatch function
+ * @param {String} queryId - Id of paginated query
+ * @return {Promise} Resolves with data of loaded page
+ */
+export const loadNextPage = (firebase, dispatch, queryId) =>
+  loadPage(firebase, dispatch, queryId, 'next')
+
+/**
+ * @description Load page before pages of a paginated query which have been
+ * loaded (resolves with empty object when no previous children exist)
+ * @param {Object} firebase - Internal firebase object
+ * @param {Function} dispatch - Action dispatch function
+ * @param {String} queryId - Id of paginated query
+ * @return {Promise} Resolves with data of loaded page
+ */
+export const loadPreviousPage = (firebase, dispatch, queryId) =>
+  loadPage(firebase, dispatch, queryId, 'previous')
 
 /**
  * @description Watch a specific event type
@@ -19,7 +313,7 @@ const { START, SET, NO_VALUE, UNAUTHORIZED_ERROR } = actionTypes
  * @param {String} path - Path to watch with watcher
  * @param {String} dest
  */
-export const watchEvent = (firebase, dispatch, { type, path, populates, queryParams, queryId, isQuery }, dest) => {
+export const watchEvent = (firebase, dispatch, { type, path, populates, queryParams, queryId, isQuery, pageSize, fromEnd }, dest) => {
   const watchPath = !dest ? path : `${path}@${dest}`
   const counter = getWatcherCount(firebase, type, watchPath, queryId)
   queryId = queryId || getQueryIdFromPath(path)
@@ -34,7 +328,22 @@ export const watchEvent = (firebase, dispatch, { type, path, populates, queryPar
 
   setWatcher(firebase, type, watchPath, queryId)
 
+  if (pageSize) {
+    return watchPaginatedQuery(firebase, dispatch, { path, queryId, queryParams, pageSize, fromEnd })
+  }
+
+  // Starts loading of list, marking it as loaded when empty (children are set
+  // by child_added events)
   if (type === 'first_child') {
+    if (!isPathPreloaded(firebase, path)) {
+      dispatch({
+        type: START,
+        timestamp: Date.now(),
+        requesting: true,
+        requested: false,
+        path
+      })
+    }
     return firebase.database()
       .ref()
       .child(path)
@@ -47,7 +356,8 @@ export const watchEvent = (firebase, dispatch, { type, path, populates, queryPar
             timestamp: Date.now(),
             requesting: false,
             requested: true,
-            path
+            path,
+            ordered: []
           })
         }
         return snapshot
@@ -61,31 +371,157 @@ export const watchEvent = (firebase, dispatch, { type, path, populates, queryPar
 
   let query = firebase.database().ref().child(path)
 
+  // Live populates are only listened to while query is watched
+  const isLive = type !== 'once' && some(populates, 'live')
+  const watcherId = getPopulateWatcherId(type, watchPath, queryId)
+
   if (isQuery) {
     query = applyParamsToQuery(queryParams, query)
   }
 
-  const runQuery = (q, e, p, params) => {
-    dispatch({
-      type: START,
-      timestamp: Date.now(),
-      requesting: true,
-      requested: false,
-      path
+  /**
+   * @private
+   * @description Get results from snapshot. Children are kept in order
+   * (unless value is a primitive). Results of queries also contain keys of
+   * children along with keys of children which are no longer within results
+   * (stored by query id).
+   */
+  const getResults = (snapshot) => {
+    if (dest) {
+      return {}
+    }
+    const ordered = getOrderedChildren(snapshot)
+    const results = snapshot.val() === null || snapshot.hasChildren()
+      ? { ordered }
+      : {}
+    if (!isQuery) {
+      return results
+    }
+    const keys = ordered.map(({ key }) => key)
+    return Object.assign(results, {
+      queryId,
+      keys,
+      removedKeys: setQueryResults(firebase, queryId, path, keys)
     })
+  }
+
+  /**
+   * @private
+   * @description Get parameters of action for a child event (key of child
+   * along with key of child before it). Keys of query results are updated
+   * along with keys of children which are no longer within results.
+   */
+  const getChildActionParams = (e, snapshot, previousKey) => {
+    const params = {
+      type: childActionTypes[e],
+      key: snapshot.key,
+      previousKey: previousKey || null
+    }
+    if (!isQuery) {
+      return params
+    }
+    const prevResults = firebase._.queries[queryId]
+    const keys = applyChildEvent(
+      prevResults ? prevResults.keys.map(key => ({ key })) : [],
+      params
+    ).map(({ key }) => key)
+    return Object.assign(params, {
+      queryId,
+      keys,
+      removedKeys: setQueryResults(firebase, queryId, path, keys)
+    })
+  }
+
+  /**
+   * @private
+   * @description Set data in state, setting populated data along side it when
+   * populates are provided. Action is `SET` unless another `type` is passed
+   * within action parameters (i.e. for child events). Listeners of live
+   * populates are updated for the item with `itemKey` (all items if not
+   * provided).
+   */
+  const setData = (data, resultPath, rootPath, actionParams, itemKey) => {
+    // Removed item no longer populates children
+    if (isLive && data === undefined && itemKey !== undefined) {
+      setPopulateWatchers(firebase, dispatch, watcherId, {}, itemKey)
+    }
+    if (!populates || data === undefined) {
+      return dispatch(Object.assign({
+        type: SET,
+        path: resultPath,
+        rootPath,
+        data,
+        timestamp: Date.now(),
+        requesting: false,
+        requested: true
+      }, actionParams))
+    }
+
+    // Paths of children populated by live populates (listened to for changes)
+    const livePaths = isLive && {}
+
+    // TODO: Allow setting of unpopulated data before starting population through config
+    return promisesForPopulate(firebase, data, populates, livePaths)
+      .then((results) => {
+        dispatch(Object.assign({
+          type: SET,
+          path: resultPath,
+          rootPath,
+          data,
+          timestamp: Date.now(),
+          requesting: false,
+          requested: true
+        }, actionParams))
+        // Set each populated child at its own path so children already in
+        // state (or with fields not selected by populate) are not removed
+        forEach(results, (children, root) => {
+          forEach(children, (child, childKey) => {
+            dispatch({
+              type: SET,
+              path: `${root}/${childKey}`,
+              rootPath,
+              data: child,
+              timestamp: Date.now(),
+              requesting: false,
+              requested: true
+            })
+          })
+        })
+        if (isLive) {
+          setPopulateWatchers(firebase, dispatch, watcherId, livePaths, itemKey)
+        }
+      })
+  }
+
+  const runQuery = (q, e, p, params) => {
+    // Data preloaded during server side rendering is already in state. Lists
+    // watched using child events are started by first_child.
+    if ((e === 'value' || e === 'once') && !isPathPreloaded(firebase, path)) {
+      dispatch({
+        type: START,
+        timestamp: Date.now(),
+        requesting: true,
+        requested: false,
+        path
+      })
+    }
 
     // Handle once queries
     if (e === 'once') {
       return q.once('value')
         .then(snapshot => {
-          if (snapshot.val() !== null) {
-            dispatch({
-              type: SET,
-              path,
-              data: snapshot.val()
-            })
+          if (snapshot.val() === null) {
+            dispatch(Object.assign({
+              type: NO_VALUE,
+              timestamp: Date.now(),
+              requesting: false,
+              requested: true,
+              path
+            }, getResults(snapshot)))
+            return snapshot
           }
-          return snapshot
+          return Promise.resolve(setData(snapshot.val(), path, path, getResults(snapshot)))
+            .then(() => snapshot)
         }, (err) => {
           dispatch({
             type: UNAUTHORIZED_ERROR,
@@ -96,7 +532,18 @@ export const watchEvent = (firebase, dispatch, { type, path, populates, queryPar
     // Handle all other queries
 
     /* istanbul ignore next: is run by tests but doesn't show in coverage */
-    q.on(e, snapshot => {
+    q.on(e, (snapshot, previousKey) => {
+      // Child events are applied to children of path (i.e. todos/key)
+      if (!dest && childActionTypes[e]) {
+        return setData(
+          e === 'child_removed' ? undefined : snapshot.val(),
+          p,
+          path,
+          getChildActionParams(e, snapshot, previousKey),
+          snapshot.key
+        )
+      }
+
       let data = (e === 'child_removed') ? undefined : snapshot.val()
       const resultPath = dest || (e === 'value') ? p : `${p}/${snapshot.key}`
       const rootPath = dest || path
@@ -108,43 +555,9 @@ export const watchEvent = (firebase, dispatch, { type, path, populates, queryPar
         }
       }
 
-      // Dispatch standard event if no populates exists
-      if (!populates) {
-        return dispatch({
-          type: SET,
-          path: resultPath,
-          rootPath,
-          data,
-          timestamp: Date.now(),
-          requesting: false,
-          requested: true
-        })
-      }
-
-      // TODO: Allow setting of unpopulated data before starting population through config
-      promisesForPopulate(firebase, data, populates)
-        .then((results) => {
-          dispatch({
-            type: SET,
-            path: resultPath,
-            rootPath,
-            data,
-            timestamp: Date.now(),
-            requesting: false,
-            requested: true
-          })
-          forEach(results, (result, path) => {
-            dispatch({
-              type: SET,
-              path,
-              rootPath,
-              data: result,
-              timestamp: Date.now(),
-              requesting: false,
-              requested: true
-            })
-          })
-        })
+      return e === 'value'
+        ? setData(data, resultPath, rootPath, getResults(snapshot))
+        : setData(data, resultPath, rootPath, {}, snapshot.key)
     }, (err) => {
       dispatch({
         type: UNAUTHORIZED_ERROR,
@@ -162,8 +575,29 @@ export const watchEvent = (firebase, dispatch, { type, path, populates, queryPar
  * @param {String} event - Event for which to remove the watcher
  * @param {String} path - Path of watcher to remove
  */
-export const unWatchEvent = (firebase, dispatch, event, path, queryId = undefined) =>
-    unsetWatcher(firebase, dispatch, event, path, queryId)
+export const unWatchEvent = (firebase, dispatch, event, path, queryId = undefined) => {
+  // Detach listeners of live populates along with last watcher of query
+  if (getWatcherCount(firebase, event, path, queryId) <= 1) {
+    // Populates of child events are shared with other child events of path
+    const watcherId = getWatcherId(event, path, queryId)
+    const hasOtherChildWatchers = !!childActionTypes[event] &&
+      some(keys(childActionTypes), e =>
+        getWatcherId(e, path, queryId) !== watcherId &&
+        getWatcherCount(firebase, e, path, queryId) > 0
+      )
+    if (!hasOtherChildWatchers) {
+      unsetPopulateWatchers(firebase, dispatch, getPopulateWatcherId(event, path, queryId))
+    }
+    if (queryId && firebase._.pagination && firebase._.pagination[queryId]) {
+      delete firebase._.pagination[queryId]
+      dispatch({ type: CLEAR_PAGINATION, queryId })
+    }
+    if (queryId && unsetQueryResults(firebase, queryId)) {
+      dispatch({ type: CLEAR_QUERY, queryId })
+    }
+  }
+  unsetWatcher(firebase, dispatch, event, path, queryId)
+}
 
 /**
  * @description Add watchers to a list of events
@@ -183,7 +617,7 @@ export const watchEvents = (firebase, dispatch, events) =>
  */
 export const unWatchEvents = (firebase, dispatch, events) =>
     events.forEach(event =>
-      unWatchEvent(firebase, dispatch, event.type, event.path)
+      unWatchEvent(firebase, dispatch, event.type, event.path, event.queryId)
     )
 
-export default { watchEvents, unWatchEvents }
+export default { watchEvents, unWatchEvents, loadNextPage, loadPreviousPage }
@@ -1,8 +1,234 @@
 import Firebase from 'firebase'
+import { forEach, every, has, isObject, isEmpty, keys } from 'lodash'
 import { defaultConfig } from './constants'
-import { validateConfig } from './utils'
-import { authActions, queryActions, storageActions } from './actions'
+import { validateConfig, createAppDispatch, getFirebaseInstance } from './utils'
+import { authActions, queryActions, storageActions, databaseActions } from './actions'
+import { getPreloadedPaths } from './ssr'
+import reducers from './reducers'
 let firebaseInstance
+let firebaseInstances = {}
+
+/**
+ * @private
+ * @description Whether or not Firebase config contains named app configs
+ * under `apps` (i.e. `{ apps: { primary: { databaseURL }, analytics: { databaseURL } } }`)
+ * @param {Object} fbConfig - Firebase config passed to reactReduxFirebase
+ * @return {Boolean}
+ */
+export const isNamedAppsConfig = fbConfig =>
+  isObject(fbConfig) && has(fbConfig, 'apps')
+
+/**
+ * @private
+ * @description Initialize Firebase app and create internal firebase object
+ * (including helpers) for it. Actions dispatched by the instance include
+ * `appName` when it is provided.
+ * @param {Object} store - Redux store
+ * @param {Object} fbConfig - Firebase config for app
+ * @param {Object} otherConfig - react-redux-firebase config
+ * @param {String} appName - Name of Firebase app (default app if not provided)
+ * @return {Object} Internal firebase object
+ */
+const createFirebaseInstance = (store, fbConfig, otherConfig, appName) => {
+  const dispatch = createAppDispatch(store.dispatch, appName)
+
+  // Combine all configs
+  const configs = Object.assign({}, defaultConfig, fbConfig, otherConfig)
+
+  validateConfig(configs)
+
+  // Firebase SDK or stand-in such as createFirebaseMock()
+  const sdk = configs.sdk || Firebase
+
+  // Enable Logging based on config
+  if (configs.enableLogging) {
+    sdk.database.enableLogging(configs.enableLogging)
+  }
+
+  let firebase
+
+  if (!appName) {
+    // Initialize Firebase
+    try {
+      sdk.initializeApp(fbConfig)
+    } catch (err) {} // silence reinitialize warning (hot-reloading)
+    firebase = sdk
+  } else {
+    let app
+    try {
+      app = sdk.initializeApp(fbConfig, appName)
+    } catch (err) { // app already exists (hot-reloading)
+      app = sdk.app(appName)
+    }
+    // Service namespaces (i.e. auth.GoogleAuthProvider) remain available
+    firebase = {
+      app,
+      database: Object.assign(() => app.database(), sdk.database),
+      auth: Object.assign(() => app.auth(), sdk.auth),
+      storage: Object.assign(() => app.storage(), sdk.storage)
+    }
+  }
+
+  Object.defineProperty(firebase, '_', {
+    value: {
+      watchers: {},
+      populateWatchers: {},
+      confirmationResult: null,
+      pendingUpgrade: null,
+      config: configs,
+      authUid: null,
+      authIsReady: null,
+      authSyncUnsubscribe: null,
+      appName,
+      preloadEvents: null,
+      preloaded: getPreloadedPaths(store.getState(), configs.firebaseStateName, appName),
+      writeQueue: {},
+      pagination: {},
+      queries: {}
+    },
+    writable: true,
+    enumerable: true,
+    configurable: true
+  })
+
+  const set = (path, value, onComplete) =>
+    databaseActions.set(dispatch, firebase, path, value, onComplete)
+
+  const push = (path, value, onComplete) =>
+    databaseActions.push(dispatch, firebase, path, value, onComplete)
+
+  const update = (path, value, onComplete) =>
+    databaseActions.update(dispatch, firebase, path, value, onComplete)
+
+  const remove = (path, onComplete) =>
+    databaseActions.remove(dispatch, firebase, path, onComplete)
+
+  const uniqueSet = (path, value, onComplete) =>
+    databaseActions.uniqueSet(dispatch, firebase, path, value, onComplete)
+
+  const uploadFile = (path, file, dbPath) =>
+    storageActions.uploadFile(dispatch, firebase, { path, file, dbPath })
+
+  const uploadFiles = (path, files, dbPath) =>
+    storageActions.uploadFiles(dispatch, firebase, { path, files, dbPath })
+
+  const deleteFile = (path, dbPath) =>
+    storageActions.deleteFile(dispatch, firebase, { path, dbPath })
+
+  const watchEvent = (type, path) =>
+    queryActions.watchEvent(firebase, dispatch, { type, path }, true)
+
+  const unWatchEvent = (eventName, eventPath, queryId = undefined) =>
+    queryActions.unWatchEvent(firebase, dispatch, eventName, eventPath, queryId)
+
+  const loadNextPage = queryId =>
+    queryActions.loadNextPage(firebase, dispatch, queryId)
+
+  const loadPreviousPage = queryId =>
+    queryActions.loadPreviousPage(firebase, dispatch, queryId)
+
+  const login = credentials =>
+    authActions.login(dispatch, firebase, credentials)
+
+  const confirmPhoneCode = code =>
+    authActions.confirmPhoneCode(dispatch, firebase, code)
+
+  const logout = () =>
+    authActions.logout(dispatch, firebase)
+
+  const createUser = (credentials, profile) =>
+    authActions.createUser(dispatch, firebase, credentials, profile)
+
+  const resetPassword = (credentials) =>
+    authActions.resetPassword(dispatch, firebase, credentials)
+
+  const linkWithProvider = credentials =>
+    authActions.linkWithProvider(dispatch, firebase, credentials)
+
+  const linkWithCredential = credential =>
+    authActions.linkWithCredential(dispatch, firebase, credential)
+
+  const unlinkProvider = provider =>
+    authActions.unlinkProvider(dispatch, firebase, provider)
+
+  const upgradeAnonymousUser = (credentials, profile) =>
+    authActions.upgradeAnonymousUser(dispatch, firebase, credentials, profile)
+
+  const fetchProvidersForEmail = email =>
+    authActions.fetchProvidersForEmail(dispatch, firebase, email)
+
+  const sendEmailVerification = () =>
+    authActions.sendEmailVerification(dispatch, firebase)
+
+  const verifyPasswordResetCode = code =>
+    authActions.verifyPasswordResetCode(dispatch, firebase, code)
+
+  const confirmPasswordReset = (code, newPassword) =>
+    authActions.confirmPasswordReset(dispatch, firebase, code, newPassword)
+
+  const applyActionCode = code =>
+    authActions.applyActionCode(dispatch, firebase, code)
+
+  const updateEmail = newEmail =>
+    authActions.updateEmail(dispatch, firebase, newEmail)
+
+  const updatePassword = newPassword =>
+    authActions.updatePassword(dispatch, firebase, newPassword)
+
+  const reauthenticate = credentials =>
+    authActions.reauthenticate(dispatch, firebase, credentials)
+
+  const deleteAccount = () =>
+    authActions.deleteAccount(dispatch, firebase)
+
+  const forceTokenRefresh = () =>
+    authActions.forceTokenRefresh(dispatch, firebase)
+
+  firebase.helpers = {
+    ref: path => firebase.database().ref(path),
+    set,
+    uniqueSet,
+    push,
+    remove,
+    update,
+    login,
+    confirmPhoneCode,
+    logout,
+    uploadFile,
+    uploadFiles,
+    deleteFile,
+    createUser,
+    resetPassword,
+    linkWithProvider,
+    linkWithCredential,
+    unlinkProvider,
+    upgradeAnonymousUser,
+    fetchProvidersForEmail,
+    sendEmailVerification,
+    verifyPasswordResetCode,
+    confirmPasswordReset,
+    applyActionCode,
+    updateEmail,
+    updatePassword,
+    reauthenticate,
+    deleteAccount,
+    forceTokenRefresh,
+    watchEvent,
+    unWatchEvent,
+    loadNextPage,
+    loadPreviousPage,
+    storage: () => firebase.storage()
+  }
+
+  authActions.init(dispatch, firebase)
+
+  // Writes which were pending when app was last closed
+  if (configs.enableOptimisticUpdates) {
+    databaseActions.replayWriteQueue(dispatch, firebase)
+  }
+
+  return firebase
+}
 
 /**
  * @name reactReduxFirebase
@@ -10,19 +236,52 @@ let firebaseInstance
  * @description Middleware that handles configuration (placed in redux's
  * `compose` call)
  * @property {Object} fbConfig - Object containing Firebase config including
- * databaseURL
+ * databaseURL. Named app configs can instead be passed under `apps` to
+ * initialize multiple apps (state for each stored under
+ * `state.firebase.<appName>`).
  * @property {String} fbConfig.apiKey - Firebase apiKey
  * @property {String} fbConfig.authDomain - Firebase auth domain
  * @property {String} fbConfig.databaseURL - Firebase database url
  * @property {String} fbConfig.storageBucket - Firebase storage bucket
+ * @property {Object} fbConfig.apps - Firebase configs by app name (in place
+ * of a single config). First app is the primary app. App names can not match
+ * keys of firebase state (i.e. `data`, `auth`, or `profile`).
  * @property {Object} config - Containing react-redux-firebase specific config such as userProfile
  * @property {String} config.userProfile - Location on firebase to store user profiles
  * @property {Boolean} config.enableLogging - Whether or not to enable Firebase database logging
  * @property {Boolean} config.updateProfileOnLogin - Whether or not to update profile when logging in. (default: `false`)
  * @property {Boolean} config.enableRedirectHandling - Whether or not to enable auth redirect handling listener. (default: `true`)
+ * @property {String} config.authPersistence - How auth state is persisted:
+ * `'local'` (kept after browser is closed), `'session'` (cleared when tab is
+ * closed), or `'none'` (cleared on reload). Firebase default is used if not
+ * provided.
+ * @property {Boolean} config.enableAuthSync - Whether or not to sync login
+ * and logout between open tabs. (default: `true`)
  * @property {Function} config.profileFactory - Factory for modifying how user profile is saved.
  * @property {Function} config.uploadFileDataFactory - Factory for modifying how file meta data is written during file uploads
  * @property {Array|String} config.profileParamsToPopulate - Parameters within profile object to populate
+ * @property {Object} config.authProviders - Auth providers by name (in
+ * addition to google, github, twitter, and facebook). Each can contain
+ * `providerId`, `type` (`'oauth'`, `'oidc'`, or `'saml'`), default `scopes`,
+ * and `customParameters` (i.e. `prompt`, `hd`, `login_hint`). Settings for
+ * built in providers are merged (i.e. `{ google: { scopes: [] } }` to not
+ * request the email scope).
+ * @property {String} config.roles - Location on firebase of role definitions
+ * (i.e. `roles/admin: { permissions: { readUsers: true } }`). Definitions of
+ * roles within profile are attached to profile as `roles` along with combined
+ * `permissions`.
+ * @property {String} config.profileRoleParam - Parameter of profile containing
+ * role name(s) (default: `'role'`)
+ * @property {Object} config.sdk - Firebase SDK to use in place of `firebase`
+ * package (i.e. in memory stand-in created with `createFirebaseMock`)
+ * @property {String} config.firebaseStateName - Name of state where
+ * firebaseStateReducer is mounted (default: `'firebase'`)
+ * @property {Boolean} config.enableOptimisticUpdates - Whether or not to
+ * update data within state before writes are applied by the server. Data is
+ * rolled back if the write fails. (default: `false`)
+ * @property {Object} config.writeQueueStorage - Storage (matching localStorage
+ * API) used to persist pending writes when `enableOptimisticUpdates` is
+ * enabled. `null` disables persisting. (default: `localStorage` if available)
  * @return {Function} That accepts a component a returns a wrapped version of component
  * @example <caption>Setup</caption>
  * import { createStore, compose } from 'redux'
@@ -42,114 +301,50 @@ let firebaseInstance
  *
  * // Use Function later to create store
  * const store = createStoreWithFirebase(rootReducer, initialState)
+ * @example <caption>Multiple Apps</caption>
+ * // first app is the primary app (returned by getFirebase())
+ * const createStoreWithFirebase = compose(
+ *  reactReduxFirebase({ apps: { primary: fbConfig, analytics: analyticsConfig } }, config),
+ * )(createStore)
+ *
+ * // analytics data is then available within state.firebase.analytics
+ * // and getFirebase('analytics') returns analytics app's instance
  */
 export default (fbConfig, otherConfig) => next =>
   (reducer, initialState, middleware) => {
     const store = next(reducer, initialState, middleware)
-    const { dispatch } = store
-
-    // Combine all configs
-    const configs = Object.assign({}, defaultConfig, fbConfig, otherConfig)
 
-    validateConfig(configs)
-
-    // Initialize Firebase
-    try {
-      Firebase.initializeApp(fbConfig)
-    } catch (err) {} // silence reinitialize warning (hot-reloading)
-
-    // Enable Logging based on config
-    if (configs.enableLogging) {
-      Firebase.database.enableLogging(configs.enableLogging)
+    // Single app config (default Firebase app)
+    if (!isNamedAppsConfig(fbConfig)) {
+      const firebase = createFirebaseInstance(store, fbConfig, otherConfig)
+      store.firebase = firebase
+      firebaseInstance = Object.assign({}, firebase, firebase.helpers)
+      return store
     }
 
-    const rootRef = Firebase.database().ref()
-
-    const firebase = Object.defineProperty(Firebase, '_', {
-      value: {
-        watchers: {},
-        config: configs,
-        authUid: null
-      },
-      writable: true,
-      enumerable: true,
-      configurable: true
-    })
-
-    const set = (path, value, onComplete) =>
-      rootRef.child(path).set(value, onComplete)
-
-    const push = (path, value, onComplete) =>
-      rootRef.child(path).push(value, onComplete)
-
-    const update = (path, value, onComplete) =>
-      rootRef.child(path).update(value, onComplete)
-
-    const remove = (path, onComplete) =>
-      rootRef.child(path).remove(onComplete)
-
-    const uniqueSet = (path, value, onComplete) =>
-      rootRef.child(path)
-        .once('value')
-        .then(snap => {
-          if (snap.val && snap.val() !== null) {
-            const err = new Error('Path already exists.')
-            if (onComplete) onComplete(err)
-            return Promise.reject(err)
-          }
-          return rootRef.child(path).set(value, onComplete)
-        })
-
-    const uploadFile = (path, file, dbPath) =>
-      storageActions.uploadFile(dispatch, firebase, { path, file, dbPath })
-
-    const uploadFiles = (path, files, dbPath) =>
-      storageActions.uploadFiles(dispatch, firebase, { path, files, dbPath })
-
-    const deleteFile = (path, dbPath) =>
-      storageActions.deleteFile(dispatch, firebase, { path, dbPath })
-
-    const watchEvent = (type, path) =>
-      queryActions.watchEvent(firebase, dispatch, { type, path }, true)
-
-    const unWatchEvent = (eventName, eventPath, queryId = undefined) =>
-      queryActions.unWatchEvent(firebase, eventName, eventPath, queryId)
-
-    const login = credentials =>
-      authActions.login(dispatch, firebase, credentials)
-
-    const logout = () =>
-      authActions.logout(dispatch, firebase)
-
-    const createUser = (credentials, profile) =>
-      authActions.createUser(dispatch, firebase, credentials, profile)
-
-    const resetPassword = (credentials) =>
-      authActions.resetPassword(dispatch, firebase, credentials)
-
-    firebase.helpers = {
-      ref: path => Firebase.database().ref(path),
-      set,
-      uniqueSet,
-      push,
-      remove,
-      update,
-      login,
-      logout,
-      uploadFile,
-      uploadFiles,
-      deleteFile,
-      createUser,
-      resetPassword,
-      watchEvent,
-      unWatchEvent,
-      storage: () => Firebase.storage()
+    // Named apps config (state for each app stored under its name)
+    const { apps } = fbConfig
+    if (!isObject(apps) || isEmpty(apps) || !every(apps, isObject)) {
+      throw new Error('apps must be a map of Firebase configs by app name (i.e. { apps: { primary: fbConfig } }).')
     }
-
-    authActions.init(dispatch, firebase)
-
-    store.firebase = firebase
-    firebaseInstance = Object.assign({}, firebase, firebase.helpers)
+    // State of named apps is stored alongside state slices (i.e. data, auth)
+    const reservedAppNames = keys(reducers)
+    forEach(apps, (appConfig, appName) => {
+      if (reservedAppNames.indexOf(appName) !== -1) {
+        throw new Error(`App name "${appName}" is reserved for firebase state, app name can not be one of: ${reservedAppNames.join(', ')}.`)
+      }
+    })
+    store.firebaseApps = {}
+    forEach(apps, (appConfig, appName) => {
+      const firebase = createFirebaseInstance(store, appConfig, otherConfig, appName)
+      store.firebaseApps[appName] = firebase
+      firebaseInstances[appName] = Object.assign({}, firebase, firebase.helpers)
+      // First app within config is used as the primary app
+      if (!store.firebase) {
+        store.firebase = firebase
+        firebaseInstance = firebaseInstances[appName]
+      }
+    })
 
     return store
   }
@@ -158,6 +353,8 @@ export default (fbConfig, otherConfig) => next =>
  * @external
  * @description Expose Firebase instance created internally. Useful for
  * integrations into external libraries such as redux-thunk and redux-observable.
+ * @param {String} appName - Name of app to get instance of (only needed when
+ * using multiple named apps). Primary app is returned if not provided.
  * @example <caption>redux-thunk integration</caption>
  * import { applyMiddleware, compose, createStore } from 'redux';
  * import thunk from 'redux-thunk';
@@ -190,8 +387,17 @@ export default (fbConfig, otherConfig) => next =>
  *      })
  * };
  *
+ * @example <caption>Named App</caption>
+ * // when named apps are passed to reactReduxFirebase
+ * const analytics = getFirebase('analytics')
  */
-export const getFirebase = () => {
+export const getFirebase = (appName) => {
+  if (appName) {
+    if (!firebaseInstances[appName]) {
+      throw new Error(`Firebase instance for app "${appName}" does not exist. Check your compose function.`)
+    }
+    return firebaseInstances[appName]
+  }
   // TODO: Handle recieveing config and creating firebase instance if it doesn't exist
   /* istanbul ignore next: Firebase instance always exists during tests */
   if (!firebaseInstance) {
@@ -199,3 +405,27 @@ export const getFirebase = () => {
   }
   return firebaseInstance
 }
+
+/**
+ * @external
+ * @description Wait for auth to be initialized (first auth state reported
+ * and redirect result handled). Useful for not rendering until auth state is
+ * known (i.e. so routes requiring auth are not redirected).
+ * @param {Object} store - Redux store created with reactReduxFirebase
+ * @param {String} appName - Name of app (only needed when using multiple
+ * named apps). Primary app is used if not provided.
+ * @return {Promise} Resolves once auth is initialized
+ * @example
+ * import { authIsReady } from 'react-redux-firebase'
+ *
+ * const store = createStoreWithFirebase(rootReducer, initialState)
+ *
+ * authIsReady(store).then(() => {
+ *   ReactDOM.render(
+ *     <Provider store={store}><App /></Provider>,
+ *     document.getElementById('root')
+ *   )
+ * })
+ */
+export const authIsReady = (store, appName) =>
+  getFirebaseInstance(store, appName)._.authIsReady
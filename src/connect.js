@@ -1,14 +1,28 @@
 import React, { PropTypes, Component } from 'react'
-import { isEqual } from 'lodash'
+import { differenceWith, isEqual } from 'lodash'
 import { watchEvents, unWatchEvents } from './actions/query'
-import { getEventsFromInput, createCallable } from './utils'
+import {
+  getEventsFromInput,
+  getFirebaseInstance,
+  createCallable,
+  createAppDispatch
+} from './utils'
+import { getPermittedEvents, hasRequirements } from './utils/roles'
+import { getAppState, getIn } from './utils/state'
 
 /**
  * @name firebaseConnect
  * @extends React.Component
  * @description Higher Order Component that automatically listens/unListens
- * to provided firebase paths using React's Lifecycle hooks.
- * @param {Array} watchArray - Array of objects or strings for paths to sync from Firebase
+ * to provided firebase paths using React's Lifecycle hooks. Paths are loaded
+ * on the server through `preloadFirebaseData`.
+ * @param {Array} watchArray - Array of objects or strings for paths to sync
+ * from Firebase. Objects can contain `role` or `permission` so the path is
+ * only synced while the user's profile has that role or permission (see the
+ * `roles` config option).
+ * @param {Object} options - Options object
+ * @param {String} options.appName - Name of Firebase app to sync paths from
+ * (only needed when using multiple named apps, defaults to primary app)
  * @return {Function} - that accepts a component to wrap and returns the wrapped component
  * @example <caption>Basic</caption>
  * // this.props.firebase set on App component as firebase object with helpers
@@ -30,13 +44,33 @@ import { getEventsFromInput, createCallable } from './utils'
  *   profile: pathToJS(firebase, 'profile'), // pass profile data as this.props.proifle
  *   auth: pathToJS(firebase, 'auth') // pass auth data as this.props.auth
  * }))(fbWrapped)
+ * @example <caption>Named App</caption>
+ * import { connect } from 'react-redux'
+ * import { firebaseConnect, helpers } from 'react-redux-firebase'
+ * const { dataToJS } = helpers
+ *
+ * // sync /events from analytics app into state.firebase.analytics
+ * const fbWrapped = firebaseConnect(['events'], { appName: 'analytics' })(App)
+ *
+ * export default connect(({ firebase }) => ({
+ *   events: dataToJS(firebase.get('analytics'), 'events')
+ * }))(fbWrapped)
+ * @example <caption>Permissions</caption>
+ * // /users is only synced if profile has the readUsers permission
+ * const fbWrapped = firebaseConnect([
+ *   'todos',
+ *   { path: 'users', permission: 'readUsers' }
+ * ])(App)
  */
-export default (dataOrFn = []) => WrappedComponent => {
+export default (dataOrFn = [], { appName } = {}) => WrappedComponent => {
   class FirebaseConnect extends Component {
 
     constructor (props, context) {
       super(props, context)
       this._firebaseEvents = []
+      this._watchedEvents = []
+      this._profile = null
+      this._unsubscribe = null
       this.firebase = null
     }
 
@@ -44,8 +78,102 @@ export default (dataOrFn = []) => WrappedComponent => {
       store: PropTypes.object.isRequired
     };
 
+    /**
+     * @private
+     * @description Get internal firebase object and dispatch for the app
+     * being synced (primary app unless appName option is provided)
+     */
+    getFirebaseAndDispatch () {
+      const { store } = this.context
+      const firebase = getFirebaseInstance(store, appName)
+      return {
+        firebase,
+        dispatch: createAppDispatch(store.dispatch, firebase._.appName)
+      }
+    }
+
+    /**
+     * @private
+     * @description Get profile of current user from state
+     */
+    getProfile () {
+      const { store } = this.context
+      const { firebase } = this.getFirebaseAndDispatch()
+      const appState = getAppState(
+        store.getState(),
+        firebase._.config.firebaseStateName,
+        firebase._.appName
+      )
+      return getIn(appState, ['profile'])
+    }
+
+    /**
+     * @private
+     * @description Get events which current user is permitted to watch
+     * (events with a `role` or `permission` requirement are skipped if the
+     * profile within state does not have it)
+     */
+    getPermittedEvents () {
+      return getPermittedEvents(this._firebaseEvents, this.getProfile())
+    }
+
+    /**
+     * @private
+     * @description Watch events which current user is permitted to watch
+     */
+    watchPermittedEvents () {
+      const { firebase, dispatch } = this.getFirebaseAndDispatch()
+      this._profile = this.getProfile()
+      this._watchedEvents = getPermittedEvents(this._firebaseEvents, this._profile)
+      watchEvents(firebase, dispatch, this._watchedEvents)
+    }
+
+    /**
+     * @private
+     * @description Watch events which have become permitted and unwatch those
+     * which no longer are (i.e. after profile roles change). Only run when
+     * profile has changed.
+     */
+    updatePermittedEvents () {
+      const profile = this.getProfile()
+      if (profile === this._profile) {
+        return
+      }
+      this._profile = profile
+      const permittedEvents = getPermittedEvents(this._firebaseEvents, profile)
+      if (isEqual(permittedEvents, this._watchedEvents)) {
+        return
+      }
+      const { firebase, dispatch } = this.getFirebaseAndDispatch()
+      const removedEvents = differenceWith(this._watchedEvents, permittedEvents, isEqual)
+      const addedEvents = differenceWith(permittedEvents, this._watchedEvents, isEqual)
+      // Set before watching since watching dispatches
+      this._watchedEvents = permittedEvents
+      unWatchEvents(firebase, dispatch, removedEvents)
+      watchEvents(firebase, dispatch, addedEvents)
+    }
+
+    /**
+     * @private
+     * @description Subscribe to store only while events have role or
+     * permission requirements (permitted events change with profile)
+     */
+    updateSubscription () {
+      const shouldSubscribe = hasRequirements(this._firebaseEvents)
+      if (shouldSubscribe && !this._unsubscribe) {
+        this._unsubscribe = this.context.store.subscribe(() =>
+          this.updatePermittedEvents()
+        )
+        // Profile may have changed since events were watched
+        this.updatePermittedEvents()
+      } else if (!shouldSubscribe && this._unsubscribe) {
+        this._unsubscribe()
+        this._unsubscribe = null
+      }
+    }
+
     componentWillMount () {
-      const { firebase, dispatch } = this.context.store
+      const { firebase } = this.getFirebaseAndDispatch()
 
       // Allow function to be passed
       const inputAsFunc = createCallable(dataOrFn)
@@ -56,16 +184,34 @@ export default (dataOrFn = []) => WrappedComponent => {
 
       this._firebaseEvents = getEventsFromInput(this.prevData)
 
-      watchEvents(firebase, dispatch, this._firebaseEvents)
+      // Collect events to be loaded by preloadFirebaseData (server side
+      // rendering) instead of watching them
+      if (firebase._.preloadEvents) {
+        firebase._.preloadEvents.push(...this.getPermittedEvents())
+        return
+      }
+
+      this.watchPermittedEvents()
+    }
+
+    componentDidMount () {
+      // Store is not subscribed to on the server (componentDidMount is not
+      // called)
+      this.updateSubscription()
     }
 
     componentWillUnmount () {
-      const { firebase, dispatch } = this.context.store
-      unWatchEvents(firebase, dispatch, this._firebaseEvents)
+      const { firebase, dispatch } = this.getFirebaseAndDispatch()
+      if (this._unsubscribe) {
+        this._unsubscribe()
+        this._unsubscribe = null
+      }
+      unWatchEvents(firebase, dispatch, this._watchedEvents)
+      this._watchedEvents = []
     }
 
     componentWillReceiveProps (np) {
-      const { firebase, dispatch } = this.context.store
+      const { firebase, dispatch } = this.getFirebaseAndDispatch()
       const inputAsFunc = createCallable(dataOrFn)
       const data = inputAsFunc(np, firebase)
 
@@ -73,11 +219,12 @@ export default (dataOrFn = []) => WrappedComponent => {
       if (!isEqual(data, this.prevData)) {
         this.prevData = data
         // UnWatch all current events
-        unWatchEvents(firebase, dispatch, this._firebaseEvents)
+        unWatchEvents(firebase, dispatch, this._watchedEvents)
         // Get watch events from new data
         this._firebaseEvents = getEventsFromInput(data)
-        // Watch new events
-        watchEvents(firebase, dispatch, this._firebaseEvents)
+        // Watch new events (which are permitted)
+        this.watchPermittedEvents()
+        this.updateSubscription()
       }
     }
 
@@ -29,6 +29,37 @@ export const actionsPrefix = '@@reactReduxFirebase'
  * @property {String} FILE_DELETE_START - `@@reactReduxFirebase/FILE_DELETE_START`
  * @property {String} FILE_DELETE_ERROR - `@@reactReduxFirebase/FILE_DELETE_ERROR`
  * @property {String} FILE_DELETE_COMPLETE - `@@reactReduxFirebase/FILE_DELETE_COMPLETE`
+ * @property {String} OPTIMISTIC_WRITE - `@@reactReduxFirebase/OPTIMISTIC_WRITE`
+ * @property {String} OPTIMISTIC_WRITE_COMPLETE - `@@reactReduxFirebase/OPTIMISTIC_WRITE_COMPLETE`
+ * @property {String} OPTIMISTIC_WRITE_ERROR - `@@reactReduxFirebase/OPTIMISTIC_WRITE_ERROR`
+ * @property {String} SET_START - `@@reactReduxFirebase/SET_START`
+ * @property {String} SET_COMPLETE - `@@reactReduxFirebase/SET_COMPLETE`
+ * @property {String} SET_ERROR - `@@reactReduxFirebase/SET_ERROR`
+ * @property {String} PUSH_START - `@@reactReduxFirebase/PUSH_START`
+ * @property {String} PUSH_COMPLETE - `@@reactReduxFirebase/PUSH_COMPLETE`
+ * @property {String} PUSH_ERROR - `@@reactReduxFirebase/PUSH_ERROR`
+ * @property {String} UPDATE_START - `@@reactReduxFirebase/UPDATE_START`
+ * @property {String} UPDATE_COMPLETE - `@@reactReduxFirebase/UPDATE_COMPLETE`
+ * @property {String} UPDATE_ERROR - `@@reactReduxFirebase/UPDATE_ERROR`
+ * @property {String} REMOVE_START - `@@reactReduxFirebase/REMOVE_START`
+ * @property {String} REMOVE_COMPLETE - `@@reactReduxFirebase/REMOVE_COMPLETE`
+ * @property {String} REMOVE_ERROR - `@@reactReduxFirebase/REMOVE_ERROR`
+ * @property {String} UNIQUE_SET_START - `@@reactReduxFirebase/UNIQUE_SET_START`
+ * @property {String} UNIQUE_SET_COMPLETE - `@@reactReduxFirebase/UNIQUE_SET_COMPLETE`
+ * @property {String} UNIQUE_SET_ERROR - `@@reactReduxFirebase/UNIQUE_SET_ERROR`
+ * @property {String} PHONE_CODE_SENT - `@@reactReduxFirebase/PHONE_CODE_SENT`
+ * @property {String} PHONE_CODE_CONFIRMED - `@@reactReduxFirebase/PHONE_CODE_CONFIRMED`
+ * @property {String} AUTH_ACTION_START - `@@reactReduxFirebase/AUTH_ACTION_START`
+ * @property {String} AUTH_ACTION_SUCCESS - `@@reactReduxFirebase/AUTH_ACTION_SUCCESS`
+ * @property {String} AUTH_ACTION_ERROR - `@@reactReduxFirebase/AUTH_ACTION_ERROR`
+ * @property {String} AUTH_TOKEN_REFRESHED - `@@reactReduxFirebase/AUTH_TOKEN_REFRESHED`
+ * @property {String} SET_PAGINATION - `@@reactReduxFirebase/SET_PAGINATION`
+ * @property {String} CLEAR_PAGINATION - `@@reactReduxFirebase/CLEAR_PAGINATION`
+ * @property {String} CLEAR_QUERY - `@@reactReduxFirebase/CLEAR_QUERY`
+ * @property {String} CHILD_ADDED - `@@reactReduxFirebase/CHILD_ADDED`
+ * @property {String} CHILD_CHANGED - `@@reactReduxFirebase/CHILD_CHANGED`
+ * @property {String} CHILD_MOVED - `@@reactReduxFirebase/CHILD_MOVED`
+ * @property {String} CHILD_REMOVED - `@@reactReduxFirebase/CHILD_REMOVED`
  * @example
  * import { actionTypes } from 'react-redux-firebase'
  * actionTypes.SET === '@@reactReduxFirebase/SET' // true
@@ -51,7 +82,38 @@ export const actionTypes = {
   FILE_UPLOAD_COMPLETE: `${actionsPrefix}/FILE_UPLOAD_COMPLETE`,
   FILE_DELETE_START: `${actionsPrefix}/FILE_DELETE_START`,
   FILE_DELETE_ERROR: `${actionsPrefix}/FILE_DELETE_ERROR`,
-  FILE_DELETE_COMPLETE: `${actionsPrefix}/FILE_DELETE_COMPLETE`
+  FILE_DELETE_COMPLETE: `${actionsPrefix}/FILE_DELETE_COMPLETE`,
+  OPTIMISTIC_WRITE: `${actionsPrefix}/OPTIMISTIC_WRITE`,
+  OPTIMISTIC_WRITE_COMPLETE: `${actionsPrefix}/OPTIMISTIC_WRITE_COMPLETE`,
+  OPTIMISTIC_WRITE_ERROR: `${actionsPrefix}/OPTIMISTIC_WRITE_ERROR`,
+  SET_START: `${actionsPrefix}/SET_START`,
+  SET_COMPLETE: `${actionsPrefix}/SET_COMPLETE`,
+  SET_ERROR: `${actionsPrefix}/SET_ERROR`,
+  PUSH_START: `${actionsPrefix}/PUSH_START`,
+  PUSH_COMPLETE: `${actionsPrefix}/PUSH_COMPLETE`,
+  PUSH_ERROR: `${actionsPrefix}/PUSH_ERROR`,
+  UPDATE_START: `${actionsPrefix}/UPDATE_START`,
+  UPDATE_COMPLETE: `${actionsPrefix}/UPDATE_COMPLETE`,
+  UPDATE_ERROR: `${actionsPrefix}/UPDATE_ERROR`,
+  REMOVE_START: `${actionsPrefix}/REMOVE_START`,
+  REMOVE_COMPLETE: `${actionsPrefix}/REMOVE_COMPLETE`,
+  REMOVE_ERROR: `${actionsPrefix}/REMOVE_ERROR`,
+  UNIQUE_SET_START: `${actionsPrefix}/UNIQUE_SET_START`,
+  UNIQUE_SET_COMPLETE: `${actionsPrefix}/UNIQUE_SET_COMPLETE`,
+  UNIQUE_SET_ERROR: `${actionsPrefix}/UNIQUE_SET_ERROR`,
+  PHONE_CODE_SENT: `${actionsPrefix}/PHONE_CODE_SENT`,
+  PHONE_CODE_CONFIRMED: `${actionsPrefix}/PHONE_CODE_CONFIRMED`,
+  AUTH_ACTION_START: `${actionsPrefix}/AUTH_ACTION_START`,
+  AUTH_ACTION_SUCCESS: `${actionsPrefix}/AUTH_ACTION_SUCCESS`,
+  AUTH_ACTION_ERROR: `${actionsPrefix}/AUTH_ACTION_ERROR`,
+  AUTH_TOKEN_REFRESHED: `${actionsPrefix}/AUTH_TOKEN_REFRESHED`,
+  SET_PAGINATION: `${actionsPrefix}/SET_PAGINATION`,
+  CLEAR_PAGINATION: `${actionsPrefix}/CLEAR_PAGINATION`,
+  CLEAR_QUERY: `${actionsPrefix}/CLEAR_QUERY`,
+  CHILD_ADDED: `${actionsPrefix}/CHILD_ADDED`,
+  CHILD_CHANGED: `${actionsPrefix}/CHILD_CHANGED`,
+  CHILD_MOVED: `${actionsPrefix}/CHILD_MOVED`,
+  CHILD_REMOVED: `${actionsPrefix}/CHILD_REMOVED`
 }
 
 /** @constant
@@ -60,26 +122,54 @@ export const actionTypes = {
  * @property {Boolean} enableLogging - `false` Whether or not firebase logging is enabled
  * @property {Boolean} updateProfileOnLogin - `true` Whether or not to update user profile when logging in
  * @property {Boolean} enableRedirectHandling - `true` Whether or not to enable redirect handling
+ * @property {String} firebaseStateName - `'firebase'` Name of state where
+ * firebaseStateReducer is mounted (used to read preloaded state)
+ * @property {Boolean} enableOptimisticUpdates - `false` Whether or not to
+ * update data within state before writes (set, push, update, remove) are
+ * applied by the server
+ * @property {Boolean} enableAuthSync - `true` Whether or not to sync login
+ * and logout between open tabs (through localStorage)
  * @type {Array}
 */
 export const defaultConfig = {
   userProfile: null,
   enableLogging: false,
   updateProfileOnLogin: true,
-  enableRedirectHandling: true
+  enableRedirectHandling: true,
+  firebaseStateName: 'firebase',
+  enableOptimisticUpdates: false,
+  enableAuthSync: true
 }
 
 /** @constant
- * @description List of all external auth providers that are supported (firebase's email/anonymous included by default)
+ * @description Values accepted by the `authPersistence` config option
+ * (matching `firebase.auth.Auth.Persistence`)
  * @type {Array}
  * @private
 */
-export const supportedAuthProviders = [
-  'google',
-  'github',
-  'twitter',
-  'facebook'
-]
+export const authPersistenceTypes = ['local', 'session', 'none']
+
+/** @constant
+ * @description Auth providers available by name without configuration. Each
+ * contains `providerId`, name of provider class within `firebase.auth`
+ * (`providerClass`), and default `scopes`. Entries within the `authProviders`
+ * config option are merged over these (i.e. to change default scopes).
+ * @type {Object}
+ * @private
+*/
+export const defaultAuthProviders = {
+  google: { providerId: 'google.com', providerClass: 'GoogleAuthProvider', scopes: ['email'] },
+  github: { providerId: 'github.com', providerClass: 'GithubAuthProvider', scopes: ['email'] },
+  twitter: { providerId: 'twitter.com', providerClass: 'TwitterAuthProvider', scopes: [] },
+  facebook: { providerId: 'facebook.com', providerClass: 'FacebookAuthProvider', scopes: ['email'] }
+}
+
+/** @constant
+ * @description List of all external auth providers that are supported without configuration (firebase's email/anonymous included by default)
+ * @type {Array}
+ * @private
+*/
+export const supportedAuthProviders = Object.keys(defaultAuthProviders)
 
 /** @constant
  * @description Default keys returned within JSON Web Token recieved when authenticating
@@ -125,9 +215,12 @@ export const metaParams = ['timestamp', 'requesting', 'requested']
 export const paramSplitChar = '/'
 
 export default {
+  actionsPrefix,
   defaultJWTProps,
   actionTypes,
   defaultConfig,
+  defaultAuthProviders,
+  authPersistenceTypes,
   supportedAuthProviders,
   defaultInitProps,
   metaParams,
@@ -135,9 +228,12 @@ export default {
 }
 
 module.exports = {
+  actionsPrefix,
   defaultJWTProps,
   actionTypes,
   defaultConfig,
+  defaultAuthProviders,
+  authPersistenceTypes,
   supportedAuthProviders,
   defaultInitProps,
   metaParams,
@@ -0,0 +1,270 @@
+import React, { PropTypes, Component } from 'react'
+import { every, isFunction } from 'lodash'
+import { getFirebaseInstance, createCallable } from './utils'
+import { getAppState, getIn } from './utils/state'
+import { fixPath, hasRole } from './helpers'
+
+const LOADING = 'loading'
+const SUCCESS = 'success'
+const FAILURE = 'failure'
+
+const getDisplayName = WrappedComponent =>
+  WrappedComponent.displayName || WrappedComponent.name || 'Component'
+
+/**
+ * @private
+ * @description Get auth status of app state. Auth is loading until
+ * initialization is finished and auth has been set (`null` when logged out).
+ * @param {Map|Object} appState - State of Firebase app (state.firebase)
+ * @return {String} Status (loading, success if logged in, or failure)
+ */
+const getAuthStatus = (appState) => {
+  const auth = getIn(appState, ['auth'])
+  if (getIn(appState, ['isInitializing']) || auth === undefined) {
+    return LOADING
+  }
+  return auth ? SUCCESS : FAILURE
+}
+
+/**
+ * @private
+ * @description Create higher order component which renders wrapped component
+ * only when status (from state) is success. While loading, `LoadingComponent`
+ * is rendered. On failure, `FailureComponent` is rendered and `redirect` is
+ * called.
+ * @param {String} name - Name of guard (used in display name)
+ * @param {Function} getStatus - Function called with app state, props, and
+ * config of Firebase instance which returns status (loading, success, or
+ * failure)
+ * @param {Object} options - Options object
+ * @param {Function} options.LoadingComponent - Component rendered while
+ * loading (nothing is rendered by default)
+ * @param {Function} options.FailureComponent - Component rendered on
+ * failure (nothing is rendered by default)
+ * @param {Function} options.redirect - Function called with props and
+ * dispatch on failure (i.e. to redirect to login page)
+ * @param {String} options.appName - Name of Firebase app (only needed when
+ * using multiple named apps)
+ * @return {Function} Function which accepts a component and returns the
+ * wrapped component
+ */
+const createGuard = (name, getStatus, options = {}) => WrappedComponent => {
+  const { LoadingComponent, FailureComponent, redirect, appName } = options
+
+  class Guard extends Component {
+
+    constructor (props, context) {
+      super(props, context)
+      this.state = { status: this.getStatus(props) }
+    }
+
+    static displayName = `${name}(${getDisplayName(WrappedComponent)})`
+
+    static contextTypes = {
+      store: PropTypes.object.isRequired
+    };
+
+    /**
+     * @private
+     * @description Get status of guard from state of Firebase app
+     */
+    getStatus (props) {
+      const { store } = this.context
+      const firebase = getFirebaseInstance(store, appName)
+      return getStatus(
+        getAppState(store.getState(), firebase._.config.firebaseStateName, firebase._.appName),
+        props,
+        firebase._.config
+      )
+    }
+
+    /**
+     * @private
+     * @description Update status (only when changed so wrapped component is
+     * not rendered on every state change)
+     */
+    updateStatus (props) {
+      const status = this.getStatus(props)
+      if (status !== this.state.status) {
+        this.setState({ status })
+      }
+    }
+
+    handleFailure () {
+      if (this.state.status === FAILURE && isFunction(redirect)) {
+        redirect(this.props, this.context.store.dispatch)
+      }
+    }
+
+    componentDidMount () {
+      this._unsubscribe = this.context.store.subscribe(() =>
+        this.updateStatus(this.props)
+      )
+      this.handleFailure()
+    }
+
+    componentWillReceiveProps (np) {
+      this.updateStatus(np)
+    }
+
+    componentDidUpdate (prevProps, prevState) {
+      if (prevState.status !== this.state.status) {
+        this.handleFailure()
+      }
+    }
+
+    componentWillUnmount () {
+      this._unsubscribe()
+    }
+
+    render () {
+      switch (this.state.status) {
+        case SUCCESS:
+          return <WrappedComponent {...this.props} />
+        case FAILURE:
+          return FailureComponent ? <FailureComponent {...this.props} /> : null
+        default:
+          return LoadingComponent ? <LoadingComponent {...this.props} /> : null
+      }
+    }
+  }
+
+  return Guard
+}
+
+/**
+ * @name userIsAuthenticated
+ * @description Higher Order Component that only renders wrapped component
+ * when a user is logged in. Waits for auth to be initialized before
+ * redirecting.
+ * @param {Object} options - Options object
+ * @param {Function} options.LoadingComponent - Component rendered while auth
+ * is initializing (nothing is rendered by default)
+ * @param {Function} options.FailureComponent - Component rendered if user is
+ * not logged in (nothing is rendered by default)
+ * @param {Function} options.redirect - Function called with props and
+ * dispatch if user is not logged in
+ * @param {String} options.appName - Name of Firebase app (only needed when
+ * using multiple named apps)
+ * @return {Function} Function which accepts a component and returns the
+ * wrapped component
+ * @example
+ * import { userIsAuthenticated } from 'react-redux-firebase'
+ * import { browserHistory } from 'react-router'
+ *
+ * export default userIsAuthenticated({
+ *   LoadingComponent: Spinner,
+ *   redirect: () => browserHistory.push('/login')
+ * })(Dashboard)
+ */
+export const userIsAuthenticated = options =>
+  createGuard('UserIsAuthenticated', getAuthStatus, options)
+
+/**
+ * @name userIsNotAuthenticated
+ * @description Higher Order Component that only renders wrapped component
+ * when no user is logged in (i.e. login page). Waits for auth to be
+ * initialized before redirecting.
+ * @param {Object} options - Options object (same as userIsAuthenticated)
+ * @return {Function} Function which accepts a component and returns the
+ * wrapped component
+ * @example
+ * import { userIsNotAuthenticated } from 'react-redux-firebase'
+ * import { browserHistory } from 'react-router'
+ *
+ * export default userIsNotAuthenticated({
+ *   redirect: () => browserHistory.push('/dashboard')
+ * })(Login)
+ */
+export const userIsNotAuthenticated = options =>
+  createGuard(
+    'UserIsNotAuthenticated',
+    (appState) => {
+      const status = getAuthStatus(appState)
+      return status === LOADING
+        ? status
+        : status === SUCCESS ? FAILURE : SUCCESS
+    },
+    options
+  )
+
+/**
+ * @name userHasRole
+ * @description Higher Order Component that only renders wrapped component
+ * when logged in user's profile has a role (see `roles` config option).
+ * Waits for auth and profile to be loaded before redirecting. Fails right
+ * away if `userProfile` or `roles` config options are not set (profile or
+ * roles would never be loaded).
+ * @param {String} role - Name of role
+ * @param {Object} options - Options object (same as userIsAuthenticated)
+ * @return {Function} Function which accepts a component and returns the
+ * wrapped component
+ * @example
+ * import { userHasRole } from 'react-redux-firebase'
+ * import { browserHistory } from 'react-router'
+ *
+ * export default userHasRole('admin', {
+ *   redirect: () => browserHistory.push('/')
+ * })(AdminPanel)
+ */
+export const userHasRole = (role, options) =>
+  createGuard(
+    'UserHasRole',
+    (appState, props, config) => {
+      const authStatus = getAuthStatus(appState)
+      if (authStatus !== SUCCESS) {
+        return authStatus
+      }
+      if (!config.userProfile || !config.roles) {
+        return FAILURE
+      }
+      const profile = getIn(appState, ['profile'])
+      if (profile === undefined) {
+        return LOADING
+      }
+      return hasRole(profile, role) ? SUCCESS : FAILURE
+    },
+    options
+  )
+
+/**
+ * @name dataIsLoaded
+ * @description Higher Order Component that only renders wrapped component
+ * once data at paths has been loaded into state (`LoadingComponent` is
+ * rendered until then)
+ * @param {Array|String|Function} paths - Data path(s) or function which is
+ * called with props and returns data path(s)
+ * @param {Object} options - Options object
+ * @param {Function} options.LoadingComponent - Component rendered while data
+ * is loading (nothing is rendered by default)
+ * @param {String} options.appName - Name of Firebase app (only needed when
+ * using multiple named apps)
+ * @return {Function} Function which accepts a component and returns the
+ * wrapped component
+ * @example
+ * import { compose } from 'redux'
+ * import { firebaseConnect, dataIsLoaded } from 'react-redux-firebase'
+ *
+ * export default compose(
+ *   firebaseConnect(['todos']),
+ *   dataIsLoaded(['todos'], { LoadingComponent: Spinner })
+ * )(Todos)
+ */
+export const dataIsLoaded = (paths, options) =>
+  createGuard(
+    'DataIsLoaded',
+    (appState, props) => {
+      const pathsArr = [].concat(createCallable(paths)(props))
+      return every(pathsArr, path =>
+        getIn(appState, ['data', ...fixPath(path).split(/\//).filter(p => !!p)]) !== undefined
+      ) ? SUCCESS : LOADING
+    },
+    options
+  )
+
+export default {
+  userIsAuthenticated,
+  userIsNotAuthenticated,
+  userHasRole,
+  dataIsLoaded
+}
@@ -6,10 +6,18 @@ import {
   drop,
   mapValues,
   reduce,
-  isString
+  isObject,
+  isString,
+  pick
 } from 'lodash'
-import { getPopulateObjs } from './utils/populate'
+import {
+  getPopulateObjs,
+  getPopulateFields,
+  getNestedPopulates,
+  getTopLevelPopulates
+} from './utils/populate'
 import { metaParams, paramSplitChar } from './constants'
+import { getIn } from './utils/state'
 
 /**
  * @description Detect whether items are loaded yet or not
@@ -87,6 +95,43 @@ export const isLoaded = function () {
  */
 export const isEmpty = data => !(data && size(data))
 
+/**
+ * @description Detect whether or not profile has a role. Roles are attached
+ * to profile (under `roles`) when the `roles` config option is set.
+ * @param {Map|Object} profile - Profile (Immutable Map or plain JS)
+ * @param {String} role - Name of role
+ * @return {Boolean} Whether or not profile has role
+ * @example
+ * import { connect } from 'react-redux'
+ * import { helpers } from 'react-redux-firebase'
+ * const { hasRole, pathToJS } = helpers
+ *
+ * export default connect(({ firebase }) => ({
+ *   isAdmin: hasRole(pathToJS(firebase, 'profile'), 'admin')
+ * }))(AdminLink)
+ */
+export const hasRole = (profile, role) =>
+  !!getIn(profile, ['roles', role])
+
+/**
+ * @description Detect whether or not profile has a permission (from any of
+ * its roles). Permissions are attached to profile (under `permissions`) when
+ * the `roles` config option is set.
+ * @param {Map|Object} profile - Profile (Immutable Map or plain JS)
+ * @param {String} permission - Name of permission
+ * @return {Boolean} Whether or not profile has permission
+ * @example
+ * import { connect } from 'react-redux'
+ * import { helpers } from 'react-redux-firebase'
+ * const { hasPermission, pathToJS } = helpers
+ *
+ * export default connect(({ firebase }) => ({
+ *   canEdit: hasPermission(pathToJS(firebase, 'profile'), 'editTodos')
+ * }))(Todo)
+ */
+export const hasPermission = (profile, permission) =>
+  getIn(profile, ['permissions', permission]) === true
+
 /**
  * @description Fix path by adding "/" to path if needed
  * @param {String} path - Path string to fix
@@ -97,7 +142,8 @@ export const fixPath = path =>
   ((path.substring(0, 1) === '/') ? '' : '/') + path
 
 /**
- * @description Convert Immutable Map to a Javascript object
+ * @description Convert Immutable Map to a Javascript object (plain Javascript
+ * is returned as is)
  * @param {Object} data - Immutable Map to be converted to JS object (state.firebase)
  * @return {Object} data - Javascript version of Immutable Map
  * @return {Object} Data located at path within Immutable Map
@@ -109,7 +155,7 @@ export const toJS = data =>
 
 /**
  * @description Convert parameter from Immutable Map to a Javascript object
- * @param {Map} firebase - Immutable Map to be converted to JS object (state.firebase)
+ * @param {Map|Object} firebase - Firebase state, Immutable Map or plain JS (state.firebase)
  * @param {String} path - Path from state.firebase to convert to JS object
  * @param {Object|String|Boolean} notSetValue - Value to use if data is not available
  * @return {Object} Data located at path within Immutable Map
@@ -129,25 +175,22 @@ export const pathToJS = (data, path, notSetValue) => {
   }
   const pathArr = fixPath(path).split(/\//).slice(1)
 
-  if (data.getIn) {
-    // Handle meta params (stored by string key)
-    if (some(metaParams, (v) => pathArr.indexOf(v) !== -1)) {
-      return toJS(
-        data.getIn([
-          first(pathArr),
-          drop(pathArr).join(paramSplitChar)
-        ], notSetValue)
-      )
-    }
-    return toJS(data.getIn(pathArr, notSetValue))
+  // Handle meta params (stored by string key)
+  if (some(metaParams, (v) => pathArr.indexOf(v) !== -1)) {
+    return toJS(
+      getIn(data, [
+        first(pathArr),
+        drop(pathArr).join(paramSplitChar)
+      ], notSetValue)
+    )
   }
 
-  return data
+  return toJS(getIn(data, pathArr, notSetValue))
 }
 
 /**
  * @description Convert parameter under "data" path of Immutable Map to a Javascript object
- * @param {Map} firebase - Immutable Map to be converted to JS object (state.firebase)
+ * @param {Map|Object} firebase - Firebase state, Immutable Map or plain JS (state.firebase)
  * @param {String} path - Path of parameter to load
  * @param {Object|String|Boolean} notSetValue - Value to return if value is not found
  * @return {Object} Data located at path within Immutable Map
@@ -170,16 +213,157 @@ export const dataToJS = (data, path, notSetValue) => {
 
   const pathArr = `/data${fixPath(path)}`.split(/\//).slice(1)
 
-  if (data.getIn) {
-    return toJS(data.getIn(pathArr, notSetValue))
+  return toJS(getIn(data, pathArr, notSetValue))
+}
+/**
+ * @description Get results of a query in order (array containing `key` and
+ * `value` of each child). Results are stored by query id within
+ * `state.firebase.queries` while data of children is stored at path, so
+ * queries of the same path with different parameters do not overwrite each
+ * other.
+ * @param {Map|Object} firebase - Firebase state, Immutable Map or plain JS (state.firebase)
+ * @param {String} queryId - Id of query (`queryId` parameter or query path
+ * string such as `todos#orderByChild=done&equalTo=true`)
+ * @param {Object|String|Boolean} notSetValue - Value to return if query
+ * results have not been loaded
+ * @return {Array} Results of query in order
+ * @example <caption>Basic</caption>
+ * import { connect } from 'react-redux'
+ * import { firebaseConnect, helpers } from 'react-redux-firebase'
+ * const { queryToJS } = helpers
+ *
+ * const fbWrapped = firebaseConnect([
+ *   { path: 'todos', queryId: 'doneTodos', queryParams: ['orderByChild=done', 'equalTo=true'] },
+ *   { path: 'todos', queryId: 'recentTodos', queryParams: ['limitToLast=5'] }
+ * ])(App)
+ *
+ * export default connect(({ firebase }) => ({
+ *   // [{ key: 'todoKey', value: { text: 'Some Todo', done: true } }]
+ *   doneTodos: queryToJS(firebase, 'doneTodos'),
+ *   recentTodos: queryToJS(firebase, 'recentTodos')
+ * }))(fbWrapped)
+ */
+export const queryToJS = (data, queryId, notSetValue) => {
+  if (!data) {
+    return notSetValue
+  }
+  const results = toJS(getIn(data, ['queries', queryId]))
+  if (!results) {
+    return notSetValue
   }
+  const pathArr = `/data${fixPath(results.path)}`.split(/\//).slice(1)
 
-  return data
+  return results.keys.map(key => ({
+    key,
+    value: toJS(getIn(data, [...pathArr, key]))
+  }))
 }
+
+/**
+ * @description Get children of a path (or results of a query) in the order
+ * they were loaded (array containing `key` and `value` of each child). Order
+ * from `orderByChild`, `orderByValue`, `limitToLast`, and other query
+ * parameters is kept, so lists do not need to be sorted again.
+ * @param {Map|Object} firebase - Firebase state, Immutable Map or plain JS (state.firebase)
+ * @param {String} path - Path of data or id of query (`queryId` parameter or
+ * query path string)
+ * @param {Object|String|Boolean} notSetValue - Value to return if data has
+ * not been loaded
+ * @return {Array} Children in order
+ * @example <caption>Basic</caption>
+ * import { connect } from 'react-redux'
+ * import { firebaseConnect, helpers } from 'react-redux-firebase'
+ * const { orderedToJS } = helpers
+ *
+ * const fbWrapped = firebaseConnect([
+ *   { path: 'todos', queryId: 'todosByText', queryParams: ['orderByChild=text'] }
+ * ])(App)
+ *
+ * export default connect(({ firebase }) => ({
+ *   // [{ key: 'todoKey', value: { text: 'Some Todo' } }] (ordered by text)
+ *   todos: orderedToJS(firebase, 'todosByText')
+ * }))(fbWrapped)
+ */
+export const orderedToJS = (data, path, notSetValue) => {
+  if (!data) {
+    return notSetValue
+  }
+  const ordered = getIn(data, ['ordered', path])
+  if (ordered !== undefined) {
+    return toJS(ordered)
+  }
+  const pathStr = fixPath(path).split(/\//).filter(p => !!p).join(paramSplitChar)
+
+  return toJS(getIn(data, ['ordered', pathStr], notSetValue))
+}
+
+/**
+ * @private
+ * @description Populate children of an item with data from state. Children
+ * loaded by a populate are populated with its nested populates. Items are not
+ * populated within themselves (cyclic references are left as ids).
+ * @param {Map|Object} data - Firebase state
+ * @param {Object} item - Item to populate
+ * @param {Array} populates - Populate objects
+ * @param {Array} ancestors - Paths of items which contain item
+ * @return {Object} Populated item
+ */
+const populateItem = (data, item, populates, ancestors) =>
+  reduce(getTopLevelPopulates(populates), (populated, p) => {
+    // no matching child parameter
+    if (!isObject(populated) || !populated[p.child]) {
+      return populated
+    }
+    const nestedPopulates = getNestedPopulates(populates, p.child)
+    const fields = getPopulateFields(p)
+    const getChild = (id) => {
+      const childPath = `${p.root}/${id}`
+      let child = toJS(getIn(data, ['data', p.root, id]))
+      if (!child || ancestors.indexOf(childPath) !== -1) {
+        return undefined
+      }
+      if (!isObject(child)) {
+        return child
+      }
+      // only include selected fields
+      if (fields) {
+        child = pick(child, fields)
+      }
+      if (nestedPopulates.length) {
+        child = populateItem(data, child, nestedPopulates, ancestors.concat(childPath))
+      }
+      // include key of child under keyProp
+      return p.keyProp ? { ...child, [p.keyProp]: id } : child
+    }
+    // populate child is key
+    if (isString(populated[p.child])) {
+      const child = getChild(populated[p.child])
+      // matching child does not exist
+      if (!child) {
+        return populated
+      }
+      return { ...populated, [p.child]: child }
+    }
+    // populate child list
+    return {
+      ...populated,
+      [p.child]: mapValues(populated[p.child], (val, key) => { // iterate of child list
+        // Handle key: true lists
+        const getKey = val === true ? key : val
+        // Set to child under key if populate child exists, otherwise leave key
+        return getChild(getKey) || (val === true ? val : getKey)
+      })
+    }
+  }, item)
+
 /**
  * @description Convert parameter under "data" path of Immutable Map to a
- * Javascript object with parameters populated based on populates array
- * @param {Map} firebase - Immutable Map to be converted to JS object (state.firebase)
+ * Javascript object with parameters populated based on populates array.
+ * Populates can be nested by prefixing child with the child of another
+ * populate (i.e. `owner.org` to populate `org` of each populated `owner`).
+ * Populated children only include `fields` of a populate when it is provided
+ * (and their key under `keyProp` when it is provided).
+ * @param {Map|Object} firebase - Firebase state, Immutable Map or plain JS (state.firebase)
  * @param {String} path - Path of parameter to load
  * @param {Array} populates - Array of populate objects
  * @param {Object|String|Boolean} notSetValue - Value to return if value is not found
@@ -196,6 +380,28 @@ export const dataToJS = (data, path, notSetValue) => {
  *   // each todo has child 'owner' populated from matching uid in 'users' root
  *   todos: populatedDataToJS(firebase, 'todos', [{ child: 'owner', root: 'users' }])
  * }))(fbWrapped)
+ * @example <caption>Multi-level</caption>
+ * const populates = [
+ *   { child: 'owner', root: 'users' },
+ *   // org of each owner populated from matching key in 'orgs' root
+ *   { child: 'owner.org', root: 'orgs' }
+ * ]
+ * const fbWrapped = firebaseConnect([{ path: '/todos', populates }])(App)
+ *
+ * export default connect(({ firebase }) => ({
+ *   todos: populatedDataToJS(firebase, 'todos', populates)
+ * }))(fbWrapped)
+ * @example <caption>Selecting Fields</caption>
+ * const populates = [
+ *   // owner contains displayName, avatarUrl and id (key of user)
+ *   { child: 'owner', root: 'users', fields: ['displayName', 'avatarUrl'], keyProp: 'id' }
+ *   // 'owner:users:displayName,avatarUrl' // equivalent string notation (without keyProp)
+ * ]
+ * const fbWrapped = firebaseConnect([{ path: '/todos', populates }])(App)
+ *
+ * export default connect(({ firebase }) => ({
+ *   todos: populatedDataToJS(firebase, 'todos', populates)
+ * }))(fbWrapped)
  */
 export const populatedDataToJS = (data, path, populates, notSetValue) => {
   if (!data) {
@@ -204,60 +410,20 @@ export const populatedDataToJS = (data, path, populates, notSetValue) => {
 
   const pathArr = `/data${fixPath(path)}`.split(/\//).slice(1)
 
-  if (data.getIn) {
-    if (!toJS(data.getIn(pathArr, notSetValue))) {
-      return toJS(data.getIn(pathArr))
-    }
-    const populateObjs = getPopulateObjs(populates)
-    // reduce array of populates to object of combined populated data
-    return reduce(
-      map(populateObjs, (p, obj) =>
-        // map values of list
-        mapValues(toJS(data.getIn(pathArr)), (child, i) => {
-          // no matching child parameter
-          if (!child[p.child]) {
-            return child
-          }
-          // populate child is key
-          if (isString(child[p.child])) {
-            if (toJS(data.getIn(['data', p.root, child[p.child]]))) {
-              return {
-                ...child,
-                [p.child]: toJS(data.getIn(['data', p.root, child[p.child]]))
-              }
-            }
-            // matching child does not exist
-            return child
-          }
-          // populate child list
-          return {
-            ...child,
-            [p.child]: mapValues(child[p.child], (val, key) => { // iterate of child list
-              let getKey = val
-               // Handle key: true lists
-              if (val === true) {
-                getKey = key
-              }
-              // Set to child under key if populate child exists
-              if (toJS(data.getIn(['data', p.root, getKey]))) {
-                return toJS(data.getIn(['data', p.root, getKey]))
-              }
-              // Populate child does not exist
-              return val === true ? val : getKey
-            })
-          }
-        })
-     ), (obj, v) =>
-      Object.assign({}, v, obj),
-     )
+  if (!toJS(getIn(data, pathArr, notSetValue))) {
+    return toJS(getIn(data, pathArr))
   }
-
-  return data
+  const populateObjs = getPopulateObjs(populates)
+  const dataPath = pathArr.slice(1).join('/')
+  // populate each item of list (item itself is an ancestor of its children)
+  return mapValues(toJS(getIn(data, pathArr)), (child, key) =>
+    populateItem(data, child, populateObjs, [`${dataPath}/${key}`])
+  )
 }
 
 /**
  * @description Load custom object from within store
- * @param {Map} firebase - Immutable Map to be converted to JS object (state.firebase)
+ * @param {Map|Object} firebase - Firebase state, Immutable Map or plain JS (state.firebase)
  * @param {String} path - Path of parameter to load
  * @param {String} customPath - Part of store from which to load
  * @param {Object|String|Boolean} notSetValue - Value to return if value is not found
@@ -281,11 +447,7 @@ export const customToJS = (data, path, custom, notSetValue) => {
 
   const pathArr = `/${custom}${fixPath(path)}`.split(/\//).slice(1)
 
-  if (data.getIn) {
-    return toJS(data.getIn(pathArr, notSetValue))
-  }
-
-  return data
+  return toJS(getIn(data, pathArr, notSetValue))
 }
 
 export default {
@@ -294,6 +456,10 @@ export default {
   dataToJS,
   populatedDataToJS,
   customToJS,
+  queryToJS,
+  orderedToJS,
   isLoaded,
-  isEmpty
+  isEmpty,
+  hasRole,
+  hasPermission
 }
@@ -1,18 +1,36 @@
 import connect from './connect'
-import compose, { getFirebase } from './compose'
-import reducer from './reducer'
+import {
+  userIsAuthenticated,
+  userIsNotAuthenticated,
+  userHasRole,
+  dataIsLoaded
+} from './guards'
+import compose, { getFirebase, authIsReady } from './compose'
+import reducer, { createFirebaseStateReducer } from './reducer'
+import reducers from './reducers'
 import constants, { actionTypes } from './constants'
 import * as helpers from './helpers'
+import { preloadFirebaseData, dehydrate, rehydrate } from './ssr'
 
 export default {
   firebase: connect,
   firebaseConnect: connect,
+  userIsAuthenticated,
+  userIsNotAuthenticated,
+  userHasRole,
+  dataIsLoaded,
   firebaseStateReducer: reducer,
+  createFirebaseStateReducer,
+  reducers,
   reduxReactFirebase: compose,
   reactReduxFirebase: compose,
   reduxFirebase: compose,
   constants,
   actionTypes,
   getFirebase,
+  authIsReady,
+  preloadFirebaseData,
+  dehydrate,
+  rehydrate,
   helpers
 }
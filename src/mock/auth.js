@@ -0,0 +1,519 @@
+import { find, forEach, isFunction, isString, omit, uniqueId } from 'lodash'
+import jwtDecode from 'jwt-decode'
+
+/**
+ * @private
+ * @description Verification code accepted when confirming phone login
+ */
+export const MOCK_PHONE_CODE = '123456'
+
+/**
+ * @private
+ * @description Create error matching format of errors from Firebase auth
+ * @param {String} code - Error code (i.e. auth/user-not-found)
+ * @param {String} message - Error message
+ * @return {Error}
+ */
+export const createAuthError = (code, message) => {
+  const error = new Error(message)
+  error.code = code
+  return error
+}
+
+const base64UrlEncode = (str) => {
+  const base64 = typeof btoa === 'function'
+    ? btoa(unescape(encodeURIComponent(str)))
+    : Buffer.from(str).toString('base64') // eslint-disable-line no-undef
+  return base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+/**
+ * @private
+ * @description Create unsigned JSON Web Token (decodable with jwt-decode)
+ * @param {Object} payload - Token payload
+ * @return {String} Token
+ */
+export const createToken = payload =>
+  [
+    base64UrlEncode(JSON.stringify({ alg: 'none', typ: 'JWT' })),
+    base64UrlEncode(JSON.stringify(payload)),
+    ''
+  ].join('.')
+
+/**
+ * @private
+ * @description Auth provider (mirrors GoogleAuthProvider and others)
+ */
+export const createMockAuthProvider = providerId => {
+  class MockAuthProvider {
+    constructor (id) {
+      // Generic providers (OAuthProvider, SAMLAuthProvider) are passed id
+      this.providerId = providerId || id
+      this.scopes = []
+      this.customParameters = {}
+    }
+
+    addScope (scope) {
+      this.scopes.push(scope)
+      return this
+    }
+
+    setCustomParameters (params) {
+      this.customParameters = params
+      return this
+    }
+  }
+  MockAuthProvider.PROVIDER_ID = providerId
+  MockAuthProvider.credential = (...params) => ({ provider: providerId, params })
+  return MockAuthProvider
+}
+
+/**
+ * @private
+ * @description Signed in user (mirrors User)
+ */
+export class MockUser {
+  constructor (auth, data) {
+    this._auth = auth
+    this.uid = data.uid
+    this.email = data.email || null
+    this.phoneNumber = data.phoneNumber || null
+    this.displayName = data.displayName || null
+    this.photoURL = data.photoURL || null
+    this.emailVerified = !!data.emailVerified
+    this.isAnonymous = !!data.isAnonymous
+    this.providerId = 'firebase'
+    this.providerData = data.providerData || []
+    this._password = data.password
+    this._claims = data.claims || {}
+  }
+
+  getToken () {
+    const now = Math.floor(Date.now() / 1000)
+    return Promise.resolve(createToken(Object.assign({}, this._claims, {
+      iss: 'https://securetoken.google.com/mock',
+      aud: 'mock',
+      auth_time: now,
+      user_id: this.uid,
+      sub: this.uid,
+      iat: now,
+      exp: now + 3600,
+      email: this.email || undefined,
+      firebase: { identities: {}, sign_in_provider: this.providerData.length ? this.providerData[0].providerId : 'custom' }
+    })))
+  }
+
+  getIdToken (forceRefresh) {
+    if (!forceRefresh) {
+      return this.getToken()
+    }
+    // Refreshed token contains claims currently set for user
+    const userData = find(this._auth._users, { uid: this.uid })
+    this._claims = (userData && userData.claims) || {}
+    return this.getToken().then((token) => {
+      this._accessToken = token
+      this._auth._notifyTokenListeners()
+      return token
+    })
+  }
+
+  reload () {
+    return Promise.resolve()
+  }
+
+  _linkProvider (providerId) {
+    if (find(this.providerData, { providerId })) {
+      return Promise.reject(createAuthError('auth/provider-already-linked', 'User can only be linked to one identity for the given provider.'))
+    }
+    this.providerData = this.providerData.concat({
+      uid: uniqueId(`${providerId}:`),
+      displayName: this.displayName,
+      email: this.email,
+      photoURL: this.photoURL,
+      providerId
+    })
+    // Linking any provider makes an anonymous user permanent
+    this.isAnonymous = false
+    this._auth._updateUserData(this.uid, {
+      providerData: this.providerData,
+      isAnonymous: false
+    })
+    return Promise.resolve(this)
+  }
+
+  _linkEmail (email, password) {
+    if (this._auth._findUser(email)) {
+      return Promise.reject(createAuthError('auth/email-already-in-use', 'The email address is already in use by another account.'))
+    }
+    this.email = email
+    this._password = password
+    this._auth._updateUserData(this.uid, { email, password })
+    return this._linkProvider('password')
+  }
+
+  link (credential) {
+    if (credential.provider === 'password') {
+      return this._linkEmail(...credential.params)
+    }
+    return this._linkProvider(credential.provider || credential)
+  }
+
+  linkWithCredential (credential) {
+    return this.link(credential)
+  }
+
+  linkWithPopup (provider) {
+    return this._linkProvider(provider.providerId)
+      .then(user => ({
+        user,
+        credential: { provider: provider.providerId },
+        operationType: 'link'
+      }))
+  }
+
+  linkWithRedirect (provider) {
+    // Result is available through getRedirectResult (no page redirect occurs)
+    return this.linkWithPopup(provider)
+      .then((result) => {
+        this._auth._redirectResult = result
+      })
+  }
+
+  sendEmailVerification () {
+    this._auth._createActionCode('VERIFY_EMAIL', this.email)
+    return Promise.resolve()
+  }
+
+  updateEmail (email) {
+    if (!isString(email) || email.indexOf('@') === -1) {
+      return Promise.reject(createAuthError('auth/invalid-email', 'The email address is badly formatted.'))
+    }
+    if (this._auth._findUser(email)) {
+      return Promise.reject(createAuthError('auth/email-already-in-use', 'The email address is already in use by another account.'))
+    }
+    this.email = email
+    this.emailVerified = false
+    this._auth._updateUserData(this.uid, { email, emailVerified: false })
+    return Promise.resolve()
+  }
+
+  updatePassword (password) {
+    if (!password || password.length < 6) {
+      return Promise.reject(createAuthError('auth/weak-password', 'The password must be 6 characters long or more.'))
+    }
+    this._password = password
+    this._auth._updateUserData(this.uid, { password })
+    return Promise.resolve()
+  }
+
+  reauthenticate (credential) {
+    const providerId = credential.provider || credential
+    if (providerId === 'password') {
+      const [ email, password ] = credential.params
+      return email === this.email && password === this._password
+        ? Promise.resolve()
+        : Promise.reject(createAuthError('auth/wrong-password', 'The password is invalid or the user does not have a password.'))
+    }
+    return find(this.providerData, { providerId })
+      ? Promise.resolve()
+      : Promise.reject(createAuthError('auth/user-mismatch', 'The supplied credentials do not correspond to the previously signed in user.'))
+  }
+
+  delete () {
+    this._auth._users = this._auth._users.filter(user => user.uid !== this.uid)
+    return this._auth.currentUser === this
+      ? this._auth.signOut()
+      : Promise.resolve()
+  }
+
+  unlink (providerId) {
+    if (!find(this.providerData, { providerId })) {
+      return Promise.reject(createAuthError('auth/no-such-provider', 'User was not linked to an account with the given provider.'))
+    }
+    this.providerData = this.providerData.filter(p => p.providerId !== providerId)
+    this._auth._updateUserData(this.uid, { providerData: this.providerData })
+    return Promise.resolve(this)
+  }
+
+  toJSON () {
+    // accessToken is set when user signs in so it is available synchronously
+    return {
+      uid: this.uid,
+      email: this.email,
+      phoneNumber: this.phoneNumber,
+      displayName: this.displayName,
+      photoURL: this.photoURL,
+      emailVerified: this.emailVerified,
+      isAnonymous: this.isAnonymous,
+      providerData: this.providerData,
+      stsTokenManager: { accessToken: this._accessToken }
+    }
+  }
+}
+
+/**
+ * @private
+ * @description In memory auth (mirrors Auth). Users are stored in memory and
+ * state change listeners are called asynchronously like Firebase.
+ * @param {Array} users - Initial users (objects containing uid, email, password)
+ */
+export class MockAuth {
+  constructor (users = []) {
+    this.currentUser = null
+    this._users = users.map(user => Object.assign({}, user))
+    this._listeners = []
+    this._tokenListeners = []
+    this._redirectResult = null
+    this._persistence = 'local'
+    // Codes which would be sent by email (i.e. password reset) by code
+    this._actionCodes = {}
+  }
+
+  _createActionCode (operation, email) {
+    const code = uniqueId(`${operation}:`)
+    this._actionCodes[code] = { operation, email }
+    return code
+  }
+
+  _checkActionCode (code, operation) {
+    const actionCode = this._actionCodes[code]
+    return actionCode && (!operation || actionCode.operation === operation)
+      ? Promise.resolve(actionCode)
+      : Promise.reject(createAuthError('auth/invalid-action-code', 'The action code is invalid. This can happen if the code is malformed, expired, or has already been used.'))
+  }
+
+  _findUser (email) {
+    return find(this._users, { email })
+  }
+
+  _createUserData (data) {
+    const user = Object.assign({ uid: uniqueId('mockUser') }, data)
+    this._users.push(user)
+    return user
+  }
+
+  _updateUserData (uid, data) {
+    Object.assign(find(this._users, { uid }) || {}, data)
+  }
+
+  _signIn (userData) {
+    const user = new MockUser(this, userData)
+    return user.getToken().then((token) => {
+      user._accessToken = token
+      this.currentUser = user
+      this._notifyListeners()
+      return user
+    })
+  }
+
+  _signInWithProvider (provider) {
+    const providerUser = {
+      uid: uniqueId(`${provider.providerId}:`),
+      displayName: `Mock ${provider.providerId} user`,
+      email: `${uniqueId('user')}@${provider.providerId}`,
+      photoURL: null,
+      providerId: provider.providerId
+    }
+    const userData = this._createUserData(Object.assign(
+      omit(providerUser, ['providerId']),
+      { providerData: [providerUser] }
+    ))
+    return this._signIn(userData)
+      .then(user => ({
+        user,
+        credential: { provider: provider.providerId },
+        operationType: 'signIn'
+      }))
+  }
+
+  _notifyListeners () {
+    forEach(this._listeners.slice(), listener => listener(this.currentUser))
+    this._notifyTokenListeners()
+  }
+
+  _notifyTokenListeners () {
+    forEach(this._tokenListeners.slice(), listener => listener(this.currentUser))
+  }
+
+  _addListener (listenersKey, nextOrObserver) {
+    const listener = isFunction(nextOrObserver)
+      ? nextOrObserver
+      : user => nextOrObserver.next(user)
+    this[listenersKey].push(listener)
+    // Initial state is reported asynchronously (matches Firebase)
+    Promise.resolve().then(() => {
+      if (this[listenersKey].indexOf(listener) !== -1) {
+        listener(this.currentUser)
+      }
+    })
+    return () => {
+      this[listenersKey] = this[listenersKey].filter(l => l !== listener)
+    }
+  }
+
+  onAuthStateChanged (nextOrObserver) {
+    return this._addListener('_listeners', nextOrObserver)
+  }
+
+  // Also called when token of current user is refreshed
+  onIdTokenChanged (nextOrObserver) {
+    return this._addListener('_tokenListeners', nextOrObserver)
+  }
+
+  signInWithEmailAndPassword (email, password) {
+    const userData = this._findUser(email)
+    if (!userData) {
+      return Promise.reject(createAuthError('auth/user-not-found', 'There is no user record corresponding to this identifier. The user may have been deleted.'))
+    }
+    if (userData.password !== password) {
+      return Promise.reject(createAuthError('auth/wrong-password', 'The password is invalid or the user does not have a password.'))
+    }
+    return this._signIn(userData)
+  }
+
+  createUserWithEmailAndPassword (email, password) {
+    if (!isString(email) || email.indexOf('@') === -1) {
+      return Promise.reject(createAuthError('auth/invalid-email', 'The email address is badly formatted.'))
+    }
+    if (!password || password.length < 6) {
+      return Promise.reject(createAuthError('auth/weak-password', 'The password must be 6 characters long or more.'))
+    }
+    if (this._findUser(email)) {
+      return Promise.reject(createAuthError('auth/email-already-in-use', 'The email address is already in use by another account.'))
+    }
+    return this._signIn(this._createUserData({
+      email,
+      password,
+      providerData: [{ uid: email, email, providerId: 'password' }]
+    }))
+  }
+
+  signInWithCustomToken (token) {
+    let decoded
+    try {
+      decoded = jwtDecode(token)
+    } catch (err) {
+      decoded = null
+    }
+    if (!decoded || !decoded.uid) {
+      return Promise.reject(createAuthError('auth/invalid-custom-token', 'The custom token format is incorrect. Please check the documentation.'))
+    }
+    const userData = find(this._users, { uid: decoded.uid }) ||
+      this._createUserData({ uid: decoded.uid })
+    return this._signIn(Object.assign({}, userData, { claims: decoded.claims }))
+  }
+
+  signInAnonymously () {
+    return this._signIn(this._createUserData({ isAnonymous: true }))
+  }
+
+  signInWithCredential (credential) {
+    return this._signInWithProvider({ providerId: credential.provider || credential })
+      .then(({ user }) => user)
+  }
+
+  signInWithPhoneNumber (phoneNumber, applicationVerifier) {
+    if (!isString(phoneNumber) || phoneNumber.charAt(0) !== '+') {
+      return Promise.reject(createAuthError('auth/invalid-phone-number', 'The format of the phone number provided is incorrect.'))
+    }
+    if (!applicationVerifier) {
+      return Promise.reject(createAuthError('auth/argument-error', 'signInWithPhoneNumber failed: Second argument "applicationVerifier" must be an implementation of firebase.auth.ApplicationVerifier.'))
+    }
+    // Verification code is always MOCK_PHONE_CODE (123456)
+    return Promise.resolve({
+      verificationId: uniqueId('verification'),
+      confirm: (code) => {
+        if (code !== MOCK_PHONE_CODE) {
+          return Promise.reject(createAuthError('auth/invalid-verification-code', 'The SMS verification code used to create the phone auth credential is invalid.'))
+        }
+        const userData = find(this._users, { phoneNumber }) ||
+          this._createUserData({
+            phoneNumber,
+            providerData: [{ uid: phoneNumber, phoneNumber, providerId: 'phone' }]
+          })
+        return this._signIn(userData)
+          .then(user => ({ user, credential: null, operationType: 'signIn' }))
+      }
+    })
+  }
+
+  signInWithPopup (provider) {
+    return this._signInWithProvider(provider)
+  }
+
+  signInWithRedirect (provider) {
+    // Result is available through getRedirectResult (no page redirect occurs)
+    return this._signInWithProvider(provider)
+      .then((result) => {
+        this._redirectResult = result
+      })
+  }
+
+  setPersistence (persistence) {
+    if (['local', 'session', 'none'].indexOf(persistence) === -1) {
+      return Promise.reject(createAuthError('auth/invalid-persistence-type', `The specified persistence type "${persistence}" is invalid.`))
+    }
+    this._persistence = persistence
+    return Promise.resolve()
+  }
+
+  getRedirectResult () {
+    const result = this._redirectResult || { user: null, credential: null }
+    this._redirectResult = null
+    return Promise.resolve(result)
+  }
+
+  signOut () {
+    this.currentUser = null
+    this._notifyListeners()
+    return Promise.resolve()
+  }
+
+  fetchProvidersForEmail (email) {
+    if (!isString(email) || email.indexOf('@') === -1) {
+      return Promise.reject(createAuthError('auth/invalid-email', 'The email address is badly formatted.'))
+    }
+    const userData = this._findUser(email)
+    return Promise.resolve(
+      userData ? (userData.providerData || []).map(p => p.providerId) : []
+    )
+  }
+
+  sendPasswordResetEmail (email) {
+    if (!this._findUser(email)) {
+      return Promise.reject(createAuthError('auth/user-not-found', 'There is no user record corresponding to this identifier. The user may have been deleted.'))
+    }
+    this._createActionCode('PASSWORD_RESET', email)
+    return Promise.resolve()
+  }
+
+  verifyPasswordResetCode (code) {
+    return this._checkActionCode(code, 'PASSWORD_RESET')
+      .then(({ email }) => email)
+  }
+
+  confirmPasswordReset (code, newPassword) {
+    if (!newPassword || newPassword.length < 6) {
+      return Promise.reject(createAuthError('auth/weak-password', 'The password must be 6 characters long or more.'))
+    }
+    return this._checkActionCode(code, 'PASSWORD_RESET')
+      .then(({ email }) => {
+        delete this._actionCodes[code]
+        Object.assign(this._findUser(email) || {}, { password: newPassword })
+      })
+  }
+
+  applyActionCode (code) {
+    return this._checkActionCode(code)
+      .then(({ operation, email }) => {
+        delete this._actionCodes[code]
+        if (operation !== 'VERIFY_EMAIL') return
+        Object.assign(this._findUser(email) || {}, { emailVerified: true })
+        if (this.currentUser && this.currentUser.email === email) {
+          this.currentUser.emailVerified = true
+        }
+      })
+  }
+}
+
+export default MockAuth
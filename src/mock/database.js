@@ -0,0 +1,739 @@
+import {
+  get,
+  set,
+  unset,
+  cloneDeep,
+  isEqual,
+  isArray,
+  isFunction,
+  isObject,
+  isPlainObject,
+  isEmpty,
+  every,
+  forEach,
+  keys,
+  map,
+  findIndex
+} from 'lodash'
+
+const PUSH_CHARS = '-0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ_abcdefghijklmnopqrstuvwxyz'
+let lastPushTime = 0
+let lastRandChars = []
+
+/**
+ * @private
+ * @description Split path string into array of path parts
+ * @param {String} path - Path string
+ * @return {Array} Path parts
+ */
+export const pathToArr = path =>
+  path ? `${path}`.split('/').filter(p => !!p) : []
+
+/**
+ * @private
+ * @description Generate chronologically ordered unique key (same format as
+ * keys generated by Firebase's push)
+ * @return {String} Push key
+ */
+export const generatePushKey = () => {
+  let now = Date.now()
+  const duplicateTime = now === lastPushTime
+  lastPushTime = now
+
+  const timeChars = new Array(8)
+  for (let i = 7; i >= 0; i--) {
+    timeChars[i] = PUSH_CHARS.charAt(now % 64)
+    now = Math.floor(now / 64)
+  }
+  let id = timeChars.join('')
+
+  if (!duplicateTime) {
+    for (let i = 0; i < 12; i++) {
+      lastRandChars[i] = Math.floor(Math.random() * 64)
+    }
+  } else {
+    // Increment random characters so keys generated within the same ms stay ordered
+    let i
+    for (i = 11; i >= 0 && lastRandChars[i] === 63; i--) {
+      lastRandChars[i] = 0
+    }
+    lastRandChars[i]++
+  }
+  for (let i = 0; i < 12; i++) {
+    id += PUSH_CHARS.charAt(lastRandChars[i])
+  }
+  return id
+}
+
+/**
+ * @private
+ * @description Normalize value before writing (arrays are stored as objects,
+ * null children are removed, and empty objects are removed)
+ * @param {Any} value - Value to normalize
+ * @return {Any} Normalized value (null if value is empty)
+ */
+export const normalizeValue = (value) => {
+  if (value === undefined || value === null) {
+    return null
+  }
+  if (isPlainObject(value) && value['.sv'] === 'timestamp') {
+    return Date.now()
+  }
+  if (isArray(value) || isPlainObject(value)) {
+    const normalized = {}
+    forEach(value, (child, key) => {
+      const normalizedChild = normalizeValue(child)
+      if (normalizedChild !== null) {
+        normalized[key] = normalizedChild
+      }
+    })
+    return isEmpty(normalized) ? null : normalized
+  }
+  return value
+}
+
+/**
+ * @private
+ * @description Convert stored value into value returned by snapshot.val()
+ * (objects with sequential integer keys are returned as arrays like Firebase)
+ * @param {Any} value - Stored value
+ * @return {Any} Exported value
+ */
+export const exportValue = (value) => {
+  if (value === undefined || value === null) {
+    return null
+  }
+  if (!isObject(value)) {
+    return value
+  }
+  const valueKeys = keys(value)
+  const isArrayLike = !!valueKeys.length &&
+    every(valueKeys, k => /^(0|[1-9]\d*)$/.test(k)) &&
+    Math.max(...map(valueKeys, Number)) < valueKeys.length * 2
+  const exported = isArrayLike ? [] : {}
+  forEach(value, (child, key) => {
+    exported[key] = exportValue(child)
+  })
+  return exported
+}
+
+const isIntegerKey = key => /^-?(0|[1-9]\d*)$/.test(key)
+
+/**
+ * @private
+ * @description Compare keys in the same order as Firebase (integer keys
+ * first, sorted numerically, followed by strings sorted lexicographically)
+ */
+export const compareKeys = (a, b) => {
+  if (a === b) return 0
+  const aInt = isIntegerKey(a)
+  const bInt = isIntegerKey(b)
+  if (aInt && bInt) return Number(a) - Number(b)
+  if (aInt) return -1
+  if (bInt) return 1
+  return a < b ? -1 : 1
+}
+
+const valueTypeRank = (value) => {
+  if (value === null || value === undefined) return 0
+  if (value === false) return 1
+  if (value === true) return 2
+  if (typeof value === 'number') return 3
+  if (typeof value === 'string') return 4
+  return 5
+}
+
+/**
+ * @private
+ * @description Compare values in the same order as Firebase (null, false,
+ * true, numbers, strings, then objects)
+ */
+export const compareValues = (a, b) => {
+  const rankDiff = valueTypeRank(a) - valueTypeRank(b)
+  if (rankDiff !== 0) return rankDiff
+  if (typeof a === 'number' || typeof a === 'string') {
+    return a === b ? 0 : (a < b ? -1 : 1)
+  }
+  return 0
+}
+
+/**
+ * @private
+ * @description Snapshot of data at a location (mirrors DataSnapshot)
+ */
+export class MockDataSnapshot {
+  constructor (ref, value, children) {
+    this.ref = ref
+    this.key = ref.key
+    this._value = value === undefined ? null : value
+    this._children = children
+  }
+
+  val () {
+    return exportValue(cloneDeep(this._value))
+  }
+
+  exportVal () {
+    return this.val()
+  }
+
+  toJSON () {
+    return this.val()
+  }
+
+  exists () {
+    return this._value !== null
+  }
+
+  getPriority () {
+    return null
+  }
+
+  child (path) {
+    return new MockDataSnapshot(
+      this.ref.child(path),
+      get(this._value, pathToArr(path), null)
+    )
+  }
+
+  hasChild (path) {
+    return get(this._value, pathToArr(path), null) !== null
+  }
+
+  hasChildren () {
+    return this.numChildren() > 0
+  }
+
+  numChildren () {
+    return isObject(this._value) ? keys(this._value).length : 0
+  }
+
+  forEach (action) {
+    const children = this._children ||
+      sortChildren(this._value, { type: 'key' })
+    for (let i = 0; i < children.length; i++) {
+      const { key, value } = children[i]
+      if (action(new MockDataSnapshot(this.ref.child(key), value)) === true) {
+        return true
+      }
+    }
+    return false
+  }
+}
+
+/**
+ * @private
+ * @description Get sorted list of children ({ key, value }) of a value
+ * @param {Any} value - Value containing children
+ * @param {Object} orderBy - Ordering (type of key, value, priority or child)
+ * @return {Array} Sorted children
+ */
+export const sortChildren = (value, orderBy) => {
+  if (!isObject(value)) {
+    return []
+  }
+  const children = map(keys(value), key => ({ key, value: value[key] }))
+  return children.sort((a, b) => {
+    if (orderBy.type === 'child' || orderBy.type === 'value') {
+      const diff = compareValues(getOrderValue(a, orderBy), getOrderValue(b, orderBy))
+      if (diff !== 0) return diff
+    }
+    return compareKeys(a.key, b.key)
+  })
+}
+
+const getOrderValue = (child, orderBy) => {
+  switch (orderBy.type) {
+    case 'child':
+      return get(child.value, pathToArr(orderBy.child), null)
+    case 'value':
+      return child.value
+    case 'key':
+      return child.key
+    default:
+      return null
+  }
+}
+
+const compareToBound = (child, orderBy, bound) => {
+  const diff = orderBy.type === 'key'
+    ? compareKeys(child.key, `${bound.value}`)
+    : compareValues(getOrderValue(child, orderBy), bound.value)
+  if (diff !== 0 || bound.key === undefined) return diff
+  return compareKeys(child.key, bound.key)
+}
+
+/**
+ * @private
+ * @description Query of a location (mirrors Query). Query methods return a
+ * new query with the parameter applied.
+ */
+export class MockQuery {
+  constructor (database, pathArr, params = {}) {
+    this._database = database
+    this._pathArr = pathArr
+    this._params = params
+  }
+
+  get ref () {
+    return new MockReference(this._database, this._pathArr)
+  }
+
+  _withParams (params) {
+    return new MockQuery(
+      this._database,
+      this._pathArr,
+      Object.assign({}, this._params, params)
+    )
+  }
+
+  _isDefault () {
+    return isEmpty(this._params)
+  }
+
+  orderByChild (child) {
+    return this._withParams({ orderBy: { type: 'child', child } })
+  }
+
+  orderByKey () {
+    return this._withParams({ orderBy: { type: 'key' } })
+  }
+
+  orderByValue () {
+    return this._withParams({ orderBy: { type: 'value' } })
+  }
+
+  orderByPriority () {
+    return this._withParams({ orderBy: { type: 'priority' } })
+  }
+
+  limitToFirst (limit) {
+    return this._withParams({ limit: { type: 'first', limit } })
+  }
+
+  limitToLast (limit) {
+    return this._withParams({ limit: { type: 'last', limit } })
+  }
+
+  startAt (value, key) {
+    return this._withParams({ startAt: { value, key } })
+  }
+
+  endAt (value, key) {
+    return this._withParams({ endAt: { value, key } })
+  }
+
+  equalTo (value, key) {
+    return this._withParams({ startAt: { value, key }, endAt: { value, key } })
+  }
+
+  isEqual (other) {
+    return other instanceof MockQuery &&
+      other._database === this._database &&
+      isEqual(other._pathArr, this._pathArr) &&
+      isEqual(other._params, this._params)
+  }
+
+  toString () {
+    return `${this._database._url}/${this._pathArr.join('/')}`
+  }
+
+  /**
+   * @private
+   * @description Get sorted and filtered children matching query params
+   */
+  _getChildren () {
+    const { orderBy = { type: 'key' }, startAt, endAt, limit } = this._params
+    let children = sortChildren(this._database._getValue(this._pathArr), orderBy)
+    if (startAt) {
+      children = children.filter(c => compareToBound(c, orderBy, startAt) >= 0)
+    }
+    if (endAt) {
+      children = children.filter(c => compareToBound(c, orderBy, endAt) <= 0)
+    }
+    if (limit) {
+      children = limit.type === 'first'
+        ? children.slice(0, limit.limit)
+        : children.slice(Math.max(children.length - limit.limit, 0))
+    }
+    return children
+  }
+
+  /**
+   * @private
+   * @description Get current value of query
+   */
+  _getValue () {
+    if (this._isDefault()) {
+      return this._database._getValue(this._pathArr)
+    }
+    const children = this._getChildren()
+    if (!children.length) {
+      return null
+    }
+    return children.reduce((acc, { key, value }) =>
+      Object.assign(acc, { [key]: value }), {})
+  }
+
+  _getSnapshot () {
+    return new MockDataSnapshot(
+      this.ref,
+      cloneDeep(this._getValue()),
+      cloneDeep(this._getChildren())
+    )
+  }
+
+  on (eventType, callback, cancelCallbackOrContext, context) {
+    const listener = {
+      query: this,
+      eventType,
+      callback,
+      context: isFunction(cancelCallbackOrContext) ? context : cancelCallbackOrContext,
+      cancelCallback: isFunction(cancelCallbackOrContext) ? cancelCallbackOrContext : null,
+      lastValue: null,
+      lastChildren: []
+    }
+    const error = this._database._getReadError(this._pathArr)
+    if (error) {
+      if (listener.cancelCallback) {
+        listener.cancelCallback.call(listener.context, error)
+      }
+      return callback
+    }
+    this._database._listeners.push(listener)
+    this._database._fireInitialEvents(listener)
+    return callback
+  }
+
+  off (eventType, callback) {
+    this._database._listeners = this._database._listeners.filter(listener =>
+      !(isEqual(listener.query._pathArr, this._pathArr) &&
+        (this._isDefault() || listener.query.isEqual(this)) &&
+        (!eventType || listener.eventType === eventType) &&
+        (!callback || listener.callback === callback))
+    )
+  }
+
+  once (eventType, successCallback, failureCallbackOrContext, context) {
+    return new Promise((resolve, reject) => {
+      const failureCallback = isFunction(failureCallbackOrContext)
+        ? failureCallbackOrContext
+        : null
+      const error = this._database._getReadError(this._pathArr)
+      if (error) {
+        if (failureCallback) failureCallback(error)
+        return reject(error)
+      }
+      const onEvent = (snapshot, prevKey) => {
+        this.off(eventType, onEvent)
+        if (isFunction(successCallback)) {
+          successCallback(snapshot, prevKey)
+        }
+        resolve(snapshot)
+      }
+      this.on(eventType, onEvent)
+    })
+  }
+}
+
+/**
+ * @private
+ * @description Reference to a location (mirrors Reference)
+ */
+export class MockReference extends MockQuery {
+  constructor (database, pathArr) {
+    super(database, pathArr)
+    this.key = pathArr.length ? pathArr[pathArr.length - 1] : null
+  }
+
+  get ref () {
+    return this
+  }
+
+  get parent () {
+    return this._pathArr.length
+      ? new MockReference(this._database, this._pathArr.slice(0, -1))
+      : null
+  }
+
+  get root () {
+    return new MockReference(this._database, [])
+  }
+
+  child (path) {
+    return new MockReference(this._database, this._pathArr.concat(pathToArr(path)))
+  }
+
+  set (value, onComplete) {
+    return this._database._write(
+      [{ pathArr: this._pathArr, value }],
+      onComplete
+    )
+  }
+
+  update (values, onComplete) {
+    return this._database._write(
+      map(values, (value, path) => ({
+        pathArr: this._pathArr.concat(pathToArr(path)),
+        value
+      })),
+      onComplete
+    )
+  }
+
+  remove (onComplete) {
+    return this.set(null, onComplete)
+  }
+
+  push (value, onComplete) {
+    const key = generatePushKey()
+    const ref = this.child(key)
+    // Resolves with a plain reference (resolving with itself would recurse)
+    const promise = (value !== undefined ? ref.set(value, onComplete) : Promise.resolve())
+      .then(() => this.child(key))
+    // Reference is also thenable (mirrors ThenableReference)
+    ref.then = (onResolve, onReject) => promise.then(onResolve, onReject)
+    ref.catch = onReject => promise.catch(onReject)
+    return ref
+  }
+
+  setWithPriority (value, priority, onComplete) {
+    return this.set(value, onComplete)
+  }
+
+  transaction (transactionUpdate, onComplete) {
+    const currentValue = exportValue(cloneDeep(this._database._getValue(this._pathArr)))
+    const newValue = transactionUpdate(currentValue)
+    if (newValue === undefined) {
+      const snapshot = this._getSnapshot()
+      if (onComplete) onComplete(null, false, snapshot)
+      return Promise.resolve({ committed: false, snapshot })
+    }
+    return this.set(newValue).then(() => {
+      const snapshot = this._getSnapshot()
+      if (onComplete) onComplete(null, true, snapshot)
+      return { committed: true, snapshot }
+    })
+  }
+}
+
+/**
+ * @private
+ * @description In memory database (mirrors Database). Events are fired
+ * synchronously when listeners are attached and when data is written.
+ * @param {Object} data - Initial data of database
+ * @param {Object} options - Options object
+ * @param {String} options.databaseURL - URL of database (used by toString)
+ */
+export class MockDatabase {
+  constructor (data = null, { databaseURL = 'https://mock.firebaseio.com' } = {}) {
+    this._data = normalizeValue(cloneDeep(data))
+    this._url = databaseURL
+    this._listeners = []
+    this._errors = { read: {}, write: {} }
+  }
+
+  ref (path) {
+    return new MockReference(this, pathToArr(path))
+  }
+
+  refFromURL (url) {
+    return this.ref(url.replace(this._url, ''))
+  }
+
+  goOnline () {}
+
+  goOffline () {}
+
+  /**
+   * @description Cause reads of a path (and its children) to fail with
+   * permission denied (useful for testing error handling)
+   * @param {String} path - Path at which reads should fail
+   * @param {Error} error - Error to fail with (defaults to PERMISSION_DENIED)
+   */
+  denyRead (path, error) {
+    this._errors.read[pathToArr(path).join('/')] = error || createPermissionError()
+  }
+
+  /**
+   * @description Cause writes to a path (and its children) to fail with
+   * permission denied (useful for testing error handling)
+   * @param {String} path - Path at which writes should fail
+   * @param {Error} error - Error to fail with (defaults to PERMISSION_DENIED)
+   */
+  denyWrite (path, error) {
+    this._errors.write[pathToArr(path).join('/')] = error || createPermissionError()
+  }
+
+  /**
+   * @description Remove all denied reads and writes
+   */
+  allowAll () {
+    this._errors = { read: {}, write: {} }
+  }
+
+  _getError (type, pathArr) {
+    for (let i = pathArr.length; i >= 0; i--) {
+      const error = this._errors[type][pathArr.slice(0, i).join('/')]
+      if (error) return error
+    }
+    return null
+  }
+
+  _getReadError (pathArr) {
+    return this._getError('read', pathArr)
+  }
+
+  _getValue (pathArr) {
+    if (!pathArr.length) {
+      return this._data
+    }
+    return get(this._data, pathArr, null)
+  }
+
+  _setValue (pathArr, value) {
+    const normalized = normalizeValue(value)
+    if (!pathArr.length) {
+      this._data = normalized
+      return
+    }
+    if (normalized === null) {
+      unset(this._data, pathArr)
+      // Remove parents left empty by removal
+      for (let i = pathArr.length - 1; i > 0; i--) {
+        const parentArr = pathArr.slice(0, i)
+        if (isEmpty(get(this._data, parentArr))) {
+          unset(this._data, parentArr)
+        }
+      }
+      if (isEmpty(this._data)) {
+        this._data = null
+      }
+      return
+    }
+    if (!isObject(this._data)) {
+      this._data = {}
+    }
+    // Replace primitive parents with objects
+    for (let i = 1; i < pathArr.length; i++) {
+      const parentArr = pathArr.slice(0, i)
+      if (!isObject(get(this._data, parentArr))) {
+        set(this._data, parentArr, {})
+      }
+    }
+    set(this._data, pathArr, normalized)
+  }
+
+  _write (writes, onComplete) {
+    for (let i = 0; i < writes.length; i++) {
+      const error = this._getError('write', writes[i].pathArr)
+      if (error) {
+        if (isFunction(onComplete)) onComplete(error)
+        return Promise.reject(error)
+      }
+    }
+    forEach(writes, ({ pathArr, value }) => {
+      this._setValue(pathArr, cloneDeep(value))
+    })
+    this._notifyListeners()
+    if (isFunction(onComplete)) onComplete(null)
+    return Promise.resolve()
+  }
+
+  _fireInitialEvents (listener) {
+    const { query, eventType } = listener
+    const children = query._getChildren()
+    listener.lastValue = cloneDeep(query._getValue())
+    listener.lastChildren = cloneDeep(children)
+    if (eventType === 'value') {
+      return listener.callback.call(listener.context, query._getSnapshot())
+    }
+    if (eventType === 'child_added') {
+      forEach(children, ({ key, value }, i) => {
+        // Stop once listener is removed (i.e. by once or within callback)
+        if (this._listeners.indexOf(listener) === -1) {
+          return false
+        }
+        listener.callback.call(
+          listener.context,
+          new MockDataSnapshot(query.ref.child(key), cloneDeep(value)),
+          i ? children[i - 1].key : null
+        )
+      })
+    }
+  }
+
+  _notifyListeners () {
+    // Copy list since callbacks can attach/detach listeners
+    forEach(this._listeners.slice(), (listener) => {
+      if (this._listeners.indexOf(listener) === -1) {
+        return
+      }
+      const { query, eventType, callback, context } = listener
+      const newValue = query._getValue()
+      const newChildren = query._getChildren()
+      const oldChildren = listener.lastChildren
+      const valueChanged = !isEqual(newValue, listener.lastValue)
+      listener.lastValue = cloneDeep(newValue)
+      listener.lastChildren = cloneDeep(newChildren)
+      if (!valueChanged) {
+        return
+      }
+      const childSnap = ({ key, value }) =>
+        new MockDataSnapshot(query.ref.child(key), cloneDeep(value))
+      const prevKey = (list, i) => i > 0 ? list[i - 1].key : null
+
+      switch (eventType) {
+        case 'value':
+          return callback.call(context, query._getSnapshot())
+        case 'child_removed':
+          return forEach(oldChildren, (child) => {
+            if (findIndex(newChildren, { key: child.key }) === -1) {
+              callback.call(context, childSnap(child))
+            }
+          })
+        case 'child_added':
+          return forEach(newChildren, (child, i) => {
+            if (findIndex(oldChildren, { key: child.key }) === -1) {
+              callback.call(context, childSnap(child), prevKey(newChildren, i))
+            }
+          })
+        case 'child_changed':
+          return forEach(newChildren, (child, i) => {
+            const old = oldChildren[findIndex(oldChildren, { key: child.key })]
+            if (old && !isEqual(old.value, child.value)) {
+              callback.call(context, childSnap(child), prevKey(newChildren, i))
+            }
+          })
+        case 'child_moved':
+          // Changed children which have a different position (compared
+          // within children that exist before and after the change)
+          const oldOrder = oldChildren.filter(c => findIndex(newChildren, { key: c.key }) !== -1)
+          const newOrder = newChildren.filter(c => findIndex(oldChildren, { key: c.key }) !== -1)
+          return forEach(newOrder, (child, i) => {
+            const oldIndex = findIndex(oldOrder, { key: child.key })
+            if (!isEqual(oldOrder[oldIndex].value, child.value) &&
+              prevKey(oldOrder, oldIndex) !== prevKey(newOrder, i)) {
+              callback.call(
+                context,
+                childSnap(child),
+                prevKey(newChildren, findIndex(newChildren, { key: child.key }))
+              )
+            }
+          })
+      }
+    })
+  }
+}
+
+/**
+ * @private
+ * @description Create permission denied error (matches error from Firebase)
+ */
+export const createPermissionError = () => {
+  const error = new Error('permission_denied at /: Client doesn\'t have permission to access the desired data.')
+  error.code = 'PERMISSION_DENIED'
+  return error
+}
+
+export default MockDatabase
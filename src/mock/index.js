@@ -0,0 +1,104 @@
+import { cloneDeep } from 'lodash'
+import { MockDatabase } from './database'
+import { MockAuth, createMockAuthProvider } from './auth'
+import { MockStorage, TaskEvent, TaskState } from './storage'
+
+const DEFAULT_APP_NAME = '[DEFAULT]'
+
+/**
+ * @name createFirebaseMock
+ * @description Create in memory stand-in for the Firebase SDK that can be
+ * passed to `reactReduxFirebase` through the `sdk` config option. Includes
+ * database (refs, queries and events), auth (email, custom token, anonymous,
+ * and provider login), and storage (upload tasks). Nothing is sent over the
+ * network, which makes it useful for tests and offline development. Published
+ * as a separate entry point (`react-redux-firebase/dist/mock`) so it is not
+ * bundled with the main entry.
+ * @param {Object} options - Options object
+ * @param {Object} options.data - Initial database data (each app starts with
+ * its own copy). A map of data by app name can be passed with `apps`.
+ * @param {Array} options.users - Users which can login with email/password
+ * (objects containing `uid`, `email`, and `password`)
+ * @param {Object} options.apps - Options (`data`, `users`) by app name
+ * @return {Object} Object matching the Firebase SDK namespace
+ * @example <caption>Tests</caption>
+ * import { createStore, compose } from 'redux'
+ * import { reactReduxFirebase } from 'react-redux-firebase'
+ * import createFirebaseMock from 'react-redux-firebase/dist/mock'
+ *
+ * const firebaseMock = createFirebaseMock({
+ *   data: { todos: { abc: { text: 'Run tests', done: false } } },
+ *   users: [{ uid: '123', email: 'test@test.com', password: 'password' }]
+ * })
+ *
+ * const store = compose(
+ *   reactReduxFirebase(fbConfig, { userProfile: 'users', sdk: firebaseMock })
+ * )(createStore)(rootReducer)
+ *
+ * // mock database can be inspected and written to directly
+ * firebaseMock.database().ref('todos/abc/done').set(true)
+ */
+export const createFirebaseMock = ({ data = null, users = [], apps: appsOptions = {} } = {}) => {
+  const apps = {}
+
+  const initializeApp = (options = {}, name = DEFAULT_APP_NAME) => {
+    if (apps[name]) {
+      throw new Error(`Firebase App named '${name}' already exists (app/duplicate-app).`)
+    }
+    const appOptions = Object.assign({ data, users }, appsOptions[name])
+    const database = new MockDatabase(cloneDeep(appOptions.data), options)
+    const auth = new MockAuth(cloneDeep(appOptions.users))
+    const storage = new MockStorage(options)
+    apps[name] = {
+      name,
+      options,
+      database: () => database,
+      auth: () => auth,
+      storage: () => storage,
+      delete: () => {
+        delete apps[name]
+        return Promise.resolve()
+      }
+    }
+    return apps[name]
+  }
+
+  const app = (name = DEFAULT_APP_NAME) => {
+    if (!apps[name]) {
+      throw new Error(`No Firebase App '${name}' has been created - call Firebase App.initializeApp() (app/no-app).`)
+    }
+    return apps[name]
+  }
+
+  const database = (appInstance) => (appInstance || app()).database()
+  database.enableLogging = () => {}
+  database.ServerValue = { TIMESTAMP: { '.sv': 'timestamp' } }
+
+  const auth = (appInstance) => (appInstance || app()).auth()
+  auth.GoogleAuthProvider = createMockAuthProvider('google.com')
+  auth.GithubAuthProvider = createMockAuthProvider('github.com')
+  auth.TwitterAuthProvider = createMockAuthProvider('twitter.com')
+  auth.FacebookAuthProvider = createMockAuthProvider('facebook.com')
+  auth.EmailAuthProvider = createMockAuthProvider('password')
+  auth.OAuthProvider = createMockAuthProvider()
+  auth.SAMLAuthProvider = createMockAuthProvider()
+  auth.Auth = { Persistence: { LOCAL: 'local', SESSION: 'session', NONE: 'none' } }
+
+  const storage = (appInstance) => (appInstance || app()).storage()
+  storage.TaskEvent = TaskEvent
+  storage.TaskState = TaskState
+
+  return {
+    initializeApp,
+    app,
+    get apps () {
+      return Object.keys(apps).map(name => apps[name])
+    },
+    database,
+    auth,
+    storage,
+    SDK_VERSION: 'mock'
+  }
+}
+
+export default createFirebaseMock
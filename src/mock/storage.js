@@ -0,0 +1,214 @@
+import { isFunction, last } from 'lodash'
+import { pathToArr } from './database'
+
+/**
+ * @private
+ * @description Event types and states of upload tasks (mirrors
+ * firebase.storage.TaskEvent and firebase.storage.TaskState)
+ */
+export const TaskEvent = { STATE_CHANGED: 'state_changed' }
+export const TaskState = {
+  RUNNING: 'running',
+  PAUSED: 'paused',
+  SUCCESS: 'success',
+  CANCELED: 'canceled',
+  ERROR: 'error'
+}
+
+const createStorageError = (code, message) => {
+  const error = new Error(message)
+  error.code = code
+  return error
+}
+
+/**
+ * @private
+ * @description Upload of a file (mirrors UploadTask). Upload completes
+ * asynchronously with a single progress event so listeners can be attached
+ * after calling put.
+ */
+export class MockUploadTask {
+  constructor (ref, file, metadata = {}) {
+    const totalBytes = (file && file.size) || 0
+    this._observers = []
+    this.snapshot = {
+      ref,
+      bytesTransferred: 0,
+      totalBytes,
+      state: TaskState.RUNNING,
+      metadata: null,
+      downloadURL: null,
+      task: this
+    }
+    this._promise = Promise.resolve().then(() => {
+      const error = ref._storage._getError(ref.fullPath)
+      if (error) {
+        this.snapshot = Object.assign({}, this.snapshot, { state: TaskState.ERROR })
+        this._notify('error', error)
+        return Promise.reject(error)
+      }
+      const downloadURL = ref._getDownloadURL()
+      ref._storage._files[ref.fullPath] = {
+        name: ref.name,
+        fullPath: ref.fullPath,
+        bucket: ref.bucket,
+        size: totalBytes,
+        contentType: metadata.contentType || (file && file.type) || null,
+        timeCreated: new Date().toISOString(),
+        customMetadata: metadata.customMetadata,
+        downloadURLs: [downloadURL]
+      }
+      this.snapshot = Object.assign({}, this.snapshot, {
+        bytesTransferred: totalBytes,
+        state: TaskState.SUCCESS,
+        metadata: ref._storage._files[ref.fullPath],
+        downloadURL
+      })
+      this._notify('next', this.snapshot)
+      this._notify('complete')
+      return this.snapshot
+    })
+  }
+
+  _notify (type, value) {
+    this._observers.slice().forEach((observer) => {
+      if (isFunction(observer[type])) {
+        observer[type](value)
+      }
+    })
+  }
+
+  on (event, nextOrObserver, error, complete) {
+    const observer = isFunction(nextOrObserver) || !nextOrObserver
+      ? { next: nextOrObserver, error, complete }
+      : nextOrObserver
+    this._observers.push(observer)
+    return () => {
+      this._observers = this._observers.filter(o => o !== observer)
+    }
+  }
+
+  then (onResolve, onReject) {
+    return this._promise.then(onResolve, onReject)
+  }
+
+  catch (onReject) {
+    return this._promise.catch(onReject)
+  }
+
+  cancel () {
+    return false
+  }
+
+  pause () {
+    return false
+  }
+
+  resume () {
+    return false
+  }
+}
+
+/**
+ * @private
+ * @description Reference to a file location (mirrors storage Reference)
+ */
+export class MockStorageReference {
+  constructor (storage, pathArr) {
+    this._storage = storage
+    this._pathArr = pathArr
+    this.fullPath = pathArr.join('/')
+    this.name = last(pathArr) || ''
+    this.bucket = storage._bucket
+  }
+
+  get parent () {
+    return this._pathArr.length
+      ? new MockStorageReference(this._storage, this._pathArr.slice(0, -1))
+      : null
+  }
+
+  get root () {
+    return new MockStorageReference(this._storage, [])
+  }
+
+  _getDownloadURL () {
+    return `https://firebasestorage.googleapis.com/v0/b/${this.bucket}/o/${encodeURIComponent(this.fullPath)}?alt=media`
+  }
+
+  _getFile () {
+    const file = this._storage._files[this.fullPath]
+    if (!file) {
+      return Promise.reject(createStorageError('storage/object-not-found', `Firebase Storage: Object '${this.fullPath}' does not exist.`))
+    }
+    return Promise.resolve(file)
+  }
+
+  child (path) {
+    return new MockStorageReference(this._storage, this._pathArr.concat(pathToArr(path)))
+  }
+
+  put (file, metadata) {
+    return new MockUploadTask(this, file, metadata)
+  }
+
+  putString (data, format, metadata) {
+    return new MockUploadTask(this, { size: data.length }, metadata)
+  }
+
+  delete () {
+    return this._getFile()
+      .then(() => {
+        delete this._storage._files[this.fullPath]
+      })
+  }
+
+  getDownloadURL () {
+    return this._getFile().then(() => this._getDownloadURL())
+  }
+
+  getMetadata () {
+    return this._getFile()
+  }
+
+  toString () {
+    return `gs://${this.bucket}/${this.fullPath}`
+  }
+}
+
+/**
+ * @private
+ * @description In memory storage (mirrors Storage)
+ * @param {Object} options - Options object
+ * @param {String} options.storageBucket - Name of storage bucket
+ */
+export class MockStorage {
+  constructor ({ storageBucket = 'mock.appspot.com' } = {}) {
+    this._bucket = storageBucket
+    this._files = {}
+    this._errors = {}
+  }
+
+  ref (path) {
+    return new MockStorageReference(this, pathToArr(path))
+  }
+
+  /**
+   * @description Cause uploads to a path (and its children) to fail
+   * @param {String} path - Path at which uploads should fail
+   */
+  denyWrite (path) {
+    this._errors[pathToArr(path).join('/')] = createStorageError('storage/unauthorized', `Firebase Storage: User does not have permission to access '${path}'.`)
+  }
+
+  _getError (fullPath) {
+    const pathArr = pathToArr(fullPath)
+    for (let i = pathArr.length; i >= 0; i--) {
+      const error = this._errors[pathArr.slice(0, i).join('/')]
+      if (error) return error
+    }
+    return null
+  }
+}
+
+export default MockStorage
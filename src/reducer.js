@@ -1,152 +1,124 @@
-import { fromJS } from 'immutable'
-import { dropRight } from 'lodash'
-import { actionTypes, paramSplitChar } from './constants'
-
-const {
-  START,
-  SET,
-  SET_PROFILE,
-  LOGIN,
-  LOGOUT,
-  LOGIN_ERROR,
-  NO_VALUE,
-  AUTHENTICATION_INIT_STARTED,
-  AUTHENTICATION_INIT_FINISHED,
-  UNAUTHORIZED_ERROR
-} = actionTypes
+import { omit, reduce } from 'lodash'
+import { getIn, immutableState, plainState } from './utils/state'
+import reducers from './reducers'
 
 const emptyState = {
   auth: undefined,
   authError: undefined,
   profile: undefined,
+  phoneAuth: undefined,
+  authStatus: {},
   isInitializing: undefined,
   data: {},
   timestamp: {},
   requesting: {},
-  requested: {}
+  requested: {},
+  storage: {},
+  pendingWrites: {},
+  pagination: {},
+  queries: {},
+  ordered: {}
 }
 
-const initialState = fromJS(emptyState)
+/**
+ * @name createFirebaseStateReducer
+ * @description Create reducer for react redux firebase. Each part of state
+ * (`auth`, `authError`, `profile`, `phoneAuth`, `authStatus`, `isInitializing`,
+ * `data`, `timestamp`, `requesting`, `requested`, `storage`, `pendingWrites`,
+ * `pagination`, `queries`, and `ordered`) is handled by its own reducer (see `reducers`). State is
+ * stored within Immutable Maps by default. When
+ * `immutable` is `false`, state is stored as plain objects which keep their
+ * reference unless data within them changes (useful with memoized selectors
+ * such as those from reselect). All helpers (i.e. `dataToJS`) work with
+ * either type of state.
+ * @param {Object} config - Reducer config
+ * @param {Boolean} config.immutable - Whether or not to store state within
+ * Immutable Maps (default: `true`)
+ * @param {Object} config.reducers - Reducers by state key which replace or
+ * are added to default reducers. Each is called with its part of state and
+ * the action (values returned are converted to Immutable in immutable mode).
+ * @return {Function} Reducer
+ * @example <caption>Plain JS State</caption>
+ * import { combineReducers } from 'redux'
+ * import { createFirebaseStateReducer } from 'react-redux-firebase'
+ *
+ * const rootReducer = combineReducers({
+ *   firebase: createFirebaseStateReducer({ immutable: false })
+ * })
+ * @example <caption>Custom Profile Reducer</caption>
+ * import { createFirebaseStateReducer, constants } from 'react-redux-firebase'
+ * const { actionTypes } = constants
+ *
+ * const profile = (state = null, action) =>
+ *   action.type === actionTypes.SET_PROFILE
+ *     ? { ...action.profile, loadedAt: Date.now() }
+ *     : state
+ *
+ * const rootReducer = combineReducers({
+ *   firebase: createFirebaseStateReducer({ reducers: { profile } })
+ * })
+ */
+export const createFirebaseStateReducer = ({ immutable = true, reducers: customReducers } = {}) => {
+  const { create, setIn, deleteIn } = immutable
+    ? immutableState
+    : plainState
+
+  const sliceReducers = Object.assign({}, reducers, customReducers)
+
+  const initialState = create(emptyState)
+
+  /**
+   * @name firebaseStateReducer
+   * @description Reducer for react redux firebase. This function is called
+   * automatically by redux every time an action is fired. Based on which action
+   * is called and its payload, the reducer will update redux state with relevant
+   * changes.
+   * @param {Map|Object} state - Current Redux State
+   * @param {Object} action - Action which will modify state
+   * @param {String} action.type - Type of Action being called
+   * @param {String} action.data - Type of Action which will modify state
+   * @param {String} action.appName - Name of Firebase app (state for named apps
+   * is stored under app name)
+   * @param {Boolean} action.preserveData - Whether or not to keep data when
+   * logging out (used for initial auth state)
+   * @return {Map|Object} Redux State.
+   */
+  const firebaseStateReducer = (state = initialState, action = {}) => {
+    const { appName } = action
+
+    // Handle actions from named apps within each app's state
+    if (appName) {
+      return setIn(
+        state,
+        [appName],
+        firebaseStateReducer(getIn(state, [appName]), omit(action, ['appName']))
+      )
+    }
+
+    return reduce(sliceReducers, (retVal, sliceReducer, key) => {
+      const prevSlice = getIn(state, [key])
+      const slice = sliceReducer(prevSlice, action)
+      if (slice === prevSlice) {
+        return retVal
+      }
+      // State may be passed as plain JS (i.e. preloaded state)
+      return slice !== undefined
+        ? setIn(create(retVal), [key], slice)
+        : deleteIn(create(retVal), [key])
+    }, state)
+  }
 
-const pathToArr = path => path ? path.split(/\//).filter(p => !!p) : []
+  return firebaseStateReducer
+}
 
 /**
  * @name firebaseStateReducer
- * @description Reducer for react redux firebase. This function is called
- * automatically by redux every time an action is fired. Based on which action
- * is called and its payload, the reducer will update redux state with relevant
- * changes.
+ * @description Reducer for react redux firebase which stores state within
+ * Immutable Maps. Use `createFirebaseStateReducer` to store plain JS instead.
  * @param {Map} state - Current Redux State
  * @param {Object} action - Action which will modify state
- * @param {String} action.type - Type of Action being called
- * @param {String} action.data - Type of Action which will modify state
  * @return {Map} Redux State.
  */
-export default (state = initialState, action = {}) => {
-  const { path, timestamp, requesting, requested } = action
-  let pathArr
-  let retVal
-
-  switch (action.type) {
-
-    case START:
-      pathArr = pathToArr(path)
-      retVal = (requesting !== undefined)
-         ? state.setIn(['requesting', pathArr.join(paramSplitChar)], fromJS(requesting))
-         : state.deleteIn(['requesting', pathArr.join(paramSplitChar)])
-
-      retVal = (requested !== undefined)
-         ? retVal.setIn(['requested', pathArr.join(paramSplitChar)], fromJS(requested))
-         : retVal.deleteIn(['requested', pathArr.join(paramSplitChar)])
-
-      return retVal
-
-    case SET:
-      const { data } = action
-
-      pathArr = pathToArr(path)
-
-      // Handle invalid keyPath error caused by deep setting to a null value
-      if (data !== undefined && state.getIn(['data', ...pathArr]) === null) {
-        retVal = state.deleteIn(['data', ...pathArr])
-      } else if (state.getIn(dropRight(['data', ...pathArr])) === null) {
-        retVal = state.deleteIn(dropRight(['data', ...pathArr]))
-      } else {
-        retVal = state // start with state
-      }
-
-      retVal = (data !== undefined)
-        ? retVal.setIn(['data', ...pathArr], fromJS(data))
-        : retVal.deleteIn(['data', ...pathArr])
-
-      retVal = (timestamp !== undefined)
-        ? retVal.setIn(['timestamp', pathArr.join(paramSplitChar)], fromJS(timestamp))
-        : retVal.deleteIn(['timestamp', pathArr.join(paramSplitChar)])
-
-      retVal = (requesting !== undefined)
-        ? retVal.setIn(['requesting', pathArr.join(paramSplitChar)], fromJS(requesting))
-        : retVal.deleteIn(['requesting', pathArr.join(paramSplitChar)])
+const firebaseStateReducer = createFirebaseStateReducer()
 
-      retVal = (requested !== undefined)
-        ? retVal.setIn(['requested', pathArr.join(paramSplitChar)], fromJS(requested))
-        : retVal.deleteIn(['requested', pathArr.join(paramSplitChar)])
-
-      return retVal
-
-    case NO_VALUE:
-      pathArr = pathToArr(path)
-      retVal = state.setIn(['data', ...pathArr], fromJS({}))
-
-      retVal = (timestamp !== undefined)
-        ? retVal.setIn(['timestamp', pathArr.join(paramSplitChar)], fromJS(timestamp))
-        : retVal.deleteIn(['timestamp', pathArr.join(paramSplitChar)])
-
-      retVal = (requesting !== undefined)
-        ? retVal.setIn(['requesting', pathArr.join(paramSplitChar)], fromJS(requesting))
-        : retVal.deleteIn(['requesting', pathArr.join(paramSplitChar)])
-
-      retVal = (requested !== undefined)
-        ? retVal.setIn(['requested', pathArr.join(paramSplitChar)], fromJS(requested))
-        : retVal.deleteIn(['requested', pathArr.join(paramSplitChar)])
-
-      return retVal
-
-    case SET_PROFILE:
-      return (action.profile !== undefined)
-        ? state.setIn(['profile'], fromJS(action.profile))
-        : state.deleteIn(['profile'])
-
-    case LOGOUT:
-      return fromJS({
-        auth: null,
-        authError: null,
-        profile: null,
-        isLoading: false,
-        data: {}
-      })
-
-    case LOGIN:
-      return state.setIn(['auth'], fromJS(action.auth))
-                  .setIn(['authError'], null)
-
-    case LOGIN_ERROR:
-      return state
-              .setIn(['authError'], action.authError)
-              .setIn(['auth'], null)
-              .setIn(['profile'], null)
-
-    case AUTHENTICATION_INIT_STARTED:
-      return initialState.setIn(['isInitializing'], true)
-    // return state.setIn(['isInitializing'], true) // throws state.setIn not a function error
-
-    case AUTHENTICATION_INIT_FINISHED:
-      return state.setIn(['isInitializing'], false)
-
-    case UNAUTHORIZED_ERROR:
-      return state.setIn(['authError'], action.authError)
-
-    default:
-      return state
-
-  }
-}
+export default firebaseStateReducer
@@ -0,0 +1,578 @@
+import { dropRight, isObject, omit, reduce } from 'lodash'
+import { actionTypes, paramSplitChar } from './constants'
+import { getIn, getStateOps } from './utils/state'
+
+const {
+  START,
+  SET,
+  SET_PROFILE,
+  LOGIN,
+  LOGOUT,
+  LOGIN_ERROR,
+  NO_VALUE,
+  AUTHENTICATION_INIT_STARTED,
+  AUTHENTICATION_INIT_FINISHED,
+  UNAUTHORIZED_ERROR,
+  FILE_UPLOAD_START,
+  FILE_UPLOAD_ERROR,
+  FILE_UPLOAD_PROGRESS,
+  FILE_UPLOAD_COMPLETE,
+  OPTIMISTIC_WRITE,
+  OPTIMISTIC_WRITE_COMPLETE,
+  OPTIMISTIC_WRITE_ERROR,
+  PHONE_CODE_SENT,
+  PHONE_CODE_CONFIRMED,
+  AUTH_ACTION_START,
+  AUTH_ACTION_SUCCESS,
+  AUTH_ACTION_ERROR,
+  AUTH_TOKEN_REFRESHED,
+  SET_PAGINATION,
+  CLEAR_PAGINATION,
+  CLEAR_QUERY,
+  CHILD_ADDED,
+  CHILD_CHANGED,
+  CHILD_MOVED,
+  CHILD_REMOVED
+} = actionTypes
+
+const childEventTypes = [CHILD_ADDED, CHILD_CHANGED, CHILD_MOVED, CHILD_REMOVED]
+
+const pathToArr = path => path ? path.split(/\//).filter(p => !!p) : []
+
+// Set value at key path (deleting it if value is undefined)
+const setOrDelete = (state, keyPath, value) => {
+  const { setIn, deleteIn } = getStateOps(state)
+  return value !== undefined
+    ? setIn(state, keyPath, value)
+    : deleteIn(state, keyPath)
+}
+
+/**
+ * @description Set token state (`claims` and `tokenExpirationTime`) within
+ * auth
+ * @param {Map|Object} auth - Auth state
+ * @param {Object} claims - Claims decoded from ID token
+ * @param {Number} expirationTime - Time token expires (in milliseconds)
+ * @return {Map|Object} Auth with token state
+ * @private
+ */
+const setTokenState = (auth, claims, expirationTime) => {
+  const { setIn } = getStateOps(auth)
+  return setIn(setIn(auth, ['claims'], claims), ['tokenExpirationTime'], expirationTime)
+}
+
+/**
+ * @description Reducer for auth state. Changed by `LOGIN`, `LOGOUT`,
+ * `LOGIN_ERROR`, and `AUTH_TOKEN_REFRESHED` actions (auth is kept on
+ * `LOGIN_ERROR` if `action.preserveAuth` is true). Token state is kept when
+ * auth of the same user is updated by `LOGIN`.
+ * @param {Map|Object} state - Current auth state
+ * @param {Object} action - Object containing the action that was dispatched
+ * @return {Map|Object} Auth state after reduction
+ */
+export const authReducer = (state, action) => {
+  switch (action.type) {
+    case LOGIN:
+      return action.auth &&
+        getIn(state, ['uid']) === action.auth.uid &&
+        getIn(state, ['claims']) !== undefined
+        ? setTokenState(
+          action.auth,
+          getIn(state, ['claims']),
+          getIn(state, ['tokenExpirationTime'])
+        )
+        : action.auth
+    case AUTH_TOKEN_REFRESHED:
+      // Token of user who is no longer logged in is ignored
+      return state && getIn(state, ['uid']) === action.uid
+        ? setTokenState(state, action.claims, action.expirationTime)
+        : state
+    case LOGOUT:
+      return null
+    case LOGIN_ERROR:
+      return action.preserveAuth ? state : null
+    default:
+      return state
+  }
+}
+
+/**
+ * @description Reducer for auth errors. Changed by `LOGIN`, `LOGOUT`,
+ * `LOGIN_ERROR`, and `UNAUTHORIZED_ERROR` actions.
+ * @param {Object} state - Current authError state
+ * @param {Object} action - Object containing the action that was dispatched
+ * @return {Object} authError state after reduction
+ */
+export const authErrorReducer = (state, action) => {
+  switch (action.type) {
+    case LOGIN:
+    case LOGOUT:
+      return null
+    case LOGIN_ERROR:
+    case UNAUTHORIZED_ERROR:
+      return action.authError
+    default:
+      return state
+  }
+}
+
+/**
+ * @description Reducer for profile state. Changed by `SET_PROFILE`, `LOGIN`,
+ * `LOGOUT`, and `LOGIN_ERROR` actions (profile is kept on `LOGIN_ERROR` if
+ * `action.preserveAuth` is true). Profile cleared by logout is set back to
+ * not loaded (`undefined`) on `LOGIN` until the new user's profile is set.
+ * @param {Map|Object} state - Current profile state
+ * @param {Object} action - Object containing the action that was dispatched
+ * @return {Map|Object} Profile state after reduction
+ */
+export const profileReducer = (state, action) => {
+  switch (action.type) {
+    case SET_PROFILE:
+      return action.profile
+    case LOGIN:
+      return state === null ? undefined : state
+    case LOGOUT:
+      return null
+    case LOGIN_ERROR:
+      return action.preserveAuth ? state : null
+    default:
+      return state
+  }
+}
+
+/**
+ * @description Reducer for phone auth state (verification code sent to a
+ * phone number which has not yet been confirmed). Changed by
+ * `PHONE_CODE_SENT`, `PHONE_CODE_CONFIRMED`, and `LOGOUT` actions.
+ * @param {Map|Object} state - Current phoneAuth state
+ * @param {Object} action - Object containing the action that was dispatched
+ * @return {Map|Object} phoneAuth state after reduction
+ */
+export const phoneAuthReducer = (state, action) => {
+  switch (action.type) {
+    case PHONE_CODE_SENT:
+      return {
+        phoneNumber: action.phoneNumber,
+        verificationId: action.verificationId,
+        codeSent: true
+      }
+    case PHONE_CODE_CONFIRMED:
+    case LOGOUT:
+      return null
+    default:
+      return state
+  }
+}
+
+/**
+ * @description Reducer for status of account management actions by method
+ * name (i.e. `authStatus.updateEmail` contains `inProgress`, `succeeded`, and
+ * `error`). Changed by `AUTH_ACTION_START`, `AUTH_ACTION_SUCCESS`, and
+ * `AUTH_ACTION_ERROR` actions.
+ * @param {Map|Object} state - Current authStatus state
+ * @param {Object} action - Object containing the action that was dispatched
+ * @return {Map|Object} authStatus state after reduction
+ */
+export const authStatusReducer = (state, action) => {
+  const { setIn } = getStateOps(state)
+
+  switch (action.type) {
+    case AUTH_ACTION_START:
+      return setIn(state, [action.method], { inProgress: true, succeeded: false, error: null })
+    case AUTH_ACTION_SUCCESS:
+      return setIn(state, [action.method], { inProgress: false, succeeded: true, error: null })
+    case AUTH_ACTION_ERROR:
+      return setIn(state, [action.method], { inProgress: false, succeeded: false, error: action.payload })
+    default:
+      return state
+  }
+}
+
+/**
+ * @description Reducer for isInitializing state. Changed by
+ * `AUTHENTICATION_INIT_STARTED` and `AUTHENTICATION_INIT_FINISHED` actions.
+ * @param {Boolean} state - Current isInitializing state
+ * @param {Object} action - Object containing the action that was dispatched
+ * @return {Boolean} isInitializing state after reduction
+ */
+export const isInitializingReducer = (state, action) => {
+  switch (action.type) {
+    case AUTHENTICATION_INIT_STARTED:
+      return true
+    case AUTHENTICATION_INIT_FINISHED:
+      return false
+    default:
+      return state
+  }
+}
+
+/**
+ * @private
+ * @description Set data at path within data state (deleting it if data is
+ * undefined)
+ * @param {Map|Object} state - Current data state
+ * @param {String} path - Path of data
+ * @param {Any} data - Data to set at path
+ * @return {Map|Object} Data state with data set
+ */
+const setData = (state, path, data) => {
+  const { getIn, deleteIn, create } = getStateOps(state)
+  const pathArr = pathToArr(path)
+  let retVal
+
+  // Replace all data when setting root path
+  if (!pathArr.length) {
+    return create(data !== undefined ? data : {})
+  }
+
+  // Handle invalid keyPath error caused by deep setting to a null value
+  if (data !== undefined && getIn(state, pathArr) === null) {
+    retVal = deleteIn(state, pathArr)
+  } else if (pathArr.length > 1 && getIn(state, dropRight(pathArr)) === null) {
+    retVal = deleteIn(state, dropRight(pathArr))
+  } else {
+    retVal = state // start with state
+  }
+
+  return setOrDelete(retVal, pathArr, data)
+}
+
+// Apply changes from a write (null values are removed like in Firebase)
+const applyChanges = (state, changes) =>
+  reduce(changes, (retVal, { path, data }) =>
+    setData(retVal, path, data === null ? undefined : data),
+    state
+  )
+
+/**
+ * @private
+ * @description Set results of a query within data state. Children are merged
+ * into data at path (so results of other queries of the path are kept) and
+ * children which are no longer within results are removed.
+ * @param {Map|Object} state - Current data state
+ * @param {Object} action - `SET` or `NO_VALUE` action containing `queryId`
+ * @return {Map|Object} Data state with results set
+ */
+const setQueryData = (state, { path, data, removedKeys }) => {
+  const current = getStateOps(state).getIn(state, pathToArr(path))
+  const withResults = reduce(
+    data,
+    (retVal, child, key) => setData(retVal, `${path}/${key}`, child),
+    isObject(current) ? state : setData(state, path, {})
+  )
+  return removeChildren(withResults, path, removedKeys)
+}
+
+// Remove children at path by key
+const removeChildren = (state, path, keys) =>
+  reduce(keys, (retVal, key) => setData(retVal, `${path}/${key}`, undefined), state)
+
+/**
+ * @private
+ * @description Apply a child event to data state. Child is set at path (i.e.
+ * `todos/key`) or removed on `CHILD_REMOVED`. Children of queries are only
+ * removed once they are not within results of other queries (`removedKeys`).
+ * @param {Map|Object} state - Current data state
+ * @param {Object} action - Child event action
+ * @return {Map|Object} Data state with child event applied
+ */
+const setChildData = (state, { type, path, key, data, queryId, removedKeys }) => {
+  const childPath = `${path}/${key}`
+  if (type !== CHILD_REMOVED) {
+    return removeChildren(setData(state, childPath, data), path, removedKeys)
+  }
+  return queryId
+    ? removeChildren(state, path, removedKeys)
+    : setData(state, childPath, undefined)
+}
+
+/**
+ * @description Reducer for data state. Changed by `SET`, `NO_VALUE`, and
+ * `LOGOUT` actions (data is kept on `LOGOUT` if `action.preserveData` is true).
+ * Results of queries (actions containing `queryId`) are merged into data at
+ * path. Child events (`CHILD_ADDED`, `CHILD_CHANGED`, `CHILD_MOVED`, and
+ * `CHILD_REMOVED`) are applied to the child at path. Optimistic writes are applied on `OPTIMISTIC_WRITE` and rolled back to
+ * server values on `OPTIMISTIC_WRITE_ERROR`.
+ * @param {Map|Object} state - Current data state
+ * @param {Object} action - Object containing the action that was dispatched
+ * @return {Map|Object} Data state after reduction
+ */
+export const dataReducer = (state, action) => {
+  const { setIn, create } = getStateOps(state)
+
+  switch (action.type) {
+    case SET:
+      return action.queryId
+        ? setQueryData(state, action)
+        : setData(state, action.path, action.data)
+
+    case NO_VALUE:
+      return action.queryId
+        ? setQueryData(state, action)
+        : setIn(state, pathToArr(action.path), {})
+
+    case CHILD_ADDED:
+    case CHILD_CHANGED:
+    case CHILD_MOVED:
+    case CHILD_REMOVED:
+      return setChildData(state, action)
+
+    case OPTIMISTIC_WRITE:
+      return applyChanges(state, action.changes)
+
+    case OPTIMISTIC_WRITE_ERROR:
+      return applyChanges(state, action.rollback)
+
+    case LOGOUT:
+      return action.preserveData ? state : create({})
+
+    default:
+      return state
+  }
+}
+
+/**
+ * @description Create reducer for a meta parameter stored by path string
+ * (i.e. `requesting/todos`) instead of full path
+ * @param {String} metaName - Name of meta parameter within actions
+ * (`timestamp`, `requesting`, or `requested`)
+ * @param {Array} types - Action types which change meta parameter
+ * @return {Function} Reducer for meta parameter
+ * @private
+ */
+const createMetaReducer = (metaName, types) => (state, action) => {
+  if (types.indexOf(action.type) !== -1) {
+    return setOrDelete(
+      state,
+      [pathToArr(action.path).join(paramSplitChar)],
+      action[metaName]
+    )
+  }
+  if (action.type === LOGOUT && !action.preserveData) {
+    return getStateOps(state).create({})
+  }
+  return state
+}
+
+/**
+ * @description Reducer for timestamp state (time data for each path was last
+ * set). Changed by `SET`, `NO_VALUE`, child event, and `LOGOUT` actions.
+ * @param {Map|Object} state - Current timestamp state
+ * @param {Object} action - Object containing the action that was dispatched
+ * @return {Map|Object} Timestamp state after reduction
+ */
+export const timestampReducer = createMetaReducer('timestamp', [SET, NO_VALUE, ...childEventTypes])
+
+/**
+ * @description Reducer for requesting state (whether or not each path is
+ * being loaded). Changed by `START`, `SET`, `NO_VALUE`, child event, and
+ * `LOGOUT` actions.
+ * @param {Map|Object} state - Current requesting state
+ * @param {Object} action - Object containing the action that was dispatched
+ * @return {Map|Object} Requesting state after reduction
+ */
+export const requestingReducer = createMetaReducer('requesting', [START, SET, NO_VALUE, ...childEventTypes])
+
+/**
+ * @description Reducer for requested state (whether or not each path has
+ * been loaded). Changed by `START`, `SET`, `NO_VALUE`, child event, and
+ * `LOGOUT` actions.
+ * @param {Map|Object} state - Current requested state
+ * @param {Object} action - Object containing the action that was dispatched
+ * @return {Map|Object} Requested state after reduction
+ */
+export const requestedReducer = createMetaReducer('requested', [START, SET, NO_VALUE, ...childEventTypes])
+
+/**
+ * @description Reducer for storage state. Contains status of file uploads
+ * by upload path (i.e. `storage.uploads.images` contains `uploading`,
+ * `percent`, and `error`). Changed by `FILE_UPLOAD_START`,
+ * `FILE_UPLOAD_PROGRESS`, `FILE_UPLOAD_COMPLETE`, and `FILE_UPLOAD_ERROR`
+ * actions.
+ * @param {Map|Object} state - Current storage state
+ * @param {Object} action - Object containing the action that was dispatched
+ * @return {Map|Object} Storage state after reduction
+ */
+export const storageReducer = (state, action) => {
+  const { setIn } = getStateOps(state)
+  const path = action.path || (action.payload && action.payload.path)
+  const uploadPath = ['uploads', pathToArr(path).join(paramSplitChar)]
+
+  switch (action.type) {
+    case FILE_UPLOAD_START:
+      return setIn(state, uploadPath, { uploading: true, percent: 0 })
+    case FILE_UPLOAD_PROGRESS:
+      return setIn(state, uploadPath, { uploading: true, percent: action.payload.percent })
+    case FILE_UPLOAD_COMPLETE:
+      return setIn(state, uploadPath, { uploading: false, percent: 100 })
+    case FILE_UPLOAD_ERROR:
+      return setIn(state, uploadPath, { uploading: false, error: action.payload })
+    default:
+      return state
+  }
+}
+
+/**
+ * @description Reducer for writes which have not yet been applied by the
+ * server (by write id). Changed by `OPTIMISTIC_WRITE`,
+ * `OPTIMISTIC_WRITE_COMPLETE`, and `OPTIMISTIC_WRITE_ERROR` actions.
+ * @param {Map|Object} state - Current pendingWrites state
+ * @param {Object} action - Object containing the action that was dispatched
+ * @return {Map|Object} pendingWrites state after reduction
+ */
+export const pendingWritesReducer = (state, action) => {
+  switch (action.type) {
+    case OPTIMISTIC_WRITE:
+      return getStateOps(state).setIn(state, [action.write.id], action.write)
+    case OPTIMISTIC_WRITE_COMPLETE:
+    case OPTIMISTIC_WRITE_ERROR:
+      return getStateOps(state).deleteIn(state, [action.write.id])
+    default:
+      return state
+  }
+}
+
+/**
+ * @description Reducer for pagination state. Contains state of each
+ * paginated query by query id (`path`, `pageSize`, `pageCount`, `hasMore`,
+ * `hasPrevious`, `startCursor`, and `endCursor`). Changed by
+ * `SET_PAGINATION`, `CLEAR_PAGINATION`, and `LOGOUT` actions.
+ * @param {Map|Object} state - Current pagination state
+ * @param {Object} action - Object containing the action that was dispatched
+ * @return {Map|Object} Pagination state after reduction
+ */
+export const paginationReducer = (state, action) => {
+  const { setIn, deleteIn, create } = getStateOps(state)
+  switch (action.type) {
+    case SET_PAGINATION:
+      return setIn(state, [action.queryId], omit(action, ['type', 'queryId']))
+    case CLEAR_PAGINATION:
+      return deleteIn(state, [action.queryId])
+    case LOGOUT:
+      return action.preserveData ? state : create({})
+    default:
+      return state
+  }
+}
+
+/**
+ * @description Reducer for queries state. Contains results of each query by
+ * query id (`path` of query and `keys` of children within results in order).
+ * Data of children is stored at path within data state. Changed by `SET`,
+ * `NO_VALUE`, child event, `CLEAR_QUERY`, and `LOGOUT` actions.
+ * @param {Map|Object} state - Current queries state
+ * @param {Object} action - Object containing the action that was dispatched
+ * @return {Map|Object} Queries state after reduction
+ */
+export const queriesReducer = (state, action) => {
+  const { setIn, deleteIn, create } = getStateOps(state)
+  switch (action.type) {
+    case SET:
+    case NO_VALUE:
+    case CHILD_ADDED:
+    case CHILD_CHANGED:
+    case CHILD_MOVED:
+    case CHILD_REMOVED:
+      return action.queryId
+        ? setIn(state, [action.queryId], { path: action.path, keys: action.keys })
+        : state
+    case CLEAR_QUERY:
+      return deleteIn(state, [action.queryId])
+    case LOGOUT:
+      return action.preserveData ? state : create({})
+    default:
+      return state
+  }
+}
+
+/**
+ * @private
+ * @description Apply a child event action to the list of children at a key
+ * path of state (in place for Immutable Lists and arrays, so only the list is
+ * changed). Added and moved children are placed after the child with
+ * `previousKey` (first when it is null, last when it is not within list).
+ * @param {Map|Object} state - Current ordered state
+ * @param {Array} pathArr - Key path of list of children
+ * @param {Object} action - Child event action
+ * @return {Map|Object} State after child event
+ */
+const applyOrderedChildEvent = (state, pathArr, { type, key, data, previousKey }) => {
+  const { setIn, deleteIn, findIndexIn, sizeIn, insertIn } = getStateOps(state)
+  const hasKey = childKey => child => getIn(child, ['key']) === childKey
+  const child = { key, value: data }
+  const index = findIndexIn(state, pathArr, hasKey(key))
+  if (type === CHILD_CHANGED && index !== -1) {
+    return setIn(state, [...pathArr, index], child)
+  }
+  const others = index === -1 ? state : deleteIn(state, [...pathArr, index])
+  if (type === CHILD_REMOVED) {
+    return others
+  }
+  const previousIndex = previousKey
+    ? findIndexIn(others, pathArr, hasKey(previousKey))
+    : -1
+  const insertIndex = previousKey && previousIndex === -1
+    ? sizeIn(others, pathArr)
+    : previousIndex + 1
+  return insertIn(others, pathArr, insertIndex, child)
+}
+
+/**
+ * @description Reducer for ordered state. Contains children of each path (or
+ * query by query id) in order (array containing `key` and `value` of each
+ * child), which is lost within data state. Changed by `SET`, `NO_VALUE`,
+ * `CLEAR_QUERY`, and `LOGOUT` actions. Child events are applied to the
+ * children in order (added and moved children are placed after the child
+ * with `previousKey`).
+ * @param {Map|Object} state - Current ordered state
+ * @param {Object} action - Object containing the action that was dispatched
+ * @return {Map|Object} Ordered state after reduction
+ */
+export const orderedReducer = (state, action) => {
+  const { setIn, deleteIn, create } = getStateOps(state)
+  const orderedKey = action.queryId || pathToArr(action.path).join(paramSplitChar)
+  switch (action.type) {
+    case SET:
+    case NO_VALUE:
+      return action.ordered
+        ? setIn(state, [orderedKey], action.ordered)
+        : state
+    case CHILD_ADDED:
+    case CHILD_CHANGED:
+    case CHILD_MOVED:
+    case CHILD_REMOVED:
+      return applyOrderedChildEvent(state, [orderedKey], action)
+    case CLEAR_QUERY:
+      return deleteIn(state, [action.queryId])
+    case LOGOUT:
+      return action.preserveData ? state : create({})
+    default:
+      return state
+  }
+}
+
+/**
+ * @description Reducers for each part of firebase state (by state key).
+ * These are combined by default within firebaseStateReducer. Reducers can be
+ * replaced or added using the `reducers` option of createFirebaseStateReducer.
+ * @type {Object}
+ */
+export const reducers = {
+  auth: authReducer,
+  authError: authErrorReducer,
+  profile: profileReducer,
+  phoneAuth: phoneAuthReducer,
+  authStatus: authStatusReducer,
+  isInitializing: isInitializingReducer,
+  data: dataReducer,
+  timestamp: timestampReducer,
+  requesting: requestingReducer,
+  requested: requestedReducer,
+  storage: storageReducer,
+  pendingWrites: pendingWritesReducer,
+  pagination: paginationReducer,
+  queries: queriesReducer,
+  ordered: orderedReducer
+}
+
+export default reducers
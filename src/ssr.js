@@ -0,0 +1,187 @@
+import { fromJS } from 'immutable'
+import { pickBy, some, values } from 'lodash'
+import { watchEvent } from './actions/query'
+import { createAppDispatch } from './utils'
+import { unsetWatcher } from './utils/query'
+import { getIn, getAppState } from './utils/state'
+
+/**
+ * @private
+ * @description Get internal firebase objects of all apps within store
+ * @param {Object} store - Redux store
+ * @return {Array} Internal firebase objects
+ */
+const getFirebaseInstances = (store) => {
+  const instances = store.firebaseApps
+    ? values(store.firebaseApps)
+    : [store.firebase]
+  if (!instances[0]) {
+    throw new Error('Firebase instance does not yet exist. Check your compose function.')
+  }
+  return instances
+}
+
+/**
+ * @private
+ * @description Get paths which have already been requested within state
+ * (i.e. state rehydrated after server side rendering)
+ * @param {Object} state - Redux state
+ * @param {String} stateName - Name of state where firebaseStateReducer is mounted
+ * @param {String} appName - Name of Firebase app (only for named apps)
+ * @return {Object} Map of preloaded paths
+ */
+export const getPreloadedPaths = (state, stateName, appName) => {
+  const appState = getAppState(state, stateName, appName)
+  return pickBy(dehydrate(getIn(appState, ['requested'])), r => r === true)
+}
+
+/**
+ * @private
+ * @description Whether or not any paths are being requested for an app
+ * @param {Object} store - Redux store
+ * @param {Object} firebase - Internal firebase object
+ * @return {Boolean}
+ */
+const isRequesting = (store, firebase) => {
+  const { config, appName } = firebase._
+  const appState = getAppState(store.getState(), config.firebaseStateName, appName)
+  return some(dehydrate(getIn(appState, ['requesting'])), r => r === true)
+}
+
+/**
+ * @private
+ * @description Wait for all requesting flags within store to be cleared
+ * @param {Object} store - Redux store
+ * @return {Promise} Resolves when nothing is being requested
+ */
+const waitForRequests = store =>
+  new Promise((resolve) => {
+    const instances = getFirebaseInstances(store)
+    const isDone = () => !some(instances, firebase => isRequesting(store, firebase))
+    if (isDone()) {
+      return resolve()
+    }
+    const unsubscribe = store.subscribe(() => {
+      if (isDone()) {
+        unsubscribe()
+        resolve()
+      }
+    })
+  })
+
+/**
+ * @private
+ * @description Load watch events once (instead of attaching listeners)
+ * @param {Object} firebase - Internal firebase object
+ * @param {Function} dispatch - Action dispatch function
+ * @param {Array} events - Watch events collected while rendering
+ * @return {Promise} Resolves when all events have been loaded
+ */
+const loadEvents = (firebase, dispatch, events) =>
+  Promise.all(
+    events.map(event =>
+      watchEvent(firebase, dispatch, Object.assign({}, event, { type: 'once' }))
+    )
+  ).then(() =>
+    // Clear watcher counts so the same store can be rendered again (results
+    // of queries, ordered children, and pagination are kept within state)
+    events.forEach(event =>
+      unsetWatcher(firebase, dispatch, 'once', event.path, event.queryId)
+    )
+  )
+
+/**
+ * @name dehydrate
+ * @description Convert firebase state into plain JS which can be serialized
+ * (i.e. with `JSON.stringify`) and sent to the client.
+ * @param {Map|Object} state - Firebase state (i.e. `state.firebase`)
+ * @return {Object} Serializable state
+ * @example
+ * import { dehydrate } from 'react-redux-firebase'
+ * const initialState = JSON.stringify({
+ *   firebase: dehydrate(store.getState().firebase)
+ * })
+ */
+export const dehydrate = state =>
+  state && state.toJS ? state.toJS() : state
+
+/**
+ * @name rehydrate
+ * @description Convert state created by `dehydrate` back into firebase state.
+ * Paths that are loaded within rehydrated state are not set to loading when
+ * `firebaseConnect` attaches listeners on the client. Not needed when using
+ * plain JS state (`createFirebaseStateReducer({ immutable: false })`).
+ * @param {Object} state - State created by dehydrate
+ * @return {Map} Firebase state
+ * @example
+ * import { createStore, compose } from 'redux'
+ * import { reactReduxFirebase, rehydrate } from 'react-redux-firebase'
+ * const initialState = {
+ *   firebase: rehydrate(window.__INITIAL_STATE__.firebase)
+ * }
+ * const store = compose(
+ *   reactReduxFirebase(fbConfig, config)
+ * )(createStore)(rootReducer, initialState)
+ */
+export const rehydrate = state => fromJS(state)
+
+/**
+ * @name preloadFirebaseData
+ * @description Load data for server side rendering. Render function is called
+ * to collect the paths of all components wrapped in `firebaseConnect`. Paths
+ * are then loaded once (no listeners are attached on the server) and the
+ * returned promise resolves after all requests have completed.
+ * @param {Object} store - Redux store created with reactReduxFirebase
+ * @param {Function} render - Function which renders the app (i.e. calls
+ * `renderToString`)
+ * @return {Promise} Resolves with serializable firebase state (see `dehydrate`)
+ * @example
+ * import { renderToString } from 'react-dom/server'
+ * import { Provider } from 'react-redux'
+ * import { preloadFirebaseData } from 'react-redux-firebase'
+ *
+ * const renderApp = () => renderToString(
+ *   <Provider store={store}><App /></Provider>
+ * )
+ *
+ * preloadFirebaseData(store, renderApp)
+ *   .then((firebaseState) => {
+ *     // render again now that data is loaded
+ *     const html = renderApp()
+ *     res.send(template(html, { firebase: firebaseState }))
+ *   })
+ */
+export const preloadFirebaseData = (store, render) => {
+  const instances = getFirebaseInstances(store)
+  let collected
+
+  instances.forEach((firebase) => {
+    firebase._.preloadEvents = []
+  })
+
+  try {
+    render()
+  } finally {
+    collected = instances.map((firebase) => {
+      const events = firebase._.preloadEvents
+      firebase._.preloadEvents = null
+      return events
+    })
+  }
+
+  return Promise.all(
+    instances.map((firebase, i) =>
+      loadEvents(
+        firebase,
+        createAppDispatch(store.dispatch, firebase._.appName),
+        collected[i]
+      )
+    )
+  )
+    .then(() => waitForRequests(store))
+    .then(() =>
+      dehydrate(store.getState()[store.firebase._.config.firebaseStateName])
+    )
+}
+
+export default { preloadFirebaseData, dehydrate, rehydrate }
@@ -25,3 +25,37 @@ export const wrapInDispatch = (dispatch, { method, args, types }) => {
       })
     })
 }
+
+/**
+ * @description Wrap method call in dispatched actions (same as
+ * `wrapInDispatch`, but errors are passed along instead of swallowed)
+ * @param {Function} dispatch - Action dispatch function
+ * @param {Object} opts - Options object
+ * @param {Function} opts.method - Method to call
+ * @param {Array} opts.args - Arguments to call method with
+ * @param {Array} opts.types - Action types array ([BEFORE, SUCCESS, FAILURE])
+ * @param {Object} opts.meta - Parameters included in each dispatched action
+ * (i.e. `path` and `value`)
+ * @return {Promise} Resolves with value returned by method (rejects with
+ * error after FAILURE action is dispatched)
+ * @private
+ */
+export const wrapInDispatchWithResult = (dispatch, { method, args, types, meta }) => {
+  dispatch(Object.assign({
+    type: types[0]
+  }, meta))
+  return method(...args)
+    .then((val) => {
+      dispatch(Object.assign({
+        type: types[1],
+        payload: val
+      }, meta))
+      return val
+    }, (err) => {
+      dispatch(Object.assign({
+        type: types[2],
+        payload: err
+      }, meta))
+      return Promise.reject(err)
+    })
+}
@@ -1,44 +1,98 @@
-import { capitalize, isArray, isString, isFunction } from 'lodash'
-import { supportedAuthProviders } from '../constants'
+import { isArray, isEmpty, isString, isFunction, uniq } from 'lodash'
+import { actionsPrefix, defaultAuthProviders } from '../constants'
+import { getSessionStorage } from './offline'
 
 /**
- * @description Get correct login method and params order based on provided credentials
+ * @description Get config of an auth provider by name from built in providers
+ * (i.e. google) and those registered with the `authProviders` config option
  * @param {Object} firebase - Internal firebase object
- * @param {String} providerName - Name of Auth Provider (i.e. google, github, facebook, twitter)
- * @param {Array|String} scopes - List of scopes to add to auth provider
+ * @param {String} providerName - Name of Auth Provider
+ * @return {Object|undefined} Provider config (containing `providerId`,
+ * `scopes`, and `customParameters`)
+ * @private
+ */
+export const getAuthProviderConfig = (firebase, providerName) => {
+  const name = providerName.toLowerCase()
+  const authProviders = (firebase._ && firebase._.config.authProviders) || {}
+  const defaults = defaultAuthProviders[name]
+  const custom = authProviders[providerName] || authProviders[name]
+  if (!defaults && !custom) {
+    return undefined
+  }
+  return Object.assign({ providerId: name }, defaults, custom)
+}
+
+/**
+ * @description Create instance of provider class for provider config.
+ * Registered providers without a `providerClass` are generic OAuth/OIDC
+ * (`OAuthProvider`) or SAML (`SAMLAuthProvider`) providers based on `type`.
+ * @param {Object} firebase - Internal firebase object
+ * @param {Object} providerConfig - Provider config
  * @return {Object} provider - Auth Provider
  * @private
  */
-export const createAuthProvider = (firebase, providerName, scopes) => {
-  // TODO: Verify scopes are valid before adding
-  // TODO: Validate parameter inputs
-  // Verify providerName is valid
-  if (supportedAuthProviders.indexOf(providerName.toLowerCase()) === -1) {
-    throw new Error(`${providerName} is not a valid Auth Provider`)
+const createProviderInstance = (firebase, { providerId, providerClass, type }) => {
+  if (providerClass) {
+    return new firebase.auth[providerClass]()
+  }
+  const ProviderClass = type === 'saml'
+    ? firebase.auth.SAMLAuthProvider
+    : firebase.auth.OAuthProvider
+  if (!isFunction(ProviderClass)) {
+    throw new Error(`${type || 'oauth'} providers are not supported by this version of Firebase`)
   }
-  const provider = new firebase.auth[`${capitalize(providerName)}AuthProvider`]()
+  return new ProviderClass(providerId)
+}
 
-  // Handle providers without scopes
-  if (providerName.toLowerCase() === 'twitter' || !isFunction(provider.addScope)) {
-    return provider
+/**
+ * @description Create auth provider with scopes and custom parameters
+ * @param {Object} firebase - Internal firebase object
+ * @param {String} providerName - Name of Auth Provider (i.e. google, github,
+ * facebook, twitter, or name registered with `authProviders` config option)
+ * @param {Array|String} scopes - List of scopes to add to auth provider (in
+ * addition to default scopes of provider)
+ * @param {Object} customParameters - Custom OAuth parameters (i.e. `prompt`,
+ * `hd`, `login_hint`) merged over those of provider config
+ * @return {Object} provider - Auth Provider
+ * @private
+ */
+export const createAuthProvider = (firebase, providerName, scopes, customParameters) => {
+  const providerConfig = getAuthProviderConfig(firebase, providerName)
+  if (!providerConfig) {
+    throw new Error(`${providerName} is not a valid Auth Provider`)
   }
+  const provider = createProviderInstance(firebase, providerConfig)
 
-  provider.addScope('email')
+  // Handle providers without scopes (i.e. twitter and SAML)
+  if (isFunction(provider.addScope)) {
+    const allScopes = (providerConfig.scopes || [])
+      .concat(isArray(scopes) || isString(scopes) ? scopes : [])
+    uniq(allScopes).forEach(scope => {
+      provider.addScope(scope)
+    })
+  }
 
-  if (scopes) {
-    if (isArray(scopes)) {
-      scopes.forEach(scope => {
-        provider.addScope(scope)
-      })
-    }
-    if (isString(scopes)) {
-      provider.addScope(scopes)
-    }
+  const params = Object.assign({}, providerConfig.customParameters, customParameters)
+  if (!isEmpty(params) && isFunction(provider.setCustomParameters)) {
+    provider.setCustomParameters(params)
   }
 
   return provider
 }
 
+/**
+ * @description Get id of auth provider from its name (i.e. google.com for
+ * google). Provider ids are returned as is.
+ * @param {Object} firebase - Internal firebase object
+ * @param {String} provider - Provider name or id
+ * @return {String} Provider id
+ * @private
+ */
+export const getProviderId = (firebase, provider) => {
+  const providerConfig = getAuthProviderConfig(firebase, provider)
+  return providerConfig ? providerConfig.providerId : provider
+}
+
 /**
  * @description Get correct login method and params order based on provided credentials
  * @param {Object} firebase - Internal firebase object
@@ -49,9 +103,16 @@ export const createAuthProvider = (firebase, providerName, scopes) => {
  * @param {String} credentials.type - Popup or redirect (only needed for 3rd party provider login)
  * @param {String} credentials.token - Custom or provider token
  * @param {String} credentials.scopes - Scopes to add to provider (i.e. email)
+ * @param {Object} credentials.customParameters - Custom OAuth parameters for
+ * provider (i.e. `{ login_hint: 'user@example.com' }`)
+ * @param {String} credentials.phoneNumber - Phone number to send verification
+ * code to (only needed for phone login)
+ * @param {Object} credentials.applicationVerifier - Verifier such as
+ * RecaptchaVerifier (only needed for phone login)
+ * @param {Boolean} credentials.anonymous - Whether or not to login anonymously
  * @private
  */
-export const getLoginMethodAndParams = (firebase, {email, password, provider, type, token, scopes}) => {
+export const getLoginMethodAndParams = (firebase, {email, password, provider, type, token, scopes, customParameters, phoneNumber, applicationVerifier, anonymous}) => {
   if (provider) {
     if (token) {
       return {
@@ -59,7 +120,7 @@ export const getLoginMethodAndParams = (firebase, {email, password, provider, ty
         params: [ provider, token ]
       }
     }
-    const authProvider = createAuthProvider(firebase, provider, scopes)
+    const authProvider = createAuthProvider(firebase, provider, scopes, customParameters)
     if (type === 'popup') {
       return {
         method: 'signInWithPopup',
@@ -71,6 +132,18 @@ export const getLoginMethodAndParams = (firebase, {email, password, provider, ty
       params: [ authProvider ]
     }
   }
+  if (anonymous) {
+    return {
+      method: 'signInAnonymously',
+      params: []
+    }
+  }
+  if (phoneNumber) {
+    return {
+      method: 'signInWithPhoneNumber',
+      params: [ phoneNumber, applicationVerifier ]
+    }
+  }
   if (token) {
     return {
       method: 'signInWithCustomToken',
@@ -83,4 +156,55 @@ export const getLoginMethodAndParams = (firebase, {email, password, provider, ty
   }
 }
 
+/**
+ * @description Key under which a pending anonymous upgrade is stored for an app
+ * @param {Object} firebase - Internal firebase object
+ * @return {String} Storage key
+ * @private
+ */
+const getPendingUpgradeKey = firebase =>
+  `${actionsPrefix}/pendingUpgrade${firebase._.appName ? `/${firebase._.appName}` : ''}`
+
+/**
+ * @description Mark upgrade of an anonymous user as pending until the result
+ * of linking with redirect is handled. Also written to sessionStorage (when
+ * available) since the page is reloaded by the redirect.
+ * @param {Object} firebase - Internal firebase object
+ * @param {Object} profile - Extra profile data to write once upgraded
+ * @private
+ */
+export const setPendingUpgrade = (firebase, profile) => {
+  const pendingUpgrade = { profile: profile || null }
+  firebase._.pendingUpgrade = pendingUpgrade
+  const storage = getSessionStorage()
+  if (!storage) {
+    return
+  }
+  try {
+    storage.setItem(getPendingUpgradeKey(firebase), JSON.stringify(pendingUpgrade))
+  } catch (err) {} // storage full or unavailable (only kept in memory)
+}
+
+/**
+ * @description Get and clear pending upgrade of an anonymous user
+ * @param {Object} firebase - Internal firebase object
+ * @return {Object|null} Pending upgrade (containing `profile`)
+ * @private
+ */
+export const takePendingUpgrade = (firebase) => {
+  const pendingUpgrade = firebase._.pendingUpgrade || null
+  firebase._.pendingUpgrade = null
+  const storage = getSessionStorage()
+  if (!storage) {
+    return pendingUpgrade
+  }
+  try {
+    const stored = storage.getItem(getPendingUpgradeKey(firebase))
+    storage.removeItem(getPendingUpgradeKey(firebase))
+    return pendingUpgrade || (stored ? JSON.parse(stored) : null)
+  } catch (err) {
+    return pendingUpgrade
+  }
+}
+
 export default { getLoginMethodAndParams }
@@ -1,6 +1,11 @@
 import { flatMap, isArray, isObject, isString, remove } from 'lodash'
 import { getPopulates } from './populate'
-import { getQueryIdFromPath } from './query'
+import {
+  getQueryIdFromPath,
+  getQueryDefinition,
+  definitionToQueryParams
+} from './query'
+import { validatePagination } from './pagination'
 
 /**
  * @description Convert path string to object with queryParams, path, and populates
@@ -27,6 +32,8 @@ export const pathStrToObj = (path) => {
       pathObj.populates = getPopulates(pathArray[1].split('&'))
       pathObj.queryParams = remove(pathArray[1].split('&'), (p) => p.indexOf('populate') === -1)
     }
+    // Throws for invalid query parameters before query is run
+    getQueryDefinition(pathObj.queryParams)
   }
   // if queryId does not exist, return original pathObj
   return pathObj
@@ -61,6 +68,27 @@ export const getEventsFromInput = paths =>
       }
       let strPath = path.path
 
+      // Paginated query (pages loaded with loadNextPage/loadPreviousPage)
+      if (path.pageSize !== undefined) {
+        validatePagination(path)
+        return [Object.assign({ type: 'value', isQuery: true }, path)]
+      }
+
+      // Query definition object (i.e. { orderByChild: 'createdAt' })
+      if (path.queryParams && !isArray(path.queryParams)) {
+        const queryParams = definitionToQueryParams(getQueryDefinition(path.queryParams))
+        return [
+          Object.assign(
+            {
+              type: 'value',
+              isQuery: true,
+              queryId: `${strPath}#${queryParams.join('&')}`
+            },
+            path
+          )
+        ]
+      }
+
       if (path.queryParams) {
         // append query params to path for queryId added in pathStrToObj
         strPath = `${strPath}#${path.queryParams.join('&')}`
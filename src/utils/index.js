@@ -1,4 +1,6 @@
 import { isFunction } from 'lodash'
+import { authPersistenceTypes } from '../constants'
+import { reservedProfileParams } from './roles'
 export { getEventsFromInput } from './events'
 
 /**
@@ -8,6 +10,38 @@ export { getEventsFromInput } from './events'
  */
 export const createCallable = f => isFunction(f) ? f : () => f
 
+/**
+ * @private
+ * @description Create dispatch function which includes name of Firebase app
+ * within each action (used to store state of named apps separately)
+ * @param {Function} dispatch - Action dispatch function
+ * @param {String} appName - Name of Firebase app
+ * @return {Function} Dispatch function
+ */
+export const createAppDispatch = (dispatch, appName) =>
+  !appName
+    ? dispatch
+    : action => dispatch(Object.assign({}, action, { appName }))
+
+/**
+ * @private
+ * @description Get internal firebase object of an app from store (primary
+ * app unless appName is provided). Throws if no app with appName exists.
+ * @param {Object} store - Redux store
+ * @param {String} appName - Name of Firebase app
+ * @return {Object} Internal firebase object
+ */
+export const getFirebaseInstance = (store, appName) => {
+  // single app stores do not have named apps (appName can not be matched)
+  const firebase = appName
+    ? store.firebaseApps && store.firebaseApps[appName]
+    : store.firebase
+  if (!firebase) {
+    throw new Error(`Firebase instance${appName ? ` for app "${appName}"` : ''} does not exist. Check your compose function.`)
+  }
+  return firebase
+}
+
 /**
  * @private
  * @description Validate config input
@@ -36,4 +70,12 @@ export const validateConfig = (config) => {
       throw new Error(`${p} parameter in react-redux-firebase config must be a function. check your compose function.`)
     }
   })
+
+  if (config.authPersistence && authPersistenceTypes.indexOf(config.authPersistence) === -1) {
+    throw new Error(`authPersistence parameter in react-redux-firebase config must be one of: ${authPersistenceTypes.join(', ')}.`)
+  }
+
+  if (config.profileRoleParam && reservedProfileParams.indexOf(config.profileRoleParam) !== -1) {
+    throw new Error(`profileRoleParam parameter in react-redux-firebase config can not be one of: ${reservedProfileParams.join(', ')} (reserved for loaded roles).`)
+  }
 }
@@ -0,0 +1,122 @@
+import { cloneDeepWith, isEqual, isObject, map, values } from 'lodash'
+import { actionsPrefix } from '../constants'
+
+const serverTimestamp = { '.sv': 'timestamp' }
+
+/**
+ * @private
+ * @description Get changes to data (path and new value of each) which are
+ * expected once a write is applied by the server. Server timestamps are
+ * replaced with time of write.
+ * @param {Object} write - Write object
+ * @param {String} write.method - Write method (set, push, update, or remove)
+ * @param {String} write.path - Path of write
+ * @param {Any} write.value - Value being written
+ * @param {String} write.id - Id of write (key of item for push)
+ * @param {Number} write.timestamp - Time of write
+ * @return {Array} Changes (objects containing path and data)
+ */
+export const getWriteChanges = ({ method, path, value, id, timestamp }) => {
+  const data = cloneDeepWith(value, v =>
+    isEqual(v, serverTimestamp) ? timestamp : undefined
+  )
+  switch (method) {
+    case 'push':
+      return [{ path: `${path}/${id}`, data }]
+    case 'update':
+      return map(data, (childData, childPath) =>
+        ({ path: `${path}/${childPath}`, data: childData })
+      )
+    case 'remove':
+      return [{ path, data: null }]
+    default:
+      return [{ path, data }]
+  }
+}
+
+/**
+ * @private
+ * @description Get localStorage if it is available
+ * @return {Object|null} localStorage (null if not available)
+ */
+export const getLocalStorage = () => {
+  try {
+    return typeof window !== 'undefined' && window.localStorage
+      ? window.localStorage
+      : null
+  } catch (err) { // localStorage access can throw (i.e. disabled cookies)
+    return null
+  }
+}
+
+/**
+ * @private
+ * @description Get sessionStorage if it is available
+ * @return {Object|null} sessionStorage (null if not available)
+ */
+export const getSessionStorage = () => {
+  try {
+    return typeof window !== 'undefined' && window.sessionStorage
+      ? window.sessionStorage
+      : null
+  } catch (err) { // sessionStorage access can throw (i.e. disabled cookies)
+    return null
+  }
+}
+
+/**
+ * @private
+ * @description Get storage used to persist write queue across reloads
+ * (`writeQueueStorage` config option or localStorage when available)
+ * @param {Object} config - Config object
+ * @return {Object|null} Storage (matching localStorage API)
+ */
+export const getQueueStorage = ({ writeQueueStorage }) =>
+  writeQueueStorage !== undefined
+    ? writeQueueStorage
+    : getLocalStorage()
+
+/**
+ * @private
+ * @description Key under which write queue is stored for an app
+ * @param {Object} firebase - Internal firebase object
+ * @return {String} Storage key
+ */
+const getQueueKey = firebase =>
+  `${actionsPrefix}/writeQueue${firebase._.appName ? `/${firebase._.appName}` : ''}`
+
+/**
+ * @private
+ * @description Load writes which have not yet been completed (persisted
+ * before last reload)
+ * @param {Object} firebase - Internal firebase object
+ * @return {Array} Pending writes
+ */
+export const loadWriteQueue = (firebase) => {
+  const storage = getQueueStorage(firebase._.config)
+  if (!storage) {
+    return []
+  }
+  try {
+    const queue = JSON.parse(storage.getItem(getQueueKey(firebase)))
+    return isObject(queue) ? values(queue) : []
+  } catch (err) {
+    return []
+  }
+}
+
+/**
+ * @private
+ * @description Persist pending writes (writes object kept within
+ * `firebase._.writeQueue`) so they can be replayed after a reload
+ * @param {Object} firebase - Internal firebase object
+ */
+export const saveWriteQueue = (firebase) => {
+  const storage = getQueueStorage(firebase._.config)
+  if (!storage) {
+    return
+  }
+  try {
+    storage.setItem(getQueueKey(firebase), JSON.stringify(firebase._.writeQueue))
+  } catch (err) {} // storage full or unavailable (queue is still kept in memory)
+}
@@ -0,0 +1,116 @@
+import { isUndefined, omit, omitBy } from 'lodash'
+import { getQueryDefinition } from './query'
+
+/**
+ * @private
+ * @description Validate paginated query definition (`pageSize` within a path
+ * definition object)
+ * @param {Object} definition - Path definition object
+ * @param {Number} definition.pageSize - Number of children within each page
+ * @param {String} definition.queryId - Id of query (used to load pages)
+ * @param {Array|Object} definition.queryParams - Query parameters
+ */
+export const validatePagination = ({ pageSize, queryId, queryParams, populates, type }) => {
+  if (typeof pageSize !== 'number' || pageSize % 1 !== 0 || pageSize < 1) {
+    throw new Error(`pageSize must be a positive integer (received ${JSON.stringify(pageSize)}).`)
+  }
+  if (!queryId) {
+    throw new Error('queryId is required for paginated queries (used to load pages).')
+  }
+  if (type && type !== 'value') {
+    throw new Error(`Paginated queries only support value events (received ${type}).`)
+  }
+  if (populates) {
+    throw new Error('populates are not supported within paginated queries.')
+  }
+  const definition = getQueryDefinition(queryParams || {})
+  if (definition.limitToFirst !== undefined || definition.limitToLast !== undefined) {
+    throw new Error('Paginated queries can not contain limitToFirst or limitToLast (pageSize is used instead).')
+  }
+}
+
+/**
+ * @private
+ * @description Get cursor of a child (value it is ordered by along with its
+ * key) within results of a query
+ * @param {Object} definition - Query definition
+ * @param {firebase.database.DataSnapshot} snap - Snapshot of child
+ * @return {Object} Cursor (containing `value` and `key`)
+ */
+export const getCursor = (definition, snap) => {
+  if (definition.orderByChild) {
+    return { value: snap.child(definition.orderByChild).val(), key: snap.key }
+  }
+  if (definition.orderByValue) {
+    return { value: snap.val(), key: snap.key }
+  }
+  if (definition.orderByPriority) {
+    return { value: snap.getPriority(), key: snap.key }
+  }
+  return { value: snap.key, key: snap.key }
+}
+
+/**
+ * @private
+ * @description Get query definition for loading a page. One child more than
+ * page size is loaded to tell if more children exist (children are ordered
+ * by key if no order is provided). Pages after or before a cursor start or
+ * end at the cursor, which is also loaded then removed from results.
+ * @param {Object} definition - Query definition of paginated query
+ * @param {Number} pageSize - Number of children within each page
+ * @param {String} direction - Which page to load (`first`, `last`, `next`,
+ * or `previous`)
+ * @param {Object} cursor - Cursor to load page after (`next`) or before
+ * (`previous`)
+ * @return {Object} Query definition
+ */
+export const getPageDefinition = (definition, pageSize, direction, cursor) => {
+  const { equalTo } = definition
+  const ordered = definition.orderByChild || definition.orderByValue || definition.orderByPriority
+  const base = omit(definition, ['startAt', 'endAt', 'equalTo'])
+  if (!ordered) {
+    base.orderByKey = true
+  }
+  // Key can not be passed along with value when ordering by key
+  const bound = cursor && (ordered ? cursor : { value: cursor.value })
+  const startAt = equalTo !== undefined ? equalTo : definition.startAt
+  const endAt = equalTo !== undefined ? equalTo : definition.endAt
+  const limit = pageSize + (cursor ? 2 : 1)
+
+  switch (direction) {
+    case 'next':
+      return omitBy(Object.assign(base, { startAt: bound, endAt, limitToFirst: limit }), isUndefined)
+    case 'previous':
+      return omitBy(Object.assign(base, { startAt, endAt: bound, limitToLast: limit }), isUndefined)
+    case 'last':
+      return omitBy(Object.assign(base, { startAt, endAt, limitToLast: limit }), isUndefined)
+    default:
+      return omitBy(Object.assign(base, { startAt, endAt, limitToFirst: limit }), isUndefined)
+  }
+}
+
+/**
+ * @private
+ * @description Get children of a page from query results (removing cursor
+ * and extra child used to tell if more children exist)
+ * @param {Array} children - Children within query results (in order)
+ * @param {Number} pageSize - Number of children within each page
+ * @param {String} direction - Which page was loaded
+ * @param {Object} cursor - Cursor page was loaded after or before
+ * @return {Object} Object containing `items` (children of page) and
+ * `hasMore` (whether or not more children exist in direction of page)
+ */
+export const getPageItems = (children, pageSize, direction, cursor) => {
+  const backward = direction === 'previous' || direction === 'last'
+  let items = children
+  if (cursor && direction === 'next' && items.length && items[0].key === cursor.key) {
+    items = items.slice(1)
+  }
+  if (cursor && direction === 'previous' && items.length && items[items.length - 1].key === cursor.key) {
+    items = items.slice(0, -1)
+  }
+  return {
+    items: backward ? items.slice(-pageSize) : items.slice(0, pageSize),
+    hasMore: items.length > pageSize
+  }
+}
@@ -5,9 +5,14 @@ import {
   isObject,
   map,
   get,
-  forEach,
   set,
-  has
+  has,
+  some,
+  omitBy,
+  isNil,
+  isEmpty,
+  isPlainObject,
+  zipObject
 } from 'lodash'
 
 /**
@@ -19,16 +24,32 @@ export const getPopulateObj = (str) => {
   if (!isString(str)) {
     return str
   }
-  const strArray = str.split(':')
-  // TODO: Handle childParam
-  return { child: strArray[0], root: strArray[1] }
+  const [child, root, fields] = str.split(':')
+  // Fields to select are comma separated (i.e. owner:users:displayName,avatarUrl)
+  return fields
+    ? { child, root, fields: fields.split(',') }
+    : { child, root }
 }
+
+/**
+ * @private
+ * @description Get fields selected by populate (accepts array or comma
+ * separated string)
+ * @param {Object} populate - Populate object
+ * @param {Array|String} populate.fields - Fields to select
+ * @return {Array|undefined} Selected fields (undefined if whole child is used)
+ */
+export const getPopulateFields = ({ fields }) =>
+  isString(fields) ? fields.split(',') : fields
 /**
  * @private
  * @description Create standardized populate object from strings or objects
  * @param {String|Object} str - String or Object to standardize into populate object
  */
 export const getPopulateObjs = (arr) => {
+  if (isString(arr)) {
+    return [getPopulateObj(arr)]
+  }
   if (!isArray(arr)) {
     return arr
   }
@@ -53,122 +74,225 @@ export const getPopulates = (params) => {
 
 /**
  * @private
- * @description Create an array of promises for population of an object or list
+ * @description Get populates nested within populate of a child (i.e.
+ * `owner.org:orgs` within `owner:users`). Child of each nested populate is
+ * made relative to the populated child (`owner.org` becomes `org`).
+ * @param {Array} populates - Populate objects
+ * @param {String} parentChild - Child of parent populate (i.e. `owner`)
+ * @return {Array} Nested populate objects
+ */
+export const getNestedPopulates = (populates, parentChild) => {
+  const prefix = `${parentChild}.`
+  return filter(populates, p => p.child.indexOf(prefix) === 0)
+    .map(p => Object.assign({}, p, { child: p.child.slice(prefix.length) }))
+}
+
+/**
+ * @private
+ * @description Get populates which are not nested within another populate
+ * @param {Array} populates - Populate objects
+ * @return {Array} Top level populate objects
+ */
+export const getTopLevelPopulates = populates =>
+  filter(populates, p =>
+    !some(populates, parent =>
+      parent !== p && p.child.indexOf(`${parent.child}.`) === 0
+    )
+  )
+
+/**
+ * @private
+ * @description Load child to populate with. When fields are selected, only
+ * those fields are read (other fields of child can be private).
  * @param {Object} firebase - Internal firebase object
  * @param {Object} populate - Object containing root to be populate
  * @param {Object} populate.root - Firebase root path from which to load populate item
+ * @param {Array|String} populate.fields - Fields of child to load
  * @param {String} id - String id
+ * @return {Promise} Resolves with child (null if it does not exist)
+ */
+export const getPopulateChild = (firebase, populate, id) => {
+  const childRef = firebase.database().ref().child(`${populate.root}/${id}`)
+  const fields = getPopulateFields(populate)
+  if (!fields) {
+    return childRef.once('value').then(snap => snap.val())
+  }
+  return Promise.all(
+    fields.map(field =>
+      childRef.child(field).once('value').then(snap => snap.val())
+    )
+  ).then((values) => {
+    const child = omitBy(zipObject(fields, values), isNil)
+    return isEmpty(child) ? null : child
+  })
+}
+
+/**
+ * @private
+ * @description Get paths to listen to for changes of a populated child
+ * (each selected field or whole child)
+ * @param {Object} populate - Populate object
+ * @param {String} childPath - Path of child (i.e. `users/uid`)
+ * @return {Array} Paths
  */
-export const getPopulateChild = (firebase, populate, id) =>
-  firebase.database()
-   .ref()
-   .child(`${populate.root}/${id}`)
-   .once('value')
-   .then(snap =>
-     // Return id if population value does not exist
-     snap.val()
-   )
+const getChildPaths = (populate, childPath) => {
+  const fields = getPopulateFields(populate)
+  return fields
+    ? fields.map(field => `${childPath}/${field}`)
+    : [childPath]
+}
+
+/**
+ * @private
+ * @description Load populate child, writing it to results under root name if
+ * it is found. Each child is only read once per population (reads are shared
+ * through `context.cache`). Paths of children of live populates are added to
+ * `context.livePaths`.
+ * @param {Object} context - Population context (firebase, results, cache, and
+ * livePaths)
+ * @param {Object} p - Populate object
+ * @param {String} id - Id of child
+ * @param {Object} loaded - Object to which loaded children are added (by id)
+ * @return {Promise} Resolves with child
+ */
+const loadChild = ({ firebase, results, cache, livePaths }, p, id, loaded) => {
+  const childPaths = getChildPaths(p, `${p.root}/${id}`)
+  if (p.live && livePaths) {
+    childPaths.forEach((path) => { livePaths[path] = true })
+  }
+  const cacheKey = childPaths.join(',')
+  if (!cache[cacheKey]) {
+    cache[cacheKey] = getPopulateChild(firebase, p, id)
+  }
+  return cache[cacheKey].then((child) => {
+    if (child) {
+      // combine with fields of child selected by other populates
+      const existing = get(results, [p.root, id])
+      set(
+        results,
+        [p.root, id],
+        isPlainObject(existing) && isPlainObject(child)
+          ? Object.assign({}, existing, child)
+          : child
+      )
+      loaded[id] = child
+    }
+    return child
+  })
+}
 
 /**
  * @private
  * @description Populate list of data
- * @param {Object} firebase - Internal firebase object
- * @param {Object} originalObj - Object to have parameter populated
- * @param {Object} populate - Object containing populate information
- * @param {Object} results - Object containing results of population from other populates
+ * @param {Object} context - Population context
+ * @param {Object} originalData - Object to have parameter populated
+ * @param {Object} p - Object containing populate information
+ * @param {Object} loaded - Object to which loaded children are added (by id)
  */
-export const populateList = (firebase, originalData, p, results) => {
+export const populateList = (context, originalData, p, loaded) => {
   const mainChild = p.child.split('[]')[0]
   const childParam = p.child.split('[]')[1]
   return Promise.all(
     map(get(originalData, mainChild), (id, childKey) => {
       // handle list of keys
       const populateKey = id === true ? childKey : id
-      return getPopulateChild(
-        firebase,
-        p,
-        childParam
-          ? get(id, childParam) // get child parameter if [] notation
-          : populateKey
-      )
-      .then(pc => {
-        if (pc) {
-          // write child to result object under root name if it is found
-          if (!childParam) {
-            return set(results, `${p.root}.${populateKey}`, pc)
+      if (!childParam) {
+        return loadChild(context, p, populateKey, loaded)
+      }
+      // handle child param ([] notation)
+      return getPopulateChild(context.firebase, p, get(id, childParam))
+        .then(pc => {
+          if (pc) {
+            return ({
+              [childKey]: set(
+                id,
+                childParam,
+                Object.assign(pc, { key: get(id, childParam) })
+              )
+            })
           }
-          // handle child param
-          return ({
-            [childKey]: set(
-              id,
-              childParam,
-              Object.assign(pc, { key: get(id, childParam) })
-            )
-          })
-        }
-        return results
-      })
+          return context.results
+        })
     })
   )
 }
 
 /**
  * @private
- * @description Create an array of promises for population of an object or list
- * @param {Object} firebase - Internal firebase object
- * @param {Object} originalObj - Object to have parameter populated
- * @param {Object} populateString - String containg population data
+ * @description Populate child within an item or each item of a list
+ * @param {Object} context - Population context
+ * @param {Object} data - Item or list of items to populate
+ * @param {Object} p - Object containing populate information
+ * @param {Object} loaded - Object to which loaded children are added (by id)
+ * @return {Promise} Resolves when all children are loaded
  */
-export const promisesForPopulate = (firebase, originalData, populatesIn) => {
-  // TODO: Handle selecting of parameter to populate with (i.e. displayName of users/user)
-  let promisesArray = []
-  let results = {}
-  const populates = getPopulateObjs(populatesIn)
-  // Loop over all populates
-  forEach(populates, (p) => {
-    // Handle input of [] within child (notating parameter for whole list)
-    const mainChild = p.child.split('[]')[0]
-
-    // Single parameter with list
-    if (has(originalData, mainChild)) {
-      return promisesArray.push(populateList(firebase, originalData, p, results))
+const populateData = (context, data, p, loaded) => {
+  // Handle input of [] within child (notating parameter for whole list)
+  const mainChild = p.child.split('[]')[0]
+
+  const populateItem = (idOrList, item) => {
+    // Parameter is single ID
+    if (isString(idOrList)) {
+      return loadChild(context, p, idOrList, loaded)
     }
-    // Loop over each object in list
-    forEach(originalData, (d, key) => {
-      // Get value of parameter to be populated (key or list of keys)
-      const idOrList = get(d, mainChild)
-
-      // Parameter/child to be populated does not exist
-      if (!idOrList) {
-        return
-      }
+    // Parameter is a list of ids
+    if (isArray(idOrList) || isObject(idOrList)) {
+      return populateList(context, item, p, loaded)
+    }
+  }
 
-      // Parameter is single ID
-      if (isString(idOrList)) {
-        return promisesArray.push(
-          getPopulateChild(firebase, p, idOrList)
-            .then((v) => {
-              // write child to result object under root name if it is found
-              if (v) {
-                set(results, `${p.root}.${idOrList}`, v)
-              }
-              return results
-            })
-        )
-      }
+  // Single parameter with list
+  if (has(data, mainChild)) {
+    return Promise.resolve(populateItem(get(data, mainChild), data))
+  }
 
-      // Parameter is a list of ids
-      if (isArray(idOrList) || isObject(idOrList)) {
-        // Create single promise that includes a promise for each child
-        return promisesArray.push(
-          populateList(firebase, originalData, p, results)
-        )
-      }
+  // Loop over each object in list (skipping items without parameter)
+  return Promise.all(
+    map(data, item => get(item, mainChild) && populateItem(get(item, mainChild), item))
+  )
+}
+
+/**
+ * @private
+ * @description Populate data with populates, then populate children loaded by
+ * each populate with its nested populates (multi-level population)
+ * @param {Object} context - Population context
+ * @param {Object} data - Item or list of items to populate
+ * @param {Array} populates - Populate objects
+ * @return {Promise} Resolves when all levels are populated
+ */
+const populateLevel = (context, data, populates) =>
+  Promise.all(
+    map(getTopLevelPopulates(populates), (p) => {
+      const loaded = {}
+      return populateData(context, data, p, loaded)
+        .then(() => {
+          const nestedPopulates = getNestedPopulates(populates, p.child)
+          if (nestedPopulates.length) {
+            return populateLevel(context, loaded, nestedPopulates)
+          }
+        })
     })
-  })
+  )
 
-  // Return original data after population promises run
-  return Promise.all(promisesArray).then(d => results)
+/**
+ * @private
+ * @description Create an array of promises for population of an object or
+ * list. Populates can be nested by prefixing child with the child of another
+ * populate (i.e. `owner.org:orgs` populates `org` of each user loaded by
+ * `owner:users`). Each child is read once even if referenced multiple times,
+ * which also stops cyclic references from being loaded again.
+ * @param {Object} firebase - Internal firebase object
+ * @param {Object} originalObj - Object to have parameter populated
+ * @param {Object} populateString - String containg population data
+ * @param {Object} livePaths - Object to which paths of children loaded by
+ * live populates (`live: true`) are added
+ * @return {Promise} Resolves with populated data by root (i.e. `{ users }`)
+ */
+export const promisesForPopulate = (firebase, originalData, populatesIn, livePaths) => {
+  const context = { firebase, results: {}, cache: {}, livePaths }
+  return populateLevel(context, originalData, getPopulateObjs(populatesIn))
+    .then(() => context.results)
 }
 
 export default { promisesForPopulate }
@@ -1,6 +1,36 @@
+import {
+  difference,
+  filter,
+  findIndex,
+  flatMap,
+  isArray,
+  isBoolean,
+  isNumber,
+  isPlainObject,
+  isString,
+  map
+} from 'lodash'
 import { actionTypes } from '../constants'
 
-const { INIT_BY_PATH } = actionTypes
+const {
+  INIT_BY_PATH,
+  CHILD_ADDED,
+  CHILD_CHANGED,
+  CHILD_MOVED,
+  CHILD_REMOVED
+} = actionTypes
+
+/**
+ * @private
+ * @description Action types of child events (by event type)
+ * @type {Object}
+ */
+export const childActionTypes = {
+  child_added: CHILD_ADDED,
+  child_changed: CHILD_CHANGED,
+  child_moved: CHILD_MOVED,
+  child_removed: CHILD_REMOVED
+}
 
 /**
  * @private
@@ -40,6 +70,30 @@ export const getQueryIdFromPath = (path, event = undefined) => {
       : ((isQuery) ? origPath : undefined)
 }
 
+/**
+ * @private
+ * @description Get id under which watchers of a query are counted
+ * @param {String} event - Type of event to watch for
+ * @param {String} path - Path to watch with watcher
+ * @param {String} queryId - Id of query
+ * @return {String} Watcher id
+ */
+export const getWatcherId = (event, path, queryId = undefined) =>
+  queryId || getQueryIdFromPath(path, event) || getWatchPath(event, path)
+
+const trimPath = path => path.replace(/^\/+|\/+$/g, '')
+
+/**
+ * @private
+ * @description Whether or not data for a path was preloaded into initial state
+ * (during server side rendering)
+ * @param {Object} firebase - Internal firebase object
+ * @param {String} path - Path of data
+ * @return {Boolean}
+ */
+export const isPathPreloaded = (firebase, path) =>
+  !!firebase._.preloaded && !!firebase._.preloaded[trimPath(path)]
+
 /**
  * @private
  * @description Update the number of watchers for a query
@@ -50,7 +104,7 @@ export const getQueryIdFromPath = (path, event = undefined) => {
  * @return {Integer} watcherCount - count
  */
 export const setWatcher = (firebase, event, path, queryId = undefined) => {
-  const id = queryId || getQueryIdFromPath(path, event) || getWatchPath(event, path)
+  const id = getWatcherId(event, path, queryId)
 
   if (firebase._.watchers[id]) {
     firebase._.watchers[id]++
@@ -70,10 +124,8 @@ export const setWatcher = (firebase, event, path, queryId = undefined) => {
  * @param {String} queryId - Id of query
  * @return {Number} watcherCount
  */
-export const getWatcherCount = (firebase, event, path, queryId = undefined) => {
-  const id = queryId || getQueryIdFromPath(path, event) || getWatchPath(event, path)
-  return firebase._.watchers[id]
-}
+export const getWatcherCount = (firebase, event, path, queryId = undefined) =>
+  firebase._.watchers[getWatcherId(event, path, queryId)]
 
 /**
  * @private
@@ -84,12 +136,15 @@ export const getWatcherCount = (firebase, event, path, queryId = undefined) => {
  * @param {String} queryId - Id of query
  */
 export const unsetWatcher = (firebase, dispatch, event, path, queryId = undefined) => {
-  let id = queryId || getQueryIdFromPath(path, event) || getWatchPath(event, path)
+  const id = getWatcherId(event, path, queryId)
   path = path.split('#')[0]
   if (firebase._.watchers[id] <= 1) {
     delete firebase._.watchers[id]
     if (event !== 'first_child' && event !== 'once') {
       firebase.database().ref().child(path).off(event)
+      if (firebase._.preloaded) {
+        delete firebase._.preloaded[trimPath(path)]
+      }
       dispatch({ type: INIT_BY_PATH, path })
     }
   } else if (firebase._.watchers[id]) {
@@ -98,66 +153,288 @@ export const unsetWatcher = (firebase, dispatch, event, path, queryId = undefine
 }
 
 /**
- * @description Modify query to include methods based on query parameters (such as orderByChild)
- * @param {Array} queryParams - Array of query parameters to apply to query
+ * @private
+ * @description Set keys of results of a query (kept within
+ * `firebase._.queries`). Keys of children which are no longer within results
+ * are returned so they can be removed from data at path. Children within
+ * results of other queries of the same path are kept, as is all data at path
+ * while it is also watched without a query.
+ * @param {Object} firebase - Internal firebase object
+ * @param {String} queryId - Id of query
+ * @param {String} path - Path of query
+ * @param {Array} keys - Keys of children within results (in order)
+ * @return {Array} Keys of children to remove from data at path
+ */
+export const setQueryResults = (firebase, queryId, path, keys) => {
+  const { queries } = firebase._
+  const prevResults = queries[queryId]
+  queries[queryId] = { path, keys }
+  if (!prevResults || getWatcherCount(firebase, 'value', path)) {
+    return []
+  }
+  const otherKeys = flatMap(
+    filter(queries, (results, id) => id !== queryId && trimPath(results.path) === trimPath(path)),
+    'keys'
+  )
+  return difference(prevResults.keys, keys.concat(otherKeys))
+}
+
+/**
+ * @private
+ * @description Remove results of a query (when query is unwatched)
+ * @param {Object} firebase - Internal firebase object
+ * @param {String} queryId - Id of query
+ * @return {Boolean} Whether or not query had results
+ */
+export const unsetQueryResults = (firebase, queryId) => {
+  if (!firebase._.queries || !firebase._.queries[queryId]) {
+    return false
+  }
+  delete firebase._.queries[queryId]
+  return true
+}
+
+/**
+ * @private
+ * @description Apply a child event action to a list of children (in order).
+ * Added and moved children are placed after the child with `previousKey`
+ * (first when it is null, last when it is not within list). Changed
+ * children keep their position (moves are applied by `CHILD_MOVED`).
+ * @param {Array} children - Children (each containing `key` and `value`)
+ * @param {Object} action - `CHILD_ADDED`, `CHILD_CHANGED`, `CHILD_MOVED`, or
+ * `CHILD_REMOVED` action
+ * @return {Array} Children after event
+ */
+export const applyChildEvent = (children, { type, key, data, previousKey }) => {
+  const index = findIndex(children, { key })
+  const child = { key, value: data }
+  if (type === CHILD_CHANGED && index !== -1) {
+    return [...children.slice(0, index), child, ...children.slice(index + 1)]
+  }
+  const others = index === -1
+    ? children
+    : [...children.slice(0, index), ...children.slice(index + 1)]
+  if (type === CHILD_REMOVED) {
+    return others
+  }
+  const previousIndex = previousKey
+    ? findIndex(others, { key: previousKey })
+    : -1
+  const insertIndex = previousKey && previousIndex === -1
+    ? others.length
+    : previousIndex + 1
+  return [...others.slice(0, insertIndex), child, ...others.slice(insertIndex)]
+}
+
+const orderByMethods = ['orderByChild', 'orderByKey', 'orderByValue', 'orderByPriority']
+const filterMethods = ['startAt', 'endAt', 'equalTo']
+const limitMethods = ['limitToFirst', 'limitToLast']
+const queryMethods = [...orderByMethods, ...filterMethods, ...limitMethods]
+
+// Parameters within query strings which are not query methods
+const nonQueryParams = ['queryId', 'populate']
+
+const isNumeric = value => /^-?\d+(\.\d+)?$/.test(value)
+
+/**
+ * @private
+ * @description Parse value of a query string parameter. Numbers and booleans
+ * are kept as strings when ordering by key, value, or priority.
+ * @param {String} value - Value from query string
+ * @param {Boolean} doNotParse - Whether or not to keep numbers and booleans
+ * as strings
+ * @return {Any} Parsed value
+ */
+const parseParamValue = (value, doNotParse) => {
+  if (value === 'null') {
+    return null
+  }
+  if (doNotParse) {
+    return value
+  }
+  if (value === 'true' || value === 'false') {
+    return value === 'true'
+  }
+  return isNumeric(value) ? Number(value) : value
+}
+
+/**
+ * @private
+ * @description Convert query string parameters (i.e. `['orderByChild=text',
+ * 'limitToFirst=10']`) to a query definition object. Filters with a key
+ * (`startAt=5=someKey`) are converted to `{ value, key }`. Limits without a
+ * value are kept undefined (rejected by validateQueryDefinition).
+ * @param {Array} queryParams - Query string parameters
+ * @return {Object} Query definition (not yet validated)
+ */
+export const queryParamsToDefinition = (queryParams) => {
+  const doNotParse = queryParams.some(param =>
+    /^orderBy(Key|Value|Priority)$/.test(param.split('=')[0])
+  )
+  return queryParams.reduce((definition, param) => {
+    const [method, value, key] = param.split('=')
+    if (nonQueryParams.indexOf(method) !== -1) {
+      return definition
+    }
+    if (definition[method] !== undefined) {
+      throw new Error(`Query parameter "${method}" can only be used once.`)
+    }
+    switch (method) {
+      case 'orderByKey':
+      case 'orderByValue':
+      case 'orderByPriority':
+        definition[method] = true
+        break
+      case 'limitToFirst':
+      case 'limitToLast':
+        definition[method] = isNumeric(value) ? Number(value) : value
+        break
+      case 'startAt':
+      case 'endAt':
+      case 'equalTo':
+        definition[method] = key !== undefined
+          ? { value: parseParamValue(value, doNotParse), key }
+          : parseParamValue(value, doNotParse)
+        break
+      default:
+        definition[method] = value
+    }
+    return definition
+  }, {})
+}
+
+const isFilterValue = value =>
+  value === null || isString(value) || isNumber(value) || isBoolean(value)
+
+/**
+ * @private
+ * @description Validate query definition object, throwing a descriptive
+ * error for unknown parameters, conflicting parameters, or invalid values
+ * @param {Object} definition - Query definition
+ */
+export const validateQueryDefinition = (definition) => {
+  if (!isPlainObject(definition)) {
+    throw new Error('Query definition must be an object (i.e. { orderByChild: \'createdAt\', limitToLast: 20 }).')
+  }
+  const methods = Object.keys(definition)
+
+  const unknown = methods.filter(m => queryMethods.indexOf(m) === -1)
+  if (unknown.length) {
+    throw new Error(`Unknown query parameter "${unknown[0]}". Valid parameters are: ${queryMethods.join(', ')}.`)
+  }
+
+  const orderBys = methods.filter(m => orderByMethods.indexOf(m) !== -1)
+  if (orderBys.length > 1) {
+    throw new Error(`Query can only be ordered by one method (received ${orderBys.join(' and ')}).`)
+  }
+  if (orderBys[0] === 'orderByChild') {
+    if (!isString(definition.orderByChild) || !definition.orderByChild) {
+      throw new Error('orderByChild must be the path of a child (string).')
+    }
+  } else if (orderBys.length && definition[orderBys[0]] !== true) {
+    throw new Error(`${orderBys[0]} must be true.`)
+  }
+
+  const limits = methods.filter(m => limitMethods.indexOf(m) !== -1)
+  if (limits.length > 1) {
+    throw new Error('Query can only contain one of limitToFirst and limitToLast.')
+  }
+  limits.forEach((m) => {
+    const limit = definition[m]
+    if (!isNumber(limit) || limit % 1 !== 0 || limit < 1) {
+      throw new Error(`${m} must be a positive integer (received ${JSON.stringify(limit)}).`)
+    }
+  })
+
+  if (definition.equalTo !== undefined &&
+    (definition.startAt !== undefined || definition.endAt !== undefined)) {
+    throw new Error('equalTo can not be combined with startAt or endAt.')
+  }
+  methods.filter(m => filterMethods.indexOf(m) !== -1).forEach((m) => {
+    const param = definition[m]
+    const value = isPlainObject(param) ? param.value : param
+    if (!isFilterValue(value)) {
+      throw new Error(`${m} value must be a string, number, boolean, or null (received ${JSON.stringify(value)}).`)
+    }
+    if (isPlainObject(param) && param.key !== undefined && !isString(param.key)) {
+      throw new Error(`${m} key must be a string.`)
+    }
+  })
+}
+
+/**
+ * @private
+ * @description Get validated query definition from query string parameters
+ * or a query definition object
+ * @param {Array|Object} queryParams - Query string parameters (i.e.
+ * `['orderByChild=text']`) or query definition (i.e.
+ * `{ orderByChild: 'text' }`)
+ * @return {Object} Query definition
+ */
+export const getQueryDefinition = (queryParams) => {
+  const definition = isArray(queryParams)
+    ? queryParamsToDefinition(queryParams)
+    : queryParams
+  validateQueryDefinition(definition)
+  return definition
+}
+
+/**
+ * @private
+ * @description Convert query definition to query string parameters (used
+ * as id of query)
+ * @param {Object} definition - Query definition
+ * @return {Array} Query string parameters
+ */
+export const definitionToQueryParams = definition =>
+  map(definition, (param, method) => {
+    if (param === true && orderByMethods.indexOf(method) !== -1) {
+      return method
+    }
+    return isPlainObject(param)
+      ? `${method}=${param.value}${param.key !== undefined ? `=${param.key}` : ''}`
+      : `${method}=${param}`
+  })
+
+/**
+ * @description Modify query to include methods based on query parameters
+ * (such as orderByChild). Parameters are validated before being applied.
+ * @param {Array|Object} queryParams - Array of query parameters (i.e.
+ * `['orderByChild=text', 'limitToFirst=10']`) or query definition object
+ * (i.e. `{ orderByChild: 'text', limitToFirst: 10 }`)
  * @param {Object} query - Query object on which to apply query parameters
  * @return {FirebaseQuery}
  */
 export const applyParamsToQuery = (queryParams, query) => {
-  let doNotParse = false
-  if (queryParams) {
-    queryParams.forEach(param => {
-      param = param.split('=')
-      switch (param[0]) {
-        case 'orderByValue':
-          query = query.orderByValue()
-          doNotParse = true
-          break
-        case 'orderByPriority':
-          query = query.orderByPriority()
-          doNotParse = true
-          break
-        case 'orderByKey':
-          query = query.orderByKey()
-          doNotParse = true
-          break
-        case 'orderByChild':
-          query = query.orderByChild(param[1])
-          break
-        case 'limitToFirst':
-          // TODO: Handle number not being passed as param
-          query = query.limitToFirst(parseInt(param[1], 10))
-          break
-        case 'limitToLast':
-          // TODO: Handle number not being passed as param
-          query = query.limitToLast(parseInt(param[1], 10))
-          break
-        case 'equalTo':
-          let equalToParam = !doNotParse ? parseInt(param[1], 10) || param[1] : param[1]
-          equalToParam = equalToParam === 'null' ? null : equalToParam
-          equalToParam = equalToParam === 'false' ? false : equalToParam
-          equalToParam = equalToParam === 'true' ? true : equalToParam
-          query = param.length === 3
-            ? query.equalTo(equalToParam, param[2])
-            : query.equalTo(equalToParam)
-          break
-        case 'startAt':
-          let startAtParam = !doNotParse ? parseInt(param[1], 10) || param[1] : param[1]
-          startAtParam = startAtParam === 'null' ? null : startAtParam
-          query = param.length === 3
-            ? query.startAt(startAtParam, param[2])
-            : query.startAt(startAtParam)
-          break
-        case 'endAt':
-          let endAtParam = !doNotParse ? parseInt(param[1], 10) || param[1] : param[1]
-          endAtParam = endAtParam === 'null' ? null : endAtParam
-          query = param.length === 3
-            ? query.endAt(endAtParam, param[2])
-            : query.endAt(endAtParam)
-          break
-      }
-    })
+  if (!queryParams) {
+    return query
+  }
+  const definition = getQueryDefinition(queryParams)
+
+  if (definition.orderByChild) {
+    query = query.orderByChild(definition.orderByChild)
   }
+  ['orderByKey', 'orderByValue', 'orderByPriority'].forEach((method) => {
+    if (definition[method]) {
+      query = query[method]()
+    }
+  })
+  filterMethods.forEach((method) => {
+    const param = definition[method]
+    if (param === undefined) {
+      return
+    }
+    query = isPlainObject(param)
+      ? param.key !== undefined
+        ? query[method](param.value, param.key)
+        : query[method](param.value)
+      : query[method](param)
+  })
+  limitMethods.forEach((method) => {
+    if (definition[method] !== undefined) {
+      query = query[method](definition[method])
+    }
+  })
 
   return query
 }
@@ -0,0 +1,124 @@
+import { has, isArray, isString, keys, pickBy, reduce, some } from 'lodash'
+import { hasRole, hasPermission } from '../helpers'
+
+/**
+ * @private
+ * @description Get names of roles within profile. Role parameter of profile
+ * can contain a role name, an array of names, or an object with names as
+ * keys (i.e. `{ admin: true }`).
+ * @param {Object} profile - User profile
+ * @param {String} roleParam - Parameter of profile containing roles
+ * @return {Array} Role names
+ */
+export const getRoleNames = (profile, roleParam) => {
+  const roles = profile && profile[roleParam]
+  if (!roles) {
+    return []
+  }
+  if (isString(roles)) {
+    return [roles]
+  }
+  return isArray(roles) ? roles : keys(pickBy(roles))
+}
+
+/**
+ * @private
+ * @description Combine permissions of role definitions. Permissions of a
+ * role can be an array of names or an object with names as keys.
+ * @param {Object} roles - Role definitions by role name
+ * @return {Object} Permissions (`true` by permission name)
+ */
+export const getPermissions = roles =>
+  reduce(roles, (permissions, { permissions: rolePermissions }) =>
+    Object.assign(
+      permissions,
+      isArray(rolePermissions)
+        ? reduce(rolePermissions, (acc, name) => Object.assign(acc, { [name]: true }), {})
+        : pickBy(rolePermissions, p => p === true)
+    ),
+    {}
+  )
+
+/**
+ * @private
+ * @description Parameters of profile which are replaced by loaded roles (not
+ * allowed within profile when the `roles` config option is set)
+ * @type {Array}
+ */
+export const reservedProfileParams = ['roles', 'permissions']
+
+/**
+ * @private
+ * @description Load definitions of roles within profile from `roles` path
+ * (config option). Roles which do not have a definition are skipped. Rejects
+ * if profile contains a reserved parameter (`roles` or `permissions`).
+ * @param {Object} firebase - Internal firebase object
+ * @param {Object} profile - User profile
+ * @return {Promise} Resolves with object containing `roles` (definitions by
+ * role name) and `permissions`
+ */
+export const loadRoles = (firebase, profile) => {
+  const { roles, profileRoleParam } = firebase._.config
+  const reserved = reservedProfileParams.filter(param => has(profile, param))
+  if (reserved.length) {
+    return Promise.reject(new Error(`Profile parameter "${reserved[0]}" is reserved for loaded roles (${reservedProfileParams.join(', ')}) when the roles config option is set.`))
+  }
+  return Promise.all(
+    getRoleNames(profile, profileRoleParam || 'role').map(name =>
+      firebase.database()
+        .ref()
+        .child(`${roles}/${name}`)
+        .once('value')
+        .then(snap => ({ name, definition: snap.val() }))
+    )
+  )
+    .then(results => {
+      const definitions = reduce(results, (acc, { name, definition }) =>
+        definition !== null
+          ? Object.assign(acc, { [name]: definition })
+          : acc,
+        {}
+      )
+      return {
+        roles: definitions,
+        permissions: getPermissions(definitions)
+      }
+    })
+}
+
+/**
+ * @private
+ * @description Whether or not watch event has a role or permission
+ * requirement (`role` and `permission` parameters of watch definition)
+ * @param {Object} event - Watch event
+ * @return {Boolean}
+ */
+const hasRequirement = ({ role, permission }) => !!(role || permission)
+
+/**
+ * @private
+ * @description Whether or not any watch events have a role or permission
+ * requirement (permitted events change with profile)
+ * @param {Array} events - Watch events
+ * @return {Boolean}
+ */
+export const hasRequirements = events => some(events, hasRequirement)
+
+/**
+ * @private
+ * @description Get watch events which are permitted for profile. Events
+ * without a `role` or `permission` requirement are always permitted.
+ * @param {Array} events - Watch events
+ * @param {Map|Object} profile - User profile (from state)
+ * @return {Array} Permitted events (original array if no events have
+ * requirements)
+ */
+export const getPermittedEvents = (events, profile) => {
+  if (!hasRequirements(events)) {
+    return events
+  }
+  return events.filter(({ role, permission }) =>
+    (!role || hasRole(profile, role)) &&
+      (!permission || hasPermission(profile, permission))
+  )
+}
@@ -0,0 +1,122 @@
+import { fromJS, List } from 'immutable'
+import { findIndex, get, isArray, isFunction, isObject } from 'lodash'
+
+/**
+ * @private
+ * @description Whether or not state is Immutable (instead of plain JS)
+ * @param {Map|Object} state - State to check
+ * @return {Boolean}
+ */
+export const isImmutable = state =>
+  !!state && isFunction(state.getIn)
+
+/**
+ * @private
+ * @description Get value at key path from Immutable or plain JS state
+ * @param {Map|Object} state - State from which to get value
+ * @param {Array} pathArr - Key path of value
+ * @param {Any} notSetValue - Value to return if value is not found
+ * @return {Any} Value at key path
+ */
+export const getIn = (state, pathArr, notSetValue) =>
+  isImmutable(state)
+    ? state.getIn(pathArr, notSetValue)
+    : get(state, pathArr, notSetValue)
+
+/**
+ * @private
+ * @description Get state of an app from redux state
+ * @param {Object} state - Redux state
+ * @param {String} stateName - Name of state where firebaseStateReducer is mounted
+ * @param {String} appName - Name of Firebase app (only for named apps)
+ * @return {Map|Object} State of app
+ */
+export const getAppState = (state, stateName, appName) => {
+  const firebaseState = state && state[stateName]
+  return appName ? getIn(firebaseState, [appName]) : firebaseState
+}
+
+const copy = value =>
+  isArray(value) ? value.slice() : Object.assign({}, value)
+
+const setInPlain = (state, [key, ...rest], value) => {
+  const current = isObject(state) ? state : {}
+  const newValue = rest.length ? setInPlain(current[key], rest, value) : value
+  // Keep reference of unchanged state (structural sharing)
+  if (current === state && current[key] === newValue) {
+    return current
+  }
+  const newState = copy(current)
+  newState[key] = newValue
+  return newState
+}
+
+const deleteInPlain = (state, [key, ...rest]) => {
+  if (!isObject(state) || !(key in state)) {
+    return state
+  }
+  if (rest.length) {
+    const newValue = deleteInPlain(state[key], rest)
+    return newValue === state[key]
+      ? state
+      : Object.assign(copy(state), { [key]: newValue })
+  }
+  const newState = copy(state)
+  if (isArray(newState)) {
+    newState.splice(key, 1)
+  } else {
+    delete newState[key]
+  }
+  return newState
+}
+
+const insertInPlain = (state, pathArr, index, value) => {
+  const list = get(state, pathArr, [])
+  return setInPlain(state, pathArr, [...list.slice(0, index), value, ...list.slice(index)])
+}
+
+/**
+ * @private
+ * @description State operations used by reducer when storing state as
+ * Immutable Maps (default). Lists (i.e. ordered children) are Immutable Lists.
+ */
+export const immutableState = {
+  create: value => fromJS(value),
+  getIn: (state, pathArr, notSetValue) => state.getIn(pathArr, notSetValue),
+  setIn: (state, pathArr, value) => state.setIn(pathArr, fromJS(value)),
+  deleteIn: (state, pathArr) => state.deleteIn(pathArr),
+  findIndexIn: (state, pathArr, predicate) =>
+    state.getIn(pathArr, List()).findIndex(predicate),
+  sizeIn: (state, pathArr) => state.getIn(pathArr, List()).size,
+  insertIn: (state, pathArr, index, value) =>
+    state.updateIn(pathArr, List(), list => list.insert(index, fromJS(value)))
+}
+
+/**
+ * @private
+ * @description State operations used by reducer when storing state as plain
+ * JS. Objects along changed key paths are copied, all others keep their
+ * reference so memoized selectors only recompute for changed data. Lists
+ * are arrays.
+ */
+export const plainState = {
+  create: value => value,
+  getIn: (state, pathArr, notSetValue) => get(state, pathArr, notSetValue),
+  setIn: (state, pathArr, value) => setInPlain(state, pathArr, value),
+  deleteIn: (state, pathArr) => deleteInPlain(state, pathArr),
+  findIndexIn: (state, pathArr, predicate) =>
+    findIndex(get(state, pathArr, []), predicate),
+  sizeIn: (state, pathArr) => get(state, pathArr, []).length,
+  insertIn: (state, pathArr, index, value) =>
+    insertInPlain(state, pathArr, index, value)
+}
+
+/**
+ * @private
+ * @description Get state operations matching type of state (Immutable or
+ * plain JS)
+ * @param {Map|Object} state - State to get operations for
+ * @return {Object} State operations
+ */
+export const getStateOps = state =>
+  isImmutable(state) ? immutableState : plainState
@@ -0,0 +1,61 @@
+import { actionsPrefix } from '../constants'
+import { getLocalStorage } from './offline'
+
+/**
+ * @private
+ * @description Key under which auth changes are broadcast for an app
+ * @param {Object} firebase - Internal firebase object
+ * @return {String} Storage key
+ */
+export const getAuthSyncKey = firebase =>
+  `${actionsPrefix}/auth${firebase._.appName ? `/${firebase._.appName}` : ''}`
+
+/**
+ * @private
+ * @description Broadcast change of auth to other open tabs. Written to
+ * localStorage (which fires storage events in other tabs) along with time of
+ * change so repeated changes to the same user are still broadcast.
+ * @param {Object} firebase - Internal firebase object
+ * @param {Object} auth - Auth of logged in user (null after logout)
+ */
+export const broadcastAuthChange = (firebase, auth) => {
+  const storage = getLocalStorage()
+  if (!storage) {
+    return
+  }
+  try {
+    storage.setItem(
+      getAuthSyncKey(firebase),
+      JSON.stringify({ uid: auth ? auth.uid : null, timestamp: Date.now() })
+    )
+  } catch (err) {} // storage full or unavailable (tabs are not synced)
+}
+
+/**
+ * @private
+ * @description Listen for auth changes broadcast by other open tabs
+ * @param {Object} firebase - Internal firebase object
+ * @param {Function} callback - Function called with change (object containing
+ * `uid` which is null after logout)
+ * @return {Function} Function which removes listener
+ */
+export const listenForAuthChanges = (firebase, callback) => {
+  if (typeof window === 'undefined' || !window.addEventListener) {
+    return () => {}
+  }
+  const key = getAuthSyncKey(firebase)
+  const handler = (event) => {
+    if (event.key !== key || !event.newValue) {
+      return
+    }
+    let change
+    try {
+      change = JSON.parse(event.newValue)
+    } catch (err) {
+      return
+    }
+    callback(change)
+  }
+  window.addEventListener('storage', handler)
+  return () => window.removeEventListener('storage', handler)
+}
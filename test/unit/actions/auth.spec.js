@@ -1,16 +1,37 @@
-/* global describe expect it beforeEach */
+/* global describe expect it beforeEach afterEach fbConfig */
+import { createStore, compose, combineReducers } from 'redux'
+import reactReduxFirebase from '../../../src/compose'
+import { createFirebaseStateReducer } from '../../../src/reducer'
+import createFirebaseMock from '../../../src/mock'
+import { actionTypes } from '../../../src/constants'
 import {
   dispatchLoginError,
   dispatchUnauthorizedError,
   dispatchLogin,
   init,
+  syncAuthChange,
   unWatchUserProfile,
   watchUserProfile,
   createUserProfile,
   login,
+  confirmPhoneCode,
   logout,
   createUser,
-  resetPassword
+  resetPassword,
+  linkWithProvider,
+  linkWithCredential,
+  unlinkProvider,
+  upgradeAnonymousUser,
+  fetchProvidersForEmail,
+  sendEmailVerification,
+  verifyPasswordResetCode,
+  confirmPasswordReset,
+  applyActionCode,
+  updateEmail,
+  updatePassword,
+  reauthenticate,
+  deleteAccount,
+  forceTokenRefresh
 } from '../../../src/actions/auth'
 let functionSpy
 let dispatchSpy
@@ -91,9 +112,152 @@ describe('Actions: Auth', () => {
   })
 
   describe('init', () => {
+    let firebaseMock
+    const createStoreWithActions = (config) =>
+      compose(
+        reactReduxFirebase(fbConfig, Object.assign({ sdk: firebaseMock, userProfile: 'users' }, config))
+      )(createStore)(combineReducers({
+        firebase: createFirebaseStateReducer({ immutable: false }),
+        actions: (state = [], action) => state.concat(action.type)
+      }))
+
+    beforeEach(() => {
+      firebaseMock = createFirebaseMock({
+        users: [{
+          uid: 'user1',
+          email: 'test@test.com',
+          password: 'password',
+          providerData: [{ uid: 'test@test.com', providerId: 'password' }]
+        }]
+      })
+    })
+
     it('calls firebases onAuthStateChanged', () => {
       init(dispatch, fakeFirebase)
     })
+
+    it('returns promise which resolves once initialized', () =>
+      init(dispatch, fakeFirebase)
+        .then(() => {
+          expect(dispatch).to.have.been.calledWith({ type: actionTypes.AUTHENTICATION_INIT_FINISHED })
+        })
+    )
+
+    it('finishes initialization after first auth state is reported', () => {
+      const store = createStoreWithActions({ enableRedirectHandling: false })
+      expect(store.getState().firebase.isInitializing).to.equal(true)
+      return store.firebase._.authIsReady
+        .then(() => {
+          expect(store.getState().firebase.isInitializing).to.equal(false)
+          expect(store.getState().firebase.auth).to.equal(null)
+          expect(store.getState().actions.slice(-2))
+            .to.eql([actionTypes.LOGOUT, actionTypes.AUTHENTICATION_INIT_FINISHED])
+        })
+    })
+
+    it('does not dispatch logout when no redirect occurred', () => {
+      const store = createStoreWithActions({ enableRedirectHandling: true })
+      return store.firebase._.authIsReady
+        .then(() => {
+          const { actions } = store.getState()
+          expect(actions.filter(type => type === actionTypes.LOGOUT)).to.have.length(1)
+          expect(actions).to.not.include(actionTypes.LOGIN_ERROR)
+        })
+    })
+
+    it('waits for redirect result before finishing', () =>
+      createStoreWithActions({ enableRedirectHandling: false }).firebase._.authIsReady
+        .then(() => firebaseMock.auth().signInWithEmailAndPassword('test@test.com', 'password'))
+        .then(() => firebaseMock.auth().currentUser.linkWithRedirect(new firebaseMock.auth.GoogleAuthProvider()))
+        .then(() => {
+          const store = createStoreWithActions({ enableRedirectHandling: true })
+          return store.firebase._.authIsReady
+            .then(() => {
+              const { actions, firebase } = store.getState()
+              expect(firebase.auth.uid).to.equal('user1')
+              expect(actions.filter(type => type === actionTypes.LOGIN)).to.have.length(2)
+              expect(actions[actions.length - 1]).to.equal(actionTypes.AUTHENTICATION_INIT_FINISHED)
+            })
+        })
+    )
+
+    it('sets auth persistence', () => {
+      const store = createStoreWithActions({ enableRedirectHandling: false, authPersistence: 'session' })
+      return store.firebase._.authIsReady
+        .then(() => {
+          expect(firebaseMock.auth()._persistence).to.equal('session')
+        })
+    })
+
+    it('dispatches error if auth persistence is not supported', () => {
+      const dispatchSpy = sinon.spy()
+      const firebase = Object.assign({}, fakeFirebase, {
+        _: Object.assign({}, fakeFirebase._, {
+          config: Object.assign({}, fakeFirebase._.config, { authPersistence: 'none' })
+        })
+      })
+      const warn = sinon.stub(console, 'warn')
+      return init(dispatchSpy, firebase)
+        .then(() => {
+          warn.restore()
+          expect(warn).to.have.been.calledWithMatch('authPersistence requires a version of Firebase which supports setPersistence')
+          expect(dispatchSpy).to.have.been.calledWithMatch({ type: actionTypes.LOGIN_ERROR })
+          expect(dispatchSpy).to.have.been.calledWith({ type: actionTypes.AUTHENTICATION_INIT_FINISHED })
+        }, (err) => {
+          warn.restore()
+          return Promise.reject(err)
+        })
+    })
+
+    describe('auth sync', () => {
+      let store
+      beforeEach(() => {
+        window.localStorage = { setItem: sinon.spy() }
+        store = createStoreWithActions({ enableRedirectHandling: false })
+        return store.firebase._.authIsReady
+      })
+      afterEach(() => {
+        store.firebase._.authSyncUnsubscribe()
+        delete window.localStorage
+      })
+
+      it('broadcasts login and logout', () =>
+        login(store.dispatch, store.firebase, { email: 'test@test.com', password: 'password' })
+          .then(() => logout(store.dispatch, store.firebase))
+          .then(() => {
+            const uids = window.localStorage.setItem.args.map(args => JSON.parse(args[1]).uid)
+            expect(uids).to.eql(['user1', null])
+          })
+      )
+
+      it('does not broadcast initial auth state', () => {
+        expect(window.localStorage.setItem).to.not.have.been.called
+      })
+
+      it('logs out when another tab logs out', () =>
+        login(store.dispatch, store.firebase, { email: 'test@test.com', password: 'password' })
+          .then(() => {
+            syncAuthChange(store.dispatch, store.firebase, { uid: null })
+            expect(store.getState().firebase.auth).to.equal(null)
+            expect(store.firebase._.authUid).to.equal(null)
+            expect(store.firebase._.profileWatch).to.equal(null)
+          })
+      )
+
+      it('logs in when login from another tab is available', () =>
+        firebaseMock.auth().signInWithEmailAndPassword('test@test.com', 'password')
+          .then(() => {
+            syncAuthChange(store.dispatch, store.firebase, { uid: 'user1' })
+            expect(store.getState().firebase.auth.uid).to.equal('user1')
+            expect(store.firebase._.authUid).to.equal('user1')
+          })
+      )
+
+      it('ignores login which is not available', () => {
+        syncAuthChange(store.dispatch, store.firebase, { uid: 'user1' })
+        expect(store.getState().firebase.auth).to.equal(null)
+      })
+    })
   })
 
   describe('unWatchUserProfile', () => {
@@ -257,4 +421,606 @@ describe('Actions: Auth', () => {
         })
     })
   })
+
+  describe('provider management', () => {
+    let firebaseMock
+    let store
+    const getState = () => store.getState().firebase
+
+    beforeEach(() => {
+      firebaseMock = createFirebaseMock({
+        users: [{
+          uid: 'user1',
+          email: 'test@test.com',
+          password: 'password',
+          providerData: [{ uid: 'test@test.com', providerId: 'password' }]
+        }]
+      })
+      store = compose(
+        reactReduxFirebase(fbConfig, {
+          sdk: firebaseMock,
+          userProfile: 'users',
+          enableRedirectHandling: false
+        })
+      )(createStore)(combineReducers({ firebase: createFirebaseStateReducer({ immutable: false }) }))
+      return login(store.dispatch, store.firebase, { email: 'test@test.com', password: 'password' })
+    })
+
+    describe('linkWithProvider', () => {
+      it('links provider and updates providerData', () =>
+        linkWithProvider(store.dispatch, store.firebase, { provider: 'google', type: 'popup' })
+          .then(({ user }) => {
+            expect(user.providerData.map(p => p.providerId)).to.eql(['password', 'google.com'])
+            expect(getState().auth.providerData).to.have.length(2)
+            return firebaseMock.database().ref('users/user1/providerData').once('value')
+          })
+          .then((snap) => {
+            expect(snap.val()).to.have.length(2)
+          })
+      )
+
+      it('dispatches error and keeps auth if linking fails', () =>
+        linkWithProvider(store.dispatch, store.firebase, { provider: 'google', type: 'popup' })
+          .then(() => linkWithProvider(store.dispatch, store.firebase, { provider: 'google', type: 'popup' }))
+          .then(() => Promise.reject(new Error('Linking should fail')), (err) => {
+            expect(err.code).to.equal('auth/provider-already-linked')
+            expect(getState().authError).to.equal(err)
+            expect(getState().auth.uid).to.equal('user1')
+          })
+      )
+
+      it('rejects if no user is logged in', () =>
+        logout(store.dispatch, store.firebase)
+          .then(() => linkWithProvider(store.dispatch, store.firebase, { provider: 'google' }))
+          .then(() => Promise.reject(new Error('Linking should fail')), (err) => {
+            expect(err.message).to.equal('User must be logged in to change auth providers')
+          })
+      )
+
+      it('dispatches error for invalid provider', () =>
+        linkWithProvider(store.dispatch, store.firebase, { provider: 'asdf', type: 'popup' })
+          .then(() => Promise.reject(new Error('Linking should fail')), (err) => {
+            expect(err.message).to.equal('asdf is not a valid Auth Provider')
+            expect(getState().authError).to.equal(err)
+          })
+      )
+    })
+
+    describe('linkWithCredential', () => {
+      it('links credential', () =>
+        linkWithCredential(store.dispatch, store.firebase, firebaseMock.auth.GithubAuthProvider.credential('token'))
+          .then((user) => {
+            expect(user.providerData[1].providerId).to.equal('github.com')
+          })
+      )
+    })
+
+    describe('unlinkProvider', () => {
+      it('unlinks provider by name', () =>
+        linkWithProvider(store.dispatch, store.firebase, { provider: 'google', type: 'popup' })
+          .then(() => unlinkProvider(store.dispatch, store.firebase, 'google'))
+          .then(() => {
+            expect(getState().auth.providerData).to.have.length(1)
+            return firebaseMock.database().ref('users/user1/providerData').once('value')
+          })
+          .then((snap) => {
+            expect(snap.val()).to.have.length(1)
+          })
+      )
+    })
+
+    describe('fetchProvidersForEmail', () => {
+      it('resolves with provider ids', () =>
+        fetchProvidersForEmail(store.dispatch, store.firebase, 'test@test.com')
+          .then((providers) => {
+            expect(providers).to.eql(['password'])
+          })
+      )
+    })
+  })
+
+  describe('phone login', () => {
+    let firebaseMock
+    let store
+    const getState = () => store.getState().firebase
+    const phoneNumber = '+15555550100'
+    const applicationVerifier = { type: 'recaptcha' }
+
+    beforeEach(() => {
+      firebaseMock = createFirebaseMock()
+      store = compose(
+        reactReduxFirebase(fbConfig, {
+          sdk: firebaseMock,
+          userProfile: 'users',
+          enableRedirectHandling: false
+        })
+      )(createStore)(combineReducers({ firebase: createFirebaseStateReducer({ immutable: false }) }))
+    })
+
+    it('sends code and tracks it within phoneAuth state', () =>
+      login(store.dispatch, store.firebase, { phoneNumber, applicationVerifier })
+        .then((confirmationResult) => {
+          expect(confirmationResult).to.respondTo('confirm')
+          expect(getState().phoneAuth).to.eql({
+            phoneNumber,
+            verificationId: confirmationResult.verificationId,
+            codeSent: true
+          })
+          expect(getState().auth).to.equal(null)
+        })
+    )
+
+    it('dispatches error for invalid phone number', () =>
+      login(store.dispatch, store.firebase, { phoneNumber: '555', applicationVerifier })
+        .then(() => Promise.reject(new Error('Login should fail')), (err) => {
+          expect(err.code).to.equal('auth/invalid-phone-number')
+          expect(getState().authError).to.equal(err)
+          expect(getState().phoneAuth).to.equal(null)
+        })
+    )
+
+    it('dispatches error if phone auth is not supported', () => {
+      firebaseMock.auth().signInWithPhoneNumber = undefined
+      return store.firebase._.authIsReady
+        .then(() => login(store.dispatch, store.firebase, { phoneNumber, applicationVerifier }))
+        .then(() => Promise.reject(new Error('Login should fail')), (err) => {
+          expect(err.message).to.contain('requires a version of Firebase which supports signInWithPhoneNumber')
+          expect(getState().authError).to.equal(err)
+        })
+    })
+
+    describe('confirmPhoneCode', () => {
+      it('logs in and creates profile', () =>
+        login(store.dispatch, store.firebase, { phoneNumber, applicationVerifier })
+          .then(() => confirmPhoneCode(store.dispatch, store.firebase, '123456'))
+          .then((profile) => {
+            expect(profile).to.include({ phoneNumber, displayName: phoneNumber })
+            expect(getState().phoneAuth).to.equal(null)
+            expect(getState().auth.phoneNumber).to.equal(phoneNumber)
+            const { uid } = firebaseMock.auth().currentUser
+            return firebaseMock.database().ref(`users/${uid}`).once('value')
+          })
+          .then((snap) => {
+            expect(snap.val()).to.have.property('phoneNumber', phoneNumber)
+          })
+      )
+
+      it('dispatches error for invalid code and allows retrying', () =>
+        login(store.dispatch, store.firebase, { phoneNumber, applicationVerifier })
+          .then(() => confirmPhoneCode(store.dispatch, store.firebase, '000000'))
+          .then(() => Promise.reject(new Error('Confirm should fail')), (err) => {
+            expect(err.code).to.equal('auth/invalid-verification-code')
+            expect(getState().authError).to.equal(err)
+            expect(getState().phoneAuth).to.have.property('codeSent', true)
+            return confirmPhoneCode(store.dispatch, store.firebase, '123456')
+          })
+          .then(() => {
+            expect(getState().auth.phoneNumber).to.equal(phoneNumber)
+          })
+      )
+
+      it('rejects if code has not been sent', () =>
+        confirmPhoneCode(store.dispatch, store.firebase, '123456')
+          .then(() => Promise.reject(new Error('Confirm should fail')), (err) => {
+            expect(err.message).to.equal('Verification code must be sent before it can be confirmed')
+          })
+      )
+    })
+  })
+
+  describe('anonymous login', () => {
+    let firebaseMock
+    let store
+    let anonymousUid
+    const getState = () => store.getState().firebase
+    const getProfile = () =>
+      firebaseMock.database().ref(`users/${anonymousUid}`).once('value')
+        .then(snap => snap.val())
+
+    beforeEach(() => {
+      firebaseMock = createFirebaseMock({
+        users: [{ uid: 'user1', email: 'taken@test.com', password: 'password' }]
+      })
+      store = compose(
+        reactReduxFirebase(fbConfig, {
+          sdk: firebaseMock,
+          userProfile: 'users',
+          enableRedirectHandling: false
+        })
+      )(createStore)(combineReducers({ firebase: createFirebaseStateReducer({ immutable: false }) }))
+      return login(store.dispatch, store.firebase, { anonymous: true })
+        .then(() => {
+          anonymousUid = firebaseMock.auth().currentUser.uid
+          return firebaseMock.database().ref(`users/${anonymousUid}/todos`).set({ a: 'todo' })
+        })
+    })
+
+    it('logs in anonymously and creates profile', () => {
+      expect(getState().auth.isAnonymous).to.equal(true)
+      return getProfile()
+        .then((profile) => {
+          expect(profile).to.have.property('isAnonymous', true)
+        })
+    })
+
+    describe('upgradeAnonymousUser', () => {
+      it('upgrades to email account keeping uid and profile', () =>
+        upgradeAnonymousUser(store.dispatch, store.firebase, { email: 'new@test.com', password: 'password' }, { username: 'tester' })
+          .then((profile) => {
+            expect(profile).to.include({ email: 'new@test.com', username: 'tester', isAnonymous: false })
+            expect(getState().auth.uid).to.equal(anonymousUid)
+            expect(getState().auth.isAnonymous).to.equal(false)
+            return getProfile()
+          })
+          .then((profile) => {
+            expect(profile).to.include({ email: 'new@test.com', isAnonymous: false })
+            expect(profile.todos).to.eql({ a: 'todo' })
+            return logout(store.dispatch, store.firebase)
+          })
+          .then(() => login(store.dispatch, store.firebase, { email: 'new@test.com', password: 'password' }))
+          .then((uid) => {
+            expect(uid).to.equal(anonymousUid)
+          })
+      )
+
+      it('upgrades with provider', () =>
+        upgradeAnonymousUser(store.dispatch, store.firebase, { provider: 'google', type: 'popup' })
+          .then((profile) => {
+            expect(profile.providerData[0].providerId).to.equal('google.com')
+            expect(getState().auth.uid).to.equal(anonymousUid)
+          })
+      )
+
+      describe('with redirect', () => {
+        afterEach(() => {
+          delete window.sessionStorage
+        })
+
+        it('migrates profile once redirect result is handled', () => {
+          const items = {}
+          window.sessionStorage = {
+            getItem: key => items[key] !== undefined ? items[key] : null,
+            setItem: (key, value) => { items[key] = value },
+            removeItem: (key) => { delete items[key] }
+          }
+          return upgradeAnonymousUser(store.dispatch, store.firebase, { provider: 'google' }, { username: 'tester' })
+            .then((result) => {
+              expect(result).to.not.exist
+              // page is loaded again after redirect (result handled within init)
+              const redirectedStore = compose(
+                reactReduxFirebase(fbConfig, { sdk: firebaseMock, userProfile: 'users' })
+              )(createStore)(combineReducers({ firebase: createFirebaseStateReducer({ immutable: false }) }))
+              return redirectedStore.firebase._.authIsReady
+                .then(() => {
+                  expect(redirectedStore.getState().firebase.auth.uid).to.equal(anonymousUid)
+                  expect(items).to.eql({})
+                  return getProfile()
+                })
+            })
+            .then((profile) => {
+              expect(profile).to.include({ username: 'tester', isAnonymous: false })
+              expect(profile.providerData[0].providerId).to.equal('google.com')
+              expect(profile.todos).to.eql({ a: 'todo' })
+            })
+        })
+
+        it('clears pending upgrade if linking fails', () =>
+          upgradeAnonymousUser(store.dispatch, store.firebase, { provider: 'unknown' })
+            .then(() => Promise.reject(new Error('Upgrade should fail')), () => {
+              expect(store.firebase._.pendingUpgrade).to.equal(null)
+            })
+        )
+      })
+
+      it('dispatches error and keeps auth if email is in use', () =>
+        upgradeAnonymousUser(store.dispatch, store.firebase, { email: 'taken@test.com', password: 'password' })
+          .then(() => Promise.reject(new Error('Upgrade should fail')), (err) => {
+            expect(err.code).to.equal('auth/email-already-in-use')
+            expect(getState().authError).to.equal(err)
+            expect(getState().auth.uid).to.equal(anonymousUid)
+          })
+      )
+
+      it('rejects if user is not anonymous', () =>
+        upgradeAnonymousUser(store.dispatch, store.firebase, { provider: 'google', type: 'popup' })
+          .then(() => upgradeAnonymousUser(store.dispatch, store.firebase, { provider: 'github', type: 'popup' }))
+          .then(() => Promise.reject(new Error('Upgrade should fail')), (err) => {
+            expect(err.message).to.equal('Only anonymous users can be upgraded')
+          })
+      )
+    })
+  })
+
+  describe('account management', () => {
+    let firebaseMock
+    let store
+    const getState = () => store.getState().firebase
+    const getActionCode = operation =>
+      Object.keys(firebaseMock.auth()._actionCodes)
+        .find(code => firebaseMock.auth()._actionCodes[code].operation === operation)
+    const getProfile = () =>
+      firebaseMock.database().ref('users/user1').once('value').then(snap => snap.val())
+
+    beforeEach(() => {
+      firebaseMock = createFirebaseMock({
+        data: { users: { user1: { email: 'test@test.com', username: 'tester' } } },
+        users: [{
+          uid: 'user1',
+          email: 'test@test.com',
+          password: 'password',
+          providerData: [{ uid: 'test@test.com', providerId: 'password' }]
+        }]
+      })
+      store = compose(
+        reactReduxFirebase(fbConfig, {
+          sdk: firebaseMock,
+          userProfile: 'users',
+          enableRedirectHandling: false
+        })
+      )(createStore)(combineReducers({ firebase: createFirebaseStateReducer({ immutable: false }) }))
+      return login(store.dispatch, store.firebase, { email: 'test@test.com', password: 'password' })
+    })
+
+    it('sets status within authStatus while in progress', () => {
+      const promise = sendEmailVerification(store.dispatch, store.firebase)
+      expect(getState().authStatus.sendEmailVerification)
+        .to.eql({ inProgress: true, succeeded: false, error: null })
+      return promise.then(() => {
+        expect(getState().authStatus.sendEmailVerification)
+          .to.eql({ inProgress: false, succeeded: true, error: null })
+      })
+    })
+
+    it('verifies email with action code', () =>
+      sendEmailVerification(store.dispatch, store.firebase)
+        .then(() => applyActionCode(store.dispatch, store.firebase, getActionCode('VERIFY_EMAIL')))
+        .then(() => {
+          expect(getState().auth.emailVerified).to.equal(true)
+        })
+    )
+
+    it('sets error for invalid action code', () =>
+      applyActionCode(store.dispatch, store.firebase, 'asdf')
+        .then(() => Promise.reject(new Error('Apply should fail')), (err) => {
+          expect(err.code).to.equal('auth/invalid-action-code')
+          expect(getState().authStatus.applyActionCode)
+            .to.eql({ inProgress: false, succeeded: false, error: err })
+        })
+    )
+
+    it('resets password with verified code', () =>
+      resetPassword(store.dispatch, store.firebase, 'test@test.com')
+        .then(() => verifyPasswordResetCode(store.dispatch, store.firebase, getActionCode('PASSWORD_RESET')))
+        .then((email) => {
+          expect(email).to.equal('test@test.com')
+          return confirmPasswordReset(store.dispatch, store.firebase, getActionCode('PASSWORD_RESET'), 'newPassword')
+        })
+        .then(() => login(store.dispatch, store.firebase, { email: 'test@test.com', password: 'newPassword' }))
+        .then((uid) => {
+          expect(uid).to.equal('user1')
+        })
+    )
+
+    it('updates email within auth and profile', () =>
+      updateEmail(store.dispatch, store.firebase, 'new@test.com')
+        .then(() => {
+          expect(getState().auth.email).to.equal('new@test.com')
+          return getProfile()
+        })
+        .then((profile) => {
+          expect(profile).to.eql({ email: 'new@test.com', username: 'tester' })
+        })
+    )
+
+    it('updates password', () =>
+      updatePassword(store.dispatch, store.firebase, 'newPassword')
+        .then(() => reauthenticate(store.dispatch, store.firebase, { email: 'test@test.com', password: 'newPassword' }))
+        .then(() => {
+          expect(getState().authStatus.reauthenticate.succeeded).to.equal(true)
+        })
+    )
+
+    it('sets error for failed reauthentication', () =>
+      reauthenticate(store.dispatch, store.firebase, { email: 'test@test.com', password: 'wrong' })
+        .then(() => Promise.reject(new Error('Reauthenticate should fail')), (err) => {
+          expect(err.code).to.equal('auth/wrong-password')
+          expect(getState().authStatus.reauthenticate.error).to.equal(err)
+        })
+    )
+
+    it('deletes account and profile', () =>
+      deleteAccount(store.dispatch, store.firebase)
+        .then(() => {
+          expect(getState().auth).to.equal(null)
+          expect(getState().authStatus.deleteAccount.succeeded).to.equal(true)
+          expect(firebaseMock.auth().currentUser).to.equal(null)
+          return getProfile()
+        })
+        .then((profile) => {
+          expect(profile).to.equal(null)
+          return firebaseMock.auth().fetchProvidersForEmail('test@test.com')
+        })
+        .then((providers) => {
+          expect(providers).to.eql([])
+        })
+    )
+
+    it('restores profile if account can not be deleted', () => {
+      const deleteError = new Error('Requires recent login')
+      sinon.stub(firebaseMock.auth().currentUser, 'delete').returns(Promise.reject(deleteError))
+      return deleteAccount(store.dispatch, store.firebase)
+        .then(() => Promise.reject(new Error('Delete should fail')), (err) => {
+          expect(err).to.equal(deleteError)
+          expect(getState().authStatus.deleteAccount.error).to.equal(deleteError)
+          return getProfile()
+        })
+        .then((profile) => {
+          expect(profile).to.eql({ email: 'test@test.com', username: 'tester' })
+        })
+    })
+
+    it('rejects with delete error if profile can not be restored', () => {
+      const deleteError = new Error('Requires recent login')
+      sinon.stub(firebaseMock.auth().currentUser, 'delete', () => {
+        firebaseMock.database().denyWrite('users')
+        return Promise.reject(deleteError)
+      })
+      return deleteAccount(store.dispatch, store.firebase)
+        .then(() => Promise.reject(new Error('Delete should fail')), (err) => {
+          expect(err).to.equal(deleteError)
+          expect(getState().authStatus.deleteAccount.error).to.equal(deleteError)
+        })
+    })
+
+    it('rejects if no user is logged in', () =>
+      logout(store.dispatch, store.firebase)
+        .then(() => updatePassword(store.dispatch, store.firebase, 'newPassword'))
+        .then(() => Promise.reject(new Error('Update should fail')), (err) => {
+          expect(err.message).to.equal('User must be logged in to manage account')
+          expect(getState().authStatus.updatePassword.error).to.equal(err)
+        })
+    )
+  })
+
+  describe('token refresh', () => {
+    let firebaseMock
+    let store
+    const getState = () => store.getState().firebase
+    // Resolves once state matches (token is read after login)
+    const waitForState = predicate =>
+      new Promise((resolve) => {
+        if (predicate(getState())) {
+          return resolve(getState())
+        }
+        const unsubscribe = store.subscribe(() => {
+          if (predicate(getState())) {
+            unsubscribe()
+            resolve(getState())
+          }
+        })
+      })
+
+    beforeEach(() => {
+      firebaseMock = createFirebaseMock({
+        users: [{
+          uid: 'user1',
+          email: 'test@test.com',
+          password: 'password',
+          claims: { admin: true }
+        }]
+      })
+      store = compose(
+        reactReduxFirebase(fbConfig, {
+          sdk: firebaseMock,
+          enableRedirectHandling: false
+        })
+      )(createStore)(combineReducers({ firebase: createFirebaseStateReducer({ immutable: false }) }))
+    })
+
+    it('sets claims and token expiration time within auth after login', () =>
+      login(store.dispatch, store.firebase, { email: 'test@test.com', password: 'password' })
+        .then(() => waitForState(state => state.auth && state.auth.claims))
+        .then(({ auth }) => {
+          expect(auth.claims).to.have.property('admin', true)
+          expect(auth.claims).to.not.have.property('exp')
+          expect(auth.tokenExpirationTime).to.be.above(Date.now())
+        })
+    )
+
+    it('updates claims when token is refreshed', () =>
+      login(store.dispatch, store.firebase, { email: 'test@test.com', password: 'password' })
+        .then(() => waitForState(state => state.auth && state.auth.claims))
+        .then(() => {
+          firebaseMock.auth()._updateUserData('user1', { claims: { admin: false, editor: true } })
+          return forceTokenRefresh(store.dispatch, store.firebase)
+        })
+        .then(({ claims, expirationTime }) => {
+          expect(claims).to.include({ admin: false, editor: true })
+          expect(expirationTime).to.be.a('number')
+          expect(getState().auth.claims).to.include({ admin: false, editor: true })
+          expect(getState().authStatus.forceTokenRefresh.succeeded).to.equal(true)
+        })
+    )
+
+    it('rejects if no user is logged in', () =>
+      forceTokenRefresh(store.dispatch, store.firebase)
+        .then(() => Promise.reject(new Error('Refresh should fail')), (err) => {
+          expect(err.message).to.equal('User must be logged in to manage account')
+          expect(getState().authStatus.forceTokenRefresh.error).to.equal(err)
+        })
+    )
+
+    it('warns if token changes can not be tracked', () => {
+      const sdk = createFirebaseMock()
+      // SDK without onIdTokenChanged (i.e. before Firebase 4.0.0)
+      const unsupportedMock = Object.assign({}, sdk, {
+        initializeApp: (...args) => {
+          const app = sdk.initializeApp(...args)
+          app.auth().onIdTokenChanged = undefined
+          return app
+        }
+      })
+      const warn = sinon.stub(console, 'warn')
+      compose(
+        reactReduxFirebase(fbConfig, {
+          sdk: unsupportedMock,
+          enableRedirectHandling: false
+        })
+      )(createStore)(combineReducers({ firebase: createFirebaseStateReducer({ immutable: false }) }))
+      warn.restore()
+      expect(warn).to.have.been.calledWithMatch('requires a version of Firebase which supports onIdTokenChanged')
+    })
+  })
+
+  describe('roles', () => {
+    let firebaseMock
+    let store
+    const getState = () => store.getState().firebase
+
+    beforeEach(() => {
+      firebaseMock = createFirebaseMock({
+        data: {
+          roles: { admin: { permissions: { readUsers: true } } },
+          users: { user1: { email: 'test@test.com', role: 'admin' } }
+        },
+        users: [{ uid: 'user1', email: 'test@test.com', password: 'password' }]
+      })
+      store = compose(
+        reactReduxFirebase(fbConfig, {
+          sdk: firebaseMock,
+          userProfile: 'users',
+          roles: 'roles',
+          enableRedirectHandling: false
+        })
+      )(createStore)(combineReducers({ firebase: createFirebaseStateReducer({ immutable: false }) }))
+    })
+
+    it('attaches roles and permissions to profile', (done) => {
+      const unsubscribe = store.subscribe(() => {
+        const { profile } = getState()
+        if (profile && profile.permissions) {
+          unsubscribe()
+          expect(profile.role).to.equal('admin')
+          expect(profile.roles).to.have.keys('admin')
+          expect(profile.permissions).to.eql({ readUsers: true })
+          done()
+        }
+      })
+      login(store.dispatch, store.firebase, { email: 'test@test.com', password: 'password' })
+    })
+
+    it('sets profile and dispatches error if roles can not be loaded', (done) => {
+      firebaseMock.database().denyRead('roles')
+      const unsubscribe = store.subscribe(() => {
+        const { profile, authError } = getState()
+        if (profile) {
+          unsubscribe()
+          expect(profile).to.eql({ email: 'test@test.com', role: 'admin' })
+          expect(authError).to.have.property('code', 'PERMISSION_DENIED')
+          done()
+        }
+      })
+      login(store.dispatch, store.firebase, { email: 'test@test.com', password: 'password' })
+    })
+  })
 })
@@ -0,0 +1,233 @@
+/* global describe expect it beforeEach */
+import { createStore, compose, combineReducers } from 'redux'
+import reactReduxFirebase from '../../../src/compose'
+import { createFirebaseStateReducer } from '../../../src/reducer'
+import { actionTypes } from '../../../src/constants'
+import createFirebaseMock from '../../../src/mock'
+import {
+  set,
+  push,
+  update,
+  remove,
+  uniqueSet,
+  optimisticWrite,
+  replayWriteQueue
+} from '../../../src/actions/database'
+
+const createStorage = () => {
+  const items = {}
+  return {
+    getItem: key => items[key] !== undefined ? items[key] : null,
+    setItem: (key, value) => { items[key] = value }
+  }
+}
+
+let firebaseMock
+let store
+let writeQueueStorage
+
+const createTestStore = () =>
+  compose(
+    reactReduxFirebase(fbConfig, {
+      sdk: firebaseMock,
+      enableRedirectHandling: false,
+      enableOptimisticUpdates: true,
+      writeQueueStorage
+    })
+  )(createStore)(combineReducers({ firebase: createFirebaseStateReducer({ immutable: false }) }))
+
+const getState = () => store.getState().firebase
+
+describe('Actions: Database', () => {
+  beforeEach(() => {
+    firebaseMock = createFirebaseMock({ data: { todos: { a: { text: 'a' } } } })
+    writeQueueStorage = createStorage()
+    store = createTestStore()
+  })
+
+  describe('optimisticWrite', () => {
+    it('sets data in state before write completes', () => {
+      const promise = optimisticWrite(store.dispatch, store.firebase, { method: 'set', path: 'todos/b', value: { text: 'b' } })
+      expect(getState().data.todos.b).to.eql({ text: 'b' })
+      return promise
+    })
+
+    it('adds pending write to state until write completes', () => {
+      const promise = optimisticWrite(store.dispatch, store.firebase, { method: 'set', path: 'todos/b', value: 'b' })
+      expect(Object.keys(getState().pendingWrites)).to.have.length(1)
+      return promise.then(() => {
+        expect(getState().pendingWrites).to.eql({})
+      })
+    })
+
+    it('writes to database', () =>
+      optimisticWrite(store.dispatch, store.firebase, { method: 'update', path: 'todos/a', value: { done: true } })
+        .then(() => firebaseMock.database().ref('todos/a').once('value'))
+        .then((snap) => {
+          expect(snap.val()).to.eql({ text: 'a', done: true })
+        })
+    )
+
+    it('calls onComplete', () => {
+      const onComplete = sinon.spy()
+      return optimisticWrite(store.dispatch, store.firebase, { method: 'remove', path: 'todos/a' }, onComplete)
+        .then(() => {
+          expect(onComplete).to.have.been.calledWith(null)
+        })
+    })
+
+    it('rolls back data and dispatches error if write fails', () => {
+      firebaseMock.database().denyWrite('todos')
+      const dispatchSpy = sinon.spy(store, 'dispatch')
+      const onComplete = sinon.spy()
+      const promise = optimisticWrite(store.dispatch, store.firebase, { method: 'set', path: 'todos/a', value: { text: 'changed' } }, onComplete)
+      expect(getState().data.todos.a).to.eql({ text: 'changed' })
+      return promise
+        .then(() => Promise.reject(new Error('Write should fail')), (err) => {
+          expect(err.code).to.equal('PERMISSION_DENIED')
+          expect(getState().data.todos.a).to.eql({ text: 'a' })
+          expect(getState().pendingWrites).to.eql({})
+          expect(onComplete).to.have.been.calledWith(err)
+          expect(dispatchSpy).to.have.been.calledWithMatch({
+            type: actionTypes.OPTIMISTIC_WRITE_ERROR,
+            payload: err
+          })
+        })
+    })
+
+    it('persists pending writes', () => {
+      const promise = optimisticWrite(store.dispatch, store.firebase, { method: 'set', path: 'todos/b', value: 'b' })
+      expect(writeQueueStorage.getItem('@@reactReduxFirebase/writeQueue')).to.contain('todos/b')
+      return promise.then(() => {
+        expect(writeQueueStorage.getItem('@@reactReduxFirebase/writeQueue')).to.equal('{}')
+      })
+    })
+  })
+
+  describe('set', () => {
+    it('dispatches start and complete actions with path and value', () => {
+      const dispatchSpy = sinon.spy()
+      return set(dispatchSpy, store.firebase, 'todos/b', 'b')
+        .then(() => {
+          expect(dispatchSpy).to.have.been.calledWith({ type: actionTypes.SET_START, path: 'todos/b', value: 'b' })
+          expect(dispatchSpy).to.have.been.calledWithMatch({ type: actionTypes.SET_COMPLETE, path: 'todos/b', value: 'b' })
+        })
+    })
+
+    it('dispatches error action and rejects if write fails', () => {
+      firebaseMock.database().denyWrite('todos')
+      const dispatchSpy = sinon.spy(store, 'dispatch')
+      return set(store.dispatch, store.firebase, 'todos/a', 'changed')
+        .then(() => Promise.reject(new Error('Write should fail')), (err) => {
+          expect(err.code).to.equal('PERMISSION_DENIED')
+          expect(dispatchSpy).to.have.been.calledWithMatch({
+            type: actionTypes.SET_ERROR,
+            path: 'todos/a',
+            value: 'changed',
+            payload: err
+          })
+        })
+    })
+
+    it('writes without optimistic update when not enabled', () => {
+      store.firebase._.config.enableOptimisticUpdates = false
+      const dispatchSpy = sinon.spy()
+      return set(dispatchSpy, store.firebase, 'todos/b', 'b')
+        .then(() => {
+          expect(dispatchSpy).to.not.have.been.calledWithMatch({ type: actionTypes.OPTIMISTIC_WRITE })
+          return firebaseMock.database().ref('todos/b').once('value')
+        })
+        .then((snap) => {
+          expect(snap.val()).to.equal('b')
+        })
+    })
+  })
+
+  describe('push', () => {
+    it('returns thenable reference with key', () => {
+      const ref = push(store.dispatch, store.firebase, 'todos', { text: 'b' })
+      expect(ref.key).to.be.a('string')
+      expect(getState().data.todos[ref.key]).to.eql({ text: 'b' })
+      return ref.then((result) => {
+        expect(result.key).to.equal(ref.key)
+      })
+    })
+
+    it('dispatches actions containing key', () => {
+      const dispatchSpy = sinon.spy()
+      const ref = push(dispatchSpy, store.firebase, 'todos', 'b')
+      expect(dispatchSpy).to.have.been.calledWith({ type: actionTypes.PUSH_START, path: 'todos', value: 'b', key: ref.key })
+      return ref.then(() => {
+        expect(dispatchSpy).to.have.been.calledWithMatch({ type: actionTypes.PUSH_COMPLETE, key: ref.key })
+      })
+    })
+  })
+
+  describe('update', () => {
+    it('dispatches start and complete actions with path and value', () => {
+      const dispatchSpy = sinon.spy()
+      return update(dispatchSpy, store.firebase, 'todos/a', { done: true })
+        .then(() => {
+          expect(dispatchSpy).to.have.been.calledWith({ type: actionTypes.UPDATE_START, path: 'todos/a', value: { done: true } })
+          expect(dispatchSpy).to.have.been.calledWithMatch({ type: actionTypes.UPDATE_COMPLETE, path: 'todos/a' })
+        })
+    })
+  })
+
+  describe('remove', () => {
+    it('dispatches start and complete actions with path', () => {
+      const dispatchSpy = sinon.spy()
+      return remove(dispatchSpy, store.firebase, 'todos/a')
+        .then(() => {
+          expect(dispatchSpy).to.have.been.calledWith({ type: actionTypes.REMOVE_START, path: 'todos/a' })
+          expect(dispatchSpy).to.have.been.calledWithMatch({ type: actionTypes.REMOVE_COMPLETE, path: 'todos/a' })
+        })
+    })
+  })
+
+  describe('uniqueSet', () => {
+    it('sets data if path does not exist', () => {
+      const dispatchSpy = sinon.spy()
+      return uniqueSet(dispatchSpy, store.firebase, 'todos/b', 'b')
+        .then(() => {
+          expect(dispatchSpy).to.have.been.calledWithMatch({ type: actionTypes.UNIQUE_SET_COMPLETE, path: 'todos/b', value: 'b' })
+          return firebaseMock.database().ref('todos/b').once('value')
+        })
+        .then((snap) => {
+          expect(snap.val()).to.equal('b')
+        })
+    })
+
+    it('dispatches error action if path exists', () => {
+      const dispatchSpy = sinon.spy()
+      const onComplete = sinon.spy()
+      return uniqueSet(dispatchSpy, store.firebase, 'todos/a', 'a', onComplete)
+        .then(() => Promise.reject(new Error('Write should fail')), (err) => {
+          expect(err.message).to.equal('Path already exists.')
+          expect(onComplete).to.have.been.calledWith(err)
+          expect(dispatchSpy).to.have.been.calledWithMatch({ type: actionTypes.UNIQUE_SET_ERROR, path: 'todos/a', payload: err })
+        })
+    })
+  })
+
+  describe('replayWriteQueue', () => {
+    it('replays writes persisted before reload', () => {
+      writeQueueStorage.setItem('@@reactReduxFirebase/writeQueue', JSON.stringify({
+        abc: { id: 'abc', method: 'push', path: 'todos', value: { text: 'queued' }, timestamp: 1 }
+      }))
+      store = createTestStore()
+      expect(getState().data.todos.abc).to.eql({ text: 'queued' })
+      expect(getState().pendingWrites.abc).to.exist
+      return firebaseMock.database().ref('todos/abc').once('value')
+        .then((snap) => {
+          expect(snap.val()).to.eql({ text: 'queued' })
+        })
+    })
+
+    it('does nothing when queue is empty', () => {
+      const dispatchSpy = sinon.spy()
+      replayWriteQueue(dispatchSpy, store.firebase)
+      expect(dispatchSpy).to.not.have.been.called
+    })
+  })
+})
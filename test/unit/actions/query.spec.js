@@ -1,14 +1,22 @@
-/* global describe expect it beforeEach */
+/* global describe expect it beforeEach sinon fbConfig */
 import queryAction from '../../../src/actions/query'
 import {
   watchEvent,
   unWatchEvent,
   watchEvents,
-  unWatchEvents
+  unWatchEvents,
+  loadNextPage,
+  loadPreviousPage
 } from '../../../src/actions/query'
 import {
   unsetWatcher
 } from '../../../src/utils/query'
+import createFirebaseMock from '../../../src/mock'
+import { createStore, compose, combineReducers } from 'redux'
+import reactReduxFirebase from '../../../src/compose'
+import { createFirebaseStateReducer } from '../../../src/reducer'
+import { getEventsFromInput } from '../../../src/utils/events'
+import { queryToJS, dataToJS, orderedToJS } from '../../../src/helpers'
 let spy, unWatch
 const dispatch = () => {
 
@@ -27,6 +35,46 @@ describe('Actions: Query', () => {
           expect(snap).to.be.an.object
         })
     }, 4000)
+    it('dispatches NO_VALUE for once with no data', () => {
+      const dispatchSpy = sinon.spy()
+      return watchEvent(firebase, dispatchSpy, { type: 'once', path: 'doesNotExist' })
+        .then(() => {
+          expect(dispatchSpy).to.have.been.calledWithMatch({
+            type: '@@reactReduxFirebase/NO_VALUE',
+            path: 'doesNotExist',
+            requesting: false,
+            requested: true
+          })
+        })
+    })
+    it('handles populates for once', () => {
+      const dispatchSpy = sinon.spy()
+      return firebase.database().ref('populateOnce').set({ a: { owner: 'Iq5b0qK2NtgggT6U3bU6iZRGyma2' } })
+        .then(() =>
+          watchEvent(firebase, dispatchSpy, { type: 'once', path: 'populateOnce', populates: [{ child: 'owner', root: 'users' }] })
+        )
+        .then(() => {
+          expect(dispatchSpy).to.have.been.calledWithMatch({
+            type: '@@reactReduxFirebase/SET',
+            path: 'users/Iq5b0qK2NtgggT6U3bU6iZRGyma2'
+          })
+        })
+    })
+    it('sets populated children without replacing root of populate', () => {
+      const dispatchSpy = sinon.spy()
+      return firebase.database().ref('populateFields').set({ a: { owner: 'Iq5b0qK2NtgggT6U3bU6iZRGyma2' } })
+        .then(() =>
+          watchEvent(firebase, dispatchSpy, { type: 'once', path: 'populateFields', populates: [{ child: 'owner', root: 'users', fields: ['displayName'] }] })
+        )
+        .then(() => {
+          expect(dispatchSpy).to.not.have.been.calledWithMatch({ path: 'users' })
+          expect(dispatchSpy).to.have.been.calledWithMatch({
+            type: '@@reactReduxFirebase/SET',
+            path: 'users/Iq5b0qK2NtgggT6U3bU6iZRGyma2',
+            data: { displayName: 'tester' }
+          })
+        })
+    })
     it('runs given first_child', () => {
       return watchEvent(firebase, dispatch, { type: 'first_child', path: 'projects' }, 'projects')
         .then((snap) => {
@@ -44,6 +92,396 @@ describe('Actions: Query', () => {
     })
   })
 
+  describe('live populates', () => {
+    const populates = [{ child: 'owner', root: 'users', live: true }]
+    const waitForPopulate = () => new Promise(resolve => setTimeout(resolve, 10))
+    let liveFirebase
+
+    beforeEach(() => {
+      liveFirebase = createFirebaseMock({
+        data: {
+          todos: { a: { owner: 'ABC' }, b: { owner: 'ABC' } },
+          users: { ABC: { displayName: 'scott' } }
+        }
+      })
+      liveFirebase.initializeApp(fbConfig)
+      Object.defineProperty(liveFirebase, '_', {
+        value: { watchers: {}, populateWatchers: {}, config: {} }
+      })
+    })
+
+    it('listens to populated children', () => {
+      const dispatchSpy = sinon.spy()
+      watchEvent(liveFirebase, dispatchSpy, { type: 'value', path: 'todos', populates })
+      return waitForPopulate()
+        .then(() => {
+          expect(liveFirebase._.watchers['value:/users/ABC']).to.equal(1)
+          return liveFirebase.database().ref('users/ABC/displayName').set('rick')
+        })
+        .then(() => {
+          expect(dispatchSpy).to.have.been.calledWithMatch({
+            type: '@@reactReduxFirebase/SET',
+            path: 'users/ABC',
+            data: { displayName: 'rick' }
+          })
+        })
+    })
+
+    it('listens to selected fields of populated children', () => {
+      const fieldPopulates = [{ child: 'owner', root: 'users', live: true, fields: ['displayName'] }]
+      watchEvent(liveFirebase, dispatch, { type: 'value', path: 'todos', populates: fieldPopulates })
+      return waitForPopulate()
+        .then(() => {
+          expect(liveFirebase._.watchers).to.have.keys('value:/todos', 'value:/users/ABC/displayName')
+        })
+    })
+
+    it('removes listener when parent items are removed', () => {
+      watchEvent(liveFirebase, dispatch, { type: 'value', path: 'todos', populates })
+      return waitForPopulate()
+        .then(() => liveFirebase.database().ref('todos/a').remove())
+        .then(waitForPopulate)
+        .then(() => {
+          // still populated by todos/b
+          expect(liveFirebase._.watchers['value:/users/ABC']).to.equal(1)
+          return liveFirebase.database().ref('todos/b').remove()
+        })
+        .then(waitForPopulate)
+        .then(() => {
+          expect(liveFirebase._.watchers['value:/users/ABC']).to.not.exist
+          expect(liveFirebase._.populateWatchers).to.eql({})
+        })
+    })
+
+    it('removes listener when child items are removed', () => {
+      watchEvent(liveFirebase, dispatch, { type: 'child_added', path: 'todos', populates })
+      watchEvent(liveFirebase, dispatch, { type: 'child_removed', path: 'todos', populates })
+      return waitForPopulate()
+        .then(() => liveFirebase.database().ref('todos/a').remove())
+        .then(waitForPopulate)
+        .then(() => {
+          // still populated by todos/b
+          expect(liveFirebase._.watchers['value:/users/ABC']).to.equal(1)
+          return liveFirebase.database().ref('todos/b').remove()
+        })
+        .then(waitForPopulate)
+        .then(() => {
+          expect(liveFirebase._.watchers['value:/users/ABC']).to.not.exist
+          expect(liveFirebase._.populateWatchers).to.eql({})
+        })
+    })
+
+    it('keeps listeners of child items until last child event is unwatched', () => {
+      watchEvent(liveFirebase, dispatch, { type: 'child_added', path: 'todos', populates })
+      watchEvent(liveFirebase, dispatch, { type: 'child_removed', path: 'todos', populates })
+      return waitForPopulate()
+        .then(() => {
+          unWatchEvent(liveFirebase, dispatch, 'child_removed', 'todos')
+          expect(liveFirebase._.watchers['value:/users/ABC']).to.equal(1)
+          unWatchEvent(liveFirebase, dispatch, 'child_added', 'todos')
+          expect(liveFirebase._.watchers).to.eql({})
+          expect(liveFirebase._.populateWatchers).to.eql({})
+        })
+    })
+
+    it('removes listener when changed child item no longer populates it', () => {
+      watchEvent(liveFirebase, dispatch, { type: 'child_changed', path: 'todos', populates })
+      return liveFirebase.database().ref('todos/a').update({ owner: 'ABC', text: 'Run tests' })
+        .then(waitForPopulate)
+        .then(() => {
+          expect(liveFirebase._.watchers['value:/users/ABC']).to.equal(1)
+          return liveFirebase.database().ref('todos/a/owner').remove()
+        })
+        .then(waitForPopulate)
+        .then(() => {
+          expect(liveFirebase._.watchers['value:/users/ABC']).to.not.exist
+          expect(liveFirebase._.populateWatchers).to.eql({})
+        })
+    })
+
+    it('removes listeners when query is unwatched', () => {
+      watchEvent(liveFirebase, dispatch, { type: 'value', path: 'todos', populates })
+      return waitForPopulate()
+        .then(() => {
+          unWatchEvent(liveFirebase, dispatch, 'value', 'todos')
+          expect(liveFirebase._.watchers).to.eql({})
+          expect(liveFirebase._.populateWatchers).to.eql({})
+        })
+    })
+
+    it('does not remove listener of child watched directly', () => {
+      watchEvent(liveFirebase, dispatch, { type: 'value', path: 'users/ABC' })
+      watchEvent(liveFirebase, dispatch, { type: 'value', path: 'todos', populates })
+      return waitForPopulate()
+        .then(() => {
+          unWatchEvent(liveFirebase, dispatch, 'value', 'todos')
+          expect(liveFirebase._.watchers['value:/users/ABC']).to.equal(1)
+        })
+    })
+  })
+
+  describe('pagination', () => {
+    const paginated = { type: 'value', path: 'todos', queryId: 'recentTodos', pageSize: 2, queryParams: ['orderByChild=createdAt'] }
+    let pageFirebase
+    let dispatchSpy
+
+    const lastAction = type =>
+      dispatchSpy.args.map(([action]) => action).filter(a => a.type === type).pop()
+
+    beforeEach(() => {
+      pageFirebase = createFirebaseMock({
+        data: {
+          todos: {
+            a: { createdAt: 5 },
+            b: { createdAt: 1 },
+            c: { createdAt: 4 },
+            d: { createdAt: 2 },
+            e: { createdAt: 3 }
+          }
+        }
+      })
+      pageFirebase.initializeApp(fbConfig)
+      Object.defineProperty(pageFirebase, '_', {
+        value: { watchers: {}, populateWatchers: {}, pagination: {}, queries: {}, config: {} }
+      })
+      dispatchSpy = sinon.spy()
+    })
+
+    it('loads first page in order', () =>
+      watchEvent(pageFirebase, dispatchSpy, paginated)
+        .then(() => {
+          expect(Object.keys(lastAction('@@reactReduxFirebase/SET').data)).to.eql(['b', 'd'])
+          expect(lastAction('@@reactReduxFirebase/SET_PAGINATION')).to.include({
+            queryId: 'recentTodos',
+            path: 'todos',
+            pageSize: 2,
+            pageCount: 1,
+            hasMore: true,
+            hasPrevious: false
+          })
+        })
+    )
+
+    it('appends next pages until no more children exist', () =>
+      watchEvent(pageFirebase, dispatchSpy, paginated)
+        .then(() => loadNextPage(pageFirebase, dispatchSpy, 'recentTodos'))
+        .then((page) => {
+          expect(Object.keys(page)).to.eql(['e', 'c'])
+          return loadNextPage(pageFirebase, dispatchSpy, 'recentTodos')
+        })
+        .then((page) => {
+          expect(Object.keys(page)).to.eql(['a'])
+          expect(Object.keys(lastAction('@@reactReduxFirebase/SET').data)).to.eql(['b', 'd', 'e', 'c', 'a'])
+          expect(lastAction('@@reactReduxFirebase/SET').ordered.map(({ key }) => key))
+            .to.eql(['b', 'd', 'e', 'c', 'a'])
+          expect(lastAction('@@reactReduxFirebase/SET_PAGINATION'))
+            .to.include({ pageCount: 3, hasMore: false })
+          return loadNextPage(pageFirebase, dispatchSpy, 'recentTodos')
+        })
+        .then((page) => {
+          expect(page).to.eql({})
+        })
+    )
+
+    it('loads pages in order when called together', () =>
+      watchEvent(pageFirebase, dispatchSpy, paginated)
+        .then(() => Promise.all([
+          loadNextPage(pageFirebase, dispatchSpy, 'recentTodos'),
+          loadNextPage(pageFirebase, dispatchSpy, 'recentTodos')
+        ]))
+        .then(([second, third]) => {
+          expect(Object.keys(second)).to.eql(['e', 'c'])
+          expect(Object.keys(third)).to.eql(['a'])
+        })
+    )
+
+    it('loads previous pages when starting from end', () =>
+      watchEvent(pageFirebase, dispatchSpy, Object.assign({}, paginated, { fromEnd: true }))
+        .then(() => {
+          expect(Object.keys(lastAction('@@reactReduxFirebase/SET').data)).to.eql(['c', 'a'])
+          expect(lastAction('@@reactReduxFirebase/SET_PAGINATION'))
+            .to.include({ hasMore: false, hasPrevious: true })
+          return loadPreviousPage(pageFirebase, dispatchSpy, 'recentTodos')
+        })
+        .then((page) => {
+          expect(Object.keys(page)).to.eql(['d', 'e'])
+          expect(Object.keys(lastAction('@@reactReduxFirebase/SET').data)).to.eql(['d', 'e', 'c', 'a'])
+        })
+    )
+
+    it('dispatches NO_VALUE when query has no results', () =>
+      watchEvent(pageFirebase, dispatchSpy, Object.assign({}, paginated, { path: 'doesNotExist', queryId: 'missing' }))
+        .then(() => {
+          expect(lastAction('@@reactReduxFirebase/NO_VALUE')).to.include({ path: 'doesNotExist' })
+          expect(lastAction('@@reactReduxFirebase/SET_PAGINATION'))
+            .to.include({ pageCount: 1, hasMore: false, startCursor: null })
+        })
+    )
+
+    it('rejects for query which is not being watched', () =>
+      loadNextPage(pageFirebase, dispatchSpy, 'recentTodos')
+        .then(() => Promise.reject(new Error('should have rejected')), (err) => {
+          expect(err.message).to.equal('Paginated query "recentTodos" is not being watched.')
+        })
+    )
+
+    it('clears pagination when unwatched', () =>
+      watchEvent(pageFirebase, dispatchSpy, paginated)
+        .then(() => {
+          unWatchEvent(pageFirebase, dispatchSpy, 'value', 'todos', 'recentTodos')
+          expect(pageFirebase._.pagination).to.eql({})
+          expect(dispatchSpy).to.have.been.calledWith({
+            type: '@@reactReduxFirebase/CLEAR_PAGINATION',
+            queryId: 'recentTodos'
+          })
+        })
+    )
+  })
+
+  describe('query results', () => {
+    const waitForEvents = () => new Promise(resolve => setTimeout(resolve, 10))
+    const doneTodos = { path: 'todos', queryId: 'doneTodos', queryParams: ['orderByChild=done', 'equalTo=true'] }
+    const recentTodos = { path: 'todos', queryId: 'recentTodos', queryParams: ['orderByKey', 'limitToLast=2'] }
+    let store
+
+    const getState = () => store.getState().firebase
+
+    beforeEach(() => {
+      const sdk = createFirebaseMock({
+        data: {
+          todos: { a: { done: true }, b: { done: false }, c: { done: true }, d: { done: false } }
+        }
+      })
+      store = compose(
+        reactReduxFirebase(fbConfig, { sdk, enableRedirectHandling: false })
+      )(createStore)(combineReducers({ firebase: createFirebaseStateReducer({ immutable: false }) }))
+    })
+
+    it('stores results of queries of the same path separately', () => {
+      watchEvents(store.firebase, store.dispatch, getEventsFromInput([doneTodos, recentTodos]))
+      return waitForEvents()
+        .then(() => {
+          expect(queryToJS(getState(), 'doneTodos').map(({ key }) => key)).to.eql(['a', 'c'])
+          expect(queryToJS(getState(), 'recentTodos').map(({ key }) => key)).to.eql(['c', 'd'])
+          expect(dataToJS(getState(), 'todos')).to.have.keys('a', 'c', 'd')
+        })
+    })
+
+    it('removes children which leave results', () => {
+      watchEvents(store.firebase, store.dispatch, getEventsFromInput([doneTodos, recentTodos]))
+      return waitForEvents()
+        .then(() => store.firebase.database().ref('todos/a/done').set(false))
+        .then(waitForEvents)
+        .then(() => {
+          expect(queryToJS(getState(), 'doneTodos')).to.eql([{ key: 'c', value: { done: true } }])
+          expect(dataToJS(getState(), 'todos')).to.have.keys('c', 'd')
+        })
+    })
+
+    it('keeps order of results within Immutable state', () => {
+      const todos = {}
+      for (let i = 0; i < 10; i++) {
+        todos[`todo${i}`] = { rank: 10 - i }
+      }
+      const sdk = createFirebaseMock({ data: { todos } })
+      const immutableStore = compose(
+        reactReduxFirebase(fbConfig, { sdk, enableRedirectHandling: false })
+      )(createStore)(combineReducers({ firebase: createFirebaseStateReducer() }))
+      const byRank = { path: 'todos', queryId: 'byRank', queryParams: ['orderByChild=rank', 'limitToLast=9'] }
+      watchEvents(immutableStore.firebase, immutableStore.dispatch, getEventsFromInput(['todos', byRank]))
+      return waitForEvents()
+        .then(() => {
+          const { firebase } = immutableStore.getState()
+          expect(orderedToJS(firebase, 'byRank').map(({ value }) => value.rank))
+            .to.eql([2, 3, 4, 5, 6, 7, 8, 9, 10])
+          expect(orderedToJS(firebase, 'todos').map(({ key }) => key))
+            .to.eql(Object.keys(todos).sort())
+        })
+    })
+
+    it('removes results when query is unwatched', () => {
+      watchEvents(store.firebase, store.dispatch, getEventsFromInput([doneTodos]))
+      return waitForEvents()
+        .then(() => {
+          unWatchEvents(store.firebase, store.dispatch, getEventsFromInput([doneTodos]))
+          expect(queryToJS(getState(), 'doneTodos')).to.be.undefined
+          expect(orderedToJS(getState(), 'doneTodos')).to.be.undefined
+          expect(store.firebase._.queries).to.eql({})
+        })
+    })
+  })
+
+  describe('child events', () => {
+    const waitForEvents = () => new Promise(resolve => setTimeout(resolve, 10))
+    let store
+    let actions
+
+    const getState = () => store.getState().firebase
+    const dispatchSpy = (action) => {
+      actions.push(action)
+      return store.dispatch(action)
+    }
+
+    beforeEach(() => {
+      const sdk = createFirebaseMock({
+        data: { todos: { a: { text: 'a' }, b: { text: 'b' } } }
+      })
+      store = compose(
+        reactReduxFirebase(fbConfig, { sdk, enableRedirectHandling: false })
+      )(createStore)(combineReducers({ firebase: createFirebaseStateReducer({ immutable: false }) }))
+      actions = []
+    })
+
+    it('dispatches child actions instead of SET', () => {
+      watchEvents(store.firebase, dispatchSpy, getEventsFromInput([['todos']]))
+      return waitForEvents()
+        .then(() => {
+          expect(actions.map(({ type }) => type)).to.not.include('@@reactReduxFirebase/SET')
+          expect(actions.filter(({ type }) => type === '@@reactReduxFirebase/CHILD_ADDED').map(({ key }) => key))
+            .to.eql(['a', 'b'])
+          expect(orderedToJS(getState(), 'todos').map(({ key }) => key)).to.eql(['a', 'b'])
+          expect(getState().requesting.todos).to.be.false
+          expect(getState().requested.todos).to.be.true
+        })
+    })
+
+    it('applies added, changed, and removed children', () => {
+      watchEvents(store.firebase, dispatchSpy, getEventsFromInput([['todos']]))
+      const ref = store.firebase.database().ref('todos')
+      return waitForEvents()
+        .then(() => ref.child('c').set({ text: 'c' }))
+        .then(() => ref.child('a/text').set('changed'))
+        .then(() => ref.child('b').remove())
+        .then(waitForEvents)
+        .then(() => {
+          expect(dataToJS(getState(), 'todos')).to.eql({ a: { text: 'changed' }, c: { text: 'c' } })
+          expect(orderedToJS(getState(), 'todos'))
+            .to.eql([{ key: 'a', value: { text: 'changed' } }, { key: 'c', value: { text: 'c' } }])
+        })
+    })
+
+    it('marks empty list as loaded with first_child', () => {
+      watchEvents(store.firebase, dispatchSpy, getEventsFromInput([['projects']]))
+      return waitForEvents()
+        .then(() => {
+          expect(getState().requested.projects).to.be.true
+          expect(orderedToJS(getState(), 'projects')).to.eql([])
+        })
+    })
+
+    it('dispatches moved children of queries along with previous key', () => {
+      const events = getEventsFromInput([{ type: 'child_moved', path: 'todos', queryParams: ['orderByChild=text'] }])
+      watchEvents(store.firebase, dispatchSpy, events)
+      return waitForEvents()
+        .then(() => store.firebase.database().ref('todos/a/text').set('c'))
+        .then(waitForEvents)
+        .then(() => {
+          expect(actions.filter(({ type }) => type === '@@reactReduxFirebase/CHILD_MOVED').pop())
+            .to.include({ path: 'todos', key: 'a', previousKey: 'b', queryId: events[0].queryId })
+        })
+    })
+  })
+
   describe('unWatchEvent', () => {
     it('is exported', () => {
       expect(unWatchEvent).to.be.a.function
@@ -1,13 +1,14 @@
 /* global describe expect it */
 import { omit } from 'lodash'
 import { createStore, combineReducers, compose } from 'redux'
-import composeFunc, { getFirebase } from '../../src/compose'
+import composeFunc, { getFirebase, authIsReady } from '../../src/compose'
+import firebaseStateReducer, { createFirebaseStateReducer } from '../../src/reducer'
 const exampleData = { data: { some: 'data' } }
 const reducer = sinon.spy()
 const generateCreateStore = (params) =>
   compose(composeFunc(
     params ? omit(fbConfig, params) : fbConfig,
-    { userProfile: 'users', enableLogging: false, enableRedirectHandling: false }
+    { userProfile: 'users', enableLogging: false, enableRedirectHandling: false, sdk: Firebase }
   ))(createStore)
 const helpers = generateCreateStore()(reducer).firebase.helpers
 
@@ -86,28 +87,53 @@ describe('Compose', () => {
     })
 
     describe('login', () => {
-      try {
+      it('rejects for user that does not exist', () =>
         helpers.login({ email: 'test' })
-      } catch (err) {
-        expect(err).to.be.an.object
-      }
+          .then(() => Promise.reject(new Error('should have rejected')), (err) => {
+            expect(err.code).to.equal('auth/user-not-found')
+          })
+      )
     })
 
     describe('logout', () =>
       helpers.logout()
     )
 
-    describe('createUser', () =>
-      helpers.createUser({ email: 'test' }, { email: 'test' })
-    )
+    describe('createUser', () => {
+      it('rejects for missing password', () =>
+        helpers.createUser({ email: 'test' }, { email: 'test' })
+          .then(() => Promise.reject(new Error('should have rejected')), (err) => {
+            expect(err.message).to.equal('Email and Password are Required')
+          })
+      )
+    })
 
     describe('resetPassword', () => {
-      try {
+      it('rejects for user that does not exist', () =>
         helpers.resetPassword({ email: 'test' })
-      } catch (err) {
-        expect(err).to.be.an.object
-      }
+          .then(() => Promise.reject(new Error('should have rejected')), (err) => {
+            expect(err.code).to.equal('auth/user-not-found')
+          })
+      )
+    })
+    describe('loadNextPage', () => {
+      it('rejects for query which is not being watched', () =>
+        helpers.loadNextPage('notWatched')
+          .then(() => Promise.reject(new Error('should have rejected')), (err) => {
+            expect(err.message).to.equal('Paginated query "notWatched" is not being watched.')
+          })
+      )
     })
+
+    describe('loadPreviousPage', () => {
+      it('rejects for query which is not being watched', () =>
+        helpers.loadPreviousPage('notWatched')
+          .then(() => Promise.reject(new Error('should have rejected')), (err) => {
+            expect(err.message).to.equal('Paginated query "notWatched" is not being watched.')
+          })
+      )
+    })
+
     describe('storage', () => {
       try {
         helpers.storage()
@@ -117,6 +143,41 @@ describe('Compose', () => {
     })
   })
 
+  describe('enableOptimisticUpdates', () => {
+    const createOptimisticStore = () =>
+      compose(composeFunc(
+        fbConfig,
+        { enableRedirectHandling: false, enableOptimisticUpdates: true, writeQueueStorage: null, sdk: Firebase }
+      ))(createStore)(combineReducers({ firebase: firebaseStateReducer }))
+
+    it('sets data in state before write completes', () => {
+      const store = createOptimisticStore()
+      const promise = store.firebase.helpers.set('optimistic/a', { some: 'data' })
+      expect(store.getState().firebase.getIn(['data', 'optimistic', 'a', 'some']))
+        .to.equal('data')
+      return promise
+    })
+
+    it('removes data from state before write completes', () => {
+      const store = createOptimisticStore()
+      return store.firebase.helpers.set('optimistic/b', 'data')
+        .then(() => {
+          const promise = store.firebase.helpers.remove('optimistic/b')
+          expect(store.getState().firebase.getIn(['data', 'optimistic', 'b']))
+            .to.equal(undefined)
+          return promise
+        })
+    })
+
+    it('pushes with thenable reference', () => {
+      const store = createOptimisticStore()
+      const ref = store.firebase.helpers.push('optimistic', 'data')
+      expect(store.getState().firebase.getIn(['data', 'optimistic', ref.key]))
+        .to.equal('data')
+      return ref
+    })
+  })
+
   describe('throws for missing fbConfig parameters', () => {
     const errorSuffix = 'is a required config parameter for react-redux-firebase.'
     it('databaseURL', () => {
@@ -133,9 +194,89 @@ describe('Compose', () => {
     })
   })
 
+  describe('named apps', () => {
+    const store = compose(composeFunc(
+      { apps: { primary: fbConfig, analytics: fbConfig } },
+      { enableRedirectHandling: false, sdk: Firebase }
+    ))(createStore)(reducer)
+
+    it('sets primary app as store.firebase', () => {
+      expect(store.firebase).to.equal(store.firebaseApps.primary)
+    })
+    it('creates instance for each app', () => {
+      expect(store.firebaseApps).to.have.keys('primary', 'analytics')
+      expect(store.firebaseApps.analytics._.appName).to.equal('analytics')
+    })
+    it('keeps separate watchers for each app', () => {
+      expect(store.firebaseApps.primary._.watchers)
+        .to.not.equal(store.firebaseApps.analytics._.watchers)
+    })
+    it('throws for missing app config parameters', () => {
+      expect(() => compose(composeFunc({ apps: { primary: omit(fbConfig, 'apiKey') } }, { sdk: Firebase }))(createStore)(reducer))
+        .to.throw('apiKey is a required config parameter for react-redux-firebase.')
+    })
+    it('throws for invalid apps', () => {
+      expect(() => compose(composeFunc({ apps: {} }, { sdk: Firebase }))(createStore)(reducer))
+        .to.throw('apps must be a map of Firebase configs by app name (i.e. { apps: { primary: fbConfig } }).')
+    })
+    it('throws for app name reserved for firebase state', () => {
+      expect(() => compose(composeFunc({ apps: { primary: fbConfig, data: fbConfig } }, { sdk: Firebase }))(createStore)(reducer))
+        .to.throw('App name "data" is reserved for firebase state, app name can not be one of: auth, authError, profile,')
+    })
+    it('treats config without apps as a single app', () => {
+      const singleStore = compose(composeFunc(
+        Object.assign({}, fbConfig, { extra: {} }),
+        { enableRedirectHandling: false, sdk: Firebase }
+      ))(createStore)(reducer)
+      expect(singleStore.firebaseApps).to.not.exist
+      expect(singleStore.firebase._.appName).to.not.exist
+    })
+  })
+
+  it('throws for reserved profileRoleParam', () => {
+    expect(() => compose(composeFunc(fbConfig, { sdk: Firebase, profileRoleParam: 'roles' }))(createStore)(reducer))
+      .to.throw('profileRoleParam parameter in react-redux-firebase config can not be one of: roles, permissions (reserved for loaded roles).')
+  })
+
+  it('throws for invalid authPersistence', () => {
+    expect(() => compose(composeFunc(fbConfig, { sdk: Firebase, authPersistence: 'asdf' }))(createStore)(reducer))
+      .to.throw('authPersistence parameter in react-redux-firebase config must be one of: local, session, none.')
+  })
+
   describe('getFirebase', () => {
     it('exports firebase instance', () => {
       expect(getFirebase()).to.be.an.object
     })
+    it('exports named app instance', () => {
+      expect(getFirebase('analytics')._.appName).to.equal('analytics')
+    })
+    it('throws for app that does not exist', () => {
+      expect(() => getFirebase('asdf'))
+        .to.throw('Firebase instance for app "asdf" does not exist. Check your compose function.')
+    })
+  })
+
+  describe('authIsReady', () => {
+    it('resolves once auth is initialized', () => {
+      const store = generateCreateStore()(createFirebaseStateReducer({ immutable: false }))
+      return authIsReady(store)
+        .then(() => {
+          expect(store.getState().isInitializing).to.equal(false)
+        })
+    })
+    it('resolves for named app', () => {
+      const store = compose(composeFunc({ apps: { primary: fbConfig, analytics: fbConfig } }, { sdk: Firebase, enableRedirectHandling: false }))(createStore)(reducer)
+      return authIsReady(store, 'analytics')
+    })
+    it('throws for app that does not exist', () => {
+      const store = compose(composeFunc({ apps: { primary: fbConfig } }, { sdk: Firebase, enableRedirectHandling: false }))(createStore)(reducer)
+      expect(() => authIsReady(store, 'asdf'))
+        .to.throw('Firebase instance for app "asdf" does not exist. Check your compose function.')
+    })
+    it('throws for app name passed with single app', () => {
+      const store = generateCreateStore()(createFirebaseStateReducer({ immutable: false }))
+      expect(() => authIsReady(store, 'analytics'))
+        .to.throw('Firebase instance for app "analytics" does not exist. Check your compose function.')
+    })
   })
 })
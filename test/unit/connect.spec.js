@@ -2,6 +2,8 @@ import React, { createClass, Children, PropTypes, Component } from 'react'
 import ReactDOM from 'react-dom'
 import connect from '../../src/connect'
 import reactReduxFirebase from '../../src/compose'
+import { createFirebaseStateReducer } from '../../src/reducer'
+import { actionTypes } from '../../src/constants'
 import TestUtils from 'react-addons-test-utils'
 import { createStore, compose, combineReducers } from 'redux'
 
@@ -35,7 +37,7 @@ describe('Connect', () => {
 
   it('should receive the store in the context', () => {
     const createStoreWithMiddleware = compose(
-      reactReduxFirebase(fbConfig, { userProfile: 'users' }),
+      reactReduxFirebase(fbConfig, { userProfile: 'users', sdk: Firebase }),
       typeof window === 'object' && typeof window.devToolsExtension !== 'undefined' ? window.devToolsExtension() : f => f
     )(createStore)
     const store = createStoreWithMiddleware(combineReducers({ test: (state = {}) => state }))
@@ -60,4 +62,98 @@ describe('Connect', () => {
     expect(container.context.store).to.equal(store)
   })
 
+  it('only watches paths permitted by profile', () => {
+    const store = compose(
+      reactReduxFirebase(fbConfig, { userProfile: 'users', sdk: Firebase })
+    )(createStore)(combineReducers({ firebase: createFirebaseStateReducer({ immutable: false }) }))
+
+    @connect([
+      'projects',
+      { path: 'reports', permission: 'readReports' }
+    ])
+    class Container extends Component {
+      render() {
+        return <Passthrough {...this.props} />
+      }
+    }
+
+    const tree = TestUtils.renderIntoDocument(
+      <ProviderMock store={store}>
+        <Container />
+      </ProviderMock>
+    )
+    const { watchers } = store.firebase._
+    expect(watchers).to.have.property('value:/projects')
+    expect(watchers).to.not.have.property('value:/reports')
+
+    store.dispatch({ type: actionTypes.SET_PROFILE, profile: { permissions: { readReports: true } } })
+    expect(watchers).to.have.property('value:/reports')
+
+    store.dispatch({ type: actionTypes.SET_PROFILE, profile: { permissions: {} } })
+    expect(watchers).to.not.have.property('value:/reports')
+
+    ReactDOM.unmountComponentAtNode(ReactDOM.findDOMNode(tree).parentNode)
+    expect(watchers).to.not.have.property('value:/projects')
+  })
+
+  it('watches paths before wrapped component renders', () => {
+    const store = compose(
+      reactReduxFirebase(fbConfig, { userProfile: 'users', sdk: Firebase })
+    )(createStore)(combineReducers({ firebase: createFirebaseStateReducer({ immutable: false }) }))
+    let watchedOnRender
+
+    @connect(['projects'])
+    class Container extends Component {
+      render() {
+        watchedOnRender = Object.keys(store.firebase._.watchers)
+        return <Passthrough {...this.props} />
+      }
+    }
+
+    const tree = TestUtils.renderIntoDocument(
+      <ProviderMock store={store}>
+        <Container />
+      </ProviderMock>
+    )
+    expect(watchedOnRender).to.include('value:/projects')
+    ReactDOM.unmountComponentAtNode(ReactDOM.findDOMNode(tree).parentNode)
+  })
+
+  it('only subscribes to store when paths have role or permission requirements', () => {
+    const store = compose(
+      reactReduxFirebase(fbConfig, { userProfile: 'users', sdk: Firebase })
+    )(createStore)(combineReducers({ firebase: createFirebaseStateReducer({ immutable: false }) }))
+    const subscribeSpy = sinon.spy(store, 'subscribe')
+
+    @connect(['projects'])
+    class Container extends Component {
+      render() {
+        return <Passthrough {...this.props} />
+      }
+    }
+
+    @connect([{ path: 'reports', role: 'admin' }])
+    class RoleContainer extends Component {
+      render() {
+        return <Passthrough {...this.props} />
+      }
+    }
+
+    const tree = TestUtils.renderIntoDocument(
+      <ProviderMock store={store}>
+        <Container />
+      </ProviderMock>
+    )
+    expect(subscribeSpy).to.not.have.been.called
+    ReactDOM.unmountComponentAtNode(ReactDOM.findDOMNode(tree).parentNode)
+
+    const roleTree = TestUtils.renderIntoDocument(
+      <ProviderMock store={store}>
+        <RoleContainer />
+      </ProviderMock>
+    )
+    expect(subscribeSpy).to.have.been.calledOnce
+    ReactDOM.unmountComponentAtNode(ReactDOM.findDOMNode(roleTree).parentNode)
+  })
+
 })
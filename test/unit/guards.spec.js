@@ -0,0 +1,190 @@
+/* global describe expect it beforeEach fbConfig */
+import React, { Children, PropTypes, Component } from 'react'
+import TestUtils from 'react-addons-test-utils'
+import { createStore, compose, combineReducers } from 'redux'
+import reactReduxFirebase from '../../src/compose'
+import { createFirebaseStateReducer } from '../../src/reducer'
+import { actionTypes } from '../../src/constants'
+import createFirebaseMock from '../../src/mock'
+import {
+  userIsAuthenticated,
+  userIsNotAuthenticated,
+  userHasRole,
+  dataIsLoaded
+} from '../../src/guards'
+
+describe('Guards', () => {
+  let store
+
+  class Page extends Component {
+    render () {
+      return <div>page</div>
+    }
+  }
+
+  class Loading extends Component {
+    render () {
+      return <div>loading</div>
+    }
+  }
+
+  class ProviderMock extends Component {
+    getChildContext () {
+      return { store: this.props.store }
+    }
+
+    render () {
+      return Children.only(this.props.children)
+    }
+  }
+
+  ProviderMock.childContextTypes = {
+    store: PropTypes.object.isRequired
+  }
+
+  const render = (Guarded, props = {}) => {
+    const tree = TestUtils.renderIntoDocument(
+      <ProviderMock store={store}>
+        <Guarded {...props} />
+      </ProviderMock>
+    )
+    return () => TestUtils.scryRenderedComponentsWithType(tree, Page).length
+      ? 'page'
+      : TestUtils.scryRenderedComponentsWithType(tree, Loading).length
+        ? 'loading'
+        : null
+  }
+
+  const login = auth => store.dispatch({ type: actionTypes.LOGIN, auth })
+  const logout = () => store.dispatch({ type: actionTypes.LOGOUT })
+
+  const createStoreWithConfig = (config = {}) => {
+    store = compose(
+      reactReduxFirebase(fbConfig, {
+        sdk: createFirebaseMock(),
+        enableRedirectHandling: false,
+        ...config
+      })
+    )(createStore)(combineReducers({ firebase: createFirebaseStateReducer() }))
+    // auth is unknown until auth state changes (after mock has initialized)
+    return store.firebase._.authIsReady
+      .then(() => store.dispatch({ type: actionTypes.AUTHENTICATION_INIT_STARTED }))
+  }
+
+  beforeEach(() => createStoreWithConfig())
+
+  describe('userIsAuthenticated', () => {
+    it('renders loading component until auth is initialized', () => {
+      const getRendered = render(userIsAuthenticated({ LoadingComponent: Loading })(Page))
+      expect(getRendered()).to.equal('loading')
+      store.dispatch({ type: actionTypes.AUTHENTICATION_INIT_FINISHED })
+      login({ uid: '123' })
+      expect(getRendered()).to.equal('page')
+    })
+
+    it('calls redirect with props if user is not logged in', () => {
+      const redirect = sinon.spy()
+      const getRendered = render(
+        userIsAuthenticated({ LoadingComponent: Loading, redirect })(Page),
+        { some: 'prop' }
+      )
+      expect(redirect).to.not.have.been.called
+      store.dispatch({ type: actionTypes.AUTHENTICATION_INIT_FINISHED })
+      logout()
+      expect(getRendered()).to.equal(null)
+      expect(redirect).to.have.been.calledOnce
+      expect(redirect.firstCall.args[0]).to.have.property('some', 'prop')
+      expect(redirect.firstCall.args[1]).to.be.a('function')
+    })
+
+    it('calls redirect on logout', () => {
+      const redirect = sinon.spy()
+      store.dispatch({ type: actionTypes.AUTHENTICATION_INIT_FINISHED })
+      login({ uid: '123' })
+      const getRendered = render(userIsAuthenticated({ redirect })(Page))
+      expect(getRendered()).to.equal('page')
+      logout()
+      expect(redirect).to.have.been.calledOnce
+    })
+  })
+
+  describe('userIsNotAuthenticated', () => {
+    it('renders component if user is not logged in', () => {
+      store.dispatch({ type: actionTypes.AUTHENTICATION_INIT_FINISHED })
+      logout()
+      expect(render(userIsNotAuthenticated()(Page))()).to.equal('page')
+    })
+
+    it('calls redirect if user is logged in', () => {
+      const redirect = sinon.spy()
+      store.dispatch({ type: actionTypes.AUTHENTICATION_INIT_FINISHED })
+      login({ uid: '123' })
+      expect(render(userIsNotAuthenticated({ redirect })(Page))()).to.equal(null)
+      expect(redirect).to.have.been.calledOnce
+    })
+  })
+
+  describe('userHasRole', () => {
+    const loginWithConfig = config =>
+      createStoreWithConfig(config).then(() => {
+        store.dispatch({ type: actionTypes.AUTHENTICATION_INIT_FINISHED })
+        logout()
+        login({ uid: '123' })
+      })
+
+    beforeEach(() => loginWithConfig({ userProfile: 'users', roles: 'roles' }))
+
+    it('renders loading component until profile is loaded', () => {
+      const getRendered = render(userHasRole('admin', { LoadingComponent: Loading })(Page))
+      expect(getRendered()).to.equal('loading')
+      store.dispatch({ type: actionTypes.SET_PROFILE, profile: { roles: { admin: {} } } })
+      expect(getRendered()).to.equal('page')
+    })
+
+    it('calls redirect if profile does not have role', () => {
+      const redirect = sinon.spy()
+      store.dispatch({ type: actionTypes.SET_PROFILE, profile: { roles: { editor: {} } } })
+      expect(render(userHasRole('admin', { redirect })(Page))()).to.equal(null)
+      expect(redirect).to.have.been.calledOnce
+    })
+
+    it('calls redirect if roles config option is not set', () => {
+      const redirect = sinon.spy()
+      return loginWithConfig({ userProfile: 'users' }).then(() => {
+        const getRendered = render(userHasRole('admin', { LoadingComponent: Loading, redirect })(Page))
+        expect(getRendered()).to.equal(null)
+        expect(redirect).to.have.been.calledOnce
+      })
+    })
+
+    it('calls redirect if userProfile config option is not set', () => {
+      const redirect = sinon.spy()
+      return loginWithConfig({ roles: 'roles' }).then(() => {
+        const getRendered = render(userHasRole('admin', { LoadingComponent: Loading, redirect })(Page))
+        expect(getRendered()).to.equal(null)
+        expect(redirect).to.have.been.calledOnce
+      })
+    })
+  })
+
+  describe('dataIsLoaded', () => {
+    it('renders loading component until data is loaded', () => {
+      const getRendered = render(
+        dataIsLoaded(props => [`todos/${props.todoId}`], { LoadingComponent: Loading })(Page),
+        { todoId: 'a' }
+      )
+      expect(getRendered()).to.equal('loading')
+      store.dispatch({ type: actionTypes.SET, path: 'todos/a', data: { text: 'a' } })
+      expect(getRendered()).to.equal('page')
+    })
+
+    it('accepts a single path', () => {
+      store.dispatch({ type: actionTypes.NO_VALUE, path: 'todos' })
+      expect(render(dataIsLoaded('todos')(Page))()).to.equal('page')
+    })
+  })
+
+  it('sets display name', () => {
+    expect(userIsAuthenticated()(Page).displayName).to.equal('UserIsAuthenticated(Page)')
+  })
+})
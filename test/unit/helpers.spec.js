@@ -63,11 +63,15 @@ describe('Helpers:', () => {
         .have
         .keys('test')
     })
-    it('returns state if its not an immutable Map', () => {
-      const fakeState = {}
-      expect(helpers.pathToJS(fakeState, 'asdf'))
+    it('gets data from plain JS state', () => {
+      expect(helpers.pathToJS(exampleData, 'data/some'))
         .to
-        .equal(fakeState)
+        .equal(exampleData.data.some)
+    })
+    it('gets meta from plain JS state', () => {
+      expect(helpers.pathToJS(exampleData, 'timestamp/some/path'))
+        .to
+        .equal(exampleData.timestamp['some/path'])
     })
   })
 
@@ -86,11 +90,15 @@ describe('Helpers:', () => {
         .to
         .equal(exampleData.data[path])
     })
-    it('returns state if its not an immutable Map', () => {
-      const fakeState = { }
-      expect(helpers.dataToJS(fakeState, 'asdf'))
+    it('passes notSetValue for plain JS state', () => {
+      expect(helpers.dataToJS({}, 'asdf', 'notSet'))
+        .to
+        .equal('notSet')
+    })
+    it('gets data from plain JS state without copying', () => {
+      expect(helpers.dataToJS(exampleData, 'projects'))
         .to
-        .equal(fakeState)
+        .equal(exampleData.data.projects)
     })
   })
 
@@ -108,17 +116,22 @@ describe('Helpers:', () => {
         .to
         .equal(undefined)
     })
-    it('returns state if its not an immutable Map', () => {
-      const fakeState = { }
-      expect(helpers.populatedDataToJS(fakeState, 'asdf'))
+    it('returns undefined for non existant path in plain JS state', () => {
+      expect(helpers.populatedDataToJS({}, 'asdf'))
         .to
-        .equal(fakeState)
+        .equal(undefined)
+    })
+    it('populates child from plain JS state', () => {
+      expect(helpers.populatedDataToJS(exampleData, 'projects', [{ child: 'owner', root: 'users' }]).CDF.owner)
+        .to
+        .have
+        .property('displayName', 'scott')
     })
     it('returns unpopulated data for no populates', () => {
       const path = '/projects'
       expect(helpers.populatedDataToJS(exampleState, path, []))
         .to
-        .equal(exampleData.data[path])
+        .eql(exampleData.data.projects)
     })
 
     it('populates child', () => {
@@ -178,6 +191,93 @@ describe('Helpers:', () => {
         .have
         .deep
         .property(`${valName}.owner.displayName`, exampleData.data[rootName].ABC.displayName)
+      expect(helpers.populatedDataToJS(exampleState, path, populates))
+        .to
+        .have
+        .deep
+        .property('OKF.collaborators.ABC.displayName', exampleData.data[rootName].ABC.displayName)
+    })
+
+    describe('fields', () => {
+      const userData = {
+        data: {
+          projects: {
+            CDF: { owner: 'ABC', collaborators: { ABC: true } }
+          },
+          users: {
+            ABC: { displayName: 'scott', email: 'scott@test.com' }
+          }
+        }
+      }
+
+      it('only includes selected fields', () => {
+        expect(helpers.populatedDataToJS(fromJS(userData), 'projects', ['owner:users:displayName']).CDF.owner)
+          .to
+          .eql({ displayName: 'scott' })
+      })
+
+      it('only includes selected fields within child list', () => {
+        const populates = [{ child: 'collaborators', root: 'users', fields: ['displayName'] }]
+        expect(helpers.populatedDataToJS(userData, 'projects', populates).CDF.collaborators.ABC)
+          .to
+          .eql({ displayName: 'scott' })
+      })
+
+      it('includes key under keyProp', () => {
+        const populates = [{ child: 'owner', root: 'users', fields: ['displayName'], keyProp: 'id' }]
+        expect(helpers.populatedDataToJS(userData, 'projects', populates).CDF.owner)
+          .to
+          .eql({ displayName: 'scott', id: 'ABC' })
+      })
+    })
+
+    describe('multi-level', () => {
+      const nestedData = {
+        data: {
+          projects: {
+            CDF: { owner: 'ABC' }
+          },
+          users: {
+            ABC: { displayName: 'scott', org: 'org1', manager: 'DEF' },
+            DEF: { displayName: 'rick', manager: 'ABC' }
+          },
+          orgs: {
+            org1: { name: 'Some Org' }
+          }
+        }
+      }
+
+      it('populates child of populated child', () => {
+        const populates = [
+          { child: 'owner', root: 'users' },
+          { child: 'owner.org', root: 'orgs' }
+        ]
+        expect(helpers.populatedDataToJS(fromJS(nestedData), 'projects', populates))
+          .to
+          .have
+          .deep
+          .property('CDF.owner.org.name', 'Some Org')
+      })
+
+      it('populates from plain JS state with string notation', () => {
+        const populates = ['owner:users', 'owner.org:orgs']
+        expect(helpers.populatedDataToJS(nestedData, 'projects', populates))
+          .to
+          .have
+          .deep
+          .property('CDF.owner.org.name', 'Some Org')
+      })
+
+      it('leaves cyclic references as ids', () => {
+        const populates = [
+          { child: 'owner', root: 'users' },
+          { child: 'owner.manager', root: 'users' },
+          { child: 'owner.manager.manager', root: 'users' }
+        ]
+        const populated = helpers.populatedDataToJS(nestedData, 'projects', populates)
+        expect(populated.CDF.owner.manager.displayName).to.equal('rick')
+        expect(populated.CDF.owner.manager.manager).to.equal('ABC')
+      })
     })
   })
 
@@ -186,9 +286,9 @@ describe('Helpers:', () => {
       expect(helpers).to.respondTo('customToJS')
     })
     it('handles non-immutable state', () => {
-      expect(helpers.customToJS(exampleData, '/some', 'some'))
+      expect(helpers.customToJS(exampleData, '/some', 'snapshot'))
         .to
-        .equal(exampleData)
+        .equal(exampleData.snapshot.some)
     })
     it('passes notSetValue', () => {
       expect(helpers.customToJS(null, '/some', 'some', exampleData))
@@ -202,6 +302,64 @@ describe('Helpers:', () => {
     })
   })
 
+  describe('queryToJS', () => {
+    const queryState = {
+      data: { todos: { a: { done: true }, b: { done: false }, c: { done: true } } },
+      queries: {
+        doneTodos: { path: 'todos', keys: ['c', 'a'] },
+        recentTodos: { path: '/todos', keys: ['b', 'c'] }
+      }
+    }
+    it('exists', () => {
+      expect(helpers).to.respondTo('queryToJS')
+    })
+    it('returns results of query in order', () => {
+      expect(helpers.queryToJS(queryState, 'doneTodos'))
+        .to.eql([{ key: 'c', value: { done: true } }, { key: 'a', value: { done: true } }])
+      expect(helpers.queryToJS(queryState, 'recentTodos').map(({ key }) => key))
+        .to.eql(['b', 'c'])
+    })
+    it('handles Immutable state', () => {
+      expect(helpers.queryToJS(fromJS(queryState), 'doneTodos'))
+        .to.eql([{ key: 'c', value: { done: true } }, { key: 'a', value: { done: true } }])
+    })
+    it('passes notSetValue', () => {
+      expect(helpers.queryToJS(null, 'doneTodos', [])).to.eql([])
+      expect(helpers.queryToJS(queryState, 'missing', [])).to.eql([])
+    })
+  })
+
+  describe('orderedToJS', () => {
+    const orderedState = {
+      ordered: {
+        'todos/a/subtasks': [{ key: 'c', value: 'c' }],
+        todos: [{ key: 'b', value: { text: 'a' } }, { key: 'a', value: { text: 'b' } }],
+        '/todos#orderByChild=text': [{ key: 'b', value: { text: 'a' } }]
+      }
+    }
+    it('exists', () => {
+      expect(helpers).to.respondTo('orderedToJS')
+    })
+    it('returns ordered children of path', () => {
+      expect(helpers.orderedToJS(orderedState, '/todos').map(({ key }) => key))
+        .to.eql(['b', 'a'])
+      expect(helpers.orderedToJS(orderedState, 'todos/a/subtasks'))
+        .to.eql([{ key: 'c', value: 'c' }])
+    })
+    it('returns ordered results of query', () => {
+      expect(helpers.orderedToJS(orderedState, '/todos#orderByChild=text'))
+        .to.eql([{ key: 'b', value: { text: 'a' } }])
+    })
+    it('handles Immutable state', () => {
+      expect(helpers.orderedToJS(fromJS(orderedState), 'todos').map(({ key }) => key))
+        .to.eql(['b', 'a'])
+    })
+    it('passes notSetValue', () => {
+      expect(helpers.orderedToJS(null, 'todos', [])).to.eql([])
+      expect(helpers.orderedToJS(orderedState, 'projects', [])).to.eql([])
+    })
+  })
+
   describe('isLoaded', () => {
     it('exists', () => {
       expect(helpers).to.respondTo('isLoaded')
@@ -225,4 +383,23 @@ describe('Helpers:', () => {
       expect(helpers.isEmpty([{}])).to.be.false
     })
   })
+
+  describe('hasRole', () => {
+    it('returns true if profile has role', () => {
+      expect(helpers.hasRole({ roles: { admin: {} } }, 'admin')).to.be.true
+    })
+    it('returns false if profile does not have role', () => {
+      expect(helpers.hasRole({ roles: {} }, 'admin')).to.be.false
+      expect(helpers.hasRole(null, 'admin')).to.be.false
+    })
+  })
+
+  describe('hasPermission', () => {
+    it('returns true if profile has permission', () => {
+      expect(helpers.hasPermission(fromJS({ permissions: { readUsers: true } }), 'readUsers')).to.be.true
+    })
+    it('returns false if profile does not have permission', () => {
+      expect(helpers.hasPermission({ permissions: {} }, 'readUsers')).to.be.false
+    })
+  })
 })
@@ -1,5 +1,6 @@
 /* global describe expect it */
 import src from '../../src'
+import createFirebaseMock from '../../src/mock'
 
 describe('module', () => {
   describe('exports', () => {
@@ -15,9 +16,43 @@ describe('module', () => {
     it('reduxFirebase', () => {
       expect(src).to.respondTo('reduxFirebase')
     })
+    it('does not include createFirebaseMock (separate entry point)', () => {
+      expect(src).to.not.have.property('createFirebaseMock')
+    })
+    it('preloadFirebaseData', () => {
+      expect(src).to.respondTo('preloadFirebaseData')
+    })
+    it('dehydrate', () => {
+      expect(src).to.respondTo('dehydrate')
+    })
+    it('rehydrate', () => {
+      expect(src).to.respondTo('rehydrate')
+    })
+    it('userIsAuthenticated', () => {
+      expect(src).to.respondTo('userIsAuthenticated')
+    })
+    it('userIsNotAuthenticated', () => {
+      expect(src).to.respondTo('userIsNotAuthenticated')
+    })
+    it('userHasRole', () => {
+      expect(src).to.respondTo('userHasRole')
+    })
+    it('dataIsLoaded', () => {
+      expect(src).to.respondTo('dataIsLoaded')
+    })
+    it('authIsReady', () => {
+      expect(src).to.respondTo('authIsReady')
+    })
     it('helpers', () => {
       expect(src).to.have.property('helpers')
       expect(src.helpers).to.be.an.object
     })
   })
+
+  describe('mock entry', () => {
+    it('exports createFirebaseMock as default', () => {
+      expect(createFirebaseMock).to.be.a('function')
+      expect(createFirebaseMock()).to.respondTo('initializeApp')
+    })
+  })
 })
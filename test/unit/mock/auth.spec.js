@@ -0,0 +1,163 @@
+/* global describe expect it beforeEach */
+import jwtDecode from 'jwt-decode'
+import { MockAuth, MOCK_PHONE_CODE, createToken } from '../../../src/mock/auth'
+import { createFirebaseMock } from '../../../src/mock'
+let auth
+const user = { uid: '123', email: 'test@test.com', password: 'password' }
+
+describe('Mock: Auth', () => {
+  beforeEach(() => {
+    auth = new MockAuth([user])
+  })
+
+  describe('signInWithEmailAndPassword', () => {
+    it('signs in existing user', () =>
+      auth.signInWithEmailAndPassword(user.email, user.password)
+        .then((authData) => {
+          expect(authData.uid).to.equal(user.uid)
+          expect(auth.currentUser.uid).to.equal(user.uid)
+        })
+    )
+    it('rejects for user that does not exist', () =>
+      auth.signInWithEmailAndPassword('asdf@asdf.com', 'password')
+        .catch((err) => {
+          expect(err.code).to.equal('auth/user-not-found')
+        })
+    )
+    it('rejects for wrong password', () =>
+      auth.signInWithEmailAndPassword(user.email, 'asdf')
+        .catch((err) => {
+          expect(err.code).to.equal('auth/wrong-password')
+        })
+    )
+  })
+
+  describe('createUserWithEmailAndPassword', () => {
+    it('creates and signs in user', () =>
+      auth.createUserWithEmailAndPassword('new@test.com', 'password')
+        .then((authData) => {
+          expect(authData.email).to.equal('new@test.com')
+        })
+    )
+    it('rejects for existing email', () =>
+      auth.createUserWithEmailAndPassword(user.email, 'password')
+        .catch((err) => {
+          expect(err.code).to.equal('auth/email-already-in-use')
+        })
+    )
+  })
+
+  describe('signInWithCustomToken', () => {
+    it('signs in with claims', () =>
+      auth.signInWithCustomToken(createToken({ uid: 'abc', claims: { role: 'admin' } }))
+        .then((authData) => {
+          const { stsTokenManager: { accessToken } } = authData.toJSON()
+          expect(jwtDecode(accessToken).role).to.equal('admin')
+        })
+    )
+    it('rejects invalid token', () =>
+      auth.signInWithCustomToken('asdf')
+        .catch((err) => {
+          expect(err.code).to.equal('auth/invalid-custom-token')
+        })
+    )
+  })
+
+  describe('signInWithPopup', () => {
+    it('signs in with provider', () => {
+      const { auth: { GoogleAuthProvider } } = createFirebaseMock()
+      return auth.signInWithPopup(new GoogleAuthProvider())
+        .then(({ user }) => {
+          expect(user.providerData[0].providerId).to.equal('google.com')
+        })
+    })
+  })
+
+  describe('signInAnonymously', () => {
+    it('signs in anonymous user which can link email', () =>
+      auth.signInAnonymously()
+        .then((currentUser) => {
+          expect(currentUser.isAnonymous).to.equal(true)
+          return currentUser.link(createFirebaseMock().auth.EmailAuthProvider.credential('anon@test.com', 'password'))
+        })
+        .then((currentUser) => {
+          expect(currentUser.isAnonymous).to.equal(false)
+          return auth.signInWithEmailAndPassword('anon@test.com', 'password')
+        })
+    )
+  })
+
+  describe('signInWithPhoneNumber', () => {
+    it('signs in once code is confirmed', () =>
+      auth.signInWithPhoneNumber('+15555550100', {})
+        .then(confirmationResult => confirmationResult.confirm(MOCK_PHONE_CODE))
+        .then(({ user }) => {
+          expect(user.phoneNumber).to.equal('+15555550100')
+          expect(user.providerData[0].providerId).to.equal('phone')
+        })
+    )
+    it('rejects invalid verification code', () =>
+      auth.signInWithPhoneNumber('+15555550100', {})
+        .then(confirmationResult => confirmationResult.confirm('asdf'))
+        .then(() => Promise.reject(new Error('Confirm should fail')), (err) => {
+          expect(err.code).to.equal('auth/invalid-verification-code')
+        })
+    )
+  })
+
+  describe('linkWithPopup', () => {
+    it('adds provider to user', () => {
+      const { auth: { GoogleAuthProvider } } = createFirebaseMock()
+      return auth.signInWithEmailAndPassword(user.email, user.password)
+        .then(currentUser => currentUser.linkWithPopup(new GoogleAuthProvider()))
+        .then(() => auth.fetchProvidersForEmail(user.email))
+        .then((providers) => {
+          expect(providers).to.eql(['google.com'])
+        })
+    })
+  })
+
+  describe('unlink', () => {
+    it('rejects for provider which is not linked', () =>
+      auth.signInWithEmailAndPassword(user.email, user.password)
+        .then(currentUser => currentUser.unlink('google.com'))
+        .catch((err) => {
+          expect(err.code).to.equal('auth/no-such-provider')
+        })
+    )
+  })
+
+  describe('confirmPasswordReset', () => {
+    it('rejects invalid code', () =>
+      auth.confirmPasswordReset('asdf', 'newPassword')
+        .then(() => Promise.reject(new Error('Reset should fail')), (err) => {
+          expect(err.code).to.equal('auth/invalid-action-code')
+        })
+    )
+  })
+
+  describe('onAuthStateChanged', () => {
+    it('calls listener with initial state and on change', (done) => {
+      const calls = []
+      auth.onAuthStateChanged((authData) => {
+        calls.push(authData)
+        if (calls.length === 2) {
+          expect(calls[0]).to.be.null
+          expect(calls[1].uid).to.equal(user.uid)
+          done()
+        }
+      })
+      // wait for initial state before signing in
+      Promise.resolve().then(() =>
+        auth.signInWithEmailAndPassword(user.email, user.password)
+      )
+    })
+    it('returns unsubscribe function', () => {
+      const listener = sinon.spy()
+      auth.onAuthStateChanged(listener)()
+      return auth.signOut().then(() => {
+        expect(listener).to.not.have.been.called
+      })
+    })
+  })
+})
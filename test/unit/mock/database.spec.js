@@ -0,0 +1,188 @@
+/* global describe expect it beforeEach sinon */
+import { MockDatabase, generatePushKey } from '../../../src/mock/database'
+let database
+const exampleData = {
+  todos: {
+    a: { text: 'first', createdAt: 3 },
+    b: { text: 'second', createdAt: 1 },
+    c: { text: 'third', createdAt: 2 }
+  }
+}
+
+describe('Mock: Database', () => {
+  beforeEach(() => {
+    database = new MockDatabase(exampleData)
+  })
+
+  describe('generatePushKey', () => {
+    it('generates ordered keys', () => {
+      const first = generatePushKey()
+      const second = generatePushKey()
+      expect(first < second).to.be.true
+    })
+  })
+
+  describe('ref', () => {
+    it('has key', () => {
+      expect(database.ref('todos/a').key).to.equal('a')
+    })
+    it('has parent', () => {
+      expect(database.ref('todos/a').parent.key).to.equal('todos')
+    })
+  })
+
+  describe('once', () => {
+    it('resolves snapshot of data', () =>
+      database.ref('todos/a').once('value')
+        .then((snap) => {
+          expect(snap.val()).to.eql(exampleData.todos.a)
+        })
+    )
+    it('resolves null for data that does not exist', () =>
+      database.ref('missing').once('value')
+        .then((snap) => {
+          expect(snap.val()).to.be.null
+          expect(snap.exists()).to.be.false
+        })
+    )
+    it('calls child_added callback only for first child', () => {
+      const callback = sinon.spy()
+      return database.ref('todos').once('child_added', callback)
+        .then((snap) => {
+          expect(snap.key).to.equal('a')
+          expect(callback).to.have.been.calledOnce
+        })
+    })
+    it('rejects for denied reads', () => {
+      database.denyRead('todos')
+      return database.ref('todos/a').once('value')
+        .then(() => Promise.reject(new Error('should have rejected')), (err) => {
+          expect(err.code).to.equal('PERMISSION_DENIED')
+        })
+    })
+  })
+
+  describe('writes', () => {
+    it('set', () =>
+      database.ref('todos/d').set({ text: 'fourth' })
+        .then(() => {
+          expect(database._getValue(['todos', 'd'])).to.eql({ text: 'fourth' })
+        })
+    )
+    it('update', () =>
+      database.ref('todos').update({ 'a/text': 'updated' })
+        .then(() => {
+          expect(database._getValue(['todos', 'a'])).to.eql({ text: 'updated', createdAt: 3 })
+        })
+    )
+    it('push', () => {
+      const ref = database.ref('todos').push({ text: 'pushed' })
+      return ref.then(() => {
+        expect(database._getValue(['todos', ref.key])).to.eql({ text: 'pushed' })
+      })
+    })
+    it('remove', () =>
+      database.ref('todos/a').remove()
+        .then(() => {
+          expect(database._getValue(['todos', 'a'])).to.be.null
+        })
+    )
+    it('calls onComplete', () => {
+      const onComplete = sinon.spy()
+      return database.ref('todos/a/text').set('asdf', onComplete)
+        .then(() => {
+          expect(onComplete).to.have.been.calledWith(null)
+        })
+    })
+    it('rejects for denied writes', () => {
+      database.denyWrite('todos')
+      return database.ref('todos/a').set({ text: 'asdf' })
+        .catch((err) => {
+          expect(err.code).to.equal('PERMISSION_DENIED')
+        })
+    })
+  })
+
+  describe('queries', () => {
+    const keysOf = snap => {
+      const keys = []
+      snap.forEach(child => { keys.push(child.key) })
+      return keys
+    }
+    it('orderByChild', () =>
+      database.ref('todos').orderByChild('createdAt').once('value')
+        .then((snap) => {
+          expect(keysOf(snap)).to.eql(['b', 'c', 'a'])
+        })
+    )
+    it('limitToLast', () =>
+      database.ref('todos').orderByChild('createdAt').limitToLast(2).once('value')
+        .then((snap) => {
+          expect(keysOf(snap)).to.eql(['c', 'a'])
+        })
+    )
+    it('limitToFirst', () =>
+      database.ref('todos').orderByKey().limitToFirst(1).once('value')
+        .then((snap) => {
+          expect(snap.val()).to.have.keys('a')
+        })
+    )
+    it('startAt and endAt', () =>
+      database.ref('todos').orderByChild('createdAt').startAt(2).endAt(3).once('value')
+        .then((snap) => {
+          expect(keysOf(snap)).to.eql(['c', 'a'])
+        })
+    )
+    it('equalTo', () =>
+      database.ref('todos').orderByChild('text').equalTo('second').once('value')
+        .then((snap) => {
+          expect(snap.val()).to.have.keys('b')
+        })
+    )
+  })
+
+  describe('events', () => {
+    it('fires value on attach and on change', () => {
+      const callback = sinon.spy()
+      database.ref('todos/a').on('value', callback)
+      database.ref('todos/a/text').set('changed')
+      expect(callback).to.have.been.calledTwice
+      expect(callback.secondCall.args[0].val().text).to.equal('changed')
+    })
+    it('fires child events', () => {
+      const added = sinon.spy()
+      const removed = sinon.spy()
+      const changed = sinon.spy()
+      const ref = database.ref('todos')
+      ref.on('child_added', added)
+      ref.on('child_removed', removed)
+      ref.on('child_changed', changed)
+      ref.child('d').set({ text: 'fourth' })
+      ref.child('a').remove()
+      ref.child('b/text').set('changed')
+      expect(added).to.have.callCount(4)
+      expect(removed).to.have.been.calledOnce
+      expect(changed).to.have.been.calledOnce
+    })
+    it('fires child_moved when order changes', () => {
+      const moved = sinon.spy()
+      database.ref('todos').orderByChild('createdAt').on('child_moved', moved)
+      database.ref('todos/b/createdAt').set(4)
+      expect(moved).to.have.been.calledOnce
+      expect(moved.firstCall.args[1]).to.equal('a')
+    })
+    it('off removes listeners', () => {
+      const callback = sinon.spy()
+      database.ref('todos').on('value', callback)
+      database.ref('todos').off('value')
+      database.ref('todos/a/text').set('changed')
+      expect(callback).to.have.been.calledOnce
+    })
+    it('calls cancel callback for denied reads', () => {
+      const cancel = sinon.spy()
+      database.denyRead('todos')
+      database.ref('todos').on('value', () => {}, cancel)
+      expect(cancel).to.have.been.calledOnce
+    })
+  })
+})
@@ -0,0 +1,48 @@
+/* global describe expect it beforeEach */
+import { MockStorage, TaskEvent } from '../../../src/mock/storage'
+let storage
+const file = { name: 'test.png', size: 10, type: 'image/png' }
+
+describe('Mock: Storage', () => {
+  beforeEach(() => {
+    storage = new MockStorage()
+  })
+
+  describe('put', () => {
+    it('resolves snapshot with metadata', () =>
+      storage.ref('images/test.png').put(file)
+        .then((snap) => {
+          expect(snap.metadata.fullPath).to.equal('images/test.png')
+          expect(snap.metadata.downloadURLs).to.have.length(1)
+        })
+    )
+    it('calls next and complete on observer', () => {
+      const next = sinon.spy()
+      const complete = sinon.spy()
+      const task = storage.ref('images/test.png').put(file)
+      task.on(TaskEvent.STATE_CHANGED, { next, complete })
+      return task.then(() => {
+        expect(next.firstCall.args[0].bytesTransferred).to.equal(10)
+        expect(complete).to.have.been.calledOnce
+      })
+    })
+    it('rejects for denied uploads', () => {
+      storage.denyWrite('images')
+      return storage.ref('images/test.png').put(file)
+        .catch((err) => {
+          expect(err.code).to.equal('storage/unauthorized')
+        })
+    })
+  })
+
+  describe('delete', () => {
+    it('deletes uploaded file', () =>
+      storage.ref('images/test.png').put(file)
+        .then(() => storage.ref('images/test.png').delete())
+        .then(() => storage.ref('images/test.png').getDownloadURL())
+        .catch((err) => {
+          expect(err.code).to.equal('storage/object-not-found')
+        })
+    )
+  })
+})
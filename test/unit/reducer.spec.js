@@ -1,6 +1,6 @@
 /* global describe expect it */
 import { fromJS } from 'immutable'
-import { firebaseStateReducer } from '../../src'
+import { firebaseStateReducer, createFirebaseStateReducer } from '../../src'
 import { actionTypes } from '../../src/constants'
 const emptyState = {
   auth: undefined,
@@ -13,11 +13,18 @@ const initialState = {
   auth: undefined,
   authError: undefined,
   profile: undefined,
+  phoneAuth: undefined,
+  authStatus: {},
   isInitializing: undefined,
   data: {},
   timestamp: {},
   requesting: {},
-  requested: {}
+  requested: {},
+  storage: {},
+  pendingWrites: {},
+  pagination: {},
+  queries: {},
+  ordered: {}
 }
 const intializedState = Object.assign({}, initialState, { isInitializing: true })
 const noError = { authError: null }
@@ -34,9 +41,8 @@ describe('reducer', () => {
   })
 
   it('handles no initialState', () => {
-    expect(
-      JSON.stringify(firebaseStateReducer(undefined, {}).toJS()))
-      .to.equal(JSON.stringify(initialState))
+    expect(firebaseStateReducer(undefined, {}).toJS())
+      .to.eql(initialState)
   })
 
   it('returns state by default', () => {
@@ -101,17 +107,34 @@ describe('reducer', () => {
   describe('LOGOUT action', () => {
     it('sets state', () => {
       expect(
-        JSON.stringify(firebaseStateReducer(
+        firebaseStateReducer(
           exampleState,
           { type: actionTypes.LOGOUT }
-        ).toJS())
-      ).to.equal(JSON.stringify({
+        ).toJS()
+      ).to.eql({
         auth: null,
         authError: null,
         profile: null,
-        isLoading: false,
-        data: {}
-      }))
+        phoneAuth: null,
+        data: {},
+        timestamp: {},
+        requesting: {},
+        requested: {},
+        pagination: {},
+        queries: {},
+        ordered: {}
+      })
+    })
+
+    it('keeps data when preserveData is true', () => {
+      const state = firebaseStateReducer(
+        fromJS({ data: exampleData, requested: { some: true } }),
+        { type: actionTypes.LOGOUT, preserveData: true }
+      )
+      expect(state.get('auth')).to.equal(null)
+      expect(state.get('profile')).to.equal(null)
+      expect(state.get('data').toJS()).to.deep.equal(exampleData)
+      expect(state.getIn(['requested', 'some'])).to.equal(true)
     })
   })
 
@@ -145,13 +168,26 @@ describe('reducer', () => {
           { type: actionTypes.AUTHENTICATION_INIT_STARTED }
         ).toJS())
       ).to.equal(JSON.stringify({
-        isInitializing: true,
-        data: {},
-        timestamp: {},
-        requesting: {},
-        requested: {}
+        isInitializing: true
       }))
     })
+
+    it('keeps existing data', () => {
+      const state = firebaseStateReducer(
+        fromJS({ data: exampleData }),
+        { type: actionTypes.AUTHENTICATION_INIT_STARTED }
+      )
+      expect(state.get('isInitializing')).to.equal(true)
+      expect(state.get('data').toJS()).to.deep.equal(exampleData)
+    })
+
+    it('handles plain JS state', () => {
+      const state = firebaseStateReducer(
+        { data: exampleData },
+        { type: actionTypes.AUTHENTICATION_INIT_STARTED }
+      )
+      expect(state.getIn(['data', 'some'])).to.equal('data')
+    })
   })
 
   describe('AUTHENTICATION_INIT_FINISHED action', () => {
@@ -169,6 +205,73 @@ describe('reducer', () => {
     })
   })
 
+  describe('FILE_UPLOAD actions', () => {
+    it('sets upload status by path', () => {
+      const state = firebaseStateReducer(
+        exampleState,
+        { type: actionTypes.FILE_UPLOAD_START, payload: { path: 'images/thumbs' } }
+      )
+      expect(state.getIn(['storage', 'uploads', 'images/thumbs']).toJS())
+        .to.eql({ uploading: true, percent: 0 })
+    })
+    it('sets progress', () => {
+      const state = firebaseStateReducer(
+        exampleState,
+        { type: actionTypes.FILE_UPLOAD_PROGRESS, path: 'images', payload: { percent: 50 } }
+      )
+      expect(state.getIn(['storage', 'uploads', 'images', 'percent'])).to.equal(50)
+    })
+    it('sets error', () => {
+      const error = new Error('Upload failed')
+      const state = firebaseStateReducer(
+        exampleState,
+        { type: actionTypes.FILE_UPLOAD_ERROR, path: 'images', payload: error }
+      )
+      expect(state.getIn(['storage', 'uploads', 'images', 'error'])).to.equal(error)
+      expect(state.getIn(['storage', 'uploads', 'images', 'uploading'])).to.equal(false)
+    })
+  })
+
+  describe('custom reducers', () => {
+    it('replaces default reducer', () => {
+      const profile = (state = null, action) =>
+        action.type === actionTypes.SET_PROFILE
+          ? Object.assign({}, action.profile, { custom: true })
+          : state
+      const reducer = createFirebaseStateReducer({ reducers: { profile } })
+      expect(
+        reducer(undefined, { type: actionTypes.SET_PROFILE, profile: { email: 'test@test.com' } })
+          .get('profile')
+          .toJS()
+      ).to.eql({ email: 'test@test.com', custom: true })
+    })
+    it('adds reducer', () => {
+      const notes = (state = 'empty', action) =>
+        action.type === 'ADD_NOTE' ? action.note : state
+      const reducer = createFirebaseStateReducer({ reducers: { notes } })
+      expect(reducer(undefined, { type: 'ADD_NOTE', note: 'note' }).get('notes'))
+        .to.equal('note')
+      expect(reducer(undefined, { type: actionTypes.LOGOUT }).get('data').toJS())
+        .to.eql({})
+    })
+    it('keeps state reference when nothing changes', () => {
+      const state = firebaseStateReducer(undefined, {})
+      expect(firebaseStateReducer(state, { type: 'OTHER' })).to.equal(state)
+    })
+  })
+
+  describe('named app actions', () => {
+    it('sets state under app name', () => {
+      const profile = { email: 'test@test.com' }
+      expect(
+        firebaseStateReducer(
+          exampleState,
+          { type: actionTypes.SET_PROFILE, profile, appName: 'analytics' }
+        ).getIn(['analytics', 'profile']).toJS()
+      ).to.eql(profile)
+    })
+  })
+
   describe('UNAUTHORIZED_ERROR action', () => {
     it('sets state', () => {
       const authError = {}
@@ -184,4 +287,70 @@ describe('reducer', () => {
       )
     })
   })
+
+  describe('plain JS state (immutable: false)', () => {
+    const plainReducer = createFirebaseStateReducer({ immutable: false })
+    const plainState = {
+      data: {
+        todos: { a: { text: 'a' }, b: { text: 'b' } },
+        users: { abc: { displayName: 'tester' } }
+      },
+      timestamp: {},
+      requesting: {},
+      requested: {}
+    }
+
+    it('handles no initialState', () => {
+      expect(plainReducer(undefined, {})).to.eql(initialState)
+    })
+
+    it('sets data as plain JS', () => {
+      const state = plainReducer(plainState, { type: actionTypes.SET, path: 'todos/a', data: { text: 'changed' } })
+      expect(state.data.todos.a).to.eql({ text: 'changed' })
+      expect(plainState.data.todos.a).to.eql({ text: 'a' })
+    })
+
+    it('keeps reference of unchanged data', () => {
+      const state = plainReducer(plainState, { type: actionTypes.SET, path: 'todos/a', data: { text: 'changed' } })
+      expect(state.data.todos.b).to.equal(plainState.data.todos.b)
+      expect(state.data.users).to.equal(plainState.data.users)
+    })
+
+    it('sets meta by path string', () => {
+      const state = plainReducer(plainState, { type: actionTypes.START, path: 'todos/a', requesting: true, requested: false })
+      expect(state.requesting['todos/a']).to.equal(true)
+      expect(state.requested['todos/a']).to.equal(false)
+      expect(state.data).to.equal(plainState.data)
+    })
+
+    it('deletes data', () => {
+      const state = plainReducer(plainState, { type: actionTypes.SET, path: 'todos/a' })
+      expect(state.data.todos).to.not.have.property('a')
+      expect(state.data.todos.b).to.equal(plainState.data.todos.b)
+    })
+
+    it('handles NO_VALUE', () => {
+      const state = plainReducer(plainState, { type: actionTypes.NO_VALUE, path: 'missing', requesting: false, requested: true })
+      expect(state.data.missing).to.eql({})
+      expect(state.requested.missing).to.equal(true)
+    })
+
+    it('handles LOGOUT', () => {
+      expect(plainReducer(plainState, { type: actionTypes.LOGOUT }).data).to.eql({})
+    })
+
+    it('handles AUTHENTICATION_INIT_STARTED', () => {
+      const state = plainReducer(plainState, { type: actionTypes.AUTHENTICATION_INIT_STARTED })
+      expect(state.isInitializing).to.equal(true)
+      expect(state.data).to.equal(plainState.data)
+    })
+
+    it('sets named app state as plain JS', () => {
+      const profile = { email: 'test@test.com' }
+      expect(
+        plainReducer(plainState, { type: actionTypes.SET_PROFILE, profile, appName: 'analytics' })
+          .analytics.profile
+      ).to.equal(profile)
+    })
+  })
 })
@@ -0,0 +1,389 @@
+/* global describe expect it */
+import { fromJS } from 'immutable'
+import {
+  reducers,
+  authReducer,
+  authErrorReducer,
+  profileReducer,
+  phoneAuthReducer,
+  authStatusReducer,
+  isInitializingReducer,
+  dataReducer,
+  timestampReducer,
+  requestingReducer,
+  requestedReducer,
+  storageReducer,
+  pendingWritesReducer,
+  paginationReducer,
+  queriesReducer,
+  orderedReducer
+} from '../../src/reducers'
+import { actionTypes } from '../../src/constants'
+
+describe('reducers', () => {
+  it('contains reducer for each state key', () => {
+    expect(reducers).to.have.keys(
+      'auth',
+      'authError',
+      'profile',
+      'phoneAuth',
+      'authStatus',
+      'isInitializing',
+      'data',
+      'timestamp',
+      'requesting',
+      'requested',
+      'storage',
+      'pendingWrites',
+      'pagination',
+      'queries',
+      'ordered'
+    )
+  })
+
+  describe('authReducer', () => {
+    it('sets auth on LOGIN', () => {
+      const auth = { uid: '123' }
+      expect(authReducer(undefined, { type: actionTypes.LOGIN, auth })).to.equal(auth)
+    })
+    it('clears auth on LOGOUT', () => {
+      expect(authReducer({ uid: '123' }, { type: actionTypes.LOGOUT })).to.equal(null)
+    })
+    it('keeps auth on LOGIN_ERROR with preserveAuth', () => {
+      const auth = { uid: '123' }
+      expect(authReducer(auth, { type: actionTypes.LOGIN_ERROR, preserveAuth: true })).to.equal(auth)
+    })
+    it('sets claims and token expiration time on AUTH_TOKEN_REFRESHED', () => {
+      const action = { type: actionTypes.AUTH_TOKEN_REFRESHED, uid: '123', claims: { admin: true }, expirationTime: 1000 }
+      expect(authReducer({ uid: '123' }, action))
+        .to.eql({ uid: '123', claims: { admin: true }, tokenExpirationTime: 1000 })
+    })
+    it('sets claims within Immutable auth', () => {
+      const action = { type: actionTypes.AUTH_TOKEN_REFRESHED, uid: '123', claims: { admin: true }, expirationTime: 1000 }
+      expect(authReducer(fromJS({ uid: '123' }), action).getIn(['claims', 'admin'])).to.equal(true)
+    })
+    it('ignores AUTH_TOKEN_REFRESHED for other user', () => {
+      const auth = { uid: '123' }
+      const action = { type: actionTypes.AUTH_TOKEN_REFRESHED, uid: '456', claims: {}, expirationTime: 1000 }
+      expect(authReducer(auth, action)).to.equal(auth)
+      expect(authReducer(null, action)).to.equal(null)
+    })
+    it('keeps token state on LOGIN of same user', () => {
+      const state = { uid: '123', claims: { admin: true }, tokenExpirationTime: 1000 }
+      expect(authReducer(state, { type: actionTypes.LOGIN, auth: { uid: '123', email: 'a@b.com' } }))
+        .to.eql({ uid: '123', email: 'a@b.com', claims: { admin: true }, tokenExpirationTime: 1000 })
+    })
+    it('does not keep token state on LOGIN of other user', () => {
+      const auth = { uid: '456' }
+      expect(authReducer({ uid: '123', claims: {} }, { type: actionTypes.LOGIN, auth })).to.equal(auth)
+    })
+  })
+
+  describe('authErrorReducer', () => {
+    it('sets error on LOGIN_ERROR', () => {
+      const authError = new Error('error')
+      expect(authErrorReducer(null, { type: actionTypes.LOGIN_ERROR, authError }))
+        .to.equal(authError)
+    })
+    it('clears error on LOGIN', () => {
+      expect(authErrorReducer({}, { type: actionTypes.LOGIN })).to.equal(null)
+    })
+  })
+
+  describe('profileReducer', () => {
+    it('sets cleared profile to not loaded on LOGIN', () => {
+      expect(profileReducer(null, { type: actionTypes.LOGIN })).to.equal(undefined)
+    })
+    it('keeps profile on LOGIN', () => {
+      const profile = { some: 'profile' }
+      expect(profileReducer(profile, { type: actionTypes.LOGIN })).to.equal(profile)
+    })
+    it('sets profile on SET_PROFILE', () => {
+      const profile = { email: 'test@test.com' }
+      expect(profileReducer(undefined, { type: actionTypes.SET_PROFILE, profile }))
+        .to.equal(profile)
+    })
+    it('clears profile on LOGIN_ERROR', () => {
+      expect(profileReducer({}, { type: actionTypes.LOGIN_ERROR })).to.equal(null)
+    })
+    it('keeps profile on LOGIN_ERROR with preserveAuth', () => {
+      const profile = { email: 'test@test.com' }
+      expect(profileReducer(profile, { type: actionTypes.LOGIN_ERROR, preserveAuth: true })).to.equal(profile)
+    })
+  })
+
+  describe('phoneAuthReducer', () => {
+    it('sets phone number and verification id on PHONE_CODE_SENT', () => {
+      const action = { type: actionTypes.PHONE_CODE_SENT, phoneNumber: '+15555550100', verificationId: 'abc' }
+      expect(phoneAuthReducer(null, action))
+        .to.eql({ phoneNumber: '+15555550100', verificationId: 'abc', codeSent: true })
+    })
+    it('clears on PHONE_CODE_CONFIRMED', () => {
+      expect(phoneAuthReducer({ codeSent: true }, { type: actionTypes.PHONE_CODE_CONFIRMED })).to.equal(null)
+    })
+    it('clears on LOGOUT', () => {
+      expect(phoneAuthReducer({ codeSent: true }, { type: actionTypes.LOGOUT })).to.equal(null)
+    })
+  })
+
+  describe('authStatusReducer', () => {
+    it('sets status by method on AUTH_ACTION_START', () => {
+      expect(authStatusReducer({}, { type: actionTypes.AUTH_ACTION_START, method: 'updateEmail' }))
+        .to.eql({ updateEmail: { inProgress: true, succeeded: false, error: null } })
+    })
+    it('sets succeeded on AUTH_ACTION_SUCCESS', () => {
+      expect(authStatusReducer({}, { type: actionTypes.AUTH_ACTION_SUCCESS, method: 'updateEmail' }))
+        .to.have.deep.property('updateEmail.succeeded', true)
+    })
+    it('sets error on AUTH_ACTION_ERROR', () => {
+      const payload = new Error('asdf')
+      expect(authStatusReducer(fromJS({}), { type: actionTypes.AUTH_ACTION_ERROR, method: 'updateEmail', payload }).getIn(['updateEmail', 'error']))
+        .to.equal(payload)
+    })
+  })
+
+  describe('isInitializingReducer', () => {
+    it('handles init actions', () => {
+      expect(isInitializingReducer(undefined, { type: actionTypes.AUTHENTICATION_INIT_STARTED }))
+        .to.equal(true)
+      expect(isInitializingReducer(true, { type: actionTypes.AUTHENTICATION_INIT_FINISHED }))
+        .to.equal(false)
+    })
+  })
+
+  describe('dataReducer', () => {
+    it('sets data at path', () => {
+      expect(dataReducer({}, { type: actionTypes.SET, path: 'some/path', data: 'value' }))
+        .to.eql({ some: { path: 'value' } })
+    })
+    it('sets data within Immutable Map', () => {
+      expect(dataReducer(fromJS({}), { type: actionTypes.SET, path: 'some', data: { a: 'b' } }).getIn(['some', 'a']))
+        .to.equal('b')
+    })
+    it('sets data at root path', () => {
+      expect(dataReducer({ a: 'b' }, { type: actionTypes.SET, path: '/', data: { c: 'd' } }))
+        .to.eql({ c: 'd' })
+    })
+    it('replaces null parent', () => {
+      expect(dataReducer({ some: null }, { type: actionTypes.SET, path: 'some/path', data: 'value' }))
+        .to.eql({ some: { path: 'value' } })
+    })
+    it('merges query results into data at path', () => {
+      const action = { type: actionTypes.SET, path: 'todos', queryId: 'done', keys: ['b'], data: { b: { done: true } } }
+      expect(dataReducer({ todos: { a: { done: false } } }, action))
+        .to.eql({ todos: { a: { done: false }, b: { done: true } } })
+    })
+    it('removes children no longer within query results', () => {
+      const action = { type: actionTypes.SET, path: 'todos', queryId: 'done', keys: ['b'], data: { b: { done: true } }, removedKeys: ['c'] }
+      expect(dataReducer({ todos: { b: { done: false }, c: { done: true } } }, action))
+        .to.eql({ todos: { b: { done: true } } })
+    })
+    it('keeps data at path on NO_VALUE for query', () => {
+      const action = { type: actionTypes.NO_VALUE, path: 'todos', queryId: 'done', keys: [], removedKeys: ['b'] }
+      expect(dataReducer({ todos: { a: 'a', b: 'b' } }, action)).to.eql({ todos: { a: 'a' } })
+      expect(dataReducer({}, action)).to.eql({ todos: {} })
+    })
+    it('sets child on CHILD_ADDED', () => {
+      expect(dataReducer({ todos: { a: 'a' } }, { type: actionTypes.CHILD_ADDED, path: 'todos', key: 'b', data: 'b' }))
+        .to.eql({ todos: { a: 'a', b: 'b' } })
+    })
+    it('sets child on CHILD_CHANGED and CHILD_MOVED', () => {
+      expect(dataReducer({ todos: { a: 'a' } }, { type: actionTypes.CHILD_CHANGED, path: 'todos', key: 'a', data: 'b' }))
+        .to.eql({ todos: { a: 'b' } })
+      expect(dataReducer(fromJS({ todos: { a: 'a' } }), { type: actionTypes.CHILD_MOVED, path: 'todos', key: 'a', data: 'c' }).toJS())
+        .to.eql({ todos: { a: 'c' } })
+    })
+    it('removes child on CHILD_REMOVED', () => {
+      expect(dataReducer({ todos: { a: 'a', b: 'b' } }, { type: actionTypes.CHILD_REMOVED, path: 'todos', key: 'b' }))
+        .to.eql({ todos: { a: 'a' } })
+    })
+    it('only removes children of queries which are not within other results', () => {
+      const action = { type: actionTypes.CHILD_REMOVED, path: 'todos', key: 'b', queryId: 'done', keys: ['a'] }
+      expect(dataReducer({ todos: { a: 'a', b: 'b' } }, Object.assign({}, action, { removedKeys: [] })))
+        .to.eql({ todos: { a: 'a', b: 'b' } })
+      expect(dataReducer({ todos: { a: 'a', b: 'b' } }, Object.assign({}, action, { removedKeys: ['b'] })))
+        .to.eql({ todos: { a: 'a' } })
+    })
+    it('applies changes on OPTIMISTIC_WRITE', () => {
+      const changes = [{ path: 'todos/a', data: { text: 'a' } }, { path: 'todos/b', data: null }]
+      expect(dataReducer({ todos: { b: 'b', c: 'c' } }, { type: actionTypes.OPTIMISTIC_WRITE, changes }))
+        .to.eql({ todos: { a: { text: 'a' }, c: 'c' } })
+    })
+    it('applies rollback on OPTIMISTIC_WRITE_ERROR', () => {
+      const rollback = [{ path: 'todos/a', data: null }, { path: 'todos/b', data: 'b' }]
+      expect(dataReducer({ todos: { a: { text: 'a' } } }, { type: actionTypes.OPTIMISTIC_WRITE_ERROR, rollback }))
+        .to.eql({ todos: { b: 'b' } })
+    })
+    it('keeps data on LOGOUT with preserveData', () => {
+      const state = { a: 'b' }
+      expect(dataReducer(state, { type: actionTypes.LOGOUT, preserveData: true })).to.equal(state)
+    })
+    it('returns state for other actions', () => {
+      expect(dataReducer(undefined, { type: 'OTHER' })).to.equal(undefined)
+    })
+  })
+
+  describe('meta reducers', () => {
+    it('set timestamp by path string', () => {
+      expect(timestampReducer({}, { type: actionTypes.SET, path: 'some/path', timestamp: 123 }))
+        .to.eql({ 'some/path': 123 })
+    })
+    it('does not set timestamp on START', () => {
+      const state = {}
+      expect(timestampReducer(state, { type: actionTypes.START, path: 'some', timestamp: 123 }))
+        .to.equal(state)
+    })
+    it('set requesting on START', () => {
+      expect(requestingReducer({}, { type: actionTypes.START, path: 'some', requesting: true }))
+        .to.eql({ some: true })
+    })
+    it('delete requested if not provided', () => {
+      expect(requestedReducer({ some: true }, { type: actionTypes.SET, path: 'some' }))
+        .to.eql({})
+    })
+    it('set requested for path of list on child events', () => {
+      const action = { type: actionTypes.CHILD_ADDED, path: 'todos', key: 'a', requesting: false, requested: true }
+      expect(requestingReducer({ todos: true }, action)).to.eql({ todos: false })
+      expect(requestedReducer({}, action)).to.eql({ todos: true })
+    })
+  })
+
+  describe('storageReducer', () => {
+    it('sets upload status on FILE_UPLOAD_COMPLETE', () => {
+      expect(storageReducer(undefined, { type: actionTypes.FILE_UPLOAD_COMPLETE, path: 'images' }))
+        .to.eql({ uploads: { images: { uploading: false, percent: 100 } } })
+    })
+  })
+
+  describe('pendingWritesReducer', () => {
+    const write = { id: 'abc', method: 'set', path: 'todos/a', value: 'a' }
+    it('adds write on OPTIMISTIC_WRITE', () => {
+      expect(pendingWritesReducer(undefined, { type: actionTypes.OPTIMISTIC_WRITE, write }))
+        .to.eql({ abc: write })
+    })
+    it('removes write on OPTIMISTIC_WRITE_COMPLETE', () => {
+      expect(pendingWritesReducer({ abc: write }, { type: actionTypes.OPTIMISTIC_WRITE_COMPLETE, write }))
+        .to.eql({})
+    })
+    it('removes write on OPTIMISTIC_WRITE_ERROR', () => {
+      expect(pendingWritesReducer({ abc: write }, { type: actionTypes.OPTIMISTIC_WRITE_ERROR, write }))
+        .to.eql({})
+    })
+  })
+
+  describe('queriesReducer', () => {
+    const action = { type: actionTypes.SET, path: 'todos', queryId: 'recentTodos', keys: ['b', 'a'], data: {} }
+    it('sets ordered keys by query id on SET', () => {
+      expect(queriesReducer({}, action))
+        .to.eql({ recentTodos: { path: 'todos', keys: ['b', 'a'] } })
+    })
+    it('sets keys within Immutable state', () => {
+      expect(queriesReducer(fromJS({}), action).getIn(['recentTodos', 'keys']).toJS())
+        .to.eql(['b', 'a'])
+    })
+    it('sets empty keys on NO_VALUE', () => {
+      expect(queriesReducer({}, Object.assign({}, action, { type: actionTypes.NO_VALUE, keys: [] })))
+        .to.eql({ recentTodos: { path: 'todos', keys: [] } })
+    })
+    it('ignores actions for paths which are not queries', () => {
+      const state = {}
+      expect(queriesReducer(state, { type: actionTypes.SET, path: 'todos', data: {} })).to.equal(state)
+    })
+    it('sets keys on child events of query', () => {
+      expect(queriesReducer({}, { type: actionTypes.CHILD_ADDED, path: 'todos', queryId: 'recentTodos', key: 'c', keys: ['b', 'c'] }))
+        .to.eql({ recentTodos: { path: 'todos', keys: ['b', 'c'] } })
+    })
+    it('removes results on CLEAR_QUERY', () => {
+      expect(queriesReducer({ recentTodos: {} }, { type: actionTypes.CLEAR_QUERY, queryId: 'recentTodos' }))
+        .to.eql({})
+    })
+    it('clears results on LOGOUT', () => {
+      expect(queriesReducer({ recentTodos: {} }, { type: actionTypes.LOGOUT })).to.eql({})
+    })
+  })
+
+  describe('orderedReducer', () => {
+    const ordered = [{ key: 'b', value: { text: 'a' } }, { key: 'a', value: { text: 'b' } }]
+    it('sets ordered children by path on SET', () => {
+      expect(orderedReducer({}, { type: actionTypes.SET, path: '/todos/', data: {}, ordered }))
+        .to.eql({ todos: ordered })
+    })
+    it('sets ordered children by query id on SET', () => {
+      expect(orderedReducer({}, { type: actionTypes.SET, path: 'todos', queryId: 'byText', data: {}, ordered }))
+        .to.eql({ byText: ordered })
+    })
+    it('keeps order within Immutable state', () => {
+      expect(orderedReducer(fromJS({}), { type: actionTypes.SET, path: 'todos', data: {}, ordered }).getIn(['todos', 0, 'key']))
+        .to.equal('b')
+    })
+    it('sets empty list on NO_VALUE', () => {
+      expect(orderedReducer({}, { type: actionTypes.NO_VALUE, path: 'todos', ordered: [] }))
+        .to.eql({ todos: [] })
+    })
+    it('ignores actions without ordered children', () => {
+      const state = {}
+      expect(orderedReducer(state, { type: actionTypes.SET, path: 'todos/a', data: 'a' })).to.equal(state)
+    })
+    it('applies child events in order', () => {
+      const added = orderedReducer({}, { type: actionTypes.CHILD_ADDED, path: 'todos', key: 'a', data: 1, previousKey: null })
+      const addedFirst = orderedReducer(added, { type: actionTypes.CHILD_ADDED, path: 'todos', key: 'b', data: 2, previousKey: null })
+      expect(addedFirst).to.eql({ todos: [{ key: 'b', value: 2 }, { key: 'a', value: 1 }] })
+      const moved = orderedReducer(addedFirst, { type: actionTypes.CHILD_MOVED, path: 'todos', key: 'b', data: 3, previousKey: 'a' })
+      expect(moved).to.eql({ todos: [{ key: 'a', value: 1 }, { key: 'b', value: 3 }] })
+      expect(orderedReducer(moved, { type: actionTypes.CHILD_REMOVED, path: 'todos', key: 'a' }))
+        .to.eql({ todos: [{ key: 'b', value: 3 }] })
+    })
+    it('applies child events within Immutable state', () => {
+      const state = fromJS({ byRank: [{ key: 'a', value: 1 }] })
+      const action = { type: actionTypes.CHILD_CHANGED, path: 'todos', queryId: 'byRank', key: 'a', data: 2, previousKey: null }
+      expect(orderedReducer(state, action).toJS()).to.eql({ byRank: [{ key: 'a', value: 2 }] })
+    })
+    it('adds, moves, and removes children within Immutable state', () => {
+      const state = fromJS({ byRank: [{ key: 'a', value: 1 }, { key: 'b', value: 2 }] })
+      const added = orderedReducer(state, { type: actionTypes.CHILD_ADDED, queryId: 'byRank', key: 'c', data: 3, previousKey: 'a' })
+      expect(added.get('byRank').map(child => child.get('key')).toJS()).to.eql(['a', 'c', 'b'])
+      const moved = orderedReducer(added, { type: actionTypes.CHILD_MOVED, queryId: 'byRank', key: 'a', data: 1, previousKey: 'missing' })
+      expect(moved.get('byRank').map(child => child.get('key')).toJS()).to.eql(['c', 'b', 'a'])
+      const removed = orderedReducer(moved, { type: actionTypes.CHILD_REMOVED, queryId: 'byRank', key: 'c' })
+      expect(removed.toJS()).to.eql({ byRank: [{ key: 'b', value: 2 }, { key: 'a', value: 1 }] })
+      // unchanged children keep their reference
+      expect(removed.getIn(['byRank', 0])).to.equal(state.getIn(['byRank', 1]))
+    })
+    it('removes query on CLEAR_QUERY', () => {
+      expect(orderedReducer({ byText: [] }, { type: actionTypes.CLEAR_QUERY, queryId: 'byText' }))
+        .to.eql({})
+    })
+    it('clears ordered children on LOGOUT', () => {
+      expect(orderedReducer({ todos: [] }, { type: actionTypes.LOGOUT })).to.eql({})
+    })
+  })
+
+  describe('paginationReducer', () => {
+    const action = {
+      type: actionTypes.SET_PAGINATION,
+      queryId: 'recentTodos',
+      path: 'todos',
+      pageSize: 2,
+      pageCount: 1,
+      hasMore: true,
+      hasPrevious: false,
+      startCursor: { value: 'a', key: 'a' },
+      endCursor: { value: 'b', key: 'b' }
+    }
+    it('sets pagination by query id on SET_PAGINATION', () => {
+      expect(paginationReducer(undefined, action).recentTodos)
+        .to.include({ path: 'todos', pageCount: 1, hasMore: true, hasPrevious: false })
+    })
+    it('sets pagination within Immutable state', () => {
+      expect(paginationReducer(fromJS({}), action).getIn(['recentTodos', 'endCursor', 'key']))
+        .to.equal('b')
+    })
+    it('removes pagination on CLEAR_PAGINATION', () => {
+      expect(paginationReducer({ recentTodos: {} }, { type: actionTypes.CLEAR_PAGINATION, queryId: 'recentTodos' }))
+        .to.eql({})
+    })
+    it('clears pagination on LOGOUT', () => {
+      expect(paginationReducer({ recentTodos: {} }, { type: actionTypes.LOGOUT })).to.eql({})
+    })
+  })
+})
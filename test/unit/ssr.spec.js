@@ -0,0 +1,210 @@
+/* global describe expect it beforeEach */
+import React, { Children, PropTypes, Component } from 'react'
+import { renderToString } from 'react-dom/server'
+import TestUtils from 'react-addons-test-utils'
+import { createStore, compose, combineReducers } from 'redux'
+import { fromJS } from 'immutable'
+import connect from '../../src/connect'
+import reactReduxFirebase from '../../src/compose'
+import firebaseStateReducer, { createFirebaseStateReducer } from '../../src/reducer'
+import { actionTypes } from '../../src/constants'
+import createFirebaseMock from '../../src/mock'
+import { preloadFirebaseData, dehydrate, rehydrate } from '../../src/ssr'
+
+class ProviderMock extends Component {
+  getChildContext () {
+    return { store: this.props.store }
+  }
+
+  render () {
+    return Children.only(this.props.children)
+  }
+}
+
+ProviderMock.childContextTypes = {
+  store: PropTypes.object.isRequired
+}
+
+const data = {
+  todos: {
+    abc: { text: 'Preload', owner: 'Iq5b0qK2NtgggT6U3bU6iZRGyma2' }
+  },
+  users: {
+    Iq5b0qK2NtgggT6U3bU6iZRGyma2: { displayName: 'tester' }
+  }
+}
+
+const createStoreWithMock = (firebaseMock, initialState, config) =>
+  compose(
+    reactReduxFirebase(
+      fbConfig,
+      Object.assign({ sdk: firebaseMock, enableRedirectHandling: false }, config)
+    )
+  )(createStore)(
+    combineReducers({ firebase: firebaseStateReducer }),
+    initialState
+  )
+
+const Todos = connect([
+  'todos#populate=owner:users',
+  'missing'
+])(() => <div />)
+
+const renderApp = store => () =>
+  renderToString(
+    <ProviderMock store={store}>
+      <Todos />
+    </ProviderMock>
+  )
+
+let firebaseMock
+let store
+
+describe('ssr', () => {
+  beforeEach(() => {
+    firebaseMock = createFirebaseMock({ data })
+    store = createStoreWithMock(firebaseMock)
+  })
+
+  describe('preloadFirebaseData', () => {
+    it('throws if store does not contain firebase', () => {
+      expect(() => preloadFirebaseData({}, () => null))
+        .to.Throw('Firebase instance does not yet exist. Check your compose function.')
+    })
+
+    it('resolves with serializable state containing data', () =>
+      preloadFirebaseData(store, renderApp(store))
+        .then((state) => {
+          expect(JSON.parse(JSON.stringify(state))).to.deep.equal(state)
+          expect(state.data.todos).to.deep.equal(data.todos)
+          expect(state.requested.todos).to.equal(true)
+        })
+    )
+
+    it('loads populated data', () =>
+      preloadFirebaseData(store, renderApp(store))
+        .then((state) => {
+          expect(state.data.users).to.deep.equal(data.users)
+        })
+    )
+
+    it('sets empty paths as requested', () =>
+      preloadFirebaseData(store, renderApp(store))
+        .then((state) => {
+          expect(state.data.missing).to.deep.equal({})
+          expect(state.requesting.missing).to.equal(false)
+          expect(state.requested.missing).to.equal(true)
+        })
+    )
+
+    it('does not attach listeners', () =>
+      preloadFirebaseData(store, renderApp(store))
+        .then(() => {
+          expect(store.firebase._.watchers).to.be.empty
+          expect(store.firebase._.preloadEvents).to.equal(null)
+          firebaseMock.database().ref('todos/abc/text').set('Changed')
+          expect(store.getState().firebase.getIn(['data', 'todos', 'abc', 'text']))
+            .to.equal('Preload')
+        })
+    )
+
+    it('loads data into plain JS state', () => {
+      const plainStore = compose(
+        reactReduxFirebase(fbConfig, { sdk: firebaseMock, enableRedirectHandling: false })
+      )(createStore)(combineReducers({ firebase: createFirebaseStateReducer({ immutable: false }) }))
+      return preloadFirebaseData(plainStore, renderApp(plainStore))
+        .then((state) => {
+          expect(state).to.equal(plainStore.getState().firebase)
+          expect(state.data.todos).to.deep.equal(data.todos)
+        })
+    })
+
+    it('keeps query results, ordered children, and pagination', () => {
+      const queryStore = createStoreWithMock(
+        createFirebaseMock({ data: { todos: { a: { rank: 2 }, b: { rank: 1 }, c: { rank: 3 } } } })
+      )
+      const Ranked = connect([
+        { path: 'todos', queryId: 'byRank', queryParams: ['orderByChild=rank'] },
+        { path: 'todos', queryId: 'topRanked', queryParams: ['orderByChild=rank'], pageSize: 2 }
+      ])(() => <div />)
+      const renderRanked = () =>
+        renderToString(
+          <ProviderMock store={queryStore}>
+            <Ranked />
+          </ProviderMock>
+        )
+      return preloadFirebaseData(queryStore, renderRanked)
+        .then((state) => {
+          expect(state.queries.byRank).to.eql({ path: 'todos', keys: ['b', 'a', 'c'] })
+          expect(state.ordered.byRank.map(({ key }) => key)).to.eql(['b', 'a', 'c'])
+          expect(state.queries.topRanked.keys).to.eql(['b', 'a'])
+          expect(state.pagination.topRanked).to.include({ pageSize: 2, pageCount: 1, hasMore: true })
+          expect(queryStore.firebase._.watchers).to.eql({})
+        })
+    })
+
+    it('loads data for named apps', () => {
+      const namedStore = compose(
+        reactReduxFirebase(
+          { apps: { primary: fbConfig } },
+          { sdk: firebaseMock, enableRedirectHandling: false }
+        )
+      )(createStore)(combineReducers({ firebase: firebaseStateReducer }))
+      return preloadFirebaseData(namedStore, renderApp(namedStore))
+        .then((state) => {
+          expect(state.primary.data.todos).to.deep.equal(data.todos)
+        })
+    })
+  })
+
+  describe('dehydrate', () => {
+    it('converts state to plain JS', () => {
+      expect(dehydrate(fromJS({ data: { some: 'data' } })))
+        .to.deep.equal({ data: { some: 'data' } })
+    })
+
+    it('returns non Immutable state', () => {
+      expect(dehydrate(undefined)).to.equal(undefined)
+    })
+  })
+
+  describe('rehydrate', () => {
+    it('converts plain JS to state', () => {
+      expect(rehydrate({ data: { some: 'data' } }).getIn(['data', 'some']))
+        .to.equal('data')
+    })
+
+    it('does not set preloaded data to loading on client', () =>
+      preloadFirebaseData(store, renderApp(store))
+        .then((state) => {
+          const clientStore = createStoreWithMock(
+            createFirebaseMock({ data }),
+            { firebase: rehydrate(JSON.parse(JSON.stringify(state))) }
+          )
+          const dispatchSpy = sinon.spy(clientStore, 'dispatch')
+          TestUtils.renderIntoDocument(
+            <ProviderMock store={clientStore}>
+              <Todos />
+            </ProviderMock>
+          )
+          expect(dispatchSpy).to.not.have.been.calledWithMatch({ type: actionTypes.START, path: 'todos' })
+          expect(clientStore.getState().firebase.getIn(['data', 'todos', 'abc', 'text']))
+            .to.equal('Preload')
+          expect(clientStore.getState().firebase.getIn(['requested', 'todos']))
+            .to.equal(true)
+        })
+    )
+
+    it('keeps preloaded data after initial auth state', () => {
+      const clientStore = createStoreWithMock(
+        createFirebaseMock({ data }),
+        { firebase: rehydrate({ data: { todos: data.todos }, requested: { todos: true } }) }
+      )
+      return Promise.resolve().then(() => {
+        expect(clientStore.getState().firebase.get('auth')).to.equal(null)
+        expect(clientStore.getState().firebase.getIn(['data', 'todos', 'abc', 'text']))
+          .to.equal('Preload')
+      })
+    })
+  })
+})
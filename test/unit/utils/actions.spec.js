@@ -0,0 +1,62 @@
+/* global describe expect it sinon */
+import { wrapInDispatch, wrapInDispatchWithResult } from '../../../src/utils/actions'
+
+const types = ['START', 'COMPLETE', 'ERROR']
+
+describe('Utils: Actions', () => {
+  describe('wrapInDispatch', () => {
+    it('dispatches start and complete actions', () => {
+      const dispatch = sinon.spy()
+      return wrapInDispatch(dispatch, {
+        method: () => Promise.resolve('val'),
+        args: [],
+        types
+      }).then(() => {
+        expect(dispatch).to.have.been.calledWith({ type: 'START' })
+        expect(dispatch).to.have.been.calledWith({ type: 'COMPLETE', payload: 'val' })
+      })
+    })
+
+    it('dispatches error action and resolves', () => {
+      const dispatch = sinon.spy()
+      const error = new Error('some')
+      return wrapInDispatch(dispatch, {
+        method: () => Promise.reject(error),
+        args: [],
+        types
+      }).then((val) => {
+        expect(val).to.be.undefined
+        expect(dispatch).to.have.been.calledWith({ type: 'ERROR', payload: error })
+      })
+    })
+  })
+
+  describe('wrapInDispatchWithResult', () => {
+    it('dispatches start and complete actions with meta', () => {
+      const dispatch = sinon.spy()
+      return wrapInDispatchWithResult(dispatch, {
+        method: () => Promise.resolve('val'),
+        args: [],
+        types,
+        meta: { path: 'some' }
+      }).then((val) => {
+        expect(val).to.equal('val')
+        expect(dispatch).to.have.been.calledWith({ type: 'START', path: 'some' })
+        expect(dispatch).to.have.been.calledWith({ type: 'COMPLETE', payload: 'val', path: 'some' })
+      })
+    })
+
+    it('dispatches error action and rejects', () => {
+      const dispatch = sinon.spy()
+      const error = new Error('some')
+      return wrapInDispatchWithResult(dispatch, {
+        method: () => Promise.reject(error),
+        args: [],
+        types
+      }).then(() => Promise.reject(new Error('Should reject')), (err) => {
+        expect(err).to.equal(error)
+        expect(dispatch).to.have.been.calledWith({ type: 'ERROR', payload: error })
+      })
+    })
+  })
+})
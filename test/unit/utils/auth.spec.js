@@ -1,7 +1,10 @@
 /* global firebase describe expect it */
 import {
   createAuthProvider,
-  getLoginMethodAndParams
+  getLoginMethodAndParams,
+  getProviderId,
+  setPendingUpgrade,
+  takePendingUpgrade
 } from '../../../src/utils/auth'
 
 describe('Utils: Auth', () => {
@@ -20,6 +23,60 @@ describe('Utils: Auth', () => {
       expect(() => createAuthProvider(firebase, provider, ['email']))
         .to.Throw(Error, `${provider} is not a valid Auth Provider`)
     })
+    it('adds default email scope', () => {
+      expect(createAuthProvider(firebase, 'google', ['profile']).scopes)
+        .to.eql(['email', 'profile'])
+    })
+    it('sets custom parameters', () => {
+      expect(createAuthProvider(firebase, 'google', null, { login_hint: 'test@test.com' }).customParameters)
+        .to.eql({ login_hint: 'test@test.com' })
+    })
+
+    describe('with authProviders config', () => {
+      const withProviders = authProviders =>
+        ({ auth: firebase.auth, _: { config: { authProviders } } })
+
+      it('allows opting out of email scope', () => {
+        expect(createAuthProvider(withProviders({ google: { scopes: [] } }), 'google').scopes)
+          .to.eql([])
+      })
+      it('merges custom parameters of config and call', () => {
+        const fb = withProviders({ google: { customParameters: { prompt: 'select_account', hd: 'test.com' } } })
+        expect(createAuthProvider(fb, 'google', null, { login_hint: 'test@test.com' }).customParameters)
+          .to.eql({ prompt: 'select_account', hd: 'test.com', login_hint: 'test@test.com' })
+      })
+      it('creates generic OAuth provider with default scopes', () => {
+        const fb = withProviders({ microsoft: { providerId: 'microsoft.com', scopes: ['mail.read'] } })
+        const provider = createAuthProvider(fb, 'microsoft')
+        expect(provider).to.be.an.instanceof(firebase.auth.OAuthProvider)
+        expect(provider.providerId).to.equal('microsoft.com')
+        expect(provider.scopes).to.eql(['mail.read'])
+      })
+      it('creates SAML provider', () => {
+        const fb = withProviders({ acme: { providerId: 'saml.acme', type: 'saml' } })
+        const provider = createAuthProvider(fb, 'acme')
+        expect(provider).to.be.an.instanceof(firebase.auth.SAMLAuthProvider)
+        expect(provider.providerId).to.equal('saml.acme')
+      })
+      it('throws if SDK does not include generic providers', () => {
+        const fb = { auth: {}, _: { config: { authProviders: { okta: { providerId: 'oidc.okta', type: 'oidc' } } } } }
+        expect(() => createAuthProvider(fb, 'okta'))
+          .to.Throw(Error, 'oidc providers are not supported by this version of Firebase')
+      })
+    })
+  })
+
+  describe('getProviderId', () => {
+    it('gets id of built in provider', () => {
+      expect(getProviderId(firebase, 'google')).to.equal('google.com')
+    })
+    it('gets id of registered provider', () => {
+      const fb = { _: { config: { authProviders: { okta: { providerId: 'oidc.okta', type: 'oidc' } } } } }
+      expect(getProviderId(fb, 'okta')).to.equal('oidc.okta')
+    })
+    it('returns provider ids as is', () => {
+      expect(getProviderId(firebase, 'password')).to.equal('password')
+    })
   })
 
   describe('getLoginMethodAndParams', () => {
@@ -40,9 +97,26 @@ describe('Utils: Auth', () => {
       expect(getLoginMethodAndParams(firebase, { provider: 'google', token: 'asdf' }))
         .to.include.keys('method')
     })
+    it('anonymous', () => {
+      expect(getLoginMethodAndParams(firebase, { anonymous: true }))
+        .to.eql({ method: 'signInAnonymously', params: [] })
+    })
+    it('phone number', () => {
+      expect(getLoginMethodAndParams(firebase, { phoneNumber: '+15555550100', applicationVerifier: {} }))
+        .to.have.property('method', 'signInWithPhoneNumber')
+    })
     it('popup', () => {
       expect(getLoginMethodAndParams(firebase, { provider: 'google', type: 'popup' }))
         .to.include.keys('method')
     })
   })
+
+  describe('setPendingUpgrade', () => {
+    it('keeps pending upgrade until it is taken', () => {
+      const fakeFirebase = { _: { pendingUpgrade: null } }
+      setPendingUpgrade(fakeFirebase, { username: 'tester' })
+      expect(takePendingUpgrade(fakeFirebase)).to.eql({ profile: { username: 'tester' } })
+      expect(takePendingUpgrade(fakeFirebase)).to.equal(null)
+    })
+  })
 })
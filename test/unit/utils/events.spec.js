@@ -21,6 +21,36 @@ describe('Utils: Events', () => {
           expect(() => getEventsFromInput([{type: 'value'}])).to.throw('Path is a required parameter within definition object')
         })
       })
+      describe('accepts query definition object', () => {
+        it('that is valid', () => {
+          const queryParams = { orderByChild: 'createdAt', limitToLast: 20 }
+          const [event] = getEventsFromInput([{ path: 'todos', queryParams }])
+          expect(event).to.include({ path: 'todos', type: 'value', isQuery: true, queryParams })
+          expect(event.queryId).to.equal('todos#orderByChild=createdAt&limitToLast=20')
+        })
+        it('that has queryId', () => {
+          expect(getEventsFromInput([{ path: 'todos', queryId: 'recent', queryParams: { limitToLast: 20 } }])[0])
+            .to.have.property('queryId', 'recent')
+        })
+        it('that is invalid', () => {
+          expect(() => getEventsFromInput([{ path: 'todos', queryParams: { limitToLast: 'abc' } }]))
+            .to.throw('limitToLast must be a positive integer (received "abc").')
+        })
+      })
+      describe('accepts paginated query object', () => {
+        it('that is valid', () => {
+          const [event] = getEventsFromInput([{ path: 'todos', queryId: 'recentTodos', pageSize: 10 }])
+          expect(event).to.include({ path: 'todos', queryId: 'recentTodos', pageSize: 10, type: 'value', isQuery: true })
+        })
+        it('that is invalid', () => {
+          expect(() => getEventsFromInput([{ path: 'todos', pageSize: 10 }]))
+            .to.throw('queryId is required for paginated queries')
+        })
+      })
+      it('throws for invalid query string', () => {
+        expect(() => getEventsFromInput(['todos#orderByKey&orderByValue']))
+          .to.throw('Query can only be ordered by one method (received orderByKey and orderByValue).')
+      })
       it('accepts array', () => {
         expect(getEventsFromInput([['somechild']])[0]).to.include.keys('path')
       })
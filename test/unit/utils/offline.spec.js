@@ -0,0 +1,86 @@
+/* global describe expect it beforeEach */
+import {
+  getWriteChanges,
+  getQueueStorage,
+  loadWriteQueue,
+  saveWriteQueue
+} from '../../../src/utils/offline'
+
+const createStorage = () => {
+  const items = {}
+  return {
+    items,
+    getItem: key => items[key] !== undefined ? items[key] : null,
+    setItem: (key, value) => { items[key] = value }
+  }
+}
+
+describe('Utils: Offline', () => {
+  describe('getWriteChanges', () => {
+    it('handles set', () => {
+      expect(getWriteChanges({ method: 'set', path: 'todos/a', value: 'a' }))
+        .to.eql([{ path: 'todos/a', data: 'a' }])
+    })
+    it('handles push (id used as key)', () => {
+      expect(getWriteChanges({ method: 'push', path: 'todos', value: 'a', id: 'abc' }))
+        .to.eql([{ path: 'todos/abc', data: 'a' }])
+    })
+    it('handles update with multiple paths', () => {
+      expect(getWriteChanges({ method: 'update', path: 'todos', value: { 'a/text': 'a', b: null } }))
+        .to.eql([{ path: 'todos/a/text', data: 'a' }, { path: 'todos/b', data: null }])
+    })
+    it('handles remove', () => {
+      expect(getWriteChanges({ method: 'remove', path: 'todos/a' }))
+        .to.eql([{ path: 'todos/a', data: null }])
+    })
+    it('replaces server timestamps with time of write', () => {
+      const value = { createdAt: { '.sv': 'timestamp' } }
+      expect(getWriteChanges({ method: 'set', path: 'todos/a', value, timestamp: 123 }))
+        .to.eql([{ path: 'todos/a', data: { createdAt: 123 } }])
+    })
+  })
+
+  describe('getQueueStorage', () => {
+    it('returns writeQueueStorage from config', () => {
+      const storage = createStorage()
+      expect(getQueueStorage({ writeQueueStorage: storage })).to.equal(storage)
+    })
+    it('returns null when disabled', () => {
+      expect(getQueueStorage({ writeQueueStorage: null })).to.equal(null)
+    })
+  })
+
+  describe('saveWriteQueue and loadWriteQueue', () => {
+    let fakeFirebase
+    beforeEach(() => {
+      fakeFirebase = {
+        _: {
+          config: { writeQueueStorage: createStorage() },
+          writeQueue: { abc: { id: 'abc', method: 'set', path: 'a', value: 'b' } }
+        }
+      }
+    })
+
+    it('persists and loads write queue', () => {
+      saveWriteQueue(fakeFirebase)
+      expect(loadWriteQueue(fakeFirebase)).to.eql([fakeFirebase._.writeQueue.abc])
+    })
+
+    it('stores queue of named apps separately', () => {
+      saveWriteQueue(fakeFirebase)
+      fakeFirebase._.appName = 'other'
+      expect(loadWriteQueue(fakeFirebase)).to.eql([])
+    })
+
+    it('handles invalid stored queue', () => {
+      fakeFirebase._.config.writeQueueStorage.setItem('@@reactReduxFirebase/writeQueue', '{invalid')
+      expect(loadWriteQueue(fakeFirebase)).to.eql([])
+    })
+
+    it('does nothing without storage', () => {
+      fakeFirebase._.config.writeQueueStorage = null
+      saveWriteQueue(fakeFirebase)
+      expect(loadWriteQueue(fakeFirebase)).to.eql([])
+    })
+  })
+})
@@ -0,0 +1,112 @@
+/* global describe expect it */
+import {
+  validatePagination,
+  getCursor,
+  getPageDefinition,
+  getPageItems
+} from '../../../src/utils/pagination'
+
+const child = (key, value, priority = null) => ({
+  key,
+  val: () => value,
+  child: name => ({ val: () => value[name] }),
+  getPriority: () => priority
+})
+const items = keys => keys.map(key => ({ key, cursor: { value: key, key } }))
+
+describe('Utils: Pagination', () => {
+  describe('validatePagination', () => {
+    const valid = { pageSize: 10, queryId: 'recentTodos', type: 'value' }
+    it('accepts valid pagination', () => {
+      expect(() => validatePagination(valid)).to.not.throw()
+    })
+    it('throws for invalid pageSize', () => {
+      expect(() => validatePagination(Object.assign({}, valid, { pageSize: 1.5 })))
+        .to.throw('pageSize must be a positive integer (received 1.5).')
+      expect(() => validatePagination(Object.assign({}, valid, { pageSize: 0 })))
+        .to.throw('pageSize must be a positive integer')
+    })
+    it('throws without queryId', () => {
+      expect(() => validatePagination({ pageSize: 10 }))
+        .to.throw('queryId is required for paginated queries')
+    })
+    it('throws for event types other than value', () => {
+      expect(() => validatePagination(Object.assign({}, valid, { type: 'child_added' })))
+        .to.throw('Paginated queries only support value events (received child_added).')
+    })
+    it('throws for populates', () => {
+      expect(() => validatePagination(Object.assign({}, valid, { populates: [{ child: 'owner', root: 'users' }] })))
+        .to.throw('populates are not supported within paginated queries.')
+    })
+    it('throws for limits within query', () => {
+      expect(() => validatePagination(Object.assign({}, valid, { queryParams: ['limitToFirst=5'] })))
+        .to.throw('Paginated queries can not contain limitToFirst or limitToLast')
+    })
+  })
+
+  describe('getCursor', () => {
+    it('uses key by default', () => {
+      expect(getCursor({}, child('a', {}))).to.eql({ value: 'a', key: 'a' })
+    })
+    it('uses child when ordering by child', () => {
+      expect(getCursor({ orderByChild: 'createdAt' }, child('a', { createdAt: 5 })))
+        .to.eql({ value: 5, key: 'a' })
+    })
+    it('uses value when ordering by value', () => {
+      expect(getCursor({ orderByValue: true }, child('a', 3))).to.eql({ value: 3, key: 'a' })
+    })
+    it('uses priority when ordering by priority', () => {
+      expect(getCursor({ orderByPriority: true }, child('a', {}, 2))).to.eql({ value: 2, key: 'a' })
+    })
+  })
+
+  describe('getPageDefinition', () => {
+    it('orders by key and loads an extra child for first page', () => {
+      expect(getPageDefinition({}, 2, 'first'))
+        .to.eql({ orderByKey: true, limitToFirst: 3 })
+    })
+    it('loads last page from end', () => {
+      expect(getPageDefinition({ orderByChild: 'createdAt' }, 2, 'last'))
+        .to.eql({ orderByChild: 'createdAt', limitToLast: 3 })
+    })
+    it('starts next page at cursor (loading cursor along with page)', () => {
+      const cursor = { value: 5, key: 'b' }
+      expect(getPageDefinition({ orderByChild: 'createdAt', endAt: 10 }, 2, 'next', cursor))
+        .to.eql({ orderByChild: 'createdAt', startAt: cursor, endAt: 10, limitToFirst: 4 })
+    })
+    it('ends previous page at cursor', () => {
+      const cursor = { value: 5, key: 'b' }
+      expect(getPageDefinition({ orderByChild: 'createdAt' }, 2, 'previous', cursor))
+        .to.eql({ orderByChild: 'createdAt', endAt: cursor, limitToLast: 4 })
+    })
+    it('removes key from cursor when ordering by key', () => {
+      expect(getPageDefinition({}, 2, 'next', { value: 'b', key: 'b' }).startAt)
+        .to.eql({ value: 'b' })
+    })
+    it('converts equalTo into bounds', () => {
+      expect(getPageDefinition({ orderByChild: 'done', equalTo: false }, 2, 'first'))
+        .to.eql({ orderByChild: 'done', startAt: false, endAt: false, limitToFirst: 3 })
+    })
+  })
+
+  describe('getPageItems', () => {
+    it('returns page and whether more children exist', () => {
+      expect(getPageItems(items(['a', 'b', 'c']), 2, 'first'))
+        .to.eql({ items: items(['a', 'b']), hasMore: true })
+      expect(getPageItems(items(['a', 'b']), 2, 'first'))
+        .to.eql({ items: items(['a', 'b']), hasMore: false })
+    })
+    it('removes cursor from next page', () => {
+      expect(getPageItems(items(['b', 'c', 'd']), 2, 'next', { value: 'b', key: 'b' }))
+        .to.eql({ items: items(['c', 'd']), hasMore: false })
+    })
+    it('removes cursor and keeps end of previous page', () => {
+      expect(getPageItems(items(['a', 'b', 'c', 'd']), 2, 'previous', { value: 'd', key: 'd' }))
+        .to.eql({ items: items(['b', 'c']), hasMore: true })
+    })
+    it('keeps end of last page', () => {
+      expect(getPageItems(items(['a', 'b', 'c']), 2, 'last'))
+        .to.eql({ items: items(['b', 'c']), hasMore: true })
+    })
+  })
+})
@@ -1,7 +1,11 @@
-/* global describe expect it beforeEach */
+/* global describe expect it beforeEach sinon fbConfig */
+import createFirebaseMock from '../../../src/mock'
+import { MockQuery } from '../../../src/mock/database'
 import {
   getPopulateObj,
   getPopulates,
+  getNestedPopulates,
+  getTopLevelPopulates,
   getPopulateChild,
   promisesForPopulate
 } from '../../../src/utils/populate'
@@ -11,6 +15,13 @@ describe('Utils: Populate', () => {
     it('returns object with child and root', () => {
       expect(getPopulateObj('some:value')).to.have.keys('child', 'root')
     })
+    it('returns object with fields', () => {
+      expect(getPopulateObj('owner:users:displayName,avatarUrl')).to.eql({
+        child: 'owner',
+        root: 'users',
+        fields: ['displayName', 'avatarUrl']
+      })
+    })
   })
 
   describe('getPopulates', () => {
@@ -22,6 +33,33 @@ describe('Utils: Populate', () => {
     })
   })
 
+  describe('getNestedPopulates', () => {
+    it('returns nested populates relative to parent child', () => {
+      const populates = [
+        { child: 'owner', root: 'users' },
+        { child: 'owner.org', root: 'orgs' },
+        { child: 'owner.org.country', root: 'countries' },
+        { child: 'other', root: 'users' }
+      ]
+      expect(getNestedPopulates(populates, 'owner')).to.eql([
+        { child: 'org', root: 'orgs' },
+        { child: 'org.country', root: 'countries' }
+      ])
+    })
+  })
+
+  describe('getTopLevelPopulates', () => {
+    it('returns populates without a parent populate', () => {
+      const populates = [
+        { child: 'owner', root: 'users' },
+        { child: 'owner.org', root: 'orgs' },
+        { child: 'meta.creator', root: 'users' }
+      ]
+      expect(getTopLevelPopulates(populates).map(p => p.child))
+        .to.eql(['owner', 'meta.creator'])
+    })
+  })
+
   describe('getPopulateChild', () => {
     it('gets child', () => {
       expect(getPopulateChild(Firebase, {child: 'uid', root: 'users'}, '123123'))
@@ -48,5 +86,100 @@ describe('Utils: Populate', () => {
           expect(v).to.exist
         })
     )
+    it('array populate within list item', () =>
+      promisesForPopulate(Firebase, { 1: { collaborators: ['Iq5b0qK2NtgggT6U3bU6iZRGyma2'] } }, [{child: 'collaborators', root: 'users'}])
+        .then((v) => {
+          expect(v.users).to.have.keys('Iq5b0qK2NtgggT6U3bU6iZRGyma2')
+        })
+    )
+
+    describe('multi-level', () => {
+      let firebaseMock
+
+      beforeEach(() => {
+        firebaseMock = createFirebaseMock({
+          data: {
+            users: {
+              ABC: { displayName: 'scott', org: 'org1', manager: 'DEF', email: 'scott@test.com' },
+              DEF: { displayName: 'rick', org: 'org1', manager: 'ABC' }
+            },
+            orgs: {
+              org1: { name: 'Some Org' }
+            }
+          }
+        })
+        firebaseMock.initializeApp(fbConfig)
+      })
+
+      it('populates child of populated child', () =>
+        promisesForPopulate(firebaseMock, { 1: { owner: 'ABC' } }, ['owner:users', 'owner.org:orgs'])
+          .then((v) => {
+            expect(v.users).to.have.keys('ABC')
+            expect(v.orgs.org1).to.eql({ name: 'Some Org' })
+          })
+      )
+
+      it('reads each child once', () => {
+        const onceSpy = sinon.spy(MockQuery.prototype, 'once')
+        return promisesForPopulate(
+          firebaseMock,
+          { 1: { owner: 'ABC' }, 2: { owner: 'DEF' } },
+          ['owner:users', 'owner.manager:users', 'owner.org:orgs']
+        )
+          .then((v) => {
+            onceSpy.restore()
+            expect(v.users).to.have.keys('ABC', 'DEF')
+            // ABC, DEF, and org1 (managers and orgs already loaded)
+            expect(onceSpy).to.have.been.calledThrice
+          })
+      })
+    })
+
+    describe('fields', () => {
+      let firebaseMock
+
+      beforeEach(() => {
+        firebaseMock = createFirebaseMock({
+          data: {
+            users: {
+              ABC: { displayName: 'scott', email: 'scott@test.com', avatarUrl: 'some.png' }
+            }
+          }
+        })
+        firebaseMock.initializeApp(fbConfig)
+      })
+
+      it('loads only selected fields', () =>
+        promisesForPopulate(firebaseMock, { 1: { owner: 'ABC' } }, ['owner:users:displayName,avatarUrl'])
+          .then((v) => {
+            expect(v.users.ABC).to.eql({ displayName: 'scott', avatarUrl: 'some.png' })
+          })
+      )
+
+      it('accepts fields as array within populate object', () =>
+        promisesForPopulate(firebaseMock, { 1: { owner: 'ABC' } }, [{ child: 'owner', root: 'users', fields: ['displayName'] }])
+          .then((v) => {
+            expect(v.users.ABC).to.eql({ displayName: 'scott' })
+          })
+      )
+
+      it('combines fields selected by multiple populates', () =>
+        promisesForPopulate(
+          firebaseMock,
+          { 1: { owner: 'ABC', editor: 'ABC' } },
+          ['owner:users:displayName', 'editor:users:avatarUrl']
+        )
+          .then((v) => {
+            expect(v.users.ABC).to.eql({ displayName: 'scott', avatarUrl: 'some.png' })
+          })
+      )
+
+      it('does not populate child without selected fields', () =>
+        promisesForPopulate(firebaseMock, { 1: { owner: 'ABC' } }, ['owner:users:doesNotExist'])
+          .then((v) => {
+            expect(v).to.eql({})
+          })
+      )
+    })
   })
 })
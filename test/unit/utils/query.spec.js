@@ -5,8 +5,16 @@ import {
   getWatcherCount,
   unsetWatcher,
   getQueryIdFromPath,
-  applyParamsToQuery
+  applyParamsToQuery,
+  queryParamsToDefinition,
+  getQueryDefinition,
+  definitionToQueryParams,
+  setQueryResults,
+  unsetQueryResults,
+  applyChildEvent
 } from '../../../src/utils/query'
+import { actionTypes } from '../../../src/constants'
+import createFirebaseMock from '../../../src/mock'
 let createQueryFromParams = (queryParams) =>
   applyParamsToQuery(queryParams, Firebase.database().ref())
 
@@ -35,6 +43,75 @@ describe('Utils: Query', () => {
     })
   })
 
+  describe('setQueryResults', () => {
+    let fakeFirebase
+    beforeEach(() => {
+      fakeFirebase = { _: { watchers: {}, queries: {} } }
+    })
+    it('stores keys of results by query id', () => {
+      expect(setQueryResults(fakeFirebase, 'done', 'todos', ['a'])).to.eql([])
+      expect(fakeFirebase._.queries).to.eql({ done: { path: 'todos', keys: ['a'] } })
+    })
+    it('returns keys no longer within results', () => {
+      setQueryResults(fakeFirebase, 'done', 'todos', ['a', 'b'])
+      expect(setQueryResults(fakeFirebase, 'done', 'todos', ['b'])).to.eql(['a'])
+    })
+    it('keeps keys within results of other queries of path', () => {
+      setQueryResults(fakeFirebase, 'recent', '/todos', ['a'])
+      setQueryResults(fakeFirebase, 'done', 'todos', ['a', 'b'])
+      expect(setQueryResults(fakeFirebase, 'done', 'todos', [])).to.eql(['b'])
+    })
+    it('keeps all keys while path is watched without query', () => {
+      fakeFirebase._.watchers['value:/todos'] = 1
+      setQueryResults(fakeFirebase, 'done', 'todos', ['a'])
+      expect(setQueryResults(fakeFirebase, 'done', 'todos', [])).to.eql([])
+    })
+  })
+
+  describe('unsetQueryResults', () => {
+    it('removes results of query', () => {
+      const fakeFirebase = { _: { queries: { done: { path: 'todos', keys: [] } } } }
+      expect(unsetQueryResults(fakeFirebase, 'done')).to.be.true
+      expect(fakeFirebase._.queries).to.eql({})
+    })
+    it('returns false for query without results', () => {
+      expect(unsetQueryResults({ _: { queries: {} } }, 'done')).to.be.false
+    })
+  })
+
+  describe('applyChildEvent', () => {
+    const children = [{ key: 'a', value: 1 }, { key: 'b', value: 2 }, { key: 'c', value: 3 }]
+    const keysOf = list => list.map(({ key }) => key)
+    it('adds child after previous key', () => {
+      expect(keysOf(applyChildEvent(children, { type: actionTypes.CHILD_ADDED, key: 'd', data: 4, previousKey: 'a' })))
+        .to.eql(['a', 'd', 'b', 'c'])
+    })
+    it('adds child first when previous key is null', () => {
+      expect(keysOf(applyChildEvent(children, { type: actionTypes.CHILD_ADDED, key: 'd', data: 4, previousKey: null })))
+        .to.eql(['d', 'a', 'b', 'c'])
+    })
+    it('adds child last when previous key is not within list', () => {
+      expect(keysOf(applyChildEvent([], { type: actionTypes.CHILD_ADDED, key: 'd', data: 4, previousKey: 'z' })))
+        .to.eql(['d'])
+    })
+    it('changes child in place', () => {
+      expect(applyChildEvent(children, { type: actionTypes.CHILD_CHANGED, key: 'b', data: 5, previousKey: 'c' })[1])
+        .to.eql({ key: 'b', value: 5 })
+    })
+    it('moves child after previous key', () => {
+      expect(applyChildEvent(children, { type: actionTypes.CHILD_MOVED, key: 'a', data: 4, previousKey: 'c' }))
+        .to.eql([{ key: 'b', value: 2 }, { key: 'c', value: 3 }, { key: 'a', value: 4 }])
+    })
+    it('removes child', () => {
+      expect(keysOf(applyChildEvent(children, { type: actionTypes.CHILD_REMOVED, key: 'b' })))
+        .to.eql(['a', 'c'])
+    })
+    it('does not modify list', () => {
+      applyChildEvent(children, { type: actionTypes.CHILD_REMOVED, key: 'b' })
+      expect(children).to.have.length(3)
+    })
+  })
+
   describe('getQueryIdFromPath', () => {
     it('handles basic path', () => {
       expect(getQueryIdFromPath('/todos')).to.be.a.string
@@ -72,5 +149,133 @@ describe('Utils: Query', () => {
     it('endAt', () => {
       expect(createQueryFromParams(['endAt=uid'])).to.be.an.object
     })
+    it('throws for invalid params', () => {
+      expect(() => createQueryFromParams(['limitToFirst=abc']))
+        .to.throw('limitToFirst must be a positive integer (received "abc").')
+    })
+    it('throws for limit without a value', () => {
+      expect(() => createQueryFromParams(['limitToLast']))
+        .to.throw('limitToLast must be a positive integer (received undefined).')
+    })
+
+    describe('query definition object', () => {
+      let firebaseMock
+      const runQuery = definition =>
+        applyParamsToQuery(definition, firebaseMock.database().ref('todos'))
+          .once('value')
+          .then(snap => Object.keys(snap.val() || {}))
+
+      beforeEach(() => {
+        firebaseMock = createFirebaseMock({
+          data: {
+            todos: {
+              a: { createdAt: 1, owner: 'x' },
+              b: { createdAt: 2, owner: 'y' },
+              c: { createdAt: 3, owner: 'x' }
+            }
+          }
+        })
+        firebaseMock.initializeApp(fbConfig)
+      })
+
+      it('applies orderByChild and limitToLast', () =>
+        runQuery({ orderByChild: 'createdAt', limitToLast: 2 })
+          .then((keys) => {
+            expect(keys).to.eql(['b', 'c'])
+          })
+      )
+      it('applies startAt with value and key', () =>
+        runQuery({ orderByChild: 'createdAt', startAt: { value: 2, key: 'b' } })
+          .then((keys) => {
+            expect(keys).to.eql(['b', 'c'])
+          })
+      )
+      it('applies equalTo', () =>
+        runQuery({ orderByChild: 'owner', equalTo: 'x' })
+          .then((keys) => {
+            expect(keys).to.eql(['a', 'c'])
+          })
+      )
+    })
+  })
+
+  describe('queryParamsToDefinition', () => {
+    it('converts query string parameters', () => {
+      expect(queryParamsToDefinition(['orderByChild=createdAt', 'limitToLast=20', 'startAt=5=abc']))
+        .to.eql({ orderByChild: 'createdAt', limitToLast: 20, startAt: { value: 5, key: 'abc' } })
+    })
+    it('parses null, booleans, and numbers', () => {
+      expect(queryParamsToDefinition(['equalTo=true'])).to.eql({ equalTo: true })
+      expect(queryParamsToDefinition(['equalTo=null'])).to.eql({ equalTo: null })
+      expect(queryParamsToDefinition(['equalTo=0'])).to.eql({ equalTo: 0 })
+      expect(queryParamsToDefinition(['equalTo=5abc'])).to.eql({ equalTo: '5abc' })
+    })
+    it('keeps values as strings when ordering by key', () => {
+      expect(queryParamsToDefinition(['startAt=5', 'orderByKey']))
+        .to.eql({ startAt: '5', orderByKey: true })
+    })
+    it('keeps limit without a value undefined', () => {
+      const definition = queryParamsToDefinition(['limitToFirst'])
+      expect(definition).to.have.property('limitToFirst')
+      expect(definition.limitToFirst).to.equal(undefined)
+    })
+    it('skips queryId and populate', () => {
+      expect(queryParamsToDefinition(['queryId=abc', 'populate=owner:users', 'orderByKey']))
+        .to.eql({ orderByKey: true })
+    })
+    it('throws for repeated parameter', () => {
+      expect(() => queryParamsToDefinition(['limitToFirst=1', 'limitToFirst=2']))
+        .to.throw('Query parameter "limitToFirst" can only be used once.')
+    })
+  })
+
+  describe('getQueryDefinition', () => {
+    it('returns valid definition', () => {
+      const definition = { orderByChild: 'createdAt', limitToLast: 20 }
+      expect(getQueryDefinition(definition)).to.equal(definition)
+    })
+    it('throws for unknown parameter', () => {
+      expect(() => getQueryDefinition({ orderBy: 'createdAt' }))
+        .to.throw('Unknown query parameter "orderBy".')
+    })
+    it('throws for unknown string parameter', () => {
+      expect(() => getQueryDefinition(['limit=10']))
+        .to.throw('Unknown query parameter "limit".')
+    })
+    it('throws for multiple orderBy methods', () => {
+      expect(() => getQueryDefinition({ orderByChild: 'createdAt', orderByKey: true }))
+        .to.throw('Query can only be ordered by one method (received orderByChild and orderByKey).')
+    })
+    it('throws for orderByChild without child', () => {
+      expect(() => getQueryDefinition({ orderByChild: true }))
+        .to.throw('orderByChild must be the path of a child (string).')
+    })
+    it('throws for non-numeric limit', () => {
+      expect(() => getQueryDefinition({ limitToLast: '20' }))
+        .to.throw('limitToLast must be a positive integer (received "20").')
+    })
+    it('throws for both limits', () => {
+      expect(() => getQueryDefinition({ limitToFirst: 1, limitToLast: 1 }))
+        .to.throw('Query can only contain one of limitToFirst and limitToLast.')
+    })
+    it('throws for equalTo with startAt', () => {
+      expect(() => getQueryDefinition({ equalTo: 1, startAt: 1 }))
+        .to.throw('equalTo can not be combined with startAt or endAt.')
+    })
+    it('throws for invalid filter value', () => {
+      expect(() => getQueryDefinition({ startAt: { value: {} } }))
+        .to.throw('startAt value must be a string, number, boolean, or null (received {}).')
+    })
+    it('throws for non-object definition', () => {
+      expect(() => getQueryDefinition('orderByKey'))
+        .to.throw('Query definition must be an object')
+    })
+  })
+
+  describe('definitionToQueryParams', () => {
+    it('converts definition to query string parameters', () => {
+      expect(definitionToQueryParams({ orderByKey: true, startAt: { value: 'a', key: 'b' }, limitToFirst: 2 }))
+        .to.eql(['orderByKey', 'startAt=a=b', 'limitToFirst=2'])
+    })
   })
 })
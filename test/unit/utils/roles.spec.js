@@ -0,0 +1,105 @@
+/* global describe expect it beforeEach fbConfig */
+import { fromJS } from 'immutable'
+import createFirebaseMock from '../../../src/mock'
+import {
+  getRoleNames,
+  getPermissions,
+  loadRoles,
+  hasRequirements,
+  getPermittedEvents
+} from '../../../src/utils/roles'
+
+describe('Utils: Roles', () => {
+  describe('getRoleNames', () => {
+    it('handles missing profile', () => {
+      expect(getRoleNames(null, 'role')).to.eql([])
+    })
+    it('handles role name', () => {
+      expect(getRoleNames({ role: 'admin' }, 'role')).to.eql(['admin'])
+    })
+    it('handles array of role names', () => {
+      expect(getRoleNames({ role: ['admin', 'editor'] }, 'role')).to.eql(['admin', 'editor'])
+    })
+    it('handles object of role names', () => {
+      expect(getRoleNames({ roles: { admin: true, editor: false } }, 'roles')).to.eql(['admin'])
+    })
+  })
+
+  describe('getPermissions', () => {
+    it('combines permissions of roles', () => {
+      expect(getPermissions({
+        admin: { permissions: ['readUsers'] },
+        editor: { permissions: { editTodos: true, deleteTodos: false } }
+      })).to.eql({ readUsers: true, editTodos: true })
+    })
+  })
+
+  describe('loadRoles', () => {
+    let firebaseMock
+    beforeEach(() => {
+      firebaseMock = createFirebaseMock({
+        data: {
+          roles: {
+            admin: { permissions: { readUsers: true } },
+            editor: { permissions: ['editTodos'] }
+          }
+        }
+      })
+      firebaseMock.initializeApp(fbConfig)
+      firebaseMock._ = { config: { roles: 'roles' } }
+    })
+
+    it('loads role definitions and permissions', () =>
+      loadRoles(firebaseMock, { role: ['admin', 'editor', 'missing'] })
+        .then(({ roles, permissions }) => {
+          expect(roles).to.have.keys('admin', 'editor')
+          expect(permissions).to.eql({ readUsers: true, editTodos: true })
+        })
+    )
+
+    it('uses profileRoleParam', () => {
+      firebaseMock._.config.profileRoleParam = 'group'
+      return loadRoles(firebaseMock, { group: 'editor' })
+        .then(({ permissions }) => {
+          expect(permissions).to.eql({ editTodos: true })
+        })
+    })
+
+    it('rejects if profile contains a reserved parameter', () =>
+      loadRoles(firebaseMock, { role: 'admin', permissions: { own: true } })
+        .then(() => Promise.reject(new Error('Load should fail')), (err) => {
+          expect(err.message).to.equal('Profile parameter "permissions" is reserved for loaded roles (roles, permissions) when the roles config option is set.')
+        })
+    )
+  })
+
+  describe('hasRequirements', () => {
+    it('returns true if an event has a role or permission', () => {
+      expect(hasRequirements([{ path: 'todos' }, { path: 'reports', role: 'admin' }])).to.be.true
+    })
+    it('returns false if no events have requirements', () => {
+      expect(hasRequirements([{ path: 'todos' }])).to.be.false
+    })
+  })
+
+  describe('getPermittedEvents', () => {
+    const events = [
+      { path: 'todos' },
+      { path: 'users', permission: 'readUsers' },
+      { path: 'reports', role: 'admin' }
+    ]
+
+    it('returns events as is if none have requirements', () => {
+      const noRequirements = [{ path: 'todos' }]
+      expect(getPermittedEvents(noRequirements, null)).to.equal(noRequirements)
+    })
+    it('skips events which are not permitted', () => {
+      expect(getPermittedEvents(events, { permissions: { readUsers: true } }))
+        .to.eql(events.slice(0, 2))
+    })
+    it('handles Immutable profile', () => {
+      expect(getPermittedEvents(events, fromJS({ roles: { admin: {} } })))
+        .to.eql([events[0], events[2]])
+    })
+  })
+})
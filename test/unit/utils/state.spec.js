@@ -0,0 +1,123 @@
+/* global describe expect it */
+import { fromJS } from 'immutable'
+import {
+  isImmutable,
+  getIn,
+  immutableState,
+  plainState
+} from '../../../src/utils/state'
+
+const exampleData = { data: { some: { nested: 'data' }, other: { key: 'value' } } }
+
+describe('Utils: State', () => {
+  describe('isImmutable', () => {
+    it('returns true for Immutable Map', () => {
+      expect(isImmutable(fromJS(exampleData))).to.be.true
+    })
+    it('returns false for plain JS', () => {
+      expect(isImmutable(exampleData)).to.be.false
+    })
+  })
+
+  describe('getIn', () => {
+    it('gets from Immutable Map', () => {
+      expect(getIn(fromJS(exampleData), ['data', 'some', 'nested'])).to.equal('data')
+    })
+    it('gets from plain JS', () => {
+      expect(getIn(exampleData, ['data', 'some', 'nested'])).to.equal('data')
+    })
+    it('returns notSetValue', () => {
+      expect(getIn(exampleData, ['data', 'missing'], 'notSet')).to.equal('notSet')
+      expect(getIn(fromJS(exampleData), ['data', 'missing'], 'notSet')).to.equal('notSet')
+    })
+    it('handles undefined state', () => {
+      expect(getIn(undefined, ['data'], 'notSet')).to.equal('notSet')
+    })
+  })
+
+  describe('immutableState', () => {
+    it('sets value as Immutable', () => {
+      const state = immutableState.setIn(fromJS(exampleData), ['data', 'new'], { a: 'b' })
+      expect(state.getIn(['data', 'new', 'a'])).to.equal('b')
+    })
+    it('inserts into List', () => {
+      const state = immutableState.insertIn(fromJS({ list: ['a', 'c'] }), ['list'], 1, { key: 'b' })
+      expect(state.getIn(['list', 1, 'key'])).to.equal('b')
+      expect(immutableState.sizeIn(state, ['list'])).to.equal(3)
+    })
+    it('creates missing List on insert', () => {
+      expect(immutableState.insertIn(fromJS({}), ['list'], 0, 'a').toJS()).to.eql({ list: ['a'] })
+    })
+    it('finds index within List', () => {
+      const state = fromJS({ list: [{ key: 'a' }, { key: 'b' }] })
+      expect(immutableState.findIndexIn(state, ['list'], child => child.get('key') === 'b')).to.equal(1)
+      expect(immutableState.findIndexIn(state, ['missing'], () => true)).to.equal(-1)
+    })
+  })
+
+  describe('plainState', () => {
+    describe('setIn', () => {
+      it('sets value without modifying state', () => {
+        const state = plainState.setIn(exampleData, ['data', 'some', 'nested'], 'changed')
+        expect(state.data.some.nested).to.equal('changed')
+        expect(exampleData.data.some.nested).to.equal('data')
+      })
+      it('keeps reference of unchanged branches', () => {
+        const state = plainState.setIn(exampleData, ['data', 'some', 'nested'], 'changed')
+        expect(state.data.other).to.equal(exampleData.data.other)
+      })
+      it('returns same state if value is unchanged', () => {
+        expect(plainState.setIn(exampleData, ['data', 'some', 'nested'], 'data'))
+          .to.equal(exampleData)
+      })
+      it('creates missing objects', () => {
+        expect(plainState.setIn({}, ['a', 'b'], 'c')).to.eql({ a: { b: 'c' } })
+      })
+      it('replaces null along path', () => {
+        expect(plainState.setIn({ a: null }, ['a', 'b'], 'c')).to.eql({ a: { b: 'c' } })
+      })
+      it('copies arrays as arrays', () => {
+        const state = plainState.setIn({ list: ['a', 'b'] }, ['list', '1'], 'c')
+        expect(state.list).to.be.an('array')
+        expect(state.list).to.eql(['a', 'c'])
+      })
+    })
+
+    describe('insertIn', () => {
+      it('inserts into array without modifying state', () => {
+        const original = { list: ['a', 'c'], other: {} }
+        const state = plainState.insertIn(original, ['list'], 1, 'b')
+        expect(state.list).to.eql(['a', 'b', 'c'])
+        expect(original.list).to.eql(['a', 'c'])
+        expect(state.other).to.equal(original.other)
+      })
+      it('creates missing array', () => {
+        expect(plainState.insertIn({}, ['list'], 0, 'a')).to.eql({ list: ['a'] })
+      })
+    })
+
+    describe('findIndexIn', () => {
+      it('finds index within array', () => {
+        expect(plainState.findIndexIn({ list: [{ key: 'a' }, { key: 'b' }] }, ['list'], { key: 'b' })).to.equal(1)
+        expect(plainState.findIndexIn({}, ['list'], { key: 'b' })).to.equal(-1)
+      })
+    })
+
+    describe('deleteIn', () => {
+      it('deletes value without modifying state', () => {
+        const state = plainState.deleteIn(exampleData, ['data', 'some'])
+        expect(state.data).to.not.have.property('some')
+        expect(exampleData.data).to.have.property('some')
+        expect(state.data.other).to.equal(exampleData.data.other)
+      })
+      it('returns same state if path does not exist', () => {
+        expect(plainState.deleteIn(exampleData, ['data', 'missing', 'child']))
+          .to.equal(exampleData)
+      })
+      it('removes items from arrays', () => {
+        expect(plainState.deleteIn({ list: ['a', 'b'] }, ['list', '0']).list)
+          .to.eql(['b'])
+      })
+    })
+  })
+})
@@ -0,0 +1,86 @@
+/* global describe expect it beforeEach afterEach */
+import {
+  getAuthSyncKey,
+  broadcastAuthChange,
+  listenForAuthChanges
+} from '../../../src/utils/sync'
+
+const createStorage = () => {
+  const items = {}
+  return {
+    items,
+    getItem: key => items[key] !== undefined ? items[key] : null,
+    setItem: (key, value) => { items[key] = value }
+  }
+}
+
+const dispatchStorageEvent = (key, newValue) => {
+  const event = window.document.createEvent('Event')
+  event.initEvent('storage', false, false)
+  Object.assign(event, { key, newValue })
+  window.dispatchEvent(event)
+}
+
+describe('Utils: Sync', () => {
+  const fakeFirebase = { _: { appName: undefined } }
+
+  describe('getAuthSyncKey', () => {
+    it('returns key for default app', () => {
+      expect(getAuthSyncKey(fakeFirebase)).to.equal('@@reactReduxFirebase/auth')
+    })
+    it('includes app name', () => {
+      expect(getAuthSyncKey({ _: { appName: 'analytics' } }))
+        .to.equal('@@reactReduxFirebase/auth/analytics')
+    })
+  })
+
+  describe('broadcastAuthChange', () => {
+    afterEach(() => {
+      delete window.localStorage
+    })
+    it('writes uid of user to localStorage', () => {
+      window.localStorage = createStorage()
+      broadcastAuthChange(fakeFirebase, { uid: '123' })
+      expect(JSON.parse(window.localStorage.items[getAuthSyncKey(fakeFirebase)]))
+        .to.have.property('uid', '123')
+    })
+    it('writes null uid after logout', () => {
+      window.localStorage = createStorage()
+      broadcastAuthChange(fakeFirebase, null)
+      expect(JSON.parse(window.localStorage.items[getAuthSyncKey(fakeFirebase)]))
+        .to.have.property('uid', null)
+    })
+    it('does nothing without localStorage', () => {
+      expect(() => broadcastAuthChange(fakeFirebase, { uid: '123' })).to.not.throw()
+    })
+  })
+
+  describe('listenForAuthChanges', () => {
+    let callback
+    let unsubscribe
+    beforeEach(() => {
+      callback = sinon.spy()
+      unsubscribe = listenForAuthChanges(fakeFirebase, callback)
+    })
+    afterEach(() => {
+      unsubscribe()
+    })
+    it('calls callback with change from other tab', () => {
+      dispatchStorageEvent(getAuthSyncKey(fakeFirebase), JSON.stringify({ uid: '123' }))
+      expect(callback).to.have.been.calledWith({ uid: '123' })
+    })
+    it('ignores other keys', () => {
+      dispatchStorageEvent('other', JSON.stringify({ uid: '123' }))
+      expect(callback).to.not.have.been.called
+    })
+    it('ignores invalid values', () => {
+      dispatchStorageEvent(getAuthSyncKey(fakeFirebase), '{')
+      expect(callback).to.not.have.been.called
+    })
+    it('returns function which removes listener', () => {
+      unsubscribe()
+      dispatchStorageEvent(getAuthSyncKey(fakeFirebase), JSON.stringify({ uid: '123' }))
+      expect(callback).to.not.have.been.called
+    })
+  })
+})